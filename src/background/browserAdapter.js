@@ -80,7 +80,8 @@ class BrowserAdapter {
    * Setup global error handling for browser APIs
    */
   setupErrorHandling() {
-    window.addEventListener('error', (event) => {
+    // globalThis is the window in pages and the service worker in the background
+    globalThis.addEventListener('error', (event) => {
       if (event.error?.message?.includes('browser') || event.error?.message?.includes('chrome')) {
         console.error('Browser API Error:', event.error);
         // Attempt recovery or fallback
@@ -300,7 +301,7 @@ class BrowserAdapter {
    * @returns {Object} Browser API
    */
   getBrowserAPI() {
-    return window.browser || window.chrome;
+    return globalThis.browser || globalThis.chrome;
   }
 
   /**
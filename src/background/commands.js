@@ -0,0 +1,38 @@
+/**
+ * Keyboard Command Handlers
+ *
+ * Handles the global shortcuts declared under "commands" in manifest.json.
+ * State changes go through the state store so they reach every open tab.
+ */
+
+import { stateStore } from './stateStore';
+import { whenReady, forwardToActiveTab } from './messageHandlers';
+
+// Command name (manifest.json) to handler
+const COMMAND_HANDLERS = {
+  'toggle-feature': whenReady(() => stateStore.set('enabled', !stateStore.get('enabled'))),
+  'start-tts': () => forwardToActiveTab('startTTS', 'Text-to-Speech started'),
+  'start-stt': () => forwardToActiveTab('startSTT', 'Speech-to-Text started'),
+  'toggle-panel': () => forwardToActiveTab('toggleControlPanel', 'Control panel toggled')
+};
+
+/**
+ * Listen for keyboard commands
+ */
+export function setupCommandHandlers() {
+  if (!chrome.commands) return;
+
+  chrome.commands.onCommand.addListener(async (command) => {
+    const handler = COMMAND_HANDLERS[command];
+    if (!handler) {
+      console.log('Unknown command:', command);
+      return;
+    }
+
+    try {
+      await handler();
+    } catch (error) {
+      console.error(`Error handling command ${command}:`, error);
+    }
+  });
+}
@@ -0,0 +1,74 @@
+/**
+ * Context Menu Handlers
+ *
+ * Adds "Read selection aloud", "Read from here", "Show what will be read"
+ * and "Add page to listening queue" to the page context menu.
+ * Menu items are created once per install or update through the browser
+ * adapter; clicks are forwarded to the content script of the clicked tab,
+ * or handled here for items with a `run` function.
+ */
+
+import { browserAdapter } from './browserAdapter';
+import { addTabToListeningQueue } from './listeningQueue';
+
+// Menu item id to its definition and content script action (or background handler)
+const MENU_ITEMS = {
+  'read-selection': {
+    title: 'Read selection aloud',
+    contexts: ['selection'],
+    action: 'readSelection'
+  },
+  'read-from-here': {
+    title: 'Read from here',
+    contexts: ['page', 'link', 'image'],
+    action: 'readFromElement'
+  },
+  'show-reading-overlay': {
+    title: 'Show what will be read',
+    contexts: ['page'],
+    action: 'toggleReadingOverlay'
+  },
+  'add-to-listening-queue': {
+    title: 'Add page to listening queue',
+    contexts: ['page'],
+    run: tab => addTabToListeningQueue(tab.id)
+  }
+};
+
+/**
+ * Create the context menu items and listen for clicks
+ */
+export function setupContextMenus() {
+  if (!browserAdapter.features.contextMenus) return;
+
+  const contextMenus = browserAdapter.apis.contextMenus;
+
+  // Menu items persist across service worker restarts, so create them on install only
+  chrome.runtime.onInstalled.addListener(() => {
+    Object.entries(MENU_ITEMS).forEach(([id, { title, contexts }]) => {
+      contextMenus.create({ id, title, contexts }).catch(error => {
+        console.error(`Error creating context menu ${id}:`, error);
+      });
+    });
+  });
+
+  contextMenus.onClicked.addListener(async (info, tab) => {
+    const item = MENU_ITEMS[info.menuItemId];
+    if (!item || !tab) return;
+
+    try {
+      if (item.run) {
+        await item.run(tab);
+        return;
+      }
+
+      await chrome.tabs.sendMessage(tab.id, {
+        type: 'action',
+        action: item.action,
+        text: info.selectionText
+      }, { frameId: info.frameId || 0 });
+    } catch (error) {
+      console.error(`Error handling context menu ${info.menuItemId}:`, error);
+    }
+  });
+}
@@ -0,0 +1,349 @@
+/**
+ * Image Description Module
+ *
+ * Describes images entirely on the device through pluggable engines. No
+ * engine or model ships with the extension, so descriptions come from
+ * heuristics until one is registered with `registerEngine()`.
+ *
+ * With an engine, the background fetches and hashes the image and passes its
+ * pixels to the engines. Their results are cached by image hash. When no
+ * engine is confident enough, the description falls back to the context the
+ * content script collected: the figcaption, the title attribute, link text
+ * and the aspect ratio.
+ */
+
+import { registerActions } from './messageRouter';
+
+// Storage key for cached engine results
+const CACHE_STORAGE_KEY = 'imageDescriptionCache';
+
+// Maximum number of cached results kept in storage
+const MAX_CACHE_ENTRIES = 500;
+
+// Engine results below this confidence are declined in favor of heuristics
+export const MIN_MODEL_CONFIDENCE = 0.35;
+
+// Detail levels offered by the `description-detail` option
+export const DETAIL_LEVELS = ['basic', 'detailed', 'comprehensive'];
+
+// Confidence reported for each heuristic source
+const HEURISTIC_CONFIDENCE = {
+  caption: 0.6,
+  title: 0.5,
+  linkText: 0.4,
+  shape: 0.1
+};
+
+class ImageDescriptionService {
+  constructor() {
+    this.engines = [];
+    this.cache = new Map();
+    this.cacheLoaded = null;
+  }
+
+  /**
+   * Register a description engine. Engines implement
+   * `describe(pixels) => Promise<{ labels: [{ label, confidence }], confidence } | null>`
+   * where `pixels` is `{ data, width, height }`; returning null declines the image.
+   * @param {Object} engine - Engine with an `id` and a `describe` method
+   */
+  registerEngine(engine) {
+    if (!engine || typeof engine.describe !== 'function') {
+      throw new Error('Image description engines must implement describe()');
+    }
+    this.engines.push(engine);
+  }
+
+  /**
+   * Describe an image
+   * @param {Object} request - { src, context, detail }
+   * @returns {Promise<Object>} { description, confidence, source, engine, hash, cached }
+   */
+  async describe({ src, context = {}, detail = 'detailed' }) {
+    const level = DETAIL_LEVELS.includes(detail) ? detail : 'detailed';
+    let analysis = null;
+    let hash = null;
+    let cached = false;
+
+    // Without an engine there is nothing to fetch the image for
+    if (this.engines.length === 0) {
+      return { ...composeDescription(null, context, level), hash, cached };
+    }
+
+    try {
+      const blob = await fetchImage(src);
+      hash = await hashBlob(blob);
+
+      analysis = await this.getCached(hash);
+      cached = analysis !== null;
+
+      if (!cached) {
+        analysis = await this.analyze(blob);
+        await this.setCached(hash, analysis);
+      }
+    } catch (error) {
+      // Unreachable images (blob: URLs, network errors) still get heuristics
+      console.warn('Image analysis unavailable, using heuristics:', error.message);
+    }
+
+    return {
+      ...composeDescription(analysis, context, level),
+      hash,
+      cached
+    };
+  }
+
+  /**
+   * Run the engines in order until one accepts the image
+   * @param {Blob} blob - Image data
+   * @returns {Promise<Object>} Engine result, or { declined: true }
+   */
+  async analyze(blob) {
+    const pixels = await decodeImage(blob);
+
+    for (const engine of this.engines) {
+      try {
+        const result = await engine.describe(pixels);
+        if (result && result.confidence >= MIN_MODEL_CONFIDENCE) {
+          return { ...result, engine: engine.id };
+        }
+      } catch (error) {
+        console.error(`Image description engine ${engine.id} failed:`, error);
+      }
+    }
+
+    return { declined: true };
+  }
+
+  /**
+   * Get a cached engine result
+   * @param {string} hash - Image hash
+   * @returns {Promise<Object|null>} Cached result
+   */
+  async getCached(hash) {
+    await this.loadCache();
+    const entry = this.cache.get(hash);
+    return entry ? entry.result : null;
+  }
+
+  /**
+   * Cache an engine result, evicting the oldest entries beyond the limit
+   * @param {string} hash - Image hash
+   * @param {Object} result - Engine result
+   */
+  async setCached(hash, result) {
+    await this.loadCache();
+    this.cache.set(hash, { result, timestamp: Date.now() });
+
+    while (this.cache.size > MAX_CACHE_ENTRIES) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+
+    try {
+      await chrome.storage.local.set({ [CACHE_STORAGE_KEY]: Object.fromEntries(this.cache) });
+    } catch (error) {
+      console.error('Error saving image description cache:', error);
+    }
+  }
+
+  /**
+   * Load the cache from storage once
+   */
+  loadCache() {
+    if (!this.cacheLoaded) {
+      this.cacheLoaded = chrome.storage.local.get([CACHE_STORAGE_KEY])
+        .then(stored => {
+          const entries = Object.entries((stored && stored[CACHE_STORAGE_KEY]) || {})
+            .sort((a, b) => a[1].timestamp - b[1].timestamp);
+          entries.forEach(([hash, entry]) => this.cache.set(hash, entry));
+        })
+        .catch(error => {
+          console.error('Error loading image description cache:', error);
+        });
+    }
+    return this.cacheLoaded;
+  }
+}
+
+/**
+ * Build the description for an image from the engine result or heuristics
+ * @param {Object|null} analysis - Engine result
+ * @param {Object} context - Page context collected by the content script
+ * @param {string} detail - Detail level
+ * @returns {Object} { description, confidence, source, engine }
+ */
+export function composeDescription(analysis, context, detail) {
+  if (analysis && !analysis.declined && analysis.labels && analysis.labels.length > 0) {
+    const [top, ...others] = analysis.labels;
+    const parts = [`Image of ${withArticle(top.label)}`];
+
+    if (detail !== 'basic' && others.length > 0) {
+      parts[0] += `, possibly ${others.slice(0, 2).map(other => withArticle(other.label)).join(' or ')}`;
+    }
+    if (detail !== 'basic' && context.caption) {
+      parts.push(`Caption: ${context.caption}`);
+    }
+    if (detail === 'comprehensive') {
+      parts.push(...describeSurroundings(context));
+    }
+
+    return {
+      description: parts.join('. '),
+      confidence: analysis.confidence,
+      source: 'model',
+      engine: analysis.engine || null
+    };
+  }
+
+  return { ...describeFromHeuristics(context, detail), engine: null };
+}
+
+/**
+ * Describe an image from its surroundings alone
+ * @param {Object} context - { width, height, caption, title, linkText }
+ * @param {string} detail - Detail level
+ * @returns {Object} { description, confidence, source }
+ */
+export function describeFromHeuristics(context, detail) {
+  const shape = describeShape(context.width, context.height);
+  const primarySource = ['caption', 'title', 'linkText'].find(key => context[key]);
+
+  if (!primarySource) {
+    const dimensions = detail === 'comprehensive' && context.width && context.height
+      ? ` (${context.width} by ${context.height} pixels)`
+      : '';
+    return {
+      description: `${capitalize(shape)}${dimensions}`,
+      confidence: HEURISTIC_CONFIDENCE.shape,
+      source: 'heuristic'
+    };
+  }
+
+  const primaryText = primarySource === 'linkText'
+    ? `Link: ${context.linkText}`
+    : context[primarySource];
+
+  if (detail === 'basic') {
+    return {
+      description: primaryText,
+      confidence: HEURISTIC_CONFIDENCE[primarySource],
+      source: 'heuristic'
+    };
+  }
+
+  const parts = [`${capitalize(shape)}: ${primaryText}`];
+  if (detail === 'comprehensive') {
+    parts.push(...describeSurroundings(context, primarySource));
+  } else if (primarySource !== 'linkText' && context.linkText) {
+    parts.push(`Link: ${context.linkText}`);
+  }
+
+  return {
+    description: parts.join('. '),
+    confidence: HEURISTIC_CONFIDENCE[primarySource],
+    source: 'heuristic'
+  };
+}
+
+/**
+ * Describe the image shape from its aspect ratio
+ * @param {number} width - Natural width
+ * @param {number} height - Natural height
+ * @returns {string} Shape phrase
+ */
+export function describeShape(width, height) {
+  if (!width || !height) {
+    return 'image';
+  }
+
+  const aspectRatio = width / height;
+  if (aspectRatio > 2) return 'wide banner image';
+  if (aspectRatio > 1.2) return 'landscape image';
+  if (aspectRatio < 0.5) return 'tall narrow image';
+  if (aspectRatio < 0.83) return 'portrait image';
+  return 'square image';
+}
+
+/**
+ * Context sentences used at the comprehensive detail level
+ */
+function describeSurroundings(context, skip) {
+  const parts = [];
+  if (context.title && skip !== 'title' && context.title !== context.caption) {
+    parts.push(`Title: ${context.title}`);
+  }
+  if (context.linkText && skip !== 'linkText') {
+    parts.push(`Link: ${context.linkText}`);
+  }
+  if (context.width && context.height) {
+    parts.push(`${context.width} by ${context.height} pixels`);
+  }
+  return parts;
+}
+
+function withArticle(label) {
+  return /^[aeiou]/i.test(label) ? `an ${label}` : `a ${label}`;
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Fetch the bytes of an image
+ * @param {string} src - Image URL (http(s) or data:)
+ * @returns {Promise<Blob>} Image data
+ */
+async function fetchImage(src) {
+  const response = await fetch(src, { credentials: 'omit' });
+  if (!response.ok) {
+    throw new Error(`Failed to fetch image: ${response.status}`);
+  }
+  return response.blob();
+}
+
+/**
+ * Hash image bytes with SHA-256
+ * @param {Blob} blob - Image data
+ * @returns {Promise<string>} Hex digest
+ */
+async function hashBlob(blob) {
+  const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  return Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Decode an image into RGBA pixels (works in the service worker, which has no DOM)
+ * @param {Blob} blob - Image data
+ * @returns {Promise<Object>} { data, width, height }
+ */
+async function decodeImage(blob) {
+  const bitmap = await createImageBitmap(blob);
+  const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+  const context = canvas.getContext('2d');
+  context.drawImage(bitmap, 0, 0);
+  bitmap.close();
+  return context.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+/**
+ * Register the describeImage action
+ */
+export function registerImageDescriptionHandlers() {
+  registerActions({
+    describeImage: {
+      description: 'Describe an image using registered engines and page heuristics',
+      payload: {
+        src: { type: 'string', required: true },
+        context: { type: 'object' },
+        detail: { type: 'string' }
+      },
+      handler: async ({ src, context, detail }) => imageDescriptionService.describe({ src, context, detail })
+    }
+  });
+}
+
+export { ImageDescriptionService };
+export const imageDescriptionService = new ImageDescriptionService();
@@ -0,0 +1,568 @@
+/**
+ * Listening Queue Module
+ *
+ * A "read later" playlist of pages from any tab, played one after another
+ * like a podcast. When a page is added, its content script extracts the
+ * readable text (the same blocks page reading would speak), so the page
+ * can be closed afterwards. Playback runs in the background with chrome.tts,
+ * one block at a time. The queue order, each article's position and the
+ * playback state are kept in chrome.storage.local, so listening continues
+ * where it stopped after the browser restarts.
+ *
+ * While the queue plays, an offscreen document publishes the current article
+ * through the Media Session API so that media keys and the browser's media
+ * controls can pause, resume and skip.
+ */
+
+import { registerActions, MessageRouterError, ROUTER_ERRORS } from './messageRouter';
+import { buildSpeakOptions } from './speech';
+import { stateStore } from './stateStore';
+
+// Storage key for the queue
+const QUEUE_STORAGE_KEY = 'listeningQueue';
+
+// Articles the queue holds
+export const MAX_QUEUE_ITEMS = 30;
+
+// Characters kept per article, to stay within the storage quota
+const MAX_ARTICLE_CHARS = 200000;
+
+// Offscreen document that publishes the Media Session
+const OFFSCREEN_PLAYER_URL = 'offscreen.html';
+
+// Playback states
+export const PLAYBACK_STATUS = {
+  STOPPED: 'stopped',
+  PLAYING: 'playing',
+  PAUSED: 'paused'
+};
+
+/**
+ * Speaks queue blocks with chrome.tts
+ */
+class ChromeTtsSpeaker {
+  /**
+   * @param {Function} getOptions - Returns { voiceName, rate, pitch, volume, lang }
+   */
+  constructor(getOptions = () => ({})) {
+    this.getOptions = getOptions;
+  }
+
+  /**
+   * @param {string} text - Text to speak
+   * @param {Function} onDone - Called with true when the text was spoken, false on error
+   */
+  speak(text, onDone) {
+    chrome.tts.speak(text, {
+      ...buildSpeakOptions(this.getOptions()),
+      requiredEventTypes: ['end'],
+      desiredEventTypes: ['end', 'error'],
+      onEvent: event => {
+        if (event.type === 'end') onDone(true);
+        if (event.type === 'error') onDone(false);
+      }
+    });
+  }
+
+  pause() {
+    chrome.tts.pause();
+  }
+
+  resume() {
+    chrome.tts.resume();
+  }
+
+  stop() {
+    chrome.tts.stop();
+  }
+}
+
+class ListeningQueue {
+  /**
+   * @param {Object} speaker - { speak(text, onDone), pause(), resume(), stop() }
+   */
+  constructor(speaker = new ChromeTtsSpeaker()) {
+    this.speaker = speaker;
+    this.items = [];
+    this.currentIndex = 0;
+    this.status = PLAYBACK_STATUS.STOPPED;
+    this.listeners = new Set();
+    this.loaded = null;
+    // A block is being spoken (or paused part-way) by the speaker
+    this.speaking = false;
+    // Bumped whenever speech is cut off, so late events of old blocks are ignored
+    this.playToken = 0;
+  }
+
+  /**
+   * Load the queue from storage once
+   */
+  load() {
+    if (!this.loaded) {
+      this.loaded = chrome.storage.local.get([QUEUE_STORAGE_KEY])
+        .then(stored => {
+          const saved = stored && stored[QUEUE_STORAGE_KEY];
+          if (!saved) return;
+          this.items = saved.items || [];
+          this.currentIndex = Math.min(saved.currentIndex || 0, Math.max(0, this.items.length - 1));
+          // Speech doesn't survive a restart; continue when the user presses play
+          this.status = saved.status === PLAYBACK_STATUS.STOPPED ? PLAYBACK_STATUS.STOPPED : PLAYBACK_STATUS.PAUSED;
+        })
+        .catch(error => {
+          console.error('Error loading listening queue:', error);
+        });
+    }
+    return this.loaded;
+  }
+
+  /**
+   * Save the queue and tell listeners it changed
+   */
+  async save() {
+    try {
+      await chrome.storage.local.set({
+        [QUEUE_STORAGE_KEY]: { items: this.items, currentIndex: this.currentIndex, status: this.status }
+      });
+    } catch (error) {
+      console.error('Error saving listening queue:', error);
+    }
+    const summary = this.getSummary();
+    this.listeners.forEach(listener => listener(summary));
+  }
+
+  /**
+   * Listen for queue changes
+   * @param {Function} listener - Called with the queue summary
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * The queue without the article text, for the popup and the media session
+   * @returns {Object} { items, currentIndex, status, current }
+   */
+  getSummary() {
+    const items = this.items.map(({ id, url, title, position, blocks }) => ({
+      id,
+      url,
+      title,
+      position,
+      length: blocks.length,
+      progress: Math.round((position / blocks.length) * 100)
+    }));
+    return {
+      items,
+      currentIndex: this.currentIndex,
+      status: this.status,
+      current: items[this.currentIndex] || null
+    };
+  }
+
+  /**
+   * Add a page to the end of the queue; a page already queued keeps its place
+   * @param {Object} article - { url, title, blocks }
+   * @returns {Promise<Object>} The queued item's summary
+   */
+  async add({ url, title, blocks }) {
+    await this.load();
+
+    const existing = this.items.find(item => item.url === url);
+    if (existing) {
+      return this.getSummary().items[this.items.indexOf(existing)];
+    }
+
+    const text = [];
+    let length = 0;
+    for (const block of blocks || []) {
+      if (!block || length >= MAX_ARTICLE_CHARS) continue;
+      text.push(block);
+      length += block.length;
+    }
+    if (text.length === 0) {
+      throw new Error('No readable content found on this page');
+    }
+    if (this.items.length >= MAX_QUEUE_ITEMS) {
+      throw new Error(`The listening queue is full (${MAX_QUEUE_ITEMS} articles)`);
+    }
+
+    this.items.push({
+      id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      url,
+      title: title || url,
+      blocks: text,
+      position: 0,
+      addedAt: Date.now()
+    });
+    await this.save();
+    return this.getSummary().items[this.items.length - 1];
+  }
+
+  /**
+   * Remove an article; removing the one playing moves on to the next
+   * @param {string} id - Item id
+   */
+  async remove(id) {
+    await this.load();
+    const index = this.findIndex(id);
+    const wasCurrent = index === this.currentIndex;
+
+    this.items.splice(index, 1);
+    if (index < this.currentIndex) {
+      this.currentIndex--;
+    }
+
+    if (wasCurrent && this.status !== PLAYBACK_STATUS.STOPPED) {
+      this.cutOff();
+      if (this.status === PLAYBACK_STATUS.PLAYING) {
+        await this.playCurrent();
+        return;
+      }
+    }
+    this.currentIndex = Math.min(this.currentIndex, Math.max(0, this.items.length - 1));
+    if (this.items.length === 0) {
+      this.status = PLAYBACK_STATUS.STOPPED;
+    }
+    await this.save();
+  }
+
+  /**
+   * Move an article to another place in the queue
+   * @param {string} id - Item id
+   * @param {number} toIndex - New index
+   */
+  async move(id, toIndex) {
+    await this.load();
+    const index = this.findIndex(id);
+    const target = Math.max(0, Math.min(toIndex, this.items.length - 1));
+    const current = this.items[this.currentIndex];
+
+    const [item] = this.items.splice(index, 1);
+    this.items.splice(target, 0, item);
+    this.currentIndex = this.items.indexOf(current);
+    await this.save();
+  }
+
+  /**
+   * Play the queue from an article (default: the current one, where it stopped)
+   * @param {number} index - Article index
+   */
+  async play(index = this.currentIndex) {
+    await this.load();
+    if (this.items.length === 0) {
+      throw new Error('The listening queue is empty');
+    }
+    const target = Math.max(0, Math.min(index, this.items.length - 1));
+    if (target === this.currentIndex && this.status !== PLAYBACK_STATUS.STOPPED) {
+      await this.resume();
+      return;
+    }
+
+    this.cutOff();
+    this.currentIndex = target;
+    this.restartIfFinished();
+    await this.playCurrent();
+  }
+
+  /**
+   * Pause part-way through the block being spoken
+   */
+  async pause() {
+    await this.load();
+    if (this.status !== PLAYBACK_STATUS.PLAYING) return;
+    if (this.speaking) this.speaker.pause();
+    this.status = PLAYBACK_STATUS.PAUSED;
+    await this.save();
+  }
+
+  /**
+   * Continue after a pause, or from the saved position after a restart
+   */
+  async resume() {
+    await this.load();
+    if (this.status !== PLAYBACK_STATUS.PAUSED) return;
+    if (this.speaking) {
+      this.speaker.resume();
+      this.status = PLAYBACK_STATUS.PLAYING;
+      await this.save();
+      return;
+    }
+    this.restartIfFinished();
+    await this.playCurrent();
+  }
+
+  /**
+   * Stop playing; each article keeps its position
+   */
+  async stop() {
+    await this.load();
+    this.cutOff();
+    this.status = PLAYBACK_STATUS.STOPPED;
+    await this.save();
+  }
+
+  /**
+   * Skip to the next article
+   */
+  async next() {
+    await this.load();
+    if (this.currentIndex >= this.items.length - 1) {
+      throw new Error('This is the last article in the queue');
+    }
+    await this.skipTo(this.currentIndex + 1);
+  }
+
+  /**
+   * Go back to the previous article
+   */
+  async previous() {
+    await this.load();
+    if (this.currentIndex === 0) {
+      throw new Error('This is the first article in the queue');
+    }
+    await this.skipTo(this.currentIndex - 1);
+  }
+
+  /**
+   * Make another article current, playing it if the queue was playing
+   */
+  async skipTo(index) {
+    this.cutOff();
+    this.currentIndex = index;
+    this.restartIfFinished();
+    if (this.status === PLAYBACK_STATUS.PLAYING) {
+      await this.playCurrent();
+    } else {
+      await this.save();
+    }
+  }
+
+  /**
+   * Choosing an article that was listened to the end plays it again
+   */
+  restartIfFinished() {
+    const item = this.items[this.currentIndex];
+    if (item && item.position >= item.blocks.length) {
+      item.position = 0;
+    }
+  }
+
+  /**
+   * Speak the current article from its position; finished articles are
+   * skipped over and the queue stops after the last one
+   */
+  async playCurrent() {
+    let item = this.items[this.currentIndex];
+    while (item && item.position >= item.blocks.length && this.currentIndex < this.items.length - 1) {
+      this.currentIndex++;
+      item = this.items[this.currentIndex];
+    }
+
+    if (!item || item.position >= item.blocks.length) {
+      this.currentIndex = Math.min(this.currentIndex, Math.max(0, this.items.length - 1));
+      this.status = PLAYBACK_STATUS.STOPPED;
+      await this.save();
+      return;
+    }
+
+    this.status = PLAYBACK_STATUS.PLAYING;
+    this.speakBlock(item);
+    await this.save();
+  }
+
+  /**
+   * Speak the block at an article's position, then move to the next one
+   */
+  speakBlock(item) {
+    const token = ++this.playToken;
+    this.speaking = true;
+
+    this.speaker.speak(item.blocks[item.position], () => {
+      if (token !== this.playToken) return;
+      this.speaking = false;
+      // A block that fails to speak is skipped rather than retried forever
+      item.position++;
+      this.playCurrent().catch(error => {
+        console.error('Error playing listening queue:', error);
+      });
+    });
+  }
+
+  /**
+   * Stop the block being spoken without moving on
+   */
+  cutOff() {
+    this.playToken++;
+    if (this.speaking) {
+      this.speaking = false;
+      this.speaker.stop();
+    }
+  }
+
+  findIndex(id) {
+    const index = this.items.findIndex(item => item.id === id);
+    if (index === -1) {
+      throw new Error('Article not found in the listening queue');
+    }
+    return index;
+  }
+}
+
+/**
+ * chrome.tts options from the profile's text-to-speech preferences
+ */
+function getQueueSpeakOptions() {
+  const tts = (stateStore.get('userPreferences') || {}).tts || {};
+  return {
+    voiceName: tts.voice && tts.voice !== 'default' ? tts.voice : undefined,
+    rate: tts.rate,
+    pitch: tts.pitch,
+    volume: tts.volume
+  };
+}
+
+/**
+ * Extract a tab's readable content and add it to the queue
+ * @param {number} tabId - Tab to add
+ * @returns {Promise<Object>} The queued item's summary
+ */
+export async function addTabToListeningQueue(tabId) {
+  let content;
+  try {
+    content = await chrome.tabs.sendMessage(tabId, { type: 'getListeningContent' });
+  } catch (error) {
+    throw new MessageRouterError(ROUTER_ERRORS.HANDLER_FAILED, 'This page cannot be added to the listening queue');
+  }
+  if (!content || !Array.isArray(content.blocks)) {
+    throw new MessageRouterError(ROUTER_ERRORS.HANDLER_FAILED, 'This page cannot be added to the listening queue');
+  }
+  return listeningQueue.add(content);
+}
+
+/**
+ * Open the offscreen media session player while the queue plays or is
+ * paused, and close it when the queue stops
+ */
+async function syncMediaSessionPlayer(summary) {
+  if (!chrome.offscreen) return;
+
+  try {
+    const contexts = await chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'] });
+    const open = contexts.length > 0;
+
+    if (summary.status === PLAYBACK_STATUS.STOPPED) {
+      if (open) await chrome.offscreen.closeDocument();
+      return;
+    }
+
+    if (!open) {
+      await chrome.offscreen.createDocument({
+        url: OFFSCREEN_PLAYER_URL,
+        reasons: ['AUDIO_PLAYBACK'],
+        justification: 'Lets media keys control the listening queue'
+      });
+    }
+  } catch (error) {
+    console.error('Error updating the listening queue player:', error);
+  }
+}
+
+/**
+ * Wrap a queue action so the caller gets the updated queue back
+ */
+function withQueue(action) {
+  return async payload => {
+    await action(payload);
+    return { queue: listeningQueue.getSummary() };
+  };
+}
+
+/**
+ * Register the listening queue actions with the message router
+ */
+export function registerListeningQueueHandlers() {
+  listeningQueue.speaker = new ChromeTtsSpeaker(getQueueSpeakOptions);
+
+  // Keep the popup and the media session up to date
+  listeningQueue.subscribe(summary => {
+    syncMediaSessionPlayer(summary).then(() => {
+      chrome.runtime.sendMessage({ type: 'listeningQueueUpdate', queue: summary }).catch(() => {
+        // No popup or player is open
+      });
+    });
+  });
+
+  registerActions({
+    getListeningQueue: {
+      description: 'Get the listening queue',
+      handler: async () => {
+        await listeningQueue.load();
+        return { queue: listeningQueue.getSummary() };
+      }
+    },
+    addToListeningQueue: {
+      description: 'Add a tab (default: the active tab) to the listening queue',
+      payload: {
+        tabId: { type: 'number' }
+      },
+      handler: async ({ tabId }) => {
+        let id = tabId;
+        if (id === undefined) {
+          const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+          if (tabs.length === 0) {
+            throw new MessageRouterError(ROUTER_ERRORS.HANDLER_FAILED, 'No active tab');
+          }
+          id = tabs[0].id;
+        }
+        return { item: await addTabToListeningQueue(id) };
+      }
+    },
+    removeFromListeningQueue: {
+      description: 'Remove an article from the listening queue',
+      payload: {
+        id: { type: 'string', required: true }
+      },
+      handler: withQueue(({ id }) => listeningQueue.remove(id))
+    },
+    moveInListeningQueue: {
+      description: 'Move an article to another place in the listening queue',
+      payload: {
+        id: { type: 'string', required: true },
+        index: { type: 'number', required: true }
+      },
+      handler: withQueue(({ id, index }) => listeningQueue.move(id, index))
+    },
+    playListeningQueue: {
+      description: 'Play the listening queue, optionally from an article',
+      payload: {
+        index: { type: 'number' }
+      },
+      handler: withQueue(({ index }) => listeningQueue.play(index))
+    },
+    pauseListeningQueue: {
+      description: 'Pause the listening queue',
+      handler: withQueue(() => listeningQueue.pause())
+    },
+    resumeListeningQueue: {
+      description: 'Resume the listening queue',
+      handler: withQueue(() => listeningQueue.resume())
+    },
+    stopListeningQueue: {
+      description: 'Stop the listening queue',
+      handler: withQueue(() => listeningQueue.stop())
+    },
+    nextInListeningQueue: {
+      description: 'Skip to the next article in the listening queue',
+      handler: withQueue(() => listeningQueue.next())
+    },
+    previousInListeningQueue: {
+      description: 'Go back to the previous article in the listening queue',
+      handler: withQueue(() => listeningQueue.previous())
+    }
+  });
+}
+
+export { ListeningQueue, ChromeTtsSpeaker };
+export const listeningQueue = new ListeningQueue();
@@ -0,0 +1,325 @@
+/**
+ * Message Handlers Module
+ *
+ * Registers the actions understood by the background service worker with the
+ * message router. Profile actions are delegated to userProfile.js; the
+ * extension state returned by getState is owned by the state store.
+ */
+
+import { registerActions, MessageRouterError, ROUTER_ERRORS } from './messageRouter';
+import {
+  initializeProfiles,
+  getActiveProfile,
+  getAllProfiles,
+  createProfile,
+  updateProfile,
+  deleteProfile,
+  switchProfile,
+  exportProfiles,
+  importProfiles
+} from './userProfile';
+import { stateStore } from './stateStore';
+import { setupStateSync, loadStateFromProfile } from './stateSync';
+import {
+  normalizeOrigin,
+  getSiteOverride,
+  listSiteOverrides,
+  setSiteOverride,
+  deleteSiteOverride
+} from './siteSettings';
+
+// Resolves once stored profiles and state have been loaded
+let stateReady = null;
+
+/**
+ * Register all core message handlers
+ */
+export function registerCoreHandlers() {
+  stateReady = initializeProfiles().then(profile => {
+    setupStateSync();
+    return stateStore.initialize({
+      activeFeatures: { ...profile.features },
+      userPreferences: { ...profile.preferences }
+    });
+  });
+
+  registerActions({
+    getState: {
+      description: 'Get the current extension state and profiles, plus the site override for an origin',
+      payload: {
+        origin: { type: 'string' }
+      },
+      handler: whenReady(({ origin }) => {
+        const siteOrigin = origin ? normalizeOrigin(origin) : null;
+        return {
+          state: buildState(),
+          siteOverride: siteOrigin ? getSiteOverride(siteOrigin) : null
+        };
+      })
+    },
+
+    toggleExtension: {
+      description: 'Enable or disable the extension',
+      payload: {
+        enabled: { type: 'boolean', required: true }
+      },
+      handler: whenReady(async ({ enabled }) => {
+        await stateStore.set('enabled', enabled);
+        return {
+          state: buildState(),
+          message: `Extension ${enabled ? 'enabled' : 'disabled'}`
+        };
+      })
+    },
+
+    updateFeature: {
+      description: 'Toggle a feature in the active profile',
+      payload: {
+        feature: { type: 'string', required: true },
+        enabled: { type: 'boolean', required: true }
+      },
+      handler: whenReady(async ({ feature, enabled }) => {
+        const features = stateStore.get('activeFeatures');
+
+        if (!(feature in features)) {
+          throw new MessageRouterError(ROUTER_ERRORS.INVALID_PAYLOAD, `Unknown feature: ${feature}`);
+        }
+
+        await stateStore.set('activeFeatures', { ...features, [feature]: enabled });
+
+        return {
+          state: buildState(),
+          message: `Feature ${feature} ${enabled ? 'enabled' : 'disabled'}`
+        };
+      })
+    },
+
+    updatePreferences: {
+      description: 'Merge preferences into the active profile',
+      payload: {
+        preferences: { type: 'object', required: true }
+      },
+      handler: whenReady(async ({ preferences }) => {
+        await stateStore.set(
+          'userPreferences',
+          mergePreferences(stateStore.get('userPreferences'), preferences)
+        );
+
+        return { state: buildState() };
+      })
+    },
+
+    startTTS: {
+      description: 'Start text-to-speech in the active tab',
+      handler: () => forwardToActiveTab('startTTS', 'Text-to-Speech started')
+    },
+
+    readSelection: {
+      description: 'Read the selected text in the active tab',
+      payload: {
+        text: { type: 'string' }
+      },
+      handler: ({ text }) => forwardToActiveTab('readSelection', 'Reading selection', { text })
+    },
+
+    readFromElement: {
+      description: 'Read the active tab from the element the context menu was opened on',
+      handler: () => forwardToActiveTab('readFromElement', 'Reading from element')
+    },
+
+    toggleReadingOverlay: {
+      description: 'Show or hide the overlay of what text-to-speech will read in the active tab',
+      handler: () => forwardToActiveTab('toggleReadingOverlay', 'Reading overlay toggled')
+    },
+
+    startSTT: {
+      description: 'Start speech recognition in the active tab',
+      handler: () => forwardToActiveTab('startSTT', 'Speech-to-Text started')
+    },
+
+    createProfile: {
+      description: 'Create a new profile',
+      payload: {
+        name: { type: 'string', required: true },
+        baseProfile: { type: 'object' }
+      },
+      handler: whenReady(async ({ name, baseProfile }) => {
+        const profile = await createProfile(name, baseProfile);
+        return { profile };
+      })
+    },
+
+    updateProfile: {
+      description: 'Update an existing profile',
+      payload: {
+        profileId: { type: 'string', required: true },
+        updates: { type: 'object', required: true }
+      },
+      handler: whenReady(async ({ profileId, updates }) => {
+        const profile = await updateProfile(profileId, updates);
+        if (profileId === getActiveProfile().id) {
+          await loadStateFromProfile();
+        }
+        return { profile };
+      })
+    },
+
+    deleteProfile: {
+      description: 'Delete a profile',
+      payload: {
+        profileId: { type: 'string', required: true }
+      },
+      handler: whenReady(async ({ profileId }) => {
+        await deleteProfile(profileId);
+        await loadStateFromProfile();
+        return { state: buildState() };
+      })
+    },
+
+    switchProfile: {
+      description: 'Make a profile the active one',
+      payload: {
+        profileId: { type: 'string', required: true }
+      },
+      handler: whenReady(async ({ profileId }) => {
+        await switchProfile(profileId);
+        await loadStateFromProfile();
+        return { state: buildState() };
+      })
+    },
+
+    getSiteSettings: {
+      description: 'Get the override for a site',
+      payload: {
+        origin: { type: 'string', required: true }
+      },
+      handler: whenReady(({ origin }) => {
+        const siteOrigin = requireOrigin(origin);
+        return { origin: siteOrigin, override: getSiteOverride(siteOrigin) };
+      })
+    },
+
+    listSiteOverrides: {
+      description: 'List every site override',
+      handler: whenReady(() => ({ overrides: listSiteOverrides() }))
+    },
+
+    setSiteOverride: {
+      description: 'Create or replace the override for a site',
+      payload: {
+        origin: { type: 'string', required: true },
+        override: { type: 'object', required: true }
+      },
+      handler: whenReady(async ({ origin, override }) => {
+        const stored = await setSiteOverride(requireOrigin(origin), override);
+        return { override: stored };
+      })
+    },
+
+    deleteSiteOverride: {
+      description: 'Delete the override for a site',
+      payload: {
+        origin: { type: 'string', required: true }
+      },
+      handler: whenReady(async ({ origin }) => {
+        await deleteSiteOverride(requireOrigin(origin));
+        return { overrides: listSiteOverrides() };
+      })
+    },
+
+    exportProfiles: {
+      description: 'Export all profiles as JSON',
+      handler: whenReady(() => ({ data: exportProfiles() }))
+    },
+
+    importProfiles: {
+      description: 'Import profiles from JSON',
+      payload: {
+        data: { type: 'string', required: true }
+      },
+      handler: whenReady(async ({ data }) => {
+        await importProfiles(data);
+        await loadStateFromProfile();
+        return { state: buildState() };
+      })
+    }
+  });
+}
+
+/**
+ * Build the extension state sent to the UI pages and content scripts
+ * @returns {Object} Extension state
+ */
+export function buildState() {
+  // Site overrides are served per origin through getState / getSiteSettings
+  const { schemaVersion, siteOverrides, ...state } = stateStore.getState();
+
+  return {
+    ...state,
+    activeProfile: getActiveProfile(),
+    profiles: getAllProfiles()
+  };
+}
+
+/**
+ * Wrap a handler so it only runs once profiles and state are loaded
+ */
+export function whenReady(handler) {
+  return async (payload, sender) => {
+    await stateReady;
+    return handler(payload, sender);
+  };
+}
+
+/**
+ * Normalize an origin from a payload or reject it
+ * @param {string} origin - URL or origin
+ * @returns {string} Normalized origin
+ */
+function requireOrigin(origin) {
+  const normalized = normalizeOrigin(origin);
+  if (!normalized) {
+    throw new MessageRouterError(ROUTER_ERRORS.INVALID_PAYLOAD, `Unsupported site: ${origin}`);
+  }
+  return normalized;
+}
+
+/**
+ * Merge preference categories into existing preferences
+ * @param {Object} current - Current preferences
+ * @param {Object} updates - Preference updates keyed by category
+ * @returns {Object} Merged preferences
+ */
+function mergePreferences(current, updates) {
+  const merged = { ...current };
+
+  Object.entries(updates).forEach(([category, values]) => {
+    if (values && typeof values === 'object' && !Array.isArray(values)) {
+      merged[category] = { ...(current[category] || {}), ...values };
+    } else {
+      merged[category] = values;
+    }
+  });
+
+  return merged;
+}
+
+/**
+ * Forward an action to the content script of the active tab
+ * @param {string} action - Content script action
+ * @param {string} message - Confirmation message for the caller
+ * @param {Object} details - Extra fields for the content script
+ */
+export async function forwardToActiveTab(action, message, details = {}) {
+  const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+
+  if (tabs.length === 0) {
+    throw new MessageRouterError(ROUTER_ERRORS.HANDLER_FAILED, 'No active tab');
+  }
+
+  const response = await chrome.tabs.sendMessage(tabs[0].id, { ...details, type: 'action', action });
+  if (response && !response.success) {
+    throw new MessageRouterError(ROUTER_ERRORS.HANDLER_FAILED, response.error);
+  }
+  return { message };
+}
@@ -0,0 +1,204 @@
+/**
+ * Message Router Module
+ *
+ * Routes runtime messages sent by the popup, options page and content scripts
+ * to registered action handlers. Each action declares the shape of its payload,
+ * which is validated before the handler runs, and every handler may be async.
+ * Responses always carry a `success` flag; failures carry a structured error.
+ */
+
+// Error codes returned to message senders
+export const ROUTER_ERRORS = {
+  UNKNOWN_ACTION: 'UNKNOWN_ACTION',
+  INVALID_MESSAGE: 'INVALID_MESSAGE',
+  INVALID_PAYLOAD: 'INVALID_PAYLOAD',
+  HANDLER_FAILED: 'HANDLER_FAILED'
+};
+
+// Payload field types understood by the validator
+const PAYLOAD_TYPES = ['string', 'number', 'boolean', 'object', 'array', 'any'];
+
+/**
+ * Error raised by the router or by handlers that want to report a specific
+ * error code back to the sender.
+ */
+export class MessageRouterError extends Error {
+  constructor(code, message, details = null) {
+    super(message);
+    this.name = 'MessageRouterError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Router state
+const routerState = {
+  handlers: new Map()
+};
+
+/**
+ * Register a handler for an action
+ * @param {string} action - Action name sent by the caller (message.action)
+ * @param {Object} definition - Action definition
+ * @param {Object} [definition.payload] - Map of field name to { type, required }
+ * @param {Function} definition.handler - (payload, sender) => result or Promise of result
+ * @param {string} [definition.description] - Human-readable description
+ */
+export function registerAction(action, definition) {
+  if (!action || typeof action !== 'string') {
+    throw new Error('Action name must be a non-empty string');
+  }
+
+  if (!definition || typeof definition.handler !== 'function') {
+    throw new Error(`Handler for action ${action} must be a function`);
+  }
+
+  if (routerState.handlers.has(action)) {
+    throw new Error(`Action ${action} is already registered`);
+  }
+
+  const payload = definition.payload || {};
+  Object.entries(payload).forEach(([field, rule]) => {
+    if (!PAYLOAD_TYPES.includes(rule.type)) {
+      throw new Error(`Unsupported payload type "${rule.type}" for ${action}.${field}`);
+    }
+  });
+
+  routerState.handlers.set(action, {
+    payload,
+    handler: definition.handler,
+    description: definition.description || ''
+  });
+}
+
+/**
+ * Register several actions at once
+ * @param {Object} definitions - Map of action name to action definition
+ */
+export function registerActions(definitions) {
+  Object.entries(definitions).forEach(([action, definition]) => {
+    registerAction(action, definition);
+  });
+}
+
+/**
+ * Remove a registered action
+ * @param {string} action - Action name
+ */
+export function unregisterAction(action) {
+  routerState.handlers.delete(action);
+}
+
+/**
+ * Get the names of all registered actions
+ * @returns {string[]} Registered action names
+ */
+export function getRegisteredActions() {
+  return Array.from(routerState.handlers.keys());
+}
+
+/**
+ * Validate a message payload against an action's payload definition
+ * @param {Object} schema - Map of field name to { type, required }
+ * @param {Object} payload - Payload to validate
+ * @returns {string[]} List of validation problems (empty when valid)
+ */
+export function validatePayload(schema, payload) {
+  const problems = [];
+
+  Object.entries(schema).forEach(([field, rule]) => {
+    const value = payload[field];
+
+    if (value === undefined || value === null) {
+      if (rule.required) {
+        problems.push(`Missing required field "${field}"`);
+      }
+      return;
+    }
+
+    if (rule.type !== 'any' && getValueType(value) !== rule.type) {
+      problems.push(`Field "${field}" must be of type ${rule.type}`);
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Route a message to its registered handler
+ * @param {Object} message - Runtime message ({ action, ...payload })
+ * @param {Object} sender - Message sender
+ * @returns {Promise<Object>} Response to send back to the caller
+ */
+export async function routeMessage(message, sender = {}) {
+  try {
+    if (!message || typeof message.action !== 'string') {
+      throw new MessageRouterError(ROUTER_ERRORS.INVALID_MESSAGE, 'Message must have an action');
+    }
+
+    const { action, ...payload } = message;
+    const entry = routerState.handlers.get(action);
+
+    if (!entry) {
+      throw new MessageRouterError(ROUTER_ERRORS.UNKNOWN_ACTION, `Unknown action: ${action}`);
+    }
+
+    const problems = validatePayload(entry.payload, payload);
+    if (problems.length > 0) {
+      throw new MessageRouterError(
+        ROUTER_ERRORS.INVALID_PAYLOAD,
+        `Invalid payload for ${action}`,
+        problems
+      );
+    }
+
+    const result = await entry.handler(payload, sender);
+    return { success: true, ...(result || {}) };
+  } catch (error) {
+    return createErrorResponse(error);
+  }
+}
+
+/**
+ * Listener for chrome.runtime.onMessage that delegates to the router
+ * @returns {boolean} true to keep the channel open for the async response
+ */
+export function handleRuntimeMessage(message, sender, sendResponse) {
+  // Messages addressed to content scripts use `type` and are not routed here
+  if (!message || !message.action) {
+    return false;
+  }
+
+  routeMessage(message, sender).then(sendResponse);
+  return true; // Keep the message channel open for asynchronous responses
+}
+
+/**
+ * Build a structured error response
+ * @param {Error} error - Error thrown while routing
+ * @returns {Object} Error response
+ */
+function createErrorResponse(error) {
+  const code = error instanceof MessageRouterError ? error.code : ROUTER_ERRORS.HANDLER_FAILED;
+
+  if (code === ROUTER_ERRORS.HANDLER_FAILED) {
+    console.error('Message handler error:', error);
+  }
+
+  return {
+    success: false,
+    error: {
+      code,
+      message: error.message,
+      details: error.details || null
+    }
+  };
+}
+
+/**
+ * Get the payload type name for a value
+ */
+function getValueType(value) {
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
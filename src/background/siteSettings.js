@@ -0,0 +1,105 @@
+/**
+ * Site Settings Module
+ *
+ * Stores per-site overrides that are layered on top of the active profile.
+ * Overrides are keyed by origin and kept in the state store under
+ * `siteOverrides`, so they are persisted and broadcast like any other state.
+ */
+
+import { stateStore } from './stateStore';
+
+// Settings a site override may contain (values match the options page controls;
+// fontSize is a percentage and contrastScheme 'none' turns high contrast off)
+const OVERRIDE_FIELDS = {
+  fontSize: value => typeof value === 'number' && value >= 100 && value <= 200,
+  contrastScheme: value => ['none', 'dark', 'light', 'yellow', 'blue', 'custom'].includes(value),
+  disabledFeatures: value => Array.isArray(value) && value.every(item => typeof item === 'string'),
+  simplificationLevel: value => ['mild', 'moderate', 'strong'].includes(value)
+};
+
+/**
+ * Normalize a URL or origin string to an origin
+ * @param {string} url - URL or origin
+ * @returns {string|null} Origin, or null for unsupported URLs
+ */
+export function normalizeOrigin(url) {
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      return null;
+    }
+    return parsed.origin;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Keep only supported, valid fields of an override
+ * @param {Object} override - Override to clean up
+ * @returns {Object} Normalized override
+ */
+export function normalizeSiteOverride(override) {
+  const normalized = {};
+
+  Object.entries(OVERRIDE_FIELDS).forEach(([field, isValid]) => {
+    if (override[field] !== undefined && isValid(override[field])) {
+      normalized[field] = override[field];
+    }
+  });
+
+  return normalized;
+}
+
+/**
+ * Get the override for an origin
+ * @param {string} origin - Site origin
+ * @returns {Object|null} Override, or null when none exists
+ */
+export function getSiteOverride(origin) {
+  const overrides = stateStore.get('siteOverrides') || {};
+  return overrides[origin] || null;
+}
+
+/**
+ * List every stored override
+ * @returns {Array<Object>} Overrides with their origin
+ */
+export function listSiteOverrides() {
+  const overrides = stateStore.get('siteOverrides') || {};
+  return Object.entries(overrides)
+    .map(([origin, override]) => ({ origin, ...override }))
+    .sort((a, b) => a.origin.localeCompare(b.origin));
+}
+
+/**
+ * Create or replace the override for an origin
+ * @param {string} origin - Site origin
+ * @param {Object} override - Override settings
+ * @returns {Promise<Object>} Stored override
+ */
+export async function setSiteOverride(origin, override) {
+  const overrides = stateStore.get('siteOverrides') || {};
+  const stored = {
+    ...normalizeSiteOverride(override),
+    lastModified: Date.now()
+  };
+
+  await stateStore.set('siteOverrides', { ...overrides, [origin]: stored });
+  return stored;
+}
+
+/**
+ * Delete the override for an origin
+ * @param {string} origin - Site origin
+ */
+export async function deleteSiteOverride(origin) {
+  const overrides = { ...(stateStore.get('siteOverrides') || {}) };
+
+  if (!overrides[origin]) {
+    throw new Error(`No site settings for ${origin}`);
+  }
+
+  delete overrides[origin];
+  await stateStore.set('siteOverrides', overrides);
+}
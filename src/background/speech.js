@@ -0,0 +1,98 @@
+/**
+ * Speech Module
+ *
+ * Speaks for content scripts that use the chrome-tts speech engine. Only the
+ * extension's own pages and service worker can call chrome.tts, so tabs send
+ * their utterances here and get each utterance's events back as `ttsEvent`
+ * messages ({ type: 'ttsEvent', utteranceId, event }).
+ */
+
+import { registerActions, MessageRouterError, ROUTER_ERRORS } from './messageRouter';
+
+// chrome.tts events reported back to the tab
+const TTS_EVENT_TYPES = ['start', 'word', 'sentence', 'end', 'interrupted', 'cancelled', 'error'];
+
+/**
+ * Build chrome.tts options, leaving out settings the tab didn't give
+ * @param {Object} options - { lang, voiceName, rate, pitch, volume }
+ * @returns {Object} chrome.tts.speak options
+ */
+export function buildSpeakOptions(options = {}) {
+  const speakOptions = {};
+  ['lang', 'voiceName'].forEach(key => {
+    if (typeof options[key] === 'string' && options[key]) speakOptions[key] = options[key];
+  });
+  ['rate', 'pitch', 'volume'].forEach(key => {
+    if (typeof options[key] === 'number' && Number.isFinite(options[key])) speakOptions[key] = options[key];
+  });
+  return speakOptions;
+}
+
+/**
+ * Speak text for a tab and forward the utterance's events to it
+ * @param {number} tabId - Tab that asked
+ * @param {string} utteranceId - Tab's id for the utterance
+ * @param {string} text - Text to speak
+ * @param {Object} options - { lang, voiceName, rate, pitch, volume }
+ */
+function speakForTab(tabId, utteranceId, text, options) {
+  chrome.tts.speak(text, {
+    ...buildSpeakOptions(options),
+    requiredEventTypes: ['end'],
+    desiredEventTypes: TTS_EVENT_TYPES,
+    onEvent: event => {
+      if (!TTS_EVENT_TYPES.includes(event.type)) return;
+      chrome.tabs.sendMessage(tabId, {
+        type: 'ttsEvent',
+        utteranceId,
+        event: {
+          type: event.type,
+          charIndex: event.charIndex,
+          length: event.length,
+          errorMessage: event.errorMessage
+        }
+      }).catch(() => {
+        // The tab navigated away or closed; nothing is listening
+      });
+    }
+  });
+}
+
+/**
+ * Register the chrome.tts actions with the message router
+ */
+export function registerSpeechHandlers() {
+  registerActions({
+    ttsSpeak: {
+      description: 'Speak text with chrome.tts and report its events to the tab',
+      payload: {
+        utteranceId: { type: 'string', required: true },
+        text: { type: 'string', required: true },
+        options: { type: 'object' }
+      },
+      handler: ({ utteranceId, text, options }, sender) => {
+        if (!sender || !sender.tab) {
+          throw new MessageRouterError(ROUTER_ERRORS.INVALID_PAYLOAD, 'Speech requests must come from a tab');
+        }
+        speakForTab(sender.tab.id, utteranceId, text, options);
+        return { utteranceId };
+      }
+    },
+    ttsStop: {
+      description: 'Stop chrome.tts speech',
+      handler: () => chrome.tts.stop()
+    },
+    ttsPause: {
+      description: 'Pause chrome.tts speech',
+      handler: () => chrome.tts.pause()
+    },
+    ttsResume: {
+      description: 'Resume chrome.tts speech',
+      handler: () => chrome.tts.resume()
+    },
+    ttsGetVoices: {
+      description: 'List the chrome.tts voices',
+      handler: async () => ({ voices: await chrome.tts.getVoices() })
+    }
+  });
+}
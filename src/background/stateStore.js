@@ -0,0 +1,216 @@
+/**
+ * Extension State Store
+ *
+ * Background-owned store for the extension state shared by every tab, the
+ * popup and the options page. State is persisted to chrome.storage.local,
+ * migrated between schema versions on load, and exposes per-key
+ * subscriptions so other modules can react to changes.
+ */
+
+// Storage key used to persist the state
+const STORAGE_KEY = 'extensionState';
+
+// Current schema version of the persisted state
+export const STATE_SCHEMA_VERSION = 2;
+
+// Default state used when nothing has been stored yet
+const DEFAULT_STATE = {
+  schemaVersion: STATE_SCHEMA_VERSION,
+  enabled: true,
+  activeFeatures: {},
+  userPreferences: {},
+  siteOverrides: {}
+};
+
+/**
+ * Schema migrations keyed by the version they migrate to. Each migration
+ * receives the state stored at the previous version and returns the new state.
+ */
+const MIGRATIONS = {
+  // Unversioned state only stored `enabled`; features and preferences were
+  // rebuilt from defaults in every tab
+  1: (state) => ({
+    ...state,
+    enabled: state.enabled ?? true,
+    activeFeatures: state.activeFeatures || {},
+    userPreferences: state.userPreferences || {}
+  }),
+
+  // Version 2 adds per-site overrides keyed by origin
+  2: (state) => ({
+    ...state,
+    siteOverrides: state.siteOverrides || {}
+  })
+};
+
+class StateStore {
+  constructor() {
+    this.state = { ...DEFAULT_STATE };
+    this.subscribers = new Map();
+    this.isInitialized = false;
+  }
+
+  /**
+   * Load the state from storage and apply pending migrations
+   * @param {Object} initialState - Values used for keys missing from storage
+   * @returns {Promise<Object>} The loaded state
+   */
+  async initialize(initialState = {}) {
+    try {
+      const stored = await chrome.storage.local.get([STORAGE_KEY]);
+      const storedState = stored && stored[STORAGE_KEY];
+
+      if (storedState) {
+        this.state = { ...DEFAULT_STATE, ...initialState, ...migrateState(storedState) };
+      } else {
+        this.state = { ...DEFAULT_STATE, ...initialState };
+      }
+
+      await this.persist();
+    } catch (error) {
+      console.error('Error initializing state store:', error);
+      this.state = { ...DEFAULT_STATE, ...initialState };
+    }
+
+    this.isInitialized = true;
+    return this.getState();
+  }
+
+  /**
+   * Get a copy of the whole state
+   * @returns {Object} Current state
+   */
+  getState() {
+    return { ...this.state };
+  }
+
+  /**
+   * Get a single state value
+   * @param {string} key - State key
+   * @returns {*} Value for the key
+   */
+  get(key) {
+    return this.state[key];
+  }
+
+  /**
+   * Set a single state value
+   * @param {string} key - State key
+   * @param {*} value - New value
+   * @param {Object} meta - Extra information passed to subscribers (e.g. { source })
+   */
+  async set(key, value, meta = {}) {
+    return this.update({ [key]: value }, meta);
+  }
+
+  /**
+   * Update several state values, persist them and notify subscribers
+   * @param {Object} changes - Map of key to new value
+   * @param {Object} meta - Extra information passed to subscribers (e.g. { source })
+   * @returns {Promise<string[]>} Keys whose values changed
+   */
+  async update(changes, meta = {}) {
+    const previousState = this.state;
+    const changedKeys = Object.keys(changes).filter(key =>
+      key !== 'schemaVersion' && !isEqual(previousState[key], changes[key])
+    );
+
+    if (changedKeys.length === 0) {
+      return [];
+    }
+
+    this.state = { ...previousState };
+    changedKeys.forEach(key => {
+      this.state[key] = changes[key];
+    });
+
+    await this.persist();
+
+    changedKeys.forEach(key => {
+      this.notify(key, this.state[key], previousState[key], meta);
+    });
+
+    return changedKeys;
+  }
+
+  /**
+   * Subscribe to changes of a key ('*' receives every change)
+   * @param {string} key - State key to watch
+   * @param {Function} callback - (value, previousValue, { key, ...meta }) => void
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(key, callback) {
+    if (!this.subscribers.has(key)) {
+      this.subscribers.set(key, new Set());
+    }
+    this.subscribers.get(key).add(callback);
+
+    return () => {
+      const callbacks = this.subscribers.get(key);
+      if (callbacks) {
+        callbacks.delete(callback);
+      }
+    };
+  }
+
+  /**
+   * Notify subscribers of a key and wildcard subscribers
+   */
+  notify(key, value, previousValue, meta) {
+    const callbacks = [
+      ...(this.subscribers.get(key) || []),
+      ...(this.subscribers.get('*') || [])
+    ];
+
+    callbacks.forEach(callback => {
+      try {
+        callback(value, previousValue, { key, ...meta });
+      } catch (error) {
+        console.error(`Error in state subscriber for ${key}:`, error);
+      }
+    });
+  }
+
+  /**
+   * Persist the current state
+   */
+  async persist() {
+    try {
+      await chrome.storage.local.set({ [STORAGE_KEY]: this.state });
+    } catch (error) {
+      console.error('Error saving extension state:', error);
+    }
+  }
+}
+
+/**
+ * Apply every migration newer than the stored schema version
+ * @param {Object} storedState - State as read from storage
+ * @returns {Object} Migrated state
+ */
+export function migrateState(storedState) {
+  let state = { ...storedState };
+  let version = state.schemaVersion || 0;
+
+  while (version < STATE_SCHEMA_VERSION) {
+    version++;
+    const migration = MIGRATIONS[version];
+    if (migration) {
+      state = migration(state);
+    }
+    state.schemaVersion = version;
+  }
+
+  return state;
+}
+
+/**
+ * Structural equality for plain state values
+ */
+function isEqual(a, b) {
+  if (a === b) return true;
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+export { StateStore };
+export const stateStore = new StateStore();
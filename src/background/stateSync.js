@@ -0,0 +1,91 @@
+/**
+ * State Synchronization Module
+ *
+ * Keeps the background state store, the active profile and every open tab in
+ * sync. Changes made from the popup, options page or keyboard shortcuts are
+ * persisted to the active profile and pushed to all tabs as
+ * extensionToggle / featureUpdate / preferencesUpdate / siteSettingsUpdate
+ * messages.
+ */
+
+import { stateStore } from './stateStore';
+import { getActiveProfile, updateProfile } from './userProfile';
+
+/**
+ * Subscribe to state changes that must be persisted or broadcast
+ */
+export function setupStateSync() {
+  stateStore.subscribe('enabled', (enabled) => {
+    broadcastToTabs({ type: 'extensionToggle', enabled });
+  });
+
+  stateStore.subscribe('activeFeatures', (features, previousFeatures = {}, meta) => {
+    Object.keys(features)
+      .filter(feature => features[feature] !== previousFeatures[feature])
+      .forEach(feature => {
+        broadcastToTabs({ type: 'featureUpdate', feature, enabled: features[feature] });
+      });
+
+    if (meta.source !== 'profile') {
+      persistToActiveProfile({ features });
+    }
+  });
+
+  stateStore.subscribe('userPreferences', (preferences, previousPreferences, meta) => {
+    broadcastToTabs({ type: 'preferencesUpdate', preferences });
+
+    if (meta.source !== 'profile') {
+      persistToActiveProfile({ preferences });
+    }
+  });
+
+  stateStore.subscribe('siteOverrides', (overrides, previousOverrides = {}) => {
+    const origins = new Set([...Object.keys(overrides), ...Object.keys(previousOverrides)]);
+
+    origins.forEach(origin => {
+      if (JSON.stringify(overrides[origin]) !== JSON.stringify(previousOverrides[origin])) {
+        broadcastToTabs({ type: 'siteSettingsUpdate', origin, override: overrides[origin] || null });
+      }
+    });
+  });
+}
+
+/**
+ * Replace features and preferences in the store with the active profile's
+ * (used after switching, importing or deleting profiles)
+ */
+export async function loadStateFromProfile() {
+  const profile = getActiveProfile();
+
+  await stateStore.update({
+    activeFeatures: { ...profile.features },
+    userPreferences: { ...profile.preferences }
+  }, { source: 'profile' });
+}
+
+/**
+ * Send a message to the content script of every open tab
+ * @param {Object} message - Message to send
+ */
+export async function broadcastToTabs(message) {
+  try {
+    const tabs = await chrome.tabs.query({});
+    await Promise.all(tabs.map(tab =>
+      // Tabs without the content script (e.g. chrome:// pages) reject; ignore them
+      Promise.resolve(chrome.tabs.sendMessage(tab.id, message)).catch(() => {})
+    ));
+  } catch (error) {
+    console.error('Error broadcasting to tabs:', error);
+  }
+}
+
+/**
+ * Save state changes to the active profile
+ */
+async function persistToActiveProfile(updates) {
+  try {
+    await updateProfile(getActiveProfile().id, updates);
+  } catch (error) {
+    console.error('Error saving state to profile:', error);
+  }
+}
@@ -100,6 +100,13 @@ export function getActiveProfile() {
   return profileState.profiles.get(profileState.activeProfileId) || DEFAULT_PROFILE;
 }
 
+/**
+ * Get all stored profiles
+ */
+export function getAllProfiles() {
+  return Array.from(profileState.profiles.values());
+}
+
 /**
  * Create a new profile
  */
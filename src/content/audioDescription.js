@@ -0,0 +1,326 @@
+/**
+ * Audio Description Module
+ *
+ * Speaks the cues of a description track (<track kind="descriptions"> or a
+ * user-supplied WebVTT file) as a video plays. Two modes are supported:
+ *
+ *   duck  - lower the video volume while a description is spoken
+ *   pause - pause the video until the description finishes (extended mode)
+ *
+ * Cues are scheduled against media time rather than matched with a time
+ * window: every cue whose start time has been passed since the last update is
+ * spoken exactly once, a timer fires at the next cue's start (adjusted for
+ * the playback rate), and seeking cancels the current description and moves
+ * the schedule to the new position.
+ */
+
+import { applyPronunciations } from './pronunciation';
+import { speechService, SpeechRequest } from './speechService';
+
+// Description modes offered by the `audioDescriptionMode` preference
+export const DESCRIPTION_MODES = ['duck', 'pause'];
+
+// Video volume (relative to the user's volume) while a description is spoken in duck mode
+export const DEFAULT_DUCK_LEVEL = 0.25;
+
+// Video time that may pass between updates before the jump is treated as a seek
+const MAX_PLAYBACK_STEP = 1.5;
+
+/**
+ * Index of the first cue starting at or after a time
+ * @param {Array} cues - Cues sorted by start time
+ * @param {number} time - Media time in seconds
+ * @returns {number} Cue index (cues.length when none remain)
+ */
+export function findNextCueIndex(cues, time) {
+  let low = 0;
+  let high = cues.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (cues[middle].start < time) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+}
+
+/**
+ * Create a speaker backed by the shared speech service. Descriptions are
+ * high priority: they interrupt page reading, which resumes afterwards.
+ * @param {Function} getVoiceSettings - Returns { voice, rate, pitch, volume };
+ *   defaults to the settings the service is configured with
+ * @param {Object} service - Speech service (default: the shared one)
+ * @returns {Object} Speaker with speak(text, onEnd) and cancel()
+ */
+export function createSpeechSpeaker(getVoiceSettings = null, service = speechService) {
+  let current = null;
+
+  return {
+    speak(text, onEnd) {
+      if (!service.isAvailable()) {
+        onEnd();
+        return;
+      }
+
+      const settings = getVoiceSettings ? getVoiceSettings() : service.getSettings();
+      const language = settings.voice ? settings.voice.lang : undefined;
+      const request = new SpeechRequest(applyPronunciations(text, { language }), {
+        priority: 'high',
+        source: 'audio-description',
+        voice: settings.voice,
+        rate: settings.rate,
+        pitch: settings.pitch,
+        volume: settings.volume
+      });
+
+      const finish = (event) => {
+        // Cancelled descriptions don't report that they finished
+        if (current === request && !event.cancelled) {
+          current = null;
+          onEnd();
+        }
+      };
+      request.addEventListener('end', finish);
+      request.addEventListener('error', finish);
+      current = request;
+      service.enqueue(request);
+    },
+
+    cancel() {
+      if (current) {
+        current = null;
+        service.cancel({ source: 'audio-description' });
+      }
+    }
+  };
+}
+
+/**
+ * Plays a description track for one video
+ */
+class AudioDescriber {
+  /**
+   * @param {Object} options
+   * @param {HTMLVideoElement} options.video - Video element
+   * @param {Object} options.speaker - { speak(text, onEnd), cancel() }
+   * @param {Array} options.cues - Description cues ({ start, text })
+   * @param {string} options.mode - 'duck' or 'pause'
+   * @param {number} options.duckLevel - Relative video volume while ducking
+   */
+  constructor({ video, speaker, cues = [], mode = 'duck', duckLevel = DEFAULT_DUCK_LEVEL }) {
+    this.video = video;
+    this.speaker = speaker;
+    this.mode = DESCRIPTION_MODES.includes(mode) ? mode : 'duck';
+    this.duckLevel = duckLevel;
+    this.cues = [];
+    this.nextIndex = 0;
+    this.lastTime = video.currentTime;
+    this.queue = [];
+    this.speaking = null;
+    this.restoreVolume = null;
+    this.pausedForDescription = false;
+    this.timer = null;
+    this.attached = false;
+
+    this.handleTimeUpdate = () => this.update();
+    this.handleSeeking = () => this.reset();
+    this.handlePlay = () => this.handlePlayback();
+    this.handlePause = () => this.handlePlayback();
+    this.handleRateChange = () => this.scheduleNext();
+
+    this.setCues(cues);
+  }
+
+  /**
+   * Start following the video
+   */
+  attach() {
+    if (this.attached) return;
+
+    this.attached = true;
+    this.video.addEventListener('timeupdate', this.handleTimeUpdate);
+    this.video.addEventListener('seeking', this.handleSeeking);
+    this.video.addEventListener('play', this.handlePlay);
+    this.video.addEventListener('pause', this.handlePause);
+    this.video.addEventListener('ratechange', this.handleRateChange);
+    this.reset();
+  }
+
+  /**
+   * Stop following the video and cancel any description being spoken
+   */
+  detach() {
+    if (!this.attached) return;
+
+    this.attached = false;
+    this.video.removeEventListener('timeupdate', this.handleTimeUpdate);
+    this.video.removeEventListener('seeking', this.handleSeeking);
+    this.video.removeEventListener('play', this.handlePlay);
+    this.video.removeEventListener('pause', this.handlePause);
+    this.video.removeEventListener('ratechange', this.handleRateChange);
+    this.cancel();
+  }
+
+  /**
+   * Replace the description cues
+   * @param {Array} cues - Description cues
+   */
+  setCues(cues) {
+    this.cues = cues.filter(cue => cue.text).sort((a, b) => a.start - b.start);
+    this.reset();
+  }
+
+  /**
+   * Switch between ducking and pausing
+   * @param {string} mode - 'duck' or 'pause'
+   */
+  setMode(mode) {
+    if (DESCRIPTION_MODES.includes(mode) && mode !== this.mode) {
+      this.cancel();
+      this.mode = mode;
+    }
+  }
+
+  /**
+   * Cancel the current description and continue from the current position
+   */
+  reset() {
+    this.cancel();
+    this.lastTime = this.video.currentTime;
+    this.nextIndex = findNextCueIndex(this.cues, this.lastTime);
+    this.scheduleNext();
+  }
+
+  /**
+   * Speak the cues passed since the last update
+   */
+  update() {
+    const currentTime = this.video.currentTime;
+
+    // A backwards or long jump without a seeking event (e.g. a reloaded source)
+    if (currentTime < this.lastTime || currentTime - this.lastTime > MAX_PLAYBACK_STEP * Math.max(1, this.video.playbackRate)) {
+      this.reset();
+      return;
+    }
+
+    while (this.nextIndex < this.cues.length && this.cues[this.nextIndex].start <= currentTime) {
+      this.queue.push(this.cues[this.nextIndex]);
+      this.nextIndex++;
+    }
+    this.lastTime = currentTime;
+
+    this.speakNext();
+    this.scheduleNext();
+  }
+
+  /**
+   * Start the next queued description unless one is being spoken
+   */
+  speakNext() {
+    if (this.speaking || this.queue.length === 0) return;
+
+    const cue = this.queue.shift();
+    this.speaking = cue;
+
+    if (this.mode === 'pause') {
+      if (!this.video.paused) {
+        this.pausedForDescription = true;
+        this.video.pause();
+      }
+    } else if (this.restoreVolume === null) {
+      this.restoreVolume = this.video.volume;
+      this.video.volume = this.restoreVolume * this.duckLevel;
+    }
+
+    this.speaker.speak(cue.text, () => this.finishDescription(cue));
+  }
+
+  /**
+   * Continue after a description has been spoken
+   */
+  finishDescription(cue) {
+    if (this.speaking !== cue) return;
+    this.speaking = null;
+
+    if (this.queue.length > 0) {
+      this.speakNext();
+      return;
+    }
+
+    this.restoreVideo();
+  }
+
+  /**
+   * Undo ducking and resume a video paused for a description
+   */
+  restoreVideo() {
+    if (this.restoreVolume !== null) {
+      this.video.volume = this.restoreVolume;
+      this.restoreVolume = null;
+    }
+
+    if (this.pausedForDescription) {
+      this.pausedForDescription = false;
+      const playing = this.video.play();
+      if (playing && playing.catch) {
+        playing.catch(error => console.error('Error resuming video after description:', error));
+      }
+    }
+  }
+
+  /**
+   * Stop speaking and drop queued descriptions
+   */
+  cancel() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.queue = [];
+
+    if (this.speaking) {
+      this.speaking = null;
+      this.speaker.cancel();
+    }
+
+    // Never resume a video the user has taken over
+    this.pausedForDescription = false;
+    this.restoreVideo();
+  }
+
+  /**
+   * React to the user playing or pausing the video
+   */
+  handlePlayback() {
+    // Our own pause for a description
+    if (this.pausedForDescription && this.video.paused) {
+      return;
+    }
+
+    // Playing during an extended description skips the rest of it
+    if (this.speaking && this.mode === 'pause' && !this.video.paused) {
+      this.cancel();
+    }
+
+    this.lastTime = this.video.currentTime;
+    this.scheduleNext();
+  }
+
+  /**
+   * Set a timer for the next cue so it isn't late by a timeupdate interval
+   */
+  scheduleNext() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const cue = this.cues[this.nextIndex];
+    if (!this.attached || !cue || this.video.paused || this.video.playbackRate <= 0) {
+      return;
+    }
+
+    const delay = (cue.start - this.video.currentTime) / this.video.playbackRate;
+    this.timer = setTimeout(() => this.update(), Math.max(0, delay * 1000));
+  }
+}
+
+export { AudioDescriber };
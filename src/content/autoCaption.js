@@ -0,0 +1,300 @@
+/**
+ * Automatic Captioning Module
+ *
+ * Generates live captions for videos that have none by feeding the video's
+ * audio into a speech recognizer. Recognizers are pluggable engines:
+ *
+ *   engine.start({ audioTrack, language, onResult, onError })
+ *   engine.stop()
+ *
+ * where onResult receives { text, isFinal }. The Web Speech engine is used in
+ * the browser; the mock engine replays scripted results and is used in tests.
+ * The AutoCaptioner turns results into timed cues and the rolling caption
+ * text shown in the caption overlay.
+ */
+
+import { DEFAULT_CUE_SETTINGS } from './captionParser';
+
+// Registered engine factories
+const engineFactories = new Map();
+
+/**
+ * Register a recognition engine
+ * @param {string} id - Engine id
+ * @param {Function} factory - (options) => engine
+ */
+export function registerRecognitionEngine(id, factory) {
+  engineFactories.set(id, factory);
+}
+
+/**
+ * Create a registered recognition engine
+ * @param {string} id - Engine id
+ * @param {Object} options - Engine options
+ * @returns {Object} Engine
+ */
+export function createRecognitionEngine(id, options = {}) {
+  const factory = engineFactories.get(id);
+  if (!factory) {
+    throw new Error(`Unknown recognition engine: ${id}`);
+  }
+  return factory(options);
+}
+
+/**
+ * Whether a speech recognizer can take a MediaStreamTrack instead of the
+ * microphone. The start() overload can't be detected directly, and
+ * browsers without it silently ignore the track, so this looks for the
+ * on-device recognition API that shipped after track input.
+ * @param {Function} SpeechRecognition - Recognizer constructor
+ * @returns {boolean} True when start(audioTrack) recognizes the track
+ */
+export function supportsAudioTrackInput(SpeechRecognition) {
+  return Boolean(SpeechRecognition) &&
+    (typeof SpeechRecognition.available === 'function' || 'processLocally' in SpeechRecognition.prototype);
+}
+
+/**
+ * Web Speech API engine. Chrome can recognize a MediaStreamTrack passed to
+ * start(); browsers that only support the microphone are reported as
+ * unsupported rather than captioning the room.
+ */
+class WebSpeechRecognitionEngine {
+  constructor() {
+    this.id = 'web-speech';
+    this.recognition = null;
+    this.running = false;
+  }
+
+  start({ audioTrack, language, onResult, onError }) {
+    const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+    if (!SpeechRecognition) {
+      onError(new Error('Speech recognition is not supported in this browser'));
+      return;
+    }
+    if (!audioTrack || !supportsAudioTrackInput(SpeechRecognition)) {
+      onError(new Error('Automatic captions are unsupported: this browser can only recognize the microphone'));
+      return;
+    }
+
+    const recognition = new SpeechRecognition();
+    recognition.continuous = true;
+    recognition.interimResults = true;
+    recognition.lang = language;
+    if ('processLocally' in recognition) {
+      recognition.processLocally = true;
+    }
+
+    recognition.onresult = (event) => {
+      for (let i = event.resultIndex; i < event.results.length; i++) {
+        const result = event.results[i];
+        onResult({ text: result[0].transcript.trim(), isFinal: result.isFinal });
+      }
+    };
+
+    recognition.onerror = (event) => {
+      if (event.error !== 'no-speech' && event.error !== 'aborted') {
+        onError(new Error(`Speech recognition error: ${event.error}`));
+      }
+    };
+
+    // Recognition stops on silence; keep going while captioning
+    recognition.onend = () => {
+      if (this.running) {
+        try {
+          recognition.start(audioTrack);
+        } catch (error) {
+          onError(error);
+        }
+      }
+    };
+
+    try {
+      recognition.start(audioTrack);
+    } catch (error) {
+      onError(new Error('This browser cannot recognize video audio'));
+      return;
+    }
+
+    this.recognition = recognition;
+    this.running = true;
+  }
+
+  stop() {
+    this.running = false;
+    if (this.recognition) {
+      this.recognition.onend = null;
+      this.recognition.stop();
+      this.recognition = null;
+    }
+  }
+}
+
+/**
+ * Mock engine for tests and demos. Results can be emitted manually with
+ * emit(), or scripted as [{ text, isFinal, delay }] and replayed on start.
+ */
+class MockRecognitionEngine {
+  constructor({ script = [] } = {}) {
+    this.id = 'mock';
+    this.script = script;
+    this.running = false;
+    this.timers = [];
+    this.handlers = null;
+  }
+
+  start({ onResult, onError, language }) {
+    this.running = true;
+    this.language = language;
+    this.handlers = { onResult, onError };
+
+    let elapsed = 0;
+    this.script.forEach(result => {
+      elapsed += result.delay || 0;
+      this.timers.push(setTimeout(() => this.emit(result.text, result.isFinal !== false), elapsed));
+    });
+  }
+
+  emit(text, isFinal = true) {
+    if (this.running) {
+      this.handlers.onResult({ text, isFinal });
+    }
+  }
+
+  fail(error) {
+    if (this.running) {
+      this.handlers.onError(error);
+    }
+  }
+
+  stop() {
+    this.running = false;
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers = [];
+  }
+}
+
+registerRecognitionEngine('web-speech', () => new WebSpeechRecognitionEngine());
+registerRecognitionEngine('mock', options => new MockRecognitionEngine(options));
+
+/**
+ * Turns recognition results into timed cues and rolling caption text
+ */
+class AutoCaptioner {
+  /**
+   * @param {Object} options
+   * @param {Object} options.engine - Recognition engine
+   * @param {Function} options.getTime - Returns the current media time in seconds
+   * @param {Function} options.onUpdate - (rollingText, cues) => void
+   * @param {Function} options.onError - (error) => void
+   * @param {number} options.maxLines - Lines kept in the rolling caption
+   */
+  constructor({ engine, getTime, onUpdate = () => {}, onError = () => {}, maxLines = 2 }) {
+    this.engine = engine;
+    this.getTime = getTime;
+    this.onUpdate = onUpdate;
+    this.onError = onError;
+    this.maxLines = maxLines;
+    this.cues = [];
+    this.lines = [];
+    this.interim = '';
+    this.segmentStart = null;
+    this.running = false;
+  }
+
+  /**
+   * Start recognizing
+   * @param {MediaStreamTrack} audioTrack - Audio of the video
+   * @param {string} language - Recognition language (BCP 47)
+   */
+  start(audioTrack, language = 'en-US') {
+    if (this.running) return;
+
+    this.running = true;
+    this.engine.start({
+      audioTrack,
+      language,
+      onResult: result => this.handleResult(result),
+      onError: error => {
+        this.stop();
+        this.onError(error);
+      }
+    });
+  }
+
+  /**
+   * Stop recognizing; pending interim text becomes a cue
+   */
+  stop() {
+    if (!this.running) return;
+
+    this.running = false;
+    this.engine.stop();
+    if (this.interim) {
+      this.handleResult({ text: this.interim, isFinal: true });
+    }
+  }
+
+  /**
+   * Handle a recognition result
+   * @param {Object} result - { text, isFinal }
+   */
+  handleResult({ text, isFinal }) {
+    if (!text) return;
+
+    if (this.segmentStart === null) {
+      this.segmentStart = this.getTime();
+    }
+
+    if (isFinal) {
+      const start = this.segmentStart;
+      this.cues.push({
+        id: `auto-${this.cues.length + 1}`,
+        start,
+        end: Math.max(this.getTime(), start + 1),
+        text,
+        markup: text.replace(/&/g, '&amp;').replace(/</g, '&lt;'),
+        settings: { ...DEFAULT_CUE_SETTINGS }
+      });
+      this.lines = [...this.lines, text].slice(-this.maxLines);
+      this.interim = '';
+      this.segmentStart = null;
+    } else {
+      this.interim = text;
+    }
+
+    this.onUpdate(this.getRollingText(), this.cues);
+  }
+
+  /**
+   * Text for the rolling caption: the last final lines plus interim text
+   * @returns {string} Caption text
+   */
+  getRollingText() {
+    return [...this.lines, this.interim]
+      .filter(Boolean)
+      .slice(-this.maxLines)
+      .join('\n');
+  }
+}
+
+/**
+ * Get the audio track of a video for recognition
+ * @param {HTMLVideoElement} video - Video element
+ * @returns {MediaStreamTrack} Audio track
+ */
+export function getVideoAudioTrack(video) {
+  const capture = video.captureStream || video.mozCaptureStream;
+  if (!capture) {
+    throw new Error('This browser cannot capture video audio');
+  }
+
+  // Throws a SecurityError for cross-origin media without CORS
+  const [audioTrack] = capture.call(video).getAudioTracks();
+  if (!audioTrack) {
+    throw new Error('The video has no audio track');
+  }
+  return audioTrack;
+}
+
+export { AutoCaptioner, WebSpeechRecognitionEngine, MockRecognitionEngine };
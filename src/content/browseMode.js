@@ -0,0 +1,421 @@
+/**
+ * Browse Mode Module
+ *
+ * Screen-reader-style quick navigation. While browse mode is on, single keys
+ * move to the next element of a kind and Shift moves to the previous one:
+ *
+ *   H  heading        1-6  heading of that level
+ *   D  landmark       K    link
+ *   T  table          F    form field
+ *
+ * Each move focuses the element and announces its role and name. Keys typed
+ * into text fields, and keys pressed with Ctrl, Alt or Meta, are left alone,
+ * so browse mode never gets in the way of typing.
+ */
+
+import { isElementVisible } from './contentExtractor';
+import { getTableSummary } from './tableNavigation';
+
+// Landmark elements and roles with their spoken names
+const LANDMARK_ROLES = {
+  banner: 'Banner',
+  navigation: 'Navigation',
+  main: 'Main',
+  complementary: 'Complementary',
+  contentinfo: 'Content information',
+  search: 'Search',
+  region: 'Region',
+  form: 'Form'
+};
+
+// Quick navigation targets
+export const NAVIGATION_TARGETS = {
+  heading: {
+    label: 'heading',
+    selector: 'h1, h2, h3, h4, h5, h6, [role="heading"]'
+  },
+  landmark: {
+    label: 'landmark',
+    selector: [
+      'header', 'nav', 'main', 'aside', 'footer',
+      'section[aria-label]', 'section[aria-labelledby]',
+      'form[aria-label]', 'form[aria-labelledby]',
+      ...Object.keys(LANDMARK_ROLES).map(role => `[role="${role}"]`)
+    ].join(', ')
+  },
+  link: {
+    label: 'link',
+    selector: 'a[href], [role="link"]'
+  },
+  table: {
+    label: 'table',
+    selector: 'table:not([role="presentation"]):not([role="none"]), [role="table"], [role="grid"]'
+  },
+  formField: {
+    label: 'form field',
+    selector: [
+      'input:not([type="hidden"])', 'select', 'textarea', 'button', '[contenteditable="true"]',
+      '[role="textbox"]', '[role="combobox"]', '[role="checkbox"]', '[role="radio"]',
+      '[role="switch"]', '[role="slider"]', '[role="button"]'
+    ].join(', ')
+  }
+};
+
+// Keys (lowercase) to navigation targets
+const QUICK_KEYS = {
+  h: 'heading',
+  d: 'landmark',
+  k: 'link',
+  t: 'table',
+  f: 'formField'
+};
+
+// Longest name announced for an element
+const MAX_NAME_LENGTH = 100;
+
+// State for browse mode
+const browseModeState = {
+  enabled: false,
+  announce: null,
+  current: null,
+  indicator: null
+};
+
+/**
+ * Turn browse mode on
+ * @param {Function} announce - Speaks announcements
+ */
+export function enableBrowseMode(announce) {
+  if (browseModeState.enabled) return;
+
+  browseModeState.enabled = true;
+  browseModeState.announce = announce;
+  document.addEventListener('keydown', handleBrowseKey, true);
+  showIndicator();
+  announce('Browse mode on');
+}
+
+/**
+ * Turn browse mode off
+ * @param {Object} [options] - { announce: false } turns it off silently, for cleanup
+ */
+export function disableBrowseMode({ announce = true } = {}) {
+  if (!browseModeState.enabled) return;
+
+  const speak = browseModeState.announce;
+  browseModeState.enabled = false;
+  browseModeState.current = null;
+  document.removeEventListener('keydown', handleBrowseKey, true);
+  hideIndicator();
+  if (announce && speak) speak('Browse mode off');
+  browseModeState.announce = null;
+}
+
+/**
+ * Toggle browse mode
+ * @param {Function} announce - Speaks announcements
+ * @returns {boolean} Whether browse mode is now on
+ */
+export function toggleBrowseMode(announce) {
+  if (browseModeState.enabled) {
+    disableBrowseMode();
+  } else {
+    enableBrowseMode(announce);
+  }
+  return browseModeState.enabled;
+}
+
+/**
+ * Whether browse mode is on
+ * @returns {boolean} Browse mode state
+ */
+export function isBrowseModeEnabled() {
+  return browseModeState.enabled;
+}
+
+/**
+ * Whether key presses on an element are typing rather than navigation
+ * @param {Element} element - Event target
+ * @returns {boolean} True for text fields and editable content
+ */
+export function isTypingTarget(element) {
+  if (!(element instanceof Element)) return false;
+  if (element.isContentEditable || element.closest('[contenteditable="true"]')) return true;
+  if (element.tagName === 'TEXTAREA' || element.tagName === 'SELECT') return true;
+  if (element.tagName === 'INPUT') {
+    return !['button', 'submit', 'reset', 'checkbox', 'radio', 'image', 'range', 'color', 'file'].includes(element.type);
+  }
+  return ['textbox', 'combobox', 'searchbox', 'spinbutton'].includes(element.getAttribute('role'));
+}
+
+function handleBrowseKey(event) {
+  if (event.ctrlKey || event.altKey || event.metaKey || isTypingTarget(event.target)) return;
+
+  const key = event.key.toLowerCase();
+  let target = QUICK_KEYS[key];
+  let level = null;
+
+  // Shift+1 types "!" on most layouts, so use the physical key for levels
+  const digit = /^Digit([1-6])$/.exec(event.code || '') || /^([1-6])$/.exec(event.key);
+  if (!target && digit) {
+    target = 'heading';
+    level = Number(digit[1]);
+  }
+  if (!target) return;
+
+  event.preventDefault();
+  event.stopPropagation();
+  navigate(target, { direction: event.shiftKey ? 'previous' : 'next', level });
+}
+
+/**
+ * Move to the next or previous element of a kind and announce it
+ * @param {string} target - Key of NAVIGATION_TARGETS
+ * @param {Object} options - { direction: 'next' | 'previous', level }
+ * @returns {Element|null} Element moved to
+ */
+export function navigate(target, { direction = 'next', level = null } = {}) {
+  // Continue from the focused element, or from the last element moved to
+  const active = document.activeElement;
+  const from = active && active !== document.body
+    ? active
+    : (browseModeState.current && browseModeState.current.isConnected ? browseModeState.current : null);
+  const element = findNavigationTarget(target, from, { direction, level });
+  const announce = browseModeState.announce || (() => {});
+
+  if (!element) {
+    const label = level ? `heading level ${level}` : NAVIGATION_TARGETS[target].label;
+    announce(`No ${direction} ${label}`);
+    return null;
+  }
+
+  browseModeState.current = element;
+  focusElement(element);
+  announce(describeElement(element));
+  return element;
+}
+
+/**
+ * Find the next or previous element of a kind in document order
+ * @param {string} target - Key of NAVIGATION_TARGETS
+ * @param {Element} from - Element to start from (document start when null)
+ * @param {Object} options - { direction, level, isVisible }
+ * @returns {Element|null} Element, or null when there is none
+ */
+export function findNavigationTarget(target, from, { direction = 'next', level = null, isVisible = isElementVisible } = {}) {
+  const definition = NAVIGATION_TARGETS[target];
+  if (!definition) {
+    throw new Error(`Unknown navigation target: ${target}`);
+  }
+
+  const candidates = Array.from(document.querySelectorAll(definition.selector)).filter(element => (
+    !element.closest('#accessibility-extension-panel, .accessibility-transcript-panel, .accessibility-browse-indicator') &&
+    (target !== 'landmark' || isLandmark(element)) &&
+    (level === null || getHeadingLevel(element) === level) &&
+    isVisible(element)
+  ));
+
+  const start = from && from !== document.body && from !== document.documentElement ? from : null;
+  if (direction === 'previous') {
+    for (let i = candidates.length - 1; i >= 0; i--) {
+      if (!start || isBefore(candidates[i], start)) return candidates[i];
+    }
+    return null;
+  }
+
+  return candidates.find(element => !start || isAfter(element, start)) || null;
+}
+
+// Elements after `from`, excluding its ancestors (moving into a container is not moving forward)
+function isAfter(element, from) {
+  return Boolean(from.compareDocumentPosition(element) & Node.DOCUMENT_POSITION_FOLLOWING) &&
+    !element.contains(from);
+}
+
+function isBefore(element, from) {
+  return Boolean(from.compareDocumentPosition(element) & Node.DOCUMENT_POSITION_PRECEDING) &&
+    !element.contains(from);
+}
+
+/**
+ * Header and footer are landmarks only at the top level of the page
+ */
+function isLandmark(element) {
+  if (element.tagName === 'HEADER' || element.tagName === 'FOOTER') {
+    return !element.getAttribute('role') &&
+      !(element.parentElement && element.parentElement.closest('article, aside, main, nav, section'));
+  }
+  return true;
+}
+
+function getHeadingLevel(element) {
+  const match = /^H([1-6])$/.exec(element.tagName);
+  if (match) return Number(match[1]);
+  return Number(element.getAttribute('aria-level')) || 2;
+}
+
+/**
+ * Get the role of an element as announced
+ */
+function getLandmarkRole(element) {
+  const role = element.getAttribute('role');
+  if (role && LANDMARK_ROLES[role]) return role;
+
+  switch (element.tagName) {
+    case 'HEADER': return 'banner';
+    case 'NAV': return 'navigation';
+    case 'MAIN': return 'main';
+    case 'ASIDE': return 'complementary';
+    case 'FOOTER': return 'contentinfo';
+    case 'FORM': return 'form';
+    default: return 'region';
+  }
+}
+
+/**
+ * Accessible name of an element
+ * @param {Element} element - Element
+ * @param {boolean} useContent - Whether the text content names the element
+ * @returns {string} Name, or ''
+ */
+export function getAccessibleName(element, useContent = true) {
+  const labelledBy = element.getAttribute('aria-labelledby');
+  let name = labelledBy
+    ? labelledBy.split(/\s+/).map(id => document.getElementById(id)).filter(Boolean).map(label => label.textContent).join(' ')
+    : '';
+
+  name = name || element.getAttribute('aria-label') || '';
+
+  if (!name && element.labels && element.labels.length > 0) {
+    name = Array.from(element.labels).map(label => label.textContent).join(' ');
+  }
+  if (!name && element.tagName === 'TABLE') {
+    name = element.caption ? element.caption.textContent : '';
+  }
+  if (!name && element.tagName === 'INPUT' && ['button', 'submit', 'reset'].includes(element.type)) {
+    name = element.value;
+  }
+  if (!name && useContent) {
+    name = element.textContent ||
+      Array.from(element.querySelectorAll('img[alt]')).map(img => img.alt).join(' ');
+  }
+
+  name = (name || element.getAttribute('placeholder') || element.getAttribute('title') || '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return name.length > MAX_NAME_LENGTH ? `${name.slice(0, MAX_NAME_LENGTH)}…` : name;
+}
+
+/**
+ * Describe an element's role, state and name for announcement
+ * @param {Element} element - Element
+ * @returns {string} Announcement
+ */
+export function describeElement(element) {
+  const role = element.getAttribute('role');
+  const join = (...parts) => parts.filter(Boolean).join(', ');
+
+  if (/^H[1-6]$/.test(element.tagName) || role === 'heading') {
+    return join(`Heading level ${getHeadingLevel(element)}`, getAccessibleName(element));
+  }
+
+  if (element.matches(NAVIGATION_TARGETS.landmark.selector) && !element.matches('form:not([aria-label]):not([aria-labelledby])')) {
+    const landmark = LANDMARK_ROLES[getLandmarkRole(element)];
+    return join(`${landmark} landmark`, getAccessibleName(element, false));
+  }
+
+  if (element.matches(NAVIGATION_TARGETS.link.selector)) {
+    return join('Link', getAccessibleName(element));
+  }
+
+  if (element.tagName === 'TABLE') {
+    return getTableSummary(element);
+  }
+
+  if (element.matches(NAVIGATION_TARGETS.table.selector)) {
+    const rows = element.querySelectorAll('[role="row"]').length;
+    return join(`Table with ${rows} rows`, getAccessibleName(element, false));
+  }
+
+  return join(getFieldRole(element), getAccessibleName(element, element.tagName === 'BUTTON' || role === 'button'), getFieldState(element));
+}
+
+function getFieldRole(element) {
+  const role = element.getAttribute('role');
+  if (role) {
+    return {
+      textbox: 'Edit text',
+      combobox: 'Combo box',
+      checkbox: 'Checkbox',
+      radio: 'Radio button',
+      switch: 'Switch',
+      slider: 'Slider',
+      button: 'Button'
+    }[role] || role;
+  }
+
+  switch (element.tagName) {
+    case 'BUTTON': return 'Button';
+    case 'SELECT': return 'Combo box';
+    case 'TEXTAREA': return 'Edit text, multi-line';
+    case 'INPUT':
+      return {
+        button: 'Button',
+        submit: 'Button',
+        reset: 'Button',
+        image: 'Button',
+        checkbox: 'Checkbox',
+        radio: 'Radio button',
+        range: 'Slider',
+        file: 'File upload button'
+      }[element.type] || 'Edit text';
+    default:
+      return 'Editable content';
+  }
+}
+
+function getFieldState(element) {
+  const checked = element.getAttribute('aria-checked');
+  if (element.type === 'checkbox' || element.type === 'radio' || checked !== null) {
+    const isChecked = checked !== null ? checked === 'true' : element.checked;
+    return isChecked ? 'checked' : 'not checked';
+  }
+  if (element.tagName === 'SELECT' && element.selectedOptions.length > 0) {
+    return element.selectedOptions[0].textContent.trim();
+  }
+  if (element.required || element.getAttribute('aria-required') === 'true') {
+    return 'required';
+  }
+  return '';
+}
+
+/**
+ * Focus an element, making it focusable if needed, and scroll it into view
+ */
+function focusElement(element) {
+  if (element.tabIndex < 0 && !element.hasAttribute('tabindex')) {
+    element.setAttribute('tabindex', '-1');
+    element.addEventListener('blur', () => element.removeAttribute('tabindex'), { once: true });
+  }
+  element.focus({ preventScroll: true });
+  element.scrollIntoView({ block: 'center', behavior: 'smooth' });
+}
+
+/**
+ * Show a badge so sighted users know single keys navigate
+ */
+function showIndicator() {
+  const indicator = document.createElement('div');
+  indicator.className = 'accessibility-browse-indicator';
+  indicator.textContent = 'Browse mode';
+  indicator.setAttribute('aria-hidden', 'true');
+  document.body.appendChild(indicator);
+  browseModeState.indicator = indicator;
+}
+
+function hideIndicator() {
+  if (browseModeState.indicator) {
+    browseModeState.indicator.remove();
+    browseModeState.indicator = null;
+  }
+}
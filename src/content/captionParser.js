@@ -0,0 +1,457 @@
+/**
+ * Caption Parser Module
+ *
+ * Parses WebVTT and SRT caption files into cue objects used by the caption
+ * overlay in videoAccessibility.js, and serializes cues back to WebVTT.
+ *
+ * Cues keep their timing and WebVTT cue settings (line, position, size,
+ * align, vertical). They also keep the raw cue markup for styled rendering
+ * and a plain-text version for speech.
+ *
+ * Cue shape:
+ *   { id, start, end, text, markup, settings: { line, snapToLines, lineAlign,
+ *     position, positionAlign, size, align, vertical, region } }
+ */
+
+// Default WebVTT cue settings
+export const DEFAULT_CUE_SETTINGS = {
+  line: null,
+  snapToLines: true,
+  lineAlign: 'start',
+  position: null,
+  positionAlign: 'auto',
+  size: 100,
+  align: 'center',
+  vertical: '',
+  region: null
+};
+
+// Timestamp formats: WebVTT uses "." before milliseconds, SRT uses ","
+const TIMESTAMP_PATTERN = /^(?:(\d+):)?(\d{1,2}):(\d{2})[.,](\d{1,3})$/;
+
+// Named character references allowed in cue text
+const CUE_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: '\'',
+  nbsp: '\u00A0',
+  lrm: '\u200E',
+  rlm: '\u200F'
+};
+
+// Tags allowed in cue text ('font' appears in many SRT files)
+const CUE_TAGS = ['b', 'i', 'u', 'c', 'v', 'lang', 'ruby', 'rt', 'font'];
+
+/**
+ * Parse a caption file, detecting WebVTT or SRT from its content
+ * @param {string} text - File contents
+ * @returns {Object} { format, cues, styles }
+ */
+export function parseCaptions(text) {
+  const normalized = normalizeText(text);
+  return /^WEBVTT(?:[ \t]|$)/.test(normalized.split('\n')[0])
+    ? parseWebVTT(normalized)
+    : parseSRT(normalized);
+}
+
+/**
+ * Parse a WebVTT file
+ * @param {string} text - File contents
+ * @returns {Object} { format: 'vtt', cues, styles }
+ */
+export function parseWebVTT(text) {
+  const blocks = splitBlocks(normalizeText(text));
+
+  if (blocks.length === 0 || !/^WEBVTT(?:[ \t]|$)/.test(blocks[0][0])) {
+    throw new Error('Invalid WebVTT file: missing WEBVTT header');
+  }
+
+  const cues = [];
+  const styles = [];
+
+  blocks.slice(1).forEach(lines => {
+    const first = lines[0];
+
+    if (/^NOTE(?:[ \t]|$)/.test(first) || /^REGION(?:[ \t]|$)/.test(first)) {
+      return;
+    }
+
+    // Style blocks are only valid before the first cue
+    if (/^STYLE(?:[ \t]|$)/.test(first)) {
+      if (cues.length === 0) {
+        styles.push(lines.slice(1).join('\n'));
+      }
+      return;
+    }
+
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1 || timingIndex > 1) {
+      return;
+    }
+
+    const cue = parseTimingLine(lines[timingIndex], true);
+    if (!cue) {
+      return;
+    }
+
+    const markup = lines.slice(timingIndex + 1).join('\n');
+    cues.push({
+      id: timingIndex === 1 ? lines[0] : String(cues.length + 1),
+      start: cue.start,
+      end: cue.end,
+      text: cueToPlainText(markup),
+      markup,
+      settings: cue.settings
+    });
+  });
+
+  return { format: 'vtt', cues: sortCues(cues), styles };
+}
+
+/**
+ * Parse an SRT file
+ * @param {string} text - File contents
+ * @returns {Object} { format: 'srt', cues, styles }
+ */
+export function parseSRT(text) {
+  const cues = [];
+
+  splitBlocks(normalizeText(text)).forEach(lines => {
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1 || timingIndex > 1) {
+      return;
+    }
+
+    const cue = parseTimingLine(lines[timingIndex], false);
+    if (!cue) {
+      return;
+    }
+
+    const markup = lines.slice(timingIndex + 1).join('\n');
+    cues.push({
+      id: timingIndex === 1 ? lines[0].trim() : String(cues.length + 1),
+      start: cue.start,
+      end: cue.end,
+      text: cueToPlainText(markup),
+      markup,
+      settings: { ...DEFAULT_CUE_SETTINGS }
+    });
+  });
+
+  if (cues.length === 0 && text.trim()) {
+    throw new Error('Invalid caption file: no cues found');
+  }
+
+  return { format: 'srt', cues: sortCues(cues), styles: [] };
+}
+
+/**
+ * Convert a native TextTrackCue (VTTCue) into a cue object
+ * @param {TextTrackCue} nativeCue - Cue from video.textTracks
+ * @returns {Object} Cue
+ */
+export function fromTextTrackCue(nativeCue) {
+  const markup = nativeCue.text || '';
+  const settings = { ...DEFAULT_CUE_SETTINGS };
+
+  if (typeof nativeCue.line === 'number') {
+    settings.line = nativeCue.line;
+    settings.snapToLines = nativeCue.snapToLines !== false;
+  }
+  if (typeof nativeCue.position === 'number') {
+    settings.position = nativeCue.position;
+  }
+  if (typeof nativeCue.size === 'number') {
+    settings.size = nativeCue.size;
+  }
+  if (nativeCue.align) {
+    settings.align = nativeCue.align;
+  }
+  if (nativeCue.vertical) {
+    settings.vertical = nativeCue.vertical;
+  }
+
+  return {
+    id: nativeCue.id || `${nativeCue.startTime}`,
+    start: nativeCue.startTime,
+    end: nativeCue.endTime,
+    text: cueToPlainText(markup),
+    markup,
+    settings
+  };
+}
+
+/**
+ * Parse a timestamp into seconds
+ * @param {string} timestamp - e.g. "01:02:03.456", "02:03.456" or "01:02:03,456"
+ * @returns {number|null} Seconds, or null if invalid
+ */
+export function parseTimestamp(timestamp) {
+  const match = TIMESTAMP_PATTERN.exec(timestamp.trim());
+  if (!match) {
+    return null;
+  }
+
+  const [, hours = '0', minutes, seconds, fraction] = match;
+  if (parseInt(minutes, 10) > 59 || parseInt(seconds, 10) > 59) {
+    return null;
+  }
+
+  return parseInt(hours, 10) * 3600 +
+    parseInt(minutes, 10) * 60 +
+    parseInt(seconds, 10) +
+    parseInt(fraction.padEnd(3, '0'), 10) / 1000;
+}
+
+/**
+ * Parse cue text markup into a node tree
+ * @param {string} markup - Cue text
+ * @returns {Array<Object>} Nodes: { type: 'text', value } or { type: 'tag', name, classes, annotation, children }
+ */
+export function parseCueText(markup) {
+  const root = { children: [] };
+  const stack = [root];
+  const tokenPattern = /<(\/?)([a-zA-Z]+|\d[\d:.]*)((?:\.[\w-]+)*)(?:[ \t]+([^>]*))?>|([^<]+)|</g;
+  let match;
+
+  while ((match = tokenPattern.exec(markup)) !== null) {
+    const [token, closing, name, classList, annotation, text] = match;
+    const current = stack[stack.length - 1];
+
+    if (text !== undefined || token === '<') {
+      current.children.push({ type: 'text', value: decodeEntities(text !== undefined ? text : token) });
+      continue;
+    }
+
+    const tagName = name.toLowerCase();
+
+    // Karaoke timestamps and unknown tags are ignored
+    if (!CUE_TAGS.includes(tagName)) {
+      continue;
+    }
+
+    if (closing) {
+      const index = stack.map(node => node.name).lastIndexOf(tagName);
+      if (index > 0) {
+        stack.length = index;
+      }
+      continue;
+    }
+
+    const node = {
+      type: 'tag',
+      name: tagName,
+      classes: classList ? classList.split('.').filter(Boolean) : [],
+      annotation: annotation ? decodeEntities(annotation.trim()) : '',
+      children: []
+    };
+    current.children.push(node);
+    stack.push(node);
+  }
+
+  return root.children;
+}
+
+/**
+ * Strip cue markup and decode entities
+ * @param {string} markup - Cue text
+ * @returns {string} Plain text
+ */
+export function cueToPlainText(markup) {
+  const collect = nodes => nodes
+    .map(node => {
+      if (node.type === 'text') return node.value;
+      // Ruby annotations are not read aloud
+      if (node.name === 'rt') return '';
+      return collect(node.children);
+    })
+    .join('');
+
+  return collect(parseCueText(markup)).trim();
+}
+
+/**
+ * Scope the ::cue rules of WebVTT STYLE blocks to one caption container.
+ * Rules that do not target ::cue, and rules loading external resources, are dropped.
+ * @param {Array<string>} styles - STYLE block contents
+ * @param {string} scope - Selector of the element the cues are rendered in
+ * @returns {string} CSS
+ */
+export function scopeCueStyles(styles, scope) {
+  const rules = [];
+
+  styles.join('\n').replace(/\/\*[\s\S]*?\*\//g, '').split('}').forEach(rule => {
+    const [selectorText, body] = rule.split('{');
+    if (!body || /url\(|@import|expression\(/i.test(body)) {
+      return;
+    }
+
+    const selectors = selectorText.split(',').map(selector => selector.trim()).filter(Boolean);
+    if (selectors.length === 0 || !selectors.every(selector => selector.startsWith('::cue'))) {
+      return;
+    }
+
+    const scoped = selectors.map(selector => {
+      const inner = /^::cue\((.*)\)$/.exec(selector);
+      if (!inner) {
+        return `${scope} .accessibility-cue`;
+      }
+      const target = inner[1].replace(/\bv\[voice/g, '[data-voice').replace(/(^|[\s>+~])c(?=\.)/g, '$1span');
+      return `${scope} .accessibility-cue ${target}`;
+    });
+
+    rules.push(`${scoped.join(', ')} {${body}}`);
+  });
+
+  return rules.join('\n');
+}
+
+/**
+ * Serialize cues to a WebVTT file
+ * @param {Array<Object>} cues - Cues with start, end and plain text
+ * @returns {string} WebVTT text
+ */
+export function serializeWebVTT(cues) {
+  const blocks = cues.map((cue, index) => [
+    index + 1,
+    `${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}`,
+    escapeCueText(cue.text)
+  ].join('\n'));
+
+  return ['WEBVTT', ...blocks].join('\n\n') + '\n';
+}
+
+/**
+ * Format seconds as a WebVTT timestamp
+ * @param {number} seconds - Time in seconds
+ * @returns {string} e.g. "00:01:02.345"
+ */
+export function formatTimestamp(seconds) {
+  const totalMilliseconds = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(totalMilliseconds / 3600000);
+  const minutes = Math.floor(totalMilliseconds / 60000) % 60;
+  const secs = Math.floor(totalMilliseconds / 1000) % 60;
+  const milliseconds = totalMilliseconds % 1000;
+
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:` +
+    `${String(secs).padStart(2, '0')}.${String(milliseconds).padStart(3, '0')}`;
+}
+
+// Cue text may not contain blank lines, "<" or "&"
+function escapeCueText(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\n\s*\n/g, '\n')
+    .trim();
+}
+
+/**
+ * Parse a WebVTT or SRT timing line ("start --> end [settings]")
+ */
+function parseTimingLine(line, allowSettings) {
+  const [startPart, rest = ''] = line.split('-->');
+  const [endPart, ...settingTokens] = rest.trim().split(/[ \t]+/);
+  const start = parseTimestamp(startPart);
+  const end = parseTimestamp(endPart || '');
+
+  if (start === null || end === null || end < start) {
+    return null;
+  }
+
+  return {
+    start,
+    end,
+    settings: allowSettings ? parseCueSettings(settingTokens) : { ...DEFAULT_CUE_SETTINGS }
+  };
+}
+
+/**
+ * Parse WebVTT cue settings ("line:-2 position:10%,line-left size:80% align:start")
+ */
+function parseCueSettings(tokens) {
+  const settings = { ...DEFAULT_CUE_SETTINGS };
+
+  tokens.forEach(token => {
+    const separator = token.indexOf(':');
+    if (separator <= 0) return;
+
+    const name = token.slice(0, separator);
+    const [value, alignment] = token.slice(separator + 1).split(',');
+
+    switch (name) {
+      case 'line':
+        if (/^-?\d+(\.\d+)?%$/.test(value)) {
+          settings.line = parseFloat(value);
+          settings.snapToLines = false;
+        } else if (/^-?\d+$/.test(value)) {
+          settings.line = parseInt(value, 10);
+          settings.snapToLines = true;
+        }
+        if (['start', 'center', 'end'].includes(alignment)) {
+          settings.lineAlign = alignment;
+        }
+        break;
+      case 'position':
+        if (/^\d+(\.\d+)?%$/.test(value)) {
+          settings.position = parseFloat(value);
+        }
+        if (['line-left', 'center', 'line-right'].includes(alignment)) {
+          settings.positionAlign = alignment;
+        }
+        break;
+      case 'size':
+        if (/^\d+(\.\d+)?%$/.test(value)) {
+          settings.size = Math.min(100, parseFloat(value));
+        }
+        break;
+      case 'align':
+        if (['start', 'center', 'end', 'left', 'right'].includes(value)) {
+          settings.align = value;
+        }
+        break;
+      case 'vertical':
+        if (['rl', 'lr'].includes(value)) {
+          settings.vertical = value;
+        }
+        break;
+      case 'region':
+        settings.region = value;
+        break;
+    }
+  });
+
+  return settings;
+}
+
+function normalizeText(text) {
+  return String(text).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+}
+
+// Blocks are separated by one or more blank lines
+function splitBlocks(text) {
+  return text
+    .trim()
+    .split(/\n(?:[ \t]*\n)+/)
+    .map(block => block.split('\n'))
+    .filter(lines => lines.some(line => line.trim() !== ''));
+}
+
+function sortCues(cues) {
+  return cues.sort((a, b) => a.start - b.start || a.end - b.end);
+}
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      // Like HTML, code points that aren't characters become U+FFFD
+      const isCharacter = value > 0 && value <= 0x10FFFF && (value < 0xD800 || value > 0xDFFF);
+      return isCharacter ? String.fromCodePoint(value) : '\uFFFD';
+    }
+    return CUE_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
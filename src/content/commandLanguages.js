@@ -0,0 +1,47 @@
+/**
+ * Voice Command Languages
+ *
+ * Command sets for each language the voice commands understand, loaded from
+ * the data files in ./commandSets. A command set holds the grammar words
+ * (filler words, synonyms, numbers, ordinals, directions and element names)
+ * and, by command id, the phrases for the built-in commands. English
+ * phrases are the patterns in each command's own definition, so en.json
+ * only holds grammar words.
+ */
+
+import en from './commandSets/en.json';
+import es from './commandSets/es.json';
+import fr from './commandSets/fr.json';
+import de from './commandSets/de.json';
+import hi from './commandSets/hi.json';
+
+export const COMMAND_SETS = { en, es, fr, de, hi };
+
+export const DEFAULT_COMMAND_LANGUAGE = 'en';
+
+/**
+ * Find the command set for a recognition language
+ * @param {string} language - Language tag, e.g. "es-ES" or "hi"
+ * @returns {string} Command set code, English when there is no set for the language
+ */
+export function resolveCommandLanguage(language) {
+  const code = String(language || '').split('-')[0].toLowerCase();
+  return COMMAND_SETS[code] ? code : DEFAULT_COMMAND_LANGUAGE;
+}
+
+/**
+ * Command set for a recognition language
+ * @param {string} language - Language tag
+ * @returns {Object} Command set data
+ */
+export function getCommandSet(language) {
+  return COMMAND_SETS[resolveCommandLanguage(language)];
+}
+
+/**
+ * Languages that have a command set
+ * @returns {Array<{code: string, name: string}>} Codes with the language's own name
+ */
+export function listCommandLanguages() {
+  return Object.values(COMMAND_SETS).map(({ language, name }) => ({ code: language, name }));
+}
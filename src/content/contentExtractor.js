@@ -0,0 +1,371 @@
+/**
+ * Reading Content Extractor
+ *
+ * Finds the text text-to-speech should read. Like Readability, blocks of text
+ * score their ancestors by length, commas and class/id hints, and the
+ * highest-scoring container (with related siblings) is taken as the main
+ * article. Boilerplate such as cookie banners and ad slots is always dropped,
+ * and the user's skip rules (`tts.skipElements` types and `tts.skipSelectors`
+ * CSS selectors) drop anything else they match. Images with alt text and
+ * labelled graphics are read by their accessible name.
+ *
+ * extractReadableContent() also reports what was skipped and why, which the
+ * debug overlay draws on the page.
+ */
+
+// Ad slots (always skipped; also offered as a skip type for older settings)
+const AD_SELECTOR = '[id^="ad-"], [id^="ads-"], [class^="ad-"], [class*=" ad-"], [class*="advert"], [id*="advert"], [class*="sponsor"], [data-ad], [data-ad-slot], ins.adsbygoogle, iframe[src*="doubleclick"]';
+
+// Element types the user can skip (values of the skip-elements option)
+export const SKIP_ELEMENT_SELECTORS = {
+  nav: 'nav, [role="navigation"]',
+  aside: 'aside, [role="complementary"]',
+  footer: 'footer, [role="contentinfo"]',
+  ads: AD_SELECTOR,
+  comments: '#comments, .comments, [id^="comment"], [class^="comment"], [class*=" comment"], [itemprop="comment"]',
+  code: 'pre, code, kbd, samp',
+  tables: 'table',
+  captions: 'figcaption, caption'
+};
+
+// Never read: page chrome that is never part of the article
+const BOILERPLATE_SELECTOR = [
+  AD_SELECTOR,
+  '[id*="cookie" i]',
+  '[class*="cookie" i]',
+  '[id*="consent" i]',
+  '[class*="consent" i]',
+  '[aria-label*="cookie" i]',
+  '[role="alertdialog"]',
+  '[aria-hidden="true"]',
+  '[hidden]',
+  'script, style, noscript, template',
+  '#accessibility-extension-panel',
+  '.accessibility-transcript-panel',
+  '.accessibility-extraction-overlay'
+].join(', ');
+
+// Blocks that are read as one utterance each
+const TEXT_BLOCK_SELECTOR = 'h1, h2, h3, h4, h5, h6, p, li, dt, dd, td, th, blockquote, pre, figcaption, caption';
+
+// Graphics read by their accessible name
+const IMAGE_SELECTOR = 'img[alt], [role="img"][aria-label], svg[aria-label]';
+
+// Display formulas standing outside text blocks
+const MATH_BLOCK_SELECTOR = 'math[display="block"], .katex-display, mjx-container[display="true"], .MathJax_Display';
+
+// Blocks that score their ancestors
+const SCORED_SELECTOR = 'p, pre, td, blockquote';
+
+// Class and id hints for article content and page chrome
+const POSITIVE_HINTS = /article|body|content|entry|main|page|post|story|text|blog/i;
+const NEGATIVE_HINTS = /comment|footer|footnote|masthead|meta|nav|menu|promo|related|share|social|sidebar|sponsor|advert|banner|cookie|consent|widget|breadcrumb/i;
+
+// Blocks shorter than this don't score their ancestors
+const MIN_SCORING_LENGTH = 25;
+
+// List items and cells that are mostly links are navigation
+const MAX_LINK_DENSITY = 0.5;
+
+/**
+ * Build the CSS selector for the user's skip rules
+ * @param {Array<string>} skipElements - Element types (keys of SKIP_ELEMENT_SELECTORS)
+ * @param {string|Array<string>} skipSelectors - Extra CSS selectors
+ * @returns {string} Selector, or '' when nothing is skipped
+ */
+export function buildSkipSelector(skipElements = [], skipSelectors = '') {
+  const selectors = skipElements
+    .map(type => SKIP_ELEMENT_SELECTORS[type])
+    .filter(Boolean);
+
+  const custom = Array.isArray(skipSelectors) ? skipSelectors : String(skipSelectors || '').split(/[\n,]/);
+  custom.map(selector => selector.trim()).filter(Boolean).forEach(selector => {
+    try {
+      document.createDocumentFragment().querySelector(selector);
+      selectors.push(selector);
+    } catch (error) {
+      console.error(`Ignoring invalid skip selector "${selector}"`);
+    }
+  });
+
+  return selectors.join(', ');
+}
+
+/**
+ * Share of an element's text that is link text
+ * @param {Element} element - Element
+ * @returns {number} Link density from 0 to 1
+ */
+export function getLinkDensity(element) {
+  const textLength = getTextLength(element);
+  if (textLength === 0) return 0;
+
+  let linkLength = 0;
+  element.querySelectorAll('a').forEach(link => {
+    linkLength += getTextLength(link);
+  });
+  return Math.min(1, linkLength / textLength);
+}
+
+function getTextLength(element) {
+  return element.textContent.replace(/\s+/g, ' ').trim().length;
+}
+
+/**
+ * Initial score of a candidate container from its tag and class/id hints
+ */
+function getInitialScore(element) {
+  let score = 0;
+
+  switch (element.tagName) {
+    case 'ARTICLE':
+    case 'MAIN':
+      score += 25;
+      break;
+    case 'DIV':
+    case 'SECTION':
+      score += 5;
+      break;
+    case 'PRE':
+    case 'TD':
+    case 'BLOCKQUOTE':
+      score += 3;
+      break;
+    case 'ADDRESS':
+    case 'OL':
+    case 'UL':
+    case 'DL':
+    case 'FORM':
+    case 'LI':
+      score -= 3;
+      break;
+    case 'H1': case 'H2': case 'H3': case 'H4': case 'H5': case 'H6': case 'TH':
+      score -= 5;
+      break;
+    default:
+      break;
+  }
+
+  if (element.getAttribute('role') === 'main') score += 25;
+
+  const hints = `${element.id} ${typeof element.className === 'string' ? element.className : ''}`;
+  if (POSITIVE_HINTS.test(hints)) score += 25;
+  if (NEGATIVE_HINTS.test(hints)) score -= 25;
+
+  return score;
+}
+
+/**
+ * Find the containers holding the main article
+ * @param {Element} root - Element to search (usually document.body)
+ * @param {Function} isExcluded - Returns true for elements that are never content
+ * @returns {Array<Element>} Containers in document order
+ */
+export function findMainContent(root = document.body, isExcluded = () => false) {
+  const scores = new Map();
+  const addScore = (element, score) => {
+    if (!element || element === root.parentElement || !(element instanceof Element)) return;
+    if (!scores.has(element)) {
+      scores.set(element, getInitialScore(element));
+    }
+    scores.set(element, scores.get(element) + score);
+  };
+
+  root.querySelectorAll(SCORED_SELECTOR).forEach(block => {
+    if (isExcluded(block)) return;
+
+    const text = block.textContent.replace(/\s+/g, ' ').trim();
+    if (text.length < MIN_SCORING_LENGTH) return;
+
+    // One point per block, one per comma, one per 100 characters (up to 3)
+    const score = 1 + (text.match(/[,،、，]/g) || []).length + Math.min(3, Math.floor(text.length / 100));
+    addScore(block.parentElement, score);
+    if (block.parentElement !== root) {
+      addScore(block.parentElement && block.parentElement.parentElement, score / 2);
+    }
+  });
+
+  let top = null;
+  let topScore = -Infinity;
+  scores.forEach((score, element) => {
+    const adjusted = score * (1 - getLinkDensity(element));
+    scores.set(element, adjusted);
+    if (adjusted > topScore) {
+      top = element;
+      topScore = adjusted;
+    }
+  });
+
+  if (!top || topScore <= 0) {
+    return [root];
+  }
+
+  // Siblings scoring close to the top candidate belong to the article too
+  const threshold = Math.max(10, topScore * 0.2);
+  const siblings = top.parentElement
+    ? Array.from(top.parentElement.children).filter(sibling => (
+      sibling === top || (scores.get(sibling) || 0) >= threshold
+    ))
+    : [top];
+
+  return siblings;
+}
+
+/**
+ * Check if an element is rendered
+ * @param {Element} element - Element
+ * @returns {boolean} Whether the element is visible
+ */
+export function isElementVisible(element) {
+  const style = window.getComputedStyle(element);
+  return style.display !== 'none' &&
+    style.visibility !== 'hidden' &&
+    style.opacity !== '0' &&
+    element.offsetWidth > 0 &&
+    element.offsetHeight > 0;
+}
+
+/**
+ * Text spoken for a graphic: its alt text or aria-label
+ * @param {Element} element - Readable node
+ * @returns {string} Text, or '' for elements read by their content
+ */
+export function getAlternativeText(element) {
+  if (!element.matches(IMAGE_SELECTOR)) return '';
+  const text = element.getAttribute('aria-label') || element.getAttribute('alt') || '';
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Find the blocks to read and the blocks left out
+ * @param {Object} options
+ * @param {Element} options.root - Element to search (default document.body)
+ * @param {Array<string>} options.skipElements - Element types to skip
+ * @param {string|Array<string>} options.skipSelectors - CSS selectors to skip
+ * @param {Function} options.isVisible - Visibility check (default isElementVisible)
+ * @returns {Object} { nodes, skipped: [{ element, reason }], containers }
+ */
+export function extractReadableContent(options = {}) {
+  const root = options.root || document.body;
+  const isVisible = options.isVisible || isElementVisible;
+  const skipSelector = buildSkipSelector(options.skipElements, options.skipSelectors);
+
+  const getSkipReason = element => {
+    if (element.closest(BOILERPLATE_SELECTOR)) return 'boilerplate';
+    if (skipSelector && element.closest(skipSelector)) return 'skip rule';
+    return null;
+  };
+
+  const containers = findMainContent(root, element => Boolean(getSkipReason(element)));
+  const inArticle = element => containers.some(container => container.contains(element));
+
+  const nodes = [];
+  const skipped = [];
+  const candidates = root.querySelectorAll(`${TEXT_BLOCK_SELECTOR}, ${IMAGE_SELECTOR}, ${MATH_BLOCK_SELECTOR}, div`);
+
+  candidates.forEach(element => {
+    if (!isReadableBlock(element)) return;
+
+    let reason = getSkipReason(element);
+    if (!reason && !inArticle(element)) reason = 'outside main content';
+    if (!reason && !isVisible(element)) reason = 'hidden';
+    if (!reason && element.matches('li, td, th, dd') && getLinkDensity(element) > MAX_LINK_DENSITY) {
+      reason = 'mostly links';
+    }
+
+    if (reason) {
+      skipped.push({ element, reason });
+    } else {
+      nodes.push(element);
+    }
+  });
+
+  return { nodes, skipped, containers };
+}
+
+/**
+ * Whether an element is read as a block: innermost text blocks, graphics
+ * and display formulas outside text blocks, and divs holding loose text
+ */
+function isReadableBlock(element) {
+  if (element.matches(MATH_BLOCK_SELECTOR)) {
+    return !(element.parentElement && element.parentElement.closest(`${TEXT_BLOCK_SELECTOR}, ${MATH_BLOCK_SELECTOR}`));
+  }
+
+  if (element.matches(IMAGE_SELECTOR)) {
+    return Boolean(getAlternativeText(element)) &&
+      !(element.parentElement && element.parentElement.closest(`${TEXT_BLOCK_SELECTOR}, a, button`));
+  }
+
+  if (!element.textContent.trim()) return false;
+
+  if (element.tagName === 'DIV') {
+    const ownText = Array.from(element.childNodes)
+      .filter(child => child.nodeType === Node.TEXT_NODE)
+      .map(child => child.textContent)
+      .join('')
+      .trim();
+    return ownText.length >= MIN_SCORING_LENGTH &&
+      !element.querySelector(TEXT_BLOCK_SELECTOR) &&
+      !(element.parentElement && element.parentElement.closest(TEXT_BLOCK_SELECTOR));
+  }
+
+  // Read the innermost block (e.g. the paragraphs of a list item, not the item)
+  return !element.querySelector(TEXT_BLOCK_SELECTOR);
+}
+
+/**
+ * Outline what will and will not be read
+ * @param {Object} result - Result of extractReadableContent()
+ */
+export function showExtractionOverlay(result) {
+  hideExtractionOverlay();
+
+  const overlay = document.createElement('div');
+  overlay.className = 'accessibility-extraction-overlay';
+  overlay.setAttribute('aria-hidden', 'true');
+
+  const addBox = (element, className, label) => {
+    const rect = element.getBoundingClientRect();
+    if (rect.width === 0 && rect.height === 0) return;
+
+    const box = document.createElement('div');
+    box.className = `accessibility-extraction-box ${className}`;
+    box.style.top = `${rect.top + window.scrollY}px`;
+    box.style.left = `${rect.left + window.scrollX}px`;
+    box.style.width = `${rect.width}px`;
+    box.style.height = `${rect.height}px`;
+
+    const tag = document.createElement('span');
+    tag.className = 'accessibility-extraction-label';
+    tag.textContent = label;
+    box.appendChild(tag);
+    overlay.appendChild(box);
+  };
+
+  result.containers.forEach(container => addBox(container, 'is-container', 'Main content'));
+  result.nodes.forEach((element, index) => addBox(element, 'is-read', String(index + 1)));
+  result.skipped.forEach(({ element, reason }) => addBox(element, 'is-skipped', `Skipped: ${reason}`));
+
+  const legend = document.createElement('div');
+  legend.className = 'accessibility-extraction-legend';
+  legend.textContent = `${result.nodes.length} blocks will be read, ${result.skipped.length} skipped`;
+  overlay.appendChild(legend);
+
+  document.body.appendChild(overlay);
+}
+
+/**
+ * Remove the debug overlay
+ */
+export function hideExtractionOverlay() {
+  document.querySelectorAll('.accessibility-extraction-overlay').forEach(overlay => overlay.remove());
+}
+
+/**
+ * Whether the debug overlay is shown
+ * @returns {boolean} Overlay state
+ */
+export function isExtractionOverlayShown() {
+  return Boolean(document.querySelector('.accessibility-extraction-overlay'));
+}
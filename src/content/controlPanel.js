@@ -6,7 +6,17 @@
  */
 
 // Import from main content script
-import { startTTS, pauseTTS, stopTTS, startSTT, stopSTT } from './index.js';
+import {
+  extensionState,
+  visualState,
+  ttsState,
+  startTTS,
+  pauseTTS,
+  stopTTS,
+  startSTT,
+  stopSTT,
+  getListeningStatus
+} from './index.js';
 
 // Control panel state
 let panelState = {
@@ -18,65 +28,45 @@ let panelState = {
 // Reference to the control panel element
 let controlPanel = null;
 
-+// Helper function to create SVG icons
-+function createIcon(svgString, classes = []) {
-+  const span = document.createElement('span');
-+  span.innerHTML = svgString;
-+  span.classList.add('icon', ...classes);
-+  span.setAttribute('aria-hidden', 'true');
-+  return span;
-+}
-+
 // Create floating control panel
 export function createControlPanel() {
   if (document.getElementById('accessibility-extension-panel')) return;
 
   const panel = document.createElement('div');
   panel.id = 'accessibility-extension-panel';
-- panel.className = 'accessibility-extension-panel modern-ui';
-+ panel.className = 'accessibility-extension-panel modern-ui card'; // Added card class
-+ panel.setAttribute('role', 'dialog');
-+ panel.setAttribute('aria-labelledby', 'accessibility-panel-title');
+  panel.className = 'accessibility-extension-panel modern-ui';
 
   // Panel header with icon and title
   const header = document.createElement('div');
   header.className = 'accessibility-extension-panel-header';
 
-- const icon = document.createElement('span');
-- icon.className = 'accessibility-panel-main-icon';
-- icon.innerHTML = '<svg width="28" height="28" viewBox="0 0 24 24" fill="none" stroke="#4285F4" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="10"/><path d="M8 15s1.5-2 4-2 4 2 4 2"/><path d="M9 9h.01"/><path d="M15 9h.01"/></svg>';
-+ const headerIcon = createIcon('<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="10"/><path d="M8 15s1.5-2 4-2 4 2 4 2"/><path d="M9 9h.01"/><path d="M15 9h.01"/></svg>', ['header-icon']);
+  const icon = document.createElement('span');
+  icon.className = 'accessibility-panel-main-icon';
+  icon.innerHTML = '<svg width="28" height="28" viewBox="0 0 24 24" fill="none" stroke="#4285F4" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="10"/><path d="M8 15s1.5-2 4-2 4 2 4 2"/><path d="M9 9h.01"/><path d="M15 9h.01"/></svg>';
 
   const title = document.createElement('h2');
-- title.className = 'accessibility-extension-panel-title';
-+ title.id = 'accessibility-panel-title'; // Use ID for aria-labelledby
-+ title.className = 'accessibility-panel-title';
+  title.className = 'accessibility-extension-panel-title';
   title.textContent = 'Accessibility Tools';
 
   const controls = document.createElement('div');
   controls.className = 'accessibility-extension-panel-controls';
 
   const minimizeButton = document.createElement('button');
-- minimizeButton.className = 'accessibility-extension-panel-button';
-+ minimizeButton.className = 'panel-control-button minimize-button';
+  minimizeButton.className = 'accessibility-extension-panel-button';
   minimizeButton.title = 'Minimize Panel';
-+ minimizeButton.setAttribute('aria-label', 'Minimize Panel');
   minimizeButton.innerHTML = '<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="5" y1="12" x2="19" y2="12"/></svg>';
   minimizeButton.addEventListener('click', togglePanelMinimize);
 
   const closeButton = document.createElement('button');
-- closeButton.className = 'accessibility-extension-panel-button';
-+ closeButton.className = 'panel-control-button close-button';
+  closeButton.className = 'accessibility-extension-panel-button';
   closeButton.title = 'Close Panel';
-+ closeButton.setAttribute('aria-label', 'Close Panel');
   closeButton.innerHTML = '<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg>';
   closeButton.addEventListener('click', hideControlPanel);
 
   controls.appendChild(minimizeButton);
   controls.appendChild(closeButton);
 
-- header.appendChild(icon);
-+ header.appendChild(headerIcon);
+  header.appendChild(icon);
   header.appendChild(title);
   header.appendChild(controls);
   header.addEventListener('mousedown', startDragging);
@@ -125,12 +115,9 @@ export function createControlPanel() {
 
   // Keyboard Shortcuts Info
   const shortcutsSection = document.createElement('div');
-- shortcutsSection.className = 'accessibility-extension-shortcuts';
-+ shortcutsSection.className = 'accessibility-panel-section accessibility-extension-shortcuts';
-+ shortcutsSection.setAttribute('aria-labelledby', 'shortcuts-heading');
+  shortcutsSection.className = 'accessibility-extension-shortcuts';
   shortcutsSection.innerHTML = `
--   <h3 class="accessibility-extension-panel-section-title">Keyboard Shortcuts</h3>
-+   <h3 id="shortcuts-heading" class="accessibility-panel-section-title">Keyboard Shortcuts</h3>
+    <h3 class="accessibility-extension-panel-section-title">Keyboard Shortcuts</h3>
     <ul class="accessibility-extension-shortcuts-list">
       <li><b>Alt+Shift+P</b>: Toggle Panel</li>
       <li><b>Alt+Shift+R</b>: Start/Stop Reading</li>
@@ -159,17 +146,10 @@ export function createControlPanel() {
   document.addEventListener('mouseup', stopDragging);
 }
 
--// Enhanced createPanelSection with icon
--function createPanelSection(title, elements, iconName) {
-+// Enhanced createPanelSection with ID, title, icon, and ARIA attributes
-+function createPanelSection(id, title, elements, iconName) {
+// Enhanced createPanelSection with icon
+function createPanelSection(title, elements, iconName) {
   const section = document.createElement('div');
-- section.className = 'accessibility-extension-panel-section card';
-+ section.id = id;
-+ section.className = 'accessibility-panel-section';
-+ section.setAttribute('role', 'group');
-+ section.setAttribute('aria-labelledby', `${id}-heading`);
-+
+  section.className = 'accessibility-extension-panel-section card';
   const sectionHeader = document.createElement('div');
   sectionHeader.className = 'accessibility-panel-section-header';
   if (iconName) {
@@ -179,9 +159,7 @@ export function createControlPanel() {
     sectionHeader.appendChild(icon);
   }
   const sectionTitle = document.createElement('h3');
-- sectionTitle.className = 'accessibility-extension-panel-section-title';
-+ sectionTitle.id = `${id}-heading`;
-+ sectionTitle.className = 'accessibility-panel-section-title';
+  sectionTitle.className = 'accessibility-extension-panel-section-title';
   sectionTitle.textContent = title;
   sectionHeader.appendChild(sectionTitle);
   section.appendChild(sectionHeader);
@@ -194,51 +172,32 @@ function getSectionIcon(name) {
   switch(name) {
     case 'volume-up': return '<svg width="20" height="20" fill="none" stroke="currentColor" stroke-width="2" viewBox="0 0 24 24"><polygon points="11 5 6 9 2 9 2 15 6 15 11 19 11 5"/><path d="M19.07 4.93a10 10 0 0 1 0 14.14"/></svg>';
     case 'mic': return '<svg width="20" height="20" fill="none" stroke="currentColor" stroke-width="2" viewBox="0 0 24 24"><rect x="9" y="2" width="6" height="12" rx="3"/><path d="M19 10v2a7 7 0 0 1-14 0v-2"/><line x1="12" y1="19" x2="12" y2="22"/><line x1="8" y1="22" x2="16" y2="22"/></svg>';
--   case 'eye': return '<svg width="20" height="20" fill="none" stroke="#4285F4" stroke-width="2" viewBox="0 0 24 24"><path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"/><circle cx="12" cy="12" r="3"/></svg>';
--   case 'image': return '<svg width="20" height="20" fill="none" stroke="#4285F4" stroke-width="2" viewBox="0 0 24 24"><rect x="3" y="3" width="18" height="18" rx="2"/><circle cx="8.5" cy="8.5" r="1.5"/><path d="M21 15l-5-5L5 21"/></svg>';
--   case 'book': return '<svg width="20" height="20" fill="none" stroke="#4285F4" stroke-width="2" viewBox="0 0 24 24"><path d="M2 7v13a2 2 0 0 0 2 2h14"/><path d="M22 7V5a2 2 0 0 0-2-2H6a2 2 0 0 0-2 2v2"/><path d="M16 3v4"/><path d="M8 3v4"/></svg>';
-+   case 'eye': return '<svg width="20" height="20" fill="none" stroke="currentColor" stroke-width="2" viewBox="0 0 24 24"><path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"/><circle cx="12" cy="12" r="3"/></svg>';
-+   case 'image': return '<svg width="20" height="20" fill="none" stroke="currentColor" stroke-width="2" viewBox="0 0 24 24"><rect x="3" y="3" width="18" height="18" rx="2"/><circle cx="8.5" cy="8.5" r="1.5"/><path d="M21 15l-5-5L5 21"/></svg>';
-+   case 'book': return '<svg width="20" height="20" fill="none" stroke="currentColor" stroke-width="2" viewBox="0 0 24 24"><path d="M2 7v13a2 2 0 0 0 2 2h14"/><path d="M22 7V5a2 2 0 0 0-2-2H6a2 2 0 0 0-2 2v2"/><path d="M16 3v4"/><path d="M8 3v4"/></svg>';
+    case 'eye': return '<svg width="20" height="20" fill="none" stroke="#4285F4" stroke-width="2" viewBox="0 0 24 24"><path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"/><circle cx="12" cy="12" r="3"/></svg>';
+    case 'image': return '<svg width="20" height="20" fill="none" stroke="#4285F4" stroke-width="2" viewBox="0 0 24 24"><rect x="3" y="3" width="18" height="18" rx="2"/><circle cx="8.5" cy="8.5" r="1.5"/><path d="M21 15l-5-5L5 21"/></svg>';
+    case 'book': return '<svg width="20" height="20" fill="none" stroke="#4285F4" stroke-width="2" viewBox="0 0 24 24"><path d="M2 7v13a2 2 0 0 0 2 2h14"/><path d="M22 7V5a2 2 0 0 0-2-2H6a2 2 0 0 0-2 2v2"/><path d="M16 3v4"/><path d="M8 3v4"/></svg>';
     default: return '';
   }
 }
 
--// Enhanced feature toggle with tooltip
--function createFeatureToggle(label, featureKey, onChange, tooltip) {
-+// Enhanced feature toggle with ID, tooltip, and ARIA attributes
-+function createFeatureToggle(id, label, featureKey, onChange, tooltip) {
+// Enhanced feature toggle with tooltip
+function createFeatureToggle(label, featureKey, onChange, tooltip) {
   const row = document.createElement('div');
-- row.className = 'accessibility-extension-panel-row';
-+ row.className = 'accessibility-panel-row feature-toggle-row';
+  row.className = 'accessibility-extension-panel-row';
   const labelElement = document.createElement('span');
-- labelElement.className = 'accessibility-extension-panel-label';
-+ labelElement.className = 'accessibility-panel-label';
+  labelElement.className = 'accessibility-extension-panel-label';
   labelElement.textContent = label;
-+ labelElement.id = `${id}-label`;
-+
   const controlsWrapper = document.createElement('div');
-+ controlsWrapper.className = 'feature-controls';
-+
   if (tooltip) {
     const help = document.createElement('span');
--   help.className = 'accessibility-panel-tooltip';
--   help.innerHTML = '<svg width="16" height="16" fill="none" stroke="#5F6368" stroke-width="2" viewBox="0 0 24 24"><circle cx="12" cy="12" r="10"/><line x1="12" y1="16" x2="12" y2="12"/><line x1="12" y1="8" x2="12.01" y2="8"/></svg>';
-+   help.className = 'tooltip-icon';
-+   help.innerHTML = '<svg width="16" height="16" fill="none" stroke="currentColor" stroke-width="2" viewBox="0 0 24 24"><circle cx="12" cy="12" r="10"/><line x1="12" y1="16" x2="12" y2="12"/><line x1="12" y1="8" x2="12.01" y2="8"/></svg>';
+    help.className = 'accessibility-panel-tooltip';
+    help.innerHTML = '<svg width="16" height="16" fill="none" stroke="#5F6368" stroke-width="2" viewBox="0 0 24 24"><circle cx="12" cy="12" r="10"/><line x1="12" y1="16" x2="12" y2="12"/><line x1="12" y1="8" x2="12.01" y2="8"/></svg>';
     help.title = tooltip;
--   labelElement.appendChild(help);
-+   help.setAttribute('aria-label', tooltip);
-+   controlsWrapper.appendChild(help); // Add tooltip next to the toggle
+    labelElement.appendChild(help);
   }
-+
   const toggle = document.createElement('label');
-- toggle.className = 'accessibility-extension-toggle';
-+ toggle.className = 'toggle-switch small'; // Use popup's toggle style
-+ toggle.setAttribute('aria-labelledby', `${id}-label`);
-+
+  toggle.className = 'accessibility-extension-toggle';
   const input = document.createElement('input');
-+ input.id = id;
+  input.id = `accessibility-${featureKey}-toggle`;
   input.type = 'checkbox';
   input.checked = getFeatureState(featureKey);
   input.addEventListener('change', (event) => {
@@ -249,16 +208,11 @@ function getSectionIcon(name) {
     }
   });
   const slider = document.createElement('span');
-- slider.className = 'accessibility-extension-toggle-slider';
-+ slider.className = 'slider round'; // Use popup's slider style
-+ slider.setAttribute('aria-hidden', 'true');
-+
+  slider.className = 'accessibility-extension-toggle-slider';
   toggle.appendChild(input);
   toggle.appendChild(slider);
   row.appendChild(labelElement);
-- row.appendChild(toggle);
-+ controlsWrapper.appendChild(toggle);
-+ row.appendChild(controlsWrapper);
+  row.appendChild(toggle);
   return row;
 }
 
@@ -307,6 +261,13 @@ function createSTTControls() {
   controls.appendChild(startButton);
   controls.appendChild(stopButton);
   
+  // Listening mode, refreshed by updateControlPanel
+  const mode = document.createElement('p');
+  mode.className = 'accessibility-extension-listening-mode';
+  mode.setAttribute('aria-live', 'polite');
+  mode.textContent = getListeningStatus().description;
+  controls.appendChild(mode);
+  
   return controls;
 }
 
@@ -398,8 +359,18 @@ export function showControlPanel() {
   }
 }
 
-// Update control panel state and UI
-export function updateControlPanel(state) {
+// Show the control panel if it is hidden, otherwise hide it
+export function toggleControlPanel() {
+  if (controlPanel && controlPanel.style.display !== 'none') {
+    hideControlPanel();
+  } else {
+    showControlPanel();
+  }
+}
+
+// Update control panel state and UI, from the content script's state unless
+// another is given
+export function updateControlPanel(state = { activeFeatures: extensionState.activeFeatures, visualState }) {
   if (!controlPanel) return;
   
   // Update feature toggles
@@ -423,57 +394,41 @@ export function updateControlPanel(state) {
       toggle.checked = enabled;
     }
   });
-}
-
-// Update visibility
-controlPanel.style.display = extensionState.enabled ? 'block' : 'none';
-
-// Update toggles
-const toggles = controlPanel.querySelectorAll('input[type="checkbox"]');
-toggles.forEach(toggle => {
-  const row = toggle.closest('.accessibility-extension-panel-row');
-  const label = row.querySelector('.accessibility-extension-panel-label').textContent;
   
-  switch (label) {
-    case 'TTS':
-      toggle.checked = extensionState.activeFeatures.tts;
-      break;
-    case 'Voice Commands':
-      toggle.checked = extensionState.activeFeatures.stt;
-      break;
-    case 'High Contrast':
-      toggle.checked = visualState.highContrastEnabled;
-      break;
-    case 'Font Adjustments':
-      toggle.checked = visualState.fontAdjustmentsEnabled;
-      break;
-    case 'Focus Highlighting':
-      toggle.checked = visualState.focusHighlightEnabled;
-      break;
+  // Update TTS buttons based on reading state
+  const [ttsControls, sttControls] = controlPanel.querySelectorAll('.accessibility-extension-tts-controls');
+  const ttsButtons = ttsControls ? ttsControls.querySelectorAll('button') : [];
+  if (ttsButtons.length >= 3) {
+    // Start button
+    ttsButtons[0].disabled = ttsState.isReading;
+    // Pause button
+    ttsButtons[1].disabled = !ttsState.isReading;
+    // Stop button
+    ttsButtons[2].disabled = !ttsState.isReading;
+  }
+  
+  // Update STT buttons and listening mode based on listening state
+  const status = getListeningStatus();
+  const sttButtons = sttControls ? sttControls.querySelectorAll('button') : [];
+  if (sttButtons.length >= 2) {
+    // Start button
+    sttButtons[0].disabled = status.active;
+    // Stop button
+    sttButtons[1].disabled = !status.active;
+  }
+  
+  const listeningMode = controlPanel.querySelector('.accessibility-extension-listening-mode');
+  if (listeningMode) {
+    let suffix = '';
+    if (status.waitingForKey) {
+      suffix = ' (ready)';
+    } else if (status.active) {
+      suffix = ' (listening)';
+    }
+    listeningMode.textContent = `${status.description}${suffix}`;
   }
-});
-
-// Update TTS buttons based on reading state
-const ttsButtons = controlPanel.querySelectorAll('.accessibility-extension-tts-controls button');
-if (ttsButtons.length >= 3) {
-  // Start button
-  ttsButtons[0].disabled = ttsState.isReading;
-  // Pause button
-  ttsButtons[1].disabled = !ttsState.isReading;
-  // Stop button
-  ttsButtons[2].disabled = !ttsState.isReading;
-}
-
-// Update STT buttons based on listening state
-const sttButtons = controlPanel.querySelectorAll('.accessibility-extension-tts-controls:nth-of-type(2) button');
-if (sttButtons.length >= 2) {
-  // Start button
-  sttButtons[0].disabled = sttState.isListening;
-  // Stop button
-  sttButtons[1].disabled = !sttState.isListening;
 }
 
-
 // Dragging functionality
 function startDragging(event) {
   if (!controlPanel) return;
@@ -4,6 +4,8 @@
  */
 
 import { videoState } from './videoAccessibility';
+import { applyPronunciations } from './pronunciation';
+import { speechService } from './speechService';
 
 // State management for cross-disability features
 const crossDisabilityState = {
@@ -229,9 +231,9 @@ function synchronizeCaptionsWithSpeech(video) {
   if (activeCue && activeCue !== crossDisabilityState.currentSpeakingElement) {
     crossDisabilityState.currentSpeakingElement = activeCue;
     
-    // Use Web Speech API for synchronized speech
-    const utterance = new SpeechSynthesisUtterance(activeCue.text);
-    speechSynthesis.speak(utterance);
+    // Captions replace each other rather than queueing up
+    speechService.cancel({ source: 'caption' });
+    speechService.speak(applyPronunciations(activeCue.text), { priority: 'high', source: 'caption' });
   }
 }
 
@@ -282,9 +284,10 @@ function showMultimodalNotification(element) {
     showVisualNotification(content);
   }
   
-  // Audio notification
+  // Audio notification: alerts interrupt page reading, polite updates wait for it
   if (crossDisabilityState.notificationPreferences.audio) {
-    speakNotification(content);
+    const assertive = element.matches('[role="alert"], [aria-live="assertive"]');
+    speakNotification(content, assertive ? 'high' : 'low');
   }
   
   // Haptic feedback (if supported)
@@ -342,10 +345,8 @@ function showVisualNotification(content) {
 /**
  * Speak notification content
  * @param {string} content - Content to speak
+ * @param {string} priority - 'high' to interrupt page reading, 'low' to wait for it
  */
-function speakNotification(content) {
-  const utterance = new SpeechSynthesisUtterance(content);
-  utterance.volume = 0.8;
-  utterance.rate = 1.1;
-  speechSynthesis.speak(utterance);
+function speakNotification(content, priority = 'low') {
+  speechService.speak(applyPronunciations(content), { priority, source: 'notification' });
 }
\ No newline at end of file
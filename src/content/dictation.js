@@ -0,0 +1,391 @@
+/**
+ * Dictation Module
+ *
+ * Types recognized speech into the focused text field, textarea or
+ * contenteditable element at the caret. Spoken punctuation ("comma", "new
+ * paragraph") becomes the symbol, spacing follows the punctuation and the
+ * text before the caret, and sentences are capitalized. Editing commands
+ * ("delete last word", "select previous sentence", "undo that") work on the
+ * text before the caret. Each change can be undone with "undo that".
+ */
+
+import { isTypingTarget } from './browseMode.js';
+import { segmentSentences } from './sentenceNavigation.js';
+import { VoiceCommandEngine } from './voiceCommands.js';
+
+// Spoken punctuation, with whether a space goes before and after it
+export const SPOKEN_PUNCTUATION = {
+  'comma': { text: ',', spaceBefore: false, spaceAfter: true },
+  'period': { text: '.', spaceBefore: false, spaceAfter: true },
+  'full stop': { text: '.', spaceBefore: false, spaceAfter: true },
+  'question mark': { text: '?', spaceBefore: false, spaceAfter: true },
+  'exclamation mark': { text: '!', spaceBefore: false, spaceAfter: true },
+  'exclamation point': { text: '!', spaceBefore: false, spaceAfter: true },
+  'colon': { text: ':', spaceBefore: false, spaceAfter: true },
+  'semicolon': { text: ';', spaceBefore: false, spaceAfter: true },
+  'ellipsis': { text: '…', spaceBefore: false, spaceAfter: true },
+  'hyphen': { text: '-', spaceBefore: false, spaceAfter: false },
+  'dash': { text: '–', spaceBefore: true, spaceAfter: true },
+  'open quote': { text: '“', spaceBefore: true, spaceAfter: false },
+  'close quote': { text: '”', spaceBefore: false, spaceAfter: true },
+  'open bracket': { text: '(', spaceBefore: true, spaceAfter: false },
+  'close bracket': { text: ')', spaceBefore: false, spaceAfter: true },
+  'open parenthesis': { text: '(', spaceBefore: true, spaceAfter: false },
+  'close parenthesis': { text: ')', spaceBefore: false, spaceAfter: true },
+  'new line': { text: '\n', spaceBefore: false, spaceAfter: false },
+  'new paragraph': { text: '\n\n', spaceBefore: false, spaceAfter: false }
+};
+
+// Longest spoken punctuation, in words
+const MAX_PUNCTUATION_WORDS = 2;
+
+// Changes that "undo that" can take back
+const MAX_UNDO_STEPS = 20;
+
+// Input types that take free text
+const TEXT_INPUT_TYPES = ['text', 'search', 'email', 'url', 'tel', 'password', ''];
+
+// Dictation state
+const dictationState = {
+  undoStack: [] // { element, value, selectionStart, selectionEnd, html }
+};
+
+/**
+ * Check whether speech can be typed into an element
+ * @param {Element} element - Element, usually document.activeElement
+ * @returns {boolean} True for editable text fields, textareas and contenteditable elements
+ */
+export function isDictationTarget(element) {
+  if (!isTypingTarget(element) || element.tagName === 'SELECT') return false;
+  if (element.disabled || element.readOnly) return false;
+  return element.tagName !== 'INPUT' || TEXT_INPUT_TYPES.includes(element.getAttribute('type') || '');
+}
+
+// The element dictation goes into, or null
+function getDictationTarget() {
+  const element = document.activeElement;
+  if (!isDictationTarget(element)) return null;
+  return element.isContentEditable ? element.closest('[contenteditable="true"]') || element : element;
+}
+
+function isTextControl(element) {
+  return element.tagName === 'INPUT' || element.tagName === 'TEXTAREA';
+}
+
+/**
+ * Turn a transcript into the text to type, given the text before the caret
+ * @param {string} transcript - Recognized speech
+ * @param {string} before - Text before the caret
+ * @returns {string} Text to insert
+ */
+export function formatDictation(transcript, before = '') {
+  const words = String(transcript || '').trim().split(/\s+/).filter(Boolean);
+  let text = '';
+  // No space after an opening bracket or quote already in the field
+  let spaceAfterPrevious = !/[(“"'[{]$/.test(before);
+
+  for (let i = 0; i < words.length;) {
+    let token = null;
+    for (let length = MAX_PUNCTUATION_WORDS; length > 0 && !token; length--) {
+      const phrase = words.slice(i, i + length).join(' ').toLowerCase();
+      if (i + length <= words.length && SPOKEN_PUNCTUATION[phrase]) {
+        token = SPOKEN_PUNCTUATION[phrase];
+        i += length;
+      }
+    }
+
+    const isWord = !token;
+    if (isWord) {
+      token = { text: words[i], spaceBefore: true, spaceAfter: true };
+      i++;
+    }
+
+    const written = before + text;
+    const needsSpace = token.spaceBefore && spaceAfterPrevious && written !== '' && !/\s$/.test(written);
+    let tokenText = token.text;
+    // Capitalize at the start of the field and after the end of a sentence or line
+    if (isWord && (!written.trim() || /[.!?…]["”')\]]*\s*$|\n\s*$/.test(written))) {
+      tokenText = tokenText.charAt(0).toUpperCase() + tokenText.slice(1);
+    }
+
+    text += (needsSpace ? ' ' : '') + tokenText;
+    spaceAfterPrevious = token.spaceAfter;
+  }
+
+  return text;
+}
+
+// Text before the caret in a contenteditable element
+function getEditableTextBeforeCaret(element) {
+  const selection = window.getSelection();
+  if (!selection.rangeCount || !element.contains(selection.anchorNode)) return element.textContent;
+
+  const range = document.createRange();
+  range.selectNodeContents(element);
+  const caret = selection.getRangeAt(0);
+  range.setEnd(caret.startContainer, caret.startOffset);
+  return range.toString();
+}
+
+/**
+ * Text before the caret, or before the start of the selection
+ * @param {Element} element - Dictation target
+ * @returns {string} Text
+ */
+export function getTextBeforeCaret(element) {
+  if (!isTextControl(element)) return getEditableTextBeforeCaret(element);
+  return element.selectionStart === null ? element.value : element.value.slice(0, element.selectionStart);
+}
+
+// Remember the field's contents so "undo that" can restore them
+function recordUndo(element) {
+  dictationState.undoStack.push(isTextControl(element)
+    ? { element, value: element.value, selectionStart: element.selectionStart, selectionEnd: element.selectionEnd }
+    : { element, html: element.innerHTML });
+  if (dictationState.undoStack.length > MAX_UNDO_STEPS) {
+    dictationState.undoStack.shift();
+  }
+}
+
+// Let the page's own listeners (and frameworks) see the change
+function notifyInput(element, inputType, data = null) {
+  element.dispatchEvent(new InputEvent('input', { bubbles: true, inputType, data }));
+}
+
+// Replace part of a text control's value and put the caret after it
+function replaceRange(element, text, start, end) {
+  if (element.selectionStart === null) {
+    element.value = element.value.slice(0, start) + text + element.value.slice(end);
+  } else {
+    element.setRangeText(text, start, end);
+    element.setSelectionRange(start + text.length, start + text.length);
+  }
+}
+
+function insertText(element, text) {
+  if (isTextControl(element)) {
+    const start = element.selectionStart === null ? element.value.length : element.selectionStart;
+    const end = element.selectionEnd === null ? element.value.length : element.selectionEnd;
+    replaceRange(element, text, start, end);
+    notifyInput(element, 'insertText', text);
+    return;
+  }
+
+  // The editor's own insertText keeps the page's undo history and handles line breaks
+  if (typeof document.execCommand === 'function' && document.execCommand('insertText', false, text)) return;
+
+  const selection = window.getSelection();
+  if (!selection.rangeCount || !element.contains(selection.anchorNode)) {
+    const range = document.createRange();
+    range.selectNodeContents(element);
+    range.collapse(false);
+    selection.removeAllRanges();
+    selection.addRange(range);
+  }
+  const range = selection.getRangeAt(0);
+  range.deleteContents();
+  const node = document.createTextNode(text);
+  range.insertNode(node);
+  range.setStartAfter(node);
+  range.collapse(true);
+  selection.removeAllRanges();
+  selection.addRange(range);
+  notifyInput(element, 'insertText', text);
+}
+
+/**
+ * Type a transcript at the caret of the focused field
+ * @param {string} transcript - Recognized speech
+ * @returns {string|null} Text typed, or null when no field has focus
+ */
+export function insertDictation(transcript) {
+  const element = getDictationTarget();
+  if (!element) return null;
+
+  const text = formatDictation(transcript, getTextBeforeCaret(element));
+  if (!text) return '';
+
+  recordUndo(element);
+  insertText(element, text);
+  return text;
+}
+
+/**
+ * Range of the word or sentence before the caret
+ * @param {string} before - Text before the caret
+ * @param {string} unit - 'word' or 'sentence'
+ * @returns {Object|null} { start, end } of the unit without trailing spaces, or null when there is none
+ */
+export function findPreviousUnit(before, unit) {
+  const trimmedEnd = before.replace(/\s+$/, '').length;
+  if (trimmedEnd === 0) return null;
+
+  if (unit === 'word') {
+    const match = before.slice(0, trimmedEnd).match(/\S+$/);
+    return { start: trimmedEnd - match[0].length, end: trimmedEnd };
+  }
+
+  const sentences = segmentSentences(before.slice(0, trimmedEnd), document.documentElement.lang || navigator.language);
+  const last = sentences[sentences.length - 1];
+  return { start: last.index + (last.text.length - last.text.trimStart().length), end: trimmedEnd };
+}
+
+// Select, in a contenteditable element, back from the caret by a word or sentence
+function extendEditableSelection(unit) {
+  const selection = window.getSelection();
+  if (!selection.rangeCount || typeof selection.modify !== 'function') return false;
+  selection.collapseToStart();
+  selection.modify('extend', 'backward', unit);
+  return !selection.isCollapsed;
+}
+
+/**
+ * Select the word or sentence before the caret
+ * @param {string} unit - 'word' or 'sentence'
+ * @returns {boolean} False when there is nothing to select
+ */
+export function selectPrevious(unit) {
+  const element = getDictationTarget();
+  if (!element) return false;
+  if (!isTextControl(element)) return extendEditableSelection(unit);
+
+  const range = findPreviousUnit(getTextBeforeCaret(element), unit);
+  if (!range || element.selectionStart === null) return false;
+  element.setSelectionRange(range.start, range.end);
+  return true;
+}
+
+/**
+ * Delete the word or sentence before the caret, with the space after it
+ * @param {string} unit - 'word' or 'sentence'
+ * @returns {boolean} False when there is nothing to delete
+ */
+export function deletePrevious(unit) {
+  const element = getDictationTarget();
+  if (!element) return false;
+
+  if (!isTextControl(element)) {
+    const html = element.innerHTML;
+    if (!extendEditableSelection(unit)) return false;
+    dictationState.undoStack.push({ element, html });
+    window.getSelection().deleteFromDocument();
+    notifyInput(element, 'deleteContentBackward');
+    return true;
+  }
+
+  const before = getTextBeforeCaret(element);
+  const range = findPreviousUnit(before, unit);
+  if (!range) return false;
+
+  recordUndo(element);
+  replaceRange(element, '', range.start, before.length);
+  notifyInput(element, 'deleteContentBackward');
+  return true;
+}
+
+/**
+ * Select everything in the focused field
+ * @returns {boolean} False when no field has focus
+ */
+export function selectAllDictation() {
+  const element = getDictationTarget();
+  if (!element) return false;
+
+  if (isTextControl(element)) {
+    element.select();
+  } else {
+    const range = document.createRange();
+    range.selectNodeContents(element);
+    window.getSelection().removeAllRanges();
+    window.getSelection().addRange(range);
+  }
+  return true;
+}
+
+/**
+ * Take back the last dictation change in the focused field
+ * @returns {boolean} False when there is nothing to undo
+ */
+export function undoDictation() {
+  const element = getDictationTarget();
+  const index = dictationState.undoStack.map(step => step.element).lastIndexOf(element);
+  if (!element || index === -1) return false;
+
+  const [step] = dictationState.undoStack.splice(index, 1);
+  if (isTextControl(element)) {
+    element.value = step.value;
+    if (step.selectionStart !== null) element.setSelectionRange(step.selectionStart, step.selectionEnd);
+  } else {
+    element.innerHTML = step.html;
+  }
+  notifyInput(element, 'historyUndo');
+  return true;
+}
+
+/**
+ * Forget undo history, e.g. when speech recognition stops
+ */
+export function clearDictationHistory() {
+  dictationState.undoStack = [];
+}
+
+/**
+ * Editing and mode commands recognized while dictating. They must be the
+ * whole utterance, so "delete last word" inside a sentence is typed.
+ * @param {Object} handlers - { speak, setMode(mode) }
+ * @returns {Array<Object>} Commands for dictationCommands.register
+ */
+export function createDictationCommands(handlers) {
+  const speak = handlers.speak || (() => {});
+  const report = (done, message) => {
+    if (!done) speak(message);
+  };
+
+  return [
+    {
+      id: 'deleteWord',
+      description: 'Delete the last word',
+      patterns: ['delete [the] (last|previous) word', 'delete word'],
+      run: () => report(deletePrevious('word'), 'Nothing to delete')
+    },
+    {
+      id: 'deleteSentence',
+      description: 'Delete the last sentence',
+      patterns: ['delete [the] (last|previous) sentence'],
+      run: () => report(deletePrevious('sentence'), 'Nothing to delete')
+    },
+    {
+      id: 'selectWord',
+      description: 'Select the previous word',
+      patterns: ['select [the] (last|previous) word'],
+      run: () => report(selectPrevious('word'), 'Nothing to select')
+    },
+    {
+      id: 'selectSentence',
+      description: 'Select the previous sentence',
+      patterns: ['select [the] (last|previous) sentence'],
+      run: () => report(selectPrevious('sentence'), 'Nothing to select')
+    },
+    {
+      id: 'selectAll',
+      description: 'Select all',
+      patterns: ['select all'],
+      run: () => report(selectAllDictation(), 'Nothing to select')
+    },
+    {
+      id: 'undoDictation',
+      description: 'Undo that',
+      patterns: ['(undo|scratch) that', 'undo'],
+      run: () => report(undoDictation(), 'Nothing to undo')
+    },
+    {
+      id: 'stopDictation',
+      description: 'Switch to commands',
+      patterns: ['(stop|end) dictation', 'command mode', 'commands'],
+      run: () => handlers.setMode('command')
+    }
+  ];
+}
+
+// Commands heard while dictating; anything else is typed
+export const dictationCommands = new VoiceCommandEngine({ minCoverage: 1 });
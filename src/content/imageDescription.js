@@ -0,0 +1,55 @@
+/**
+ * Image Description Requests
+ *
+ * Collects the page context around an image and asks the background image
+ * description pipeline for a description. The background runs any registered
+ * description engines and falls back to heuristics built from this context.
+ */
+
+/**
+ * Collect the context used by the description heuristics
+ * @param {HTMLImageElement} img - Image element
+ * @returns {Object} { width, height, caption, title, linkText }
+ */
+export function collectImageContext(img) {
+  const figure = img.closest('figure');
+  const figcaption = figure ? figure.querySelector('figcaption') : null;
+  const link = img.closest('a');
+
+  return {
+    width: img.naturalWidth || img.width,
+    height: img.naturalHeight || img.height,
+    caption: cleanText(figcaption && figcaption.textContent),
+    title: cleanText(img.getAttribute('title')),
+    linkText: link ? cleanText(link.getAttribute('aria-label') || link.textContent) : ''
+  };
+}
+
+/**
+ * Request a description for an image
+ * @param {HTMLImageElement} img - Image element
+ * @param {string} detail - Detail level ('basic', 'detailed' or 'comprehensive')
+ * @returns {Promise<Object>} { description, confidence, source }
+ */
+export function requestImageDescription(img, detail) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage({
+      action: 'describeImage',
+      src: img.currentSrc || img.src,
+      context: collectImageContext(img),
+      detail
+    }, (response) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else if (!response || !response.success) {
+        reject(new Error(response?.error?.message || 'Image description failed'));
+      } else {
+        resolve(response);
+      }
+    });
+  });
+}
+
+function cleanText(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
@@ -7,12 +7,18 @@
 
 import { initCrossDisabilitySupport } from './crossDisabilitySupport.js';
 
+import { initializeVideoAccessibility } from './videoAccessibility.js';
+
+import { createControlPanel, hideControlPanel, updateControlPanel, toggleControlPanel } from './controlPanel.js';
+
 import { 
   initializeVisualFeedback,
   updateReadingProgress,
   toggleProgressBar,
   highlightReadingNode,
+  buildTextMap,
   removeHighlight,
+  followSpeechProgress,
   updateVoiceStatus,
   cleanupVisualFeedback
 } from './visualFeedback.js';
@@ -21,12 +27,98 @@ import {
   initializeVisualEnhancements,
   applyVisualEnhancements,
   removeVisualEnhancements,
-  updateVisualEnhancements
+  updateVisualEnhancements,
+  fontSizeInPixels
 } from './visualEnhancements.js';
 
 // Import cognitive support cleanup
 import { initializeCognitiveSupport, cleanupCognitiveFeatures } from './cognitiveSupport.js';
 
+// Import per-site override resolution
+import { resolveSiteSettings, getPageOrigin } from './siteSettings.js';
+
+// Import on-device image descriptions
+import { requestImageDescription } from './imageDescription.js';
+
+// Import read-selection, read-from-here and hover-to-speak helpers
+import {
+  getSelectedText,
+  findReadingStart,
+  trackContextTarget,
+  getContextTarget,
+  enableHoverToSpeak,
+  disableHoverToSpeak,
+  DEFAULT_HOVER_DELAY
+} from './readingModes.js';
+
+// Import per-node language detection and voice matching
+import {
+  resolveNodeLanguage,
+  getLanguagePreferences,
+  selectVoiceForLanguage,
+  sameLanguage
+} from './languageDetection.js';
+
+// Import the reading content extractor
+import {
+  extractReadableContent,
+  getAlternativeText,
+  showExtractionOverlay,
+  hideExtractionOverlay,
+  isExtractionOverlayShown
+} from './contentExtractor.js';
+
+// Import screen-reader-style browse mode
+import { toggleBrowseMode, disableBrowseMode } from './browseMode.js';
+
+// Import table reading mode
+import { readTableRow, readTableColumn, announceTableSummary } from './tableNavigation.js';
+
+// Import the pronunciation dictionary applied to all speech
+import { setPronunciationDictionary, transformForSpeech } from './pronunciation.js';
+
+// Import math-to-speech and formula exploration
+import {
+  containsMath,
+  getTextWithMath,
+  enableMathExploration,
+  disableMathExploration
+} from './mathSpeech.js';
+
+// Import the shared speech queue and its engines
+import { speechService, SpeechRequest, initializeSpeechService } from './speechService.js';
+
+// Import reading position functionality
+import {
+  trackReadingPosition,
+  loadReadingPosition,
+  clearReadingPosition,
+  resolveReadingPosition,
+  showResumePrompt,
+  hideResumePrompt
+} from './readingPosition.js';
+
+// Import sentence and word segmentation for granular navigation
+import { getSentenceAt, getWordAt, spellWord } from './sentenceNavigation.js';
+
+// Import the voice command grammar engine
+import { voiceCommands, createDefaultCommands, DEFAULT_MIN_CONFIDENCE } from './voiceCommands.js';
+
+// Import the "show numbers" and "show grid" overlays for voice-only clicking
+import { createOverlayCommands, hideOverlays } from './voiceOverlays.js';
+
+// Import wake phrase, push-to-talk and timed listening
+import { listeningController } from './listeningModes.js';
+
+// Import dictation into text fields
+import {
+  isDictationTarget,
+  insertDictation,
+  dictationCommands,
+  createDictationCommands,
+  clearDictationHistory
+} from './dictation.js';
+
 // Import DOMPurify for sanitizing content
 import DOMPurify from 'dompurify';
 
@@ -47,24 +139,43 @@ let extensionState = {
   userPreferences: {}
 };
 
+// Profile features/preferences before the site override is applied, and the
+// override stored for this page's origin (if any)
+let profileState = {
+  activeFeatures: { ...extensionState.activeFeatures },
+  userPreferences: {}
+};
+let siteOverride = null;
+
 // TTS state
 const ttsState = {
   isReading: false,
+  speakingHover: false,
   currentUtterance: null,
   currentNode: null,
+  // Text of the current node and the offset of the word being spoken in it
+  currentText: '',
+  currentOffset: 0,
+  currentLanguage: undefined,
   readingQueue: [],
   voices: [],
   selectedVoice: null,
   rate: 1,
   pitch: 1,
-  volume: 1
+  volume: 1,
+  speechSubscriptions: [],
+  resumeOffered: false
 };
 
+// Share of the reading rate used to read a sentence slower
+const SLOW_SENTENCE_RATE = 0.6;
+
 // STT state
 const sttState = {
   isListening: false,
   recognition: null,
-  commandMode: false
+  mode: 'command', // 'command' or 'dictation'
+  commandModeTarget: null // Field where the user asked for commands instead of dictation
 };
 
 // Visual assistance state
@@ -83,51 +194,29 @@ const videoState = {
 function initialize() {
   console.log('Initializing accessibility content script');
   
-  // Request current state from background script
-  chrome.runtime.sendMessage({ action: 'getState' }, (response) => {
-    if (response && response.state) {
-      extensionState = response.state;
-      applySettings();
-    }
-  });
-  
   // Set up message listener for background script communication
   chrome.runtime.onMessage.addListener(handleMessage);
   
-  // Initialize TTS
-  initializeTTS();
-  
-  // Initialize STT if enabled
-  if (extensionState.activeFeatures.stt) {
-    initializeSTT();
-  }
-  
-  // Initialize and apply visual enhancements if enabled
-  if (extensionState.activeFeatures.visualAssistance) {
-    initializeVisualEnhancements();
-    applyVisualEnhancements();
-  }
-  
-  // Set up image processing if enabled
-  if (extensionState.activeFeatures.imageDescription) {
-    processImages();
-  }
-
-  // Initialize cognitive support features if enabled
-  if (extensionState.activeFeatures.cognitiveSupport) {
-    initializeCognitiveSupport();
-  }
-
-  // Initialize cross-disability support features if enabled
-  if (extensionState.activeFeatures.crossDisabilitySupport) {
-    initCrossDisabilitySupport();
-  }
+  // Request current state from the background state store. The local
+  // defaults above are only used when the background cannot be reached.
+  chrome.runtime.sendMessage({ action: 'getState', origin: getPageOrigin() || undefined }, (response) => {
+    if (response && response.state) {
+      siteOverride = response.siteOverride || null;
+      updateProfileState(response.state);
+    }
+    
+    // Initialize features (TTS, STT, visual, images, cognitive, cross-disability)
+    applySettings();
+  });
   
   // Create floating control panel
   createControlPanel();
   
   // Initialize keyboard shortcuts
   initializeKeyboardShortcuts();
+  
+  // Remember where the context menu opens for "Read from here"
+  trackContextTarget();
 }
 
 // Handle messages from background script
@@ -136,7 +225,7 @@ function handleMessage(message, sender, sendResponse) {
   
   switch (message.type) {
     case 'init':
-      extensionState = message.state;
+      updateProfileState(message.state);
       applySettings();
       break;
       
@@ -145,46 +234,82 @@ function handleMessage(message, sender, sendResponse) {
       applySettings();
       break;
       
-    case 'featureUpdate':
-      extensionState.activeFeatures[message.feature] = message.enabled;
-      applySettings();
+    case 'featureUpdate': {
+      const previousState = getEffectiveState();
+      profileState.activeFeatures[message.feature] = message.enabled;
+      resolveEffectiveState();
+      applySettingsChange(previousState);
       break;
+    }
       
-    case 'preferencesUpdate':
-      extensionState.userPreferences = { ...extensionState.userPreferences, ...message.preferences };
-      applySettings();
+    case 'preferencesUpdate': {
+      const previousState = getEffectiveState();
+      profileState.userPreferences = { ...profileState.userPreferences, ...message.preferences };
+      resolveEffectiveState();
+      applySettingsChange(previousState);
+      break;
+    }
+      
+    case 'siteSettingsUpdate':
+      if (message.origin === getPageOrigin()) {
+        const previousState = getEffectiveState();
+        siteOverride = message.override;
+        resolveEffectiveState();
+        applySettingsChange(previousState);
+      }
       break;
       
     case 'action':
-      handleAction(message.action);
+      try {
+        handleAction(message.action, message);
+        sendResponse({ success: true });
+      } catch (error) {
+        sendResponse({ success: false, error: error.message });
+      }
+      break;
+      
+    case 'getListeningContent':
+      sendResponse(getListeningContent());
+      break;
+      
+    case 'getListeningStatus':
+      sendResponse(getListeningStatus());
       break;
   }
   
-  return true; // Keep the message channel open for async response
+  return false; // Every reply above is sent before returning
+}
+
+// Store the profile state received from the background and re-resolve
+function updateProfileState(state) {
+  const { activeFeatures, userPreferences, ...rest } = state;
+  extensionState = { ...extensionState, ...rest };
+  profileState = {
+    activeFeatures: { ...profileState.activeFeatures, ...activeFeatures },
+    userPreferences: { ...profileState.userPreferences, ...userPreferences }
+  };
+  resolveEffectiveState();
+}
+
+// Layer the site override on top of the profile state
+function resolveEffectiveState() {
+  const { activeFeatures, userPreferences } = resolveSiteSettings(profileState, siteOverride);
+  extensionState.activeFeatures = activeFeatures;
+  extensionState.userPreferences = userPreferences;
+}
+
+// The effective features and preferences, to compare against after a change
+function getEffectiveState() {
+  return {
+    activeFeatures: extensionState.activeFeatures,
+    userPreferences: extensionState.userPreferences
+  };
 }
 
-// Apply settings based on current state
 // Clean up function to remove event listeners
 function cleanupEventListeners() {
-  // Clean up speech recognition listeners
-  if (sttState.recognition) {
-    sttState.recognition.onstart = null;
-    sttState.recognition.onend = null;
-    sttState.recognition.onerror = null;
-    sttState.recognition.onresult = null;
-    sttState.recognition.stop();
-  }
-  
-  // Clean up speech synthesis listeners
-  if (window.speechSynthesis) {
-    window.speechSynthesis.cancel();
-    window.speechSynthesis.removeEventListener('pause', updateControlPanel);
-    window.speechSynthesis.removeEventListener('resume', updateControlPanel);
-    window.speechSynthesis.removeEventListener('end', updateControlPanel);
-  }
-
-  // Clean up visual feedback
-  cleanupVisualFeedback();
+  cleanupSTT();
+  cleanupTTS();
   
   // Clean up cognitive support features
   cleanupCognitiveFeatures();
@@ -203,18 +328,165 @@ function cleanupEventListeners() {
     video.removeEventListener('ratechange', handleVideoRateChange);
   });
   
+  // Remove visual enhancements
+  removeVisualEnhancements();
+}
+
+// Stop speech and the features that read aloud
+function cleanupTTS() {
+  // Clean up speech and its listeners
+  speechService.cancel();
+  ttsState.speechSubscriptions.forEach(unsubscribe => unsubscribe());
+  ttsState.speechSubscriptions = [];
+  hideResumePrompt();
+
+  // Clean up visual feedback
+  cleanupVisualFeedback();
+  disableHoverToSpeak();
+  
+  // Browse mode's quick keys would otherwise keep capturing keys. Speech was
+  // just cancelled, so don't announce it
+  disableBrowseMode({ announce: false });
+  
+  // Remove the formulas' tab stops and arrow-key exploration
+  disableMathExploration();
+  
   // Reset states
   ttsState.isReading = false;
   ttsState.currentUtterance = null;
   ttsState.currentNode = null;
   ttsState.readingQueue = [];
+  removeHighlight();
+}
+
+// Stop speech recognition and remove its listeners
+function cleanupSTT() {
+  listeningController.stop();
+  if (sttState.recognition) {
+    sttState.recognition.onstart = null;
+    sttState.recognition.onend = null;
+    sttState.recognition.onerror = null;
+    sttState.recognition.onresult = null;
+    sttState.recognition.stop();
+  }
   
   sttState.isListening = false;
-  sttState.commandMode = false;
+  sttState.mode = 'command';
+  document.removeEventListener('focusin', handleDictationFocus);
+  document.removeEventListener('focusout', handleDictationFocus);
+  document.removeEventListener('keydown', handlePushToTalk, true);
+  document.removeEventListener('keyup', handlePushToTalk, true);
+  window.removeEventListener('blur', handlePushToTalk);
+  hideOverlays();
+}
+
+// Which features and preference sections each part of the page uses
+const SETTING_AREAS = {
+  tts: { features: ['tts'], preferences: ['tts', 'preferredVoice'] },
+  stt: { features: ['stt'], preferences: ['stt'] },
+  visual: { features: ['visualAssistance'], preferences: ['visual'] },
+  imageDescription: { features: ['imageDescription'], preferences: [] },
+  cognitive: { features: ['cognitiveSupport'], preferences: ['cognitive'] },
+  video: { features: ['videoAccessibility'], preferences: ['video'] },
+  crossDisability: { features: ['crossDisabilitySupport'], preferences: [] }
+};
+
+// Areas whose features or preferences differ from the previous state
+function getChangedAreas(previousState) {
+  const changed = (previous, current, key) => JSON.stringify(previous?.[key]) !== JSON.stringify(current?.[key]);
+  
+  return Object.keys(SETTING_AREAS).filter(area => {
+    const { features, preferences } = SETTING_AREAS[area];
+    return features.some(key => changed(previousState.activeFeatures, extensionState.activeFeatures, key)) ||
+      preferences.some(key => changed(previousState.userPreferences, extensionState.userPreferences, key));
+  });
+}
+
+// Apply a broadcast feature or preference change. Only the parts of the page
+// whose settings changed are updated, so changing a visual preference in
+// another tab doesn't stop reading in this one.
+function applySettingsChange(previousState) {
+  if (!extensionState.enabled) return;
   
-  // Remove visual enhancements
-  removeVisualEnhancements();
-  removeHighlighting();
+  try {
+    getChangedAreas(previousState).forEach(area => {
+      const wasOn = previousState.activeFeatures[SETTING_AREAS[area].features[0]];
+      AREA_UPDATES[area](Boolean(wasOn));
+    });
+    updateControlPanel();
+  } catch (error) {
+    console.error('Error applying settings change:', error);
+  }
+}
+
+// Bring each area up to date. Each receives whether its feature was on.
+const AREA_UPDATES = {
+  tts(wasOn) {
+    applyTTSPreferences();
+    if (wasOn && extensionState.activeFeatures.tts) {
+      // Keep reading; only the reading aids follow the new preferences
+      configureReadingAids();
+      return;
+    }
+    if (wasOn) cleanupTTS();
+    if (extensionState.activeFeatures.tts) initializeTTS();
+  },
+  
+  stt(wasOn) {
+    if (wasOn && extensionState.activeFeatures.stt && sttState.recognition) {
+      // The listening mode takes effect from the next start
+      configureRecognition();
+      configureVoiceCommands();
+      return;
+    }
+    if (wasOn) cleanupSTT();
+    if (extensionState.activeFeatures.stt) initializeSTT();
+  },
+  
+  visual() {
+    applyVisualAssistance();
+  },
+  
+  imageDescription() {
+    if (extensionState.activeFeatures.imageDescription) processImages();
+  },
+  
+  cognitive() {
+    if (extensionState.activeFeatures.cognitiveSupport) {
+      initializeCognitiveSupport(extensionState);
+    } else {
+      cleanupCognitiveFeatures();
+    }
+  },
+  
+  video() {
+    if (extensionState.activeFeatures.videoAccessibility) initializeVideoAccessibility(extensionState);
+  },
+  
+  crossDisability() {
+    if (extensionState.activeFeatures.crossDisabilitySupport) initCrossDisabilitySupport();
+  }
+};
+
+// Apply the visual enhancements, or remove them when the feature is off
+function applyVisualAssistance() {
+  if (!extensionState.activeFeatures.visualAssistance) {
+    removeVisualEnhancements();
+    return;
+  }
+  
+  const visual = extensionState.userPreferences?.visual || {};
+  updateVisualEnhancements({
+    enabled: true,
+    highContrast: visual.highContrast || false,
+    contrastScheme: visual.contrastScheme || 'dark',
+    customColors: visual.customColors || null,
+    fontAdjustments: visual.fontAdjustments || false,
+    focusHighlight: visual.focusHighlight || false,
+    fontSize: fontSizeInPixels(visual.fontSize),
+    lineHeight: visual.lineHeight || 1.5,
+    letterSpacing: visual.letterSpacing || 0
+  });
 }
 
 // Update applySettings function
@@ -231,6 +503,9 @@ function applySettings() {
   // Set up base event listeners
   setupEventListeners();
   
+  // Voice settings are shared by reading and audio descriptions
+  applyTTSPreferences();
+  
   // Initialize and apply features based on state
   try {
     // Text-to-Speech
@@ -244,22 +519,7 @@ function applySettings() {
     }
     
     // Visual Assistance
-    if (extensionState.activeFeatures.visualAssistance) {
-      // Update the visual module's state first
-      updateVisualEnhancements({
-        enabled: true, // Assuming if visualAssistance is true, the module is enabled
-        highContrast: extensionState.userPreferences?.visual?.highContrast || false,
-        fontAdjustments: extensionState.userPreferences?.visual?.fontAdjustments || false,
-        focusHighlight: extensionState.userPreferences?.visual?.focusHighlight || false,
-        fontSize: extensionState.userPreferences?.visual?.fontSize || 16,
-        lineHeight: extensionState.userPreferences?.visual?.lineHeight || 1.5,
-        letterSpacing: extensionState.userPreferences?.visual?.letterSpacing || 0
-      });
-      // applyVisualEnhancements is called within updateVisualEnhancements
-    } else {
-      // Ensure enhancements are removed if the feature is disabled
-      removeVisualEnhancements();
-    }
+    applyVisualAssistance();
     
     // Image Description
     if (extensionState.activeFeatures.imageDescription) {
@@ -276,6 +536,11 @@ function applySettings() {
       // Alternatively, add a specific cleanup function call here if needed.
     }
     
+    // Video Accessibility (controls, captions, audio description)
+    if (extensionState.activeFeatures.videoAccessibility) {
+      initializeVideoAccessibility(extensionState);
+    }
+    
     // Cross-disability Support
     if (extensionState.activeFeatures.crossDisabilitySupport) {
       initCrossDisabilitySupport();
@@ -293,12 +558,50 @@ function applySettings() {
 }
 
 // Handle specific actions
-function handleAction(action) {
+function handleAction(action, message = {}) {
   switch (action) {
     case 'startTTS':
       startTTS();
       break;
       
+    case 'readSelection':
+      readSelection(message.text);
+      break;
+      
+    case 'readFromElement':
+      readFromElement(getContextTarget() || document.activeElement);
+      break;
+      
+    case 'resumeReading':
+      loadReadingPosition().then(entry => {
+        if (entry) {
+          resumeReading(entry);
+        } else {
+          startTTS();
+        }
+      }).catch(error => console.error('Error loading reading position:', error));
+      break;
+      
+    case 'toggleReadingOverlay':
+      toggleReadingOverlay();
+      break;
+      
+    case 'toggleBrowseMode':
+      toggleBrowseMode(announce);
+      break;
+      
+    case 'readTableRow':
+      readTableRow({ speak: announce, from: document.activeElement });
+      break;
+      
+    case 'readTableColumn':
+      readTableColumn({ speak: announce, from: document.activeElement });
+      break;
+      
+    case 'announceTableSummary':
+      announceTableSummary({ speak: announce, from: document.activeElement });
+      break;
+      
     case 'pauseTTS':
       pauseTTS();
       break;
@@ -314,6 +617,10 @@ function handleAction(action) {
     case 'stopSTT':
       stopSTT();
       break;
+      
+    case 'toggleControlPanel':
+      toggleControlPanel();
+      break;
   }
 }
 
@@ -323,7 +630,8 @@ function handleAction(action) {
 
 // Initialize TTS functionality
 function initializeTTS() {
-  if (!window.speechSynthesis) {
+  initializeSpeechService(extensionState.userPreferences.tts?.engine);
+  if (!speechService.isAvailable()) {
     console.error('Speech synthesis not supported');
     return;
   }
@@ -331,31 +639,91 @@ function initializeTTS() {
   // Initialize visual feedback system
   initializeVisualFeedback();
   
-  // Get available voices
-  ttsState.voices = window.speechSynthesis.getVoices();
+  // Get available voices; engines may load them later
+  ttsState.voices = speechService.getVoices();
+  selectDefaultVoice();
   
-  // If voices array is empty, wait for voiceschanged event
-  if (ttsState.voices.length === 0) {
-    window.speechSynthesis.addEventListener('voiceschanged', () => {
-      ttsState.voices = window.speechSynthesis.getVoices();
-      selectDefaultVoice();
-    });
+  // Set up speech events
+  setupSpeechEvents();
+  
+  configureReadingAids();
+  offerReadingResume();
+}
+
+// Turn hover-to-speak and math exploration on or off from the preferences
+function configureReadingAids() {
+  // Speak buttons, links and images under the pointer
+  const ttsPrefs = extensionState.userPreferences.tts || {};
+  if (ttsPrefs.hoverToSpeak) {
+    enableHoverToSpeak(speakHoverText, ttsPrefs.hoverDelay || DEFAULT_HOVER_DELAY);
   } else {
-    selectDefaultVoice();
+    disableHoverToSpeak();
   }
-  
-  // Set up speech synthesis events
-  setupSpeechEvents();
+
+  // Let formulas be focused and explored part by part
+  if (ttsPrefs.mathExploration !== false) {
+    enableMathExploration(announce, getMathVerbosity);
+  } else {
+    disableMathExploration();
+  }
+}
+
+// Offer to continue reading where the last visit to this page stopped
+function offerReadingResume() {
+  if (ttsState.resumeOffered || extensionState.userPreferences.tts?.resumePrompt === false) return;
+  ttsState.resumeOffered = true;
+
+  loadReadingPosition().then(entry => {
+    if (!entry || ttsState.isReading) return;
+    showResumePrompt(entry, {
+      onResume: () => resumeReading(entry),
+      onStartOver: () => {
+        clearReadingPosition().catch(error => console.error('Error clearing reading position:', error));
+        startTTS();
+      }
+    });
+  }).catch(error => {
+    console.error('Error loading reading position:', error);
+  });
+}
+
+function getMathVerbosity() {
+  return extensionState.userPreferences.tts?.mathVerbosity || 'brief';
+}
+
+// Copy rate, pitch and volume from the TTS preferences
+function applyTTSPreferences() {
+  const prefs = extensionState.userPreferences.tts || {};
+  ttsState.rate = prefs.rate || 1;
+  ttsState.pitch = prefs.pitch || 1;
+  ttsState.volume = prefs.volume === undefined ? 1 : prefs.volume;
+  initializeSpeechService(prefs.engine);
+  ttsState.voices = speechService.getVoices();
+  selectDefaultVoice();
+
+  // Other speakers (audio descriptions, notifications) use the profile's settings
+  speechService.configure({
+    rate: ttsState.rate,
+    pitch: ttsState.pitch,
+    volume: ttsState.volume,
+    voice: ttsState.selectedVoice
+  });
+  setPronunciationDictionary(prefs.pronunciation, {
+    origin: getPageOrigin(),
+    language: document.documentElement.lang || navigator.language
+  });
 }
 
 // Select default voice based on user preferences or browser language
 function selectDefaultVoice() {
   if (ttsState.voices.length === 0) return;
   
-  // Check if user has a preferred voice
-  const preferredVoice = extensionState.userPreferences.preferredVoice;
+  // Check if user has a preferred voice (the options page stores voice names)
+  const ttsPrefs = extensionState.userPreferences.tts || {};
+  const preferredVoice = extensionState.userPreferences.preferredVoice ||
+    (ttsPrefs.voice !== 'default' ? ttsPrefs.voice : null);
   if (preferredVoice) {
-    const voice = ttsState.voices.find(v => v.voiceURI === preferredVoice);
+    const voice = ttsState.voices.find(v => v.voiceURI === preferredVoice || v.name === preferredVoice);
     if (voice) {
       ttsState.selectedVoice = voice;
       return;
@@ -374,28 +742,24 @@ function selectDefaultVoice() {
   ttsState.selectedVoice = ttsState.voices[0];
 }
 
-// Set up speech synthesis events
+// Set up speech events
 function setupSpeechEvents() {
-  // Create a global event listener for speech events
-  window.speechSynthesis.addEventListener('pause', () => {
-    ttsState.isReading = false;
-    updateControlPanel();
-  });
-  
-  window.speechSynthesis.addEventListener('resume', () => {
-    ttsState.isReading = true;
-    updateControlPanel();
-  });
-  
-  window.speechSynthesis.addEventListener('end', () => {
-    ttsState.isReading = false;
-    updateControlPanel();
-    // Move to next item in queue if available
-    if (ttsState.readingQueue.length > 0) {
-      const nextNode = ttsState.readingQueue.shift();
-      readNode(nextNode);
-    }
-  });
+  ttsState.speechSubscriptions.push(
+    speechService.on('pause', () => {
+      ttsState.isReading = false;
+      updateControlPanel();
+    }),
+    speechService.on('resume', () => {
+      ttsState.isReading = true;
+      updateControlPanel();
+    }),
+    // Engines like chrome.tts list their voices after loading
+    speechService.on('voiceschanged', () => {
+      ttsState.voices = speechService.getVoices();
+      selectDefaultVoice();
+      speechService.configure({ voice: ttsState.selectedVoice });
+    })
+  );
 }
 
 // Start reading the page content
@@ -404,8 +768,8 @@ function startTTS() {
   
   if (ttsState.isReading) {
     // Already reading, just resume if paused
-    if (window.speechSynthesis.paused) {
-      window.speechSynthesis.resume();
+    if (speechService.isPaused()) {
+      speechService.resume();
     }
     return;
   }
@@ -429,10 +793,100 @@ function startTTS() {
   readNode(extensionState.readableNodes[0]);
 }
 
+// Read the selected text (or text passed by the context menu)
+function readSelection(text) {
+  if (!extensionState.enabled || !extensionState.activeFeatures.tts) return;
+  
+  const selectedText = (text || getSelectedText()).trim();
+  stopTTS();
+  
+  if (!selectedText) {
+    speakText('No text is selected.');
+    return;
+  }
+  
+  const selection = window.getSelection();
+  const anchor = selection && selection.anchorNode;
+  const element = anchor && (anchor.nodeType === Node.ELEMENT_NODE ? anchor : anchor.parentElement);
+  speakText(selectedText, { language: getReadingLanguage(element || document.body, selectedText) });
+}
+
+// Read the page starting from the paragraph containing (or following) an element
+function readFromElement(element) {
+  if (!extensionState.enabled || !extensionState.activeFeatures.tts) return;
+  
+  stopTTS();
+  
+  if (!element || element === document.body) {
+    startTTS();
+    return;
+  }
+  
+  const { nodes, index } = findReadingStart(getReadableContent(), element);
+  if (index === -1) {
+    speakText('No readable content found after this point.');
+    return;
+  }
+  
+  extensionState.readableNodes = nodes;
+  extensionState.currentNodeIndex = index;
+  
+  toggleProgressBar(true);
+  updateReadingProgress(index, nodes.length);
+  
+  ttsState.readingQueue = nodes.slice(index + 1);
+  readNode(nodes[index]);
+}
+
+// Continue reading from a saved position, or from the top when the
+// saved paragraph is no longer on the page
+function resumeReading(entry) {
+  if (!extensionState.enabled || !extensionState.activeFeatures.tts) return;
+  
+  stopTTS();
+  
+  const nodes = getReadableContent();
+  const position = resolveReadingPosition(entry, nodes);
+  if (!position) {
+    startTTS();
+    return;
+  }
+  
+  extensionState.readableNodes = nodes;
+  extensionState.currentNodeIndex = position.index;
+  
+  toggleProgressBar(true);
+  updateReadingProgress(position.index, nodes.length);
+  
+  ttsState.readingQueue = nodes.slice(position.index + 1);
+  readNode(nodes[position.index], position.textOffset);
+}
+
+// Speak a short announcement (e.g. browse mode moves), interrupting any reading
+function announce(text, options = {}) {
+  stopTTS();
+  speakText(text, options);
+}
+
+// Speak the name of a hovered control without interrupting page reading
+function speakHoverText(text, element) {
+  if (ttsState.isReading && !ttsState.speakingHover) return;
+  
+  speechService.cancel({ source: 'hover' });
+  ttsState.speakingHover = true;
+  speakText(text, {
+    language: getReadingLanguage(element, text),
+    source: 'hover',
+    onDone: () => {
+      ttsState.speakingHover = false;
+    }
+  });
+}
+
 // Pause the current reading
 function pauseTTS() {
-  if (ttsState.isReading && window.speechSynthesis) {
-    window.speechSynthesis.pause();
+  if (ttsState.isReading) {
+    speechService.pause();
     ttsState.isReading = false;
     updateControlPanel();
   }
@@ -440,11 +894,12 @@ function pauseTTS() {
 
 // Stop the current reading
 function stopTTS() {
-  if (window.speechSynthesis) {
-    window.speechSynthesis.cancel();
+  if (speechService.isAvailable()) {
+    speechService.cancel();
     ttsState.isReading = false;
     ttsState.currentUtterance = null;
     ttsState.currentNode = null;
+    ttsState.currentText = '';
     ttsState.readingQueue = [];
     updateControlPanel();
     removeHighlight();
@@ -456,174 +911,316 @@ function stopTTS() {
   }
 }
 
-// Read a specific DOM node
-function readNode(node) {
+// Read a specific DOM node, optionally from a character offset into its text
+// options.endOffset stops at that offset and then reads on from it;
+// options.rate reads just this stretch at another rate
+function readNode(node, startOffset = 0, options = {}) {
   if (!node) return;
   
   // Store current node
   ttsState.currentNode = node;
 
-  // Update progress tracking
-  extensionState.currentNodeIndex++;
+  // Update progress tracking; a node can be read again from part-way through
+  const nodeIndex = extensionState.readableNodes.indexOf(node);
+  extensionState.currentNodeIndex = nodeIndex === -1 ? extensionState.currentNodeIndex + 1 : nodeIndex + 1;
   updateReadingProgress(extensionState.currentNodeIndex, extensionState.readableNodes.length);
 
-  // Highlight the node being read
-  highlightReadingNode(node);
+  // Highlight the node being read; the text map follows inline elements
+  const textMap = highlightReadingNode(node);
+  const alternativeText = getAlternativeText(node);
+  const hasMath = !alternativeText && containsMath(node);
+  const fullText = alternativeText || (hasMath ? getTextWithMath(node, getMathVerbosity()) : textMap.text);
+  let prefix = '';
+  
+  // Resume at the start of the word the offset falls in
+  let offset = Math.min(startOffset, fullText.length);
+  while (offset > 0 && /\S/.test(fullText[offset - 1])) offset--;
+  const end = Math.min(options.endOffset || fullText.length, fullText.length);
+  const text = fullText.slice(offset, end);
+  
+  // If it's a heading, prepend the heading level; images are read by their alt text.
+  // A block resumed part-way through was announced the first time
+  if (offset === 0 && node.tagName && node.tagName.match(/^H[1-6]$/)) {
+    const level = node.tagName.substring(1);
+    prefix = `Heading level ${level}: `;
+  } else if (offset === 0 && alternativeText) {
+    prefix = 'Image: ';
+  }
   
-  // Get the text content
-  let text = node.textContent.trim();
+  // Remember the position for sentence navigation, and so reading can
+  // resume on a later visit
+  const language = getReadingLanguage(node, text);
+  ttsState.currentText = fullText;
+  ttsState.currentLanguage = language;
+  const savePosition = textOffset => {
+    ttsState.currentOffset = textOffset;
+    if (nodeIndex === -1) return;
+    trackReadingPosition({ node, nodeIndex, nodeCount: extensionState.readableNodes.length, textOffset });
+  };
+  savePosition(offset);
+  
+  // Speak the text, highlighting words unless the user turned it off;
+  // spoken math doesn't line up with the page text, so it isn't followed
+  const highlightWords = !alternativeText && !hasMath && extensionState.userPreferences.tts?.highlightText !== false;
+  speakText(prefix + text, {
+    followText: highlightWords,
+    textOffset: prefix.length - offset,
+    language,
+    rate: options.rate,
+    onBoundary: index => savePosition(offset + Math.max(0, index - prefix.length)),
+    continueWith: end < fullText.length ? () => readNode(node, end) : undefined,
+    onDone: event => {
+      // The page was read to the end; there is nothing left to resume
+      const finished = end === fullText.length && ttsState.readingQueue.length === 0;
+      if (nodeIndex !== -1 && event.type === 'end' && !event.cancelled && finished) {
+        clearReadingPosition().catch(error => console.error('Error clearing reading position:', error));
+      }
+    }
+  });
+}
+
+// Move reading to another place in the current page without losing the queue
+function readFromPosition(nodeIndex, offset, options = {}) {
+  const nodes = extensionState.readableNodes;
+  if (nodeIndex < 0 || nodeIndex >= nodes.length) return;
+  
+  // A cancelled utterance doesn't advance the queue, so it can be replaced
+  speechService.cancel();
+  ttsState.readingQueue = nodes.slice(nodeIndex + 1);
+  readNode(nodes[nodeIndex], offset, options);
+}
+
+// Sentence around the word being read, or null when nothing is being read
+function getCurrentSentence() {
+  const nodeIndex = extensionState.readableNodes.indexOf(ttsState.currentNode);
+  if (nodeIndex === -1 || !ttsState.currentText) return null;
+  
+  const language = ttsState.currentLanguage || document.documentElement.lang || navigator.language;
+  const sentence = getSentenceAt(ttsState.currentText, ttsState.currentOffset, language);
+  return sentence && { ...sentence, nodeIndex, language };
+}
+
+// Sentence boundaries of another readable node, for moving across nodes
+function getNodeSentences(nodeIndex, language) {
+  const node = extensionState.readableNodes[nodeIndex];
+  const text = getAlternativeText(node) || buildTextMap(node).text;
+  const sentence = getSentenceAt(text, 0, language);
+  return sentence ? sentence.sentences : [];
+}
+
+// Read on from the next sentence, in this node or the next one
+function nextSentence() {
+  const current = getCurrentSentence();
+  if (!current) {
+    speakText('Nothing is being read.');
+    return;
+  }
   
-  // If it's a heading, prepend the heading level
-  if (node.tagName && node.tagName.match(/^H[1-6]$/)) {
-    const level = node.tagName.substring(1);
-    text = `Heading level ${level}: ${text}`;
+  const next = current.sentences[current.index + 1];
+  if (next) {
+    readFromPosition(current.nodeIndex, next.index);
+  } else if (current.nodeIndex + 1 < extensionState.readableNodes.length) {
+    readFromPosition(current.nodeIndex + 1, 0);
+  } else {
+    announce('End of page.');
+  }
+}
+
+// Read on from the previous sentence, in this node or the one before
+function previousSentence() {
+  const current = getCurrentSentence();
+  if (!current) {
+    speakText('Nothing is being read.');
+    return;
   }
   
-  // Speak the text
-  speakText(text);
+  if (current.index > 0) {
+    readFromPosition(current.nodeIndex, current.sentences[current.index - 1].index);
+  } else if (current.nodeIndex > 0) {
+    const sentences = getNodeSentences(current.nodeIndex - 1, current.language);
+    const last = sentences[sentences.length - 1];
+    readFromPosition(current.nodeIndex - 1, last ? last.index : 0);
+  } else {
+    readFromPosition(0, 0);
+  }
 }
 
-// Speak the given text
-function speakText(text) {
-  if (!window.speechSynthesis || !text) return;
+// Read the current sentence again, optionally slower, then read on
+function repeatSentence({ slower = false } = {}) {
+  const current = getCurrentSentence();
+  if (!current) {
+    speakText('Nothing is being read.');
+    return;
+  }
+  
+  readFromPosition(current.nodeIndex, current.start, {
+    endOffset: slower ? current.end : undefined,
+    rate: slower ? ttsState.rate * SLOW_SENTENCE_RATE : undefined
+  });
+}
+
+// Spell the word being read; reading continues from that word afterwards
+function spellCurrentWord() {
+  if (!ttsState.currentText) {
+    speakText('Nothing is being read.');
+    return;
+  }
   
-  // Create utterance
-  const utterance = new SpeechSynthesisUtterance(text);
+  const language = ttsState.currentLanguage || document.documentElement.lang || navigator.language;
+  const word = getWordAt(ttsState.currentText, ttsState.currentOffset, language);
+  if (!word) return;
   
-  // Set voice and parameters
-  if (ttsState.selectedVoice) {
-    utterance.voice = ttsState.selectedVoice;
+  // High priority interrupts reading, which resumes at the word when done
+  speechService.speak(spellWord(word.text), {
+    priority: 'high',
+    source: 'spelling',
+    language: ttsState.currentLanguage
+  });
+}
+
+// Language to read an element's text in, when automatic language detection is on
+function getReadingLanguage(element, text) {
+  if (!extensionState.userPreferences.tts?.languageDetection || !element) {
+    return undefined;
+  }
+  return resolveNodeLanguage(element, text);
+}
+
+// Voice, rate and pitch for a language: the user's choice for that language,
+// else the default voice if it speaks it, else the best matching voice
+function getVoiceSettings(language) {
+  const settings = { voice: ttsState.selectedVoice, rate: ttsState.rate, pitch: ttsState.pitch };
+  if (!language) return settings;
+  
+  const languagePrefs = getLanguagePreferences(extensionState.userPreferences.tts?.languageVoices, language) || {};
+  const defaultSpeaksLanguage = ttsState.selectedVoice && sameLanguage(ttsState.selectedVoice.lang, language);
+  if (languagePrefs.voice || !defaultSpeaksLanguage) {
+    settings.voice = selectVoiceForLanguage(ttsState.voices, language, languagePrefs.voice) || settings.voice;
+  }
+  settings.rate = languagePrefs.rate || settings.rate;
+  settings.pitch = languagePrefs.pitch || settings.pitch;
+  return settings;
+}
+
+// Speak the given text
+// options.followText highlights each word of the highlighted node as it is spoken;
+// options.onDone(event) runs when the text has been spoken or speech failed;
+// options.onBoundary(index) runs at each word with its index into the text;
+// options.continueWith runs instead of reading the next queued node;
+// options.rate overrides the reading rate for this text;
+// options.language reads the text with a voice for that language;
+// options.source tags the utterance in the speech queue (default 'page')
+function speakText(text, options = {}) {
+  if (!speechService.isAvailable() || !text) return;
+  
+  const voiceSettings = getVoiceSettings(options.language);
+  
+  // Create utterance, spoken with the user's pronunciations
+  const language = options.language || (voiceSettings.voice ? voiceSettings.voice.lang : undefined);
+  const spoken = transformForSpeech(text, { language });
+  const utterance = new SpeechRequest(spoken.text, {
+    source: options.source || 'page',
+    language: options.language,
+    voice: voiceSettings.voice,
+    rate: options.rate || voiceSettings.rate,
+    pitch: voiceSettings.pitch,
+    volume: ttsState.volume
+  });
+  
+  // Word and sentence highlighting
+  if (options.followText) {
+    followSpeechProgress(utterance, {
+      textOffset: options.textOffset || 0,
+      toSourceIndex: spoken.changed ? spoken.toSourceIndex : null
+    });
   }
   
-  utterance.rate = ttsState.rate;
-  utterance.pitch = ttsState.pitch;
-  utterance.volume = ttsState.volume;
+  if (options.onBoundary) {
+    utterance.addEventListener('boundary', (event) => {
+      if (event.name && event.name !== 'word') return;
+      options.onBoundary(spoken.changed ? spoken.toSourceIndex(event.charIndex) : event.charIndex);
+    });
+  }
   
   // Set up events for this utterance
-  utterance.onstart = () => {
+  utterance.addEventListener('start', () => {
     ttsState.isReading = true;
     updateControlPanel();
-  };
+  });
   
-  utterance.onend = () => {
+  utterance.addEventListener('end', (event) => {
     ttsState.isReading = false;
     ttsState.currentUtterance = null;
     updateControlPanel();
-    removeHighlighting();
+    removeHighlight();
+    if (options.onDone) options.onDone(event);
     
     // Move to next item in queue if available
-    if (ttsState.readingQueue.length > 0) {
+    if (event.cancelled) return;
+    if (options.continueWith) {
+      options.continueWith();
+    } else if (ttsState.readingQueue.length > 0) {
       const nextNode = ttsState.readingQueue.shift();
       readNode(nextNode);
     }
-  };
+  });
   
-  utterance.onerror = (event) => {
-    console.error('Speech synthesis error:', event);
+  utterance.addEventListener('error', (event) => {
+    console.error('Speech synthesis error:', event.error);
     ttsState.isReading = false;
     ttsState.currentUtterance = null;
     updateControlPanel();
-    removeHighlighting();
-  };
+    removeHighlight();
+    if (options.onDone) options.onDone(event);
+  });
   
   // Store current utterance
   ttsState.currentUtterance = utterance;
   
   // Speak
-  window.speechSynthesis.speak(utterance);
+  speechService.enqueue(utterance);
 }
 
-// Get readable content from the page
+// Get the readable blocks of the page in reading order, honoring the skip rules
 function getReadableContent() {
-  // Main content selectors (common patterns for main content)
-  const mainSelectors = [
-    'main',
-    'article',
-    '#content',
-    '.content',
-    '.main',
-    '.article'
-  ];
-  
-  // Try to find main content container
-  let mainContent = null;
-  for (const selector of mainSelectors) {
-    const element = document.querySelector(selector);
-    if (element) {
-      mainContent = element;
-      break;
-    }
-  }
-  
-  // If no main content found, use body
-  if (!mainContent) {
-    mainContent = document.body;
-  }
-  
-  // Get all text nodes within the main content
-  const textNodes = [];
-  
-  // First, get all headings as they're important for structure
-  const headings = mainContent.querySelectorAll('h1, h2, h3, h4, h5, h6');
-  headings.forEach(heading => {
-    if (isNodeVisible(heading) && heading.textContent.trim()) {
-      textNodes.push(heading);
-    }
-  });
-  
-  // Then get paragraphs and other text containers
-  const textContainers = mainContent.querySelectorAll('p, li, td, th, figcaption, blockquote');
-  textContainers.forEach(container => {
-    if (isNodeVisible(container) && container.textContent.trim()) {
-      textNodes.push(container);
-    }
-  });
-  
-  return textNodes;
+  return extractPageContent().nodes;
 }
 
-// Check if a node is visible
-function isNodeVisible(node) {
-  const style = window.getComputedStyle(node);
-  return style.display !== 'none' && 
-         style.visibility !== 'hidden' && 
-         style.opacity !== '0' &&
-         node.offsetWidth > 0 &&
-         node.offsetHeight > 0;
+// The page's readable text for the listening queue, one entry per block as
+// page reading would speak it, so it can be played after the tab is closed
+function getListeningContent() {
+  const language = document.documentElement.lang || navigator.language;
+  const blocks = getReadableContent().map(node => {
+    const alternativeText = getAlternativeText(node);
+    if (alternativeText) return `Image: ${alternativeText}`;
+    
+    const text = (containsMath(node) ? getTextWithMath(node, getMathVerbosity()) : node.textContent)
+      .replace(/\s+/g, ' ')
+      .trim();
+    if (!text) return '';
+    const spoken = transformForSpeech(text, { language }).text;
+    return node.tagName.match(/^H[1-6]$/) ? `Heading level ${node.tagName.substring(1)}: ${spoken}` : spoken;
+  }).filter(Boolean);
+  
+  return { url: window.location.href, title: document.title, blocks };
 }
 
-// Highlight the node being read
-function highlightNode(node) {
-  // Remove any existing highlighting
-  removeHighlighting();
-  
-  // Add highlighting class
-  node.classList.add('accessibility-extension-highlight');
-  
-  // Create highlighting style if it doesn't exist
-  if (!document.getElementById('accessibility-extension-styles')) {
-    const style = document.createElement('style');
-    style.id = 'accessibility-extension-styles';
-    style.textContent = `
-      .accessibility-extension-highlight {
-        background-color: rgba(66, 133, 244, 0.2) !important;
-        outline: 2px solid rgba(66, 133, 244, 0.8) !important;
-        border-radius: 2px !important;
-      }
-    `;
-    document.head.appendChild(style);
-  }
-  
-  // Scroll to the node if needed
-  node.scrollIntoView({ behavior: 'smooth', block: 'center' });
+// Run the content extractor with the user's skip rules
+function extractPageContent() {
+  const ttsPrefs = extensionState.userPreferences.tts || {};
+  return extractReadableContent({
+    skipElements: ttsPrefs.skipElements || [],
+    skipSelectors: ttsPrefs.skipSelectors || ''
+  });
 }
 
-// Remove highlighting from all nodes
-function removeHighlighting() {
-  const highlighted = document.querySelectorAll('.accessibility-extension-highlight');
-  highlighted.forEach(node => {
-    node.classList.remove('accessibility-extension-highlight');
-  });
+// Show or hide the overlay outlining what will and will not be read
+function toggleReadingOverlay() {
+  if (isExtractionOverlayShown()) {
+    hideExtractionOverlay();
+  } else {
+    showExtractionOverlay(extractPageContent());
+  }
 }
 
 // ============================================================
@@ -642,194 +1239,264 @@ function initializeSTT() {
   sttState.recognition = new SpeechRecognition();
   
   // Configure recognition
-  sttState.recognition.continuous = true;
   sttState.recognition.interimResults = true;
-  sttState.recognition.lang = navigator.language || 'en-US';
+  // Alternatives let a less likely hearing match a command
+  sttState.recognition.maxAlternatives = 3;
+  configureRecognition();
+  listeningController.attach(sttState.recognition, { onStop: handleListeningStopped });
+  
+  configureVoiceCommands();
   
   // Set up recognition events
   setupRecognitionEvents();
 }
 
+// Apply the recognition language and listening mode from the preferences.
+// The voice commands switch to the recognition language's command set.
+function configureRecognition() {
+  const prefs = extensionState.userPreferences.stt || {};
+  const language = prefs.language || navigator.language || 'en-US';
+  
+  sttState.recognition.continuous = prefs.continuousRecognition !== false;
+  sttState.recognition.lang = language;
+  voiceCommands.setLanguage(language);
+  dictationCommands.setLanguage(language);
+  listeningController.configure(prefs);
+}
+
+// Listening ended without the user stopping it
+function handleListeningStopped(reason) {
+  if (reason === 'timeout') {
+    speakText('Stopped listening.');
+  } else if (reason === 'not-allowed' || reason === 'service-not-allowed') {
+    speakText('Stopped listening. Microphone access is blocked.');
+  } else {
+    speakText('Stopped listening. Speech recognition is not working.');
+  }
+  stopSTT();
+}
+
+// Register the built-in voice commands and load the user's own
+function configureVoiceCommands() {
+  const prefs = extensionState.userPreferences.stt || {};
+  
+  voiceCommands.register(createDefaultCommands({
+    speak: text => speakText(text),
+    startReading: () => startTTS(),
+    stopReading: () => stopTTS(),
+    pauseReading: () => pauseTTS(),
+    resumeReading: () => {
+      if (speechService.isPaused()) {
+        speechService.resume();
+      } else {
+        startTTS();
+      }
+    },
+    nextSentence: () => nextSentence(),
+    previousSentence: () => previousSentence(),
+    repeatSentence: () => repeatSentence(),
+    slowerSentence: () => repeatSentence({ slower: true }),
+    spellWord: () => spellCurrentWord(),
+    setHighContrast: enabled => {
+      visualState.highContrastEnabled = enabled;
+      applyVisualEnhancements();
+    },
+    startDictation: () => setVoiceMode('dictation')
+  }));
+  voiceCommands.register(createOverlayCommands({ speak: text => speakText(text) }));
+  dictationCommands.register(createDictationCommands({
+    speak: text => speakText(text),
+    setMode: setVoiceMode
+  }));
+  voiceCommands.setMinConfidence(prefs.commandConfidence ?? DEFAULT_MIN_CONFIDENCE);
+  dictationCommands.setMinConfidence(prefs.commandConfidence ?? DEFAULT_MIN_CONFIDENCE);
+  voiceCommands.setAliases(prefs.commandAliases || []);
+  dictationCommands.setAliases(prefs.commandAliases || []);
+  voiceCommands.setCustomCommands(prefs.customCommands || []);
+}
+
 // Set up speech recognition events
 function setupRecognitionEvents() {
   if (!sttState.recognition) return;
   
   sttState.recognition.onstart = () => {
     sttState.isListening = true;
-    updateVoiceStatus(true);
+    updateVoiceStatus(true, '', getVoiceMode());
     updateControlPanel();
   };
   
   sttState.recognition.onend = () => {
     sttState.isListening = false;
+    // Recognition ends after pauses; keep the indicator up while it restarts
+    if (listeningController.handleEnd()) return;
+    
     updateVoiceStatus(false);
     updateControlPanel();
   };
   
   sttState.recognition.onerror = (event) => {
-    console.error('Speech recognition error:', event.error);
-    sttState.isListening = false;
-    updateVoiceStatus(false);
-    updateControlPanel();
+    // Silence and aborted sessions end recognition, which restarts it
+    if (event.error !== 'no-speech' && event.error !== 'aborted') {
+      console.error('Speech recognition error:', event.error);
+    }
+    listeningController.handleError(event.error);
   };
   
   sttState.recognition.onresult = (event) => {
-    const transcript = Array.from(event.results)
+    listeningController.noteSpeech();
+    
+    // Continuous recognition keeps earlier phrases in results; only the new ones are commands
+    const results = Array.from(event.results).slice(event.resultIndex);
+    const transcript = results
       .map(result => result[0].transcript)
       .join('');
     
     // Check if this is a final result
-    const isFinal = event.results[event.results.length - 1].isFinal;
+    const lastResult = event.results[event.results.length - 1];
+    const isFinal = lastResult.isFinal;
     
     // Update voice status with current transcript
-    updateVoiceStatus(true, transcript);
+    updateVoiceStatus(true, transcript, getVoiceMode());
     
     if (isFinal) {
-      processVoiceCommand(transcript);
+      const alternatives = listeningController.filterAlternatives(
+        Array.from(lastResult, ({ transcript, confidence }) => ({ transcript, confidence }))
+      );
+      if (alternatives.length === 0) return;
+      
+      if (getVoiceMode() === 'dictation') {
+        processDictation(alternatives);
+      } else {
+        processVoiceCommand(alternatives);
+      }
     }
   };
 }
 
+// Speech is typed while dictation mode is on and a text field has focus
+function getVoiceMode() {
+  return sttState.mode === 'dictation' && isDictationTarget(document.activeElement) ? 'dictation' : 'command';
+}
+
+// Switch between running commands and typing speech
+function setVoiceMode(mode) {
+  sttState.mode = mode;
+  sttState.commandModeTarget = mode === 'command' ? document.activeElement : null;
+  
+  if (mode === 'dictation' && !isDictationTarget(document.activeElement)) {
+    speakText('Dictation is on. Move to a text field to type.');
+  }
+  updateVoiceStatus(sttState.isListening, '', getVoiceMode());
+}
+
+// Moving into a text field starts dictation, unless the user switched to commands there
+function handleDictationFocus(event) {
+  const sttPrefs = extensionState.userPreferences.stt || {};
+  if (event.type === 'focusin' && sttPrefs.autoDictation !== false &&
+      isDictationTarget(event.target) && event.target !== sttState.commandModeTarget) {
+    sttState.mode = 'dictation';
+  }
+  
+  // Focus has not moved to the next element yet when focusout fires
+  setTimeout(() => {
+    if (sttState.isListening) {
+      updateVoiceStatus(true, '', getVoiceMode());
+    }
+  }, 0);
+}
+
+// Hold the push-to-talk key to listen
+function handlePushToTalk(event) {
+  if (event.type === 'keydown') {
+    if (listeningController.handleKeyDown(event)) {
+      event.stopPropagation();
+    }
+  } else if (event.type === 'keyup') {
+    listeningController.handleKeyUp(event);
+  } else {
+    listeningController.release();
+  }
+}
+
+// Listening mode and state, for the popup and control panel
+function getListeningStatus() {
+  const prefs = extensionState.userPreferences.stt || {};
+  if (!listeningController.isActive()) {
+    listeningController.configure(prefs);
+  }
+  return listeningController.getStatus();
+}
+
 // Start speech recognition
 function startSTT() {
   if (!extensionState.enabled || !extensionState.activeFeatures.stt) return;
   
-  if (sttState.isListening) return;
+  if (listeningController.isActive()) return;
   
   if (!sttState.recognition) {
     initializeSTT();
+    if (!sttState.recognition) return;
   }
   
-  try {
-    sttState.recognition.start();
-    sttState.commandMode = true; // Start in command mode
-  } catch (error) {
-    console.error('Error starting speech recognition:', error);
+  configureRecognition();
+  listeningController.start();
+  // Start in command mode, or dictating when a text field has focus
+  sttState.mode = 'command';
+  sttState.commandModeTarget = null;
+  handleDictationFocus({ type: 'focusin', target: document.activeElement });
+  document.addEventListener('focusin', handleDictationFocus);
+  document.addEventListener('focusout', handleDictationFocus);
+  if (listeningController.getMode() === 'pushToTalk') {
+    document.addEventListener('keydown', handlePushToTalk, true);
+    document.addEventListener('keyup', handlePushToTalk, true);
+    window.addEventListener('blur', handlePushToTalk);
   }
+  updateControlPanel();
 }
 
 // Stop speech recognition
 function stopSTT() {
-  if (sttState.isListening && sttState.recognition) {
-    try {
-      sttState.recognition.stop();
-    } catch (error) {
-      console.error('Error stopping speech recognition:', error);
-    }
+  if (listeningController.isActive() || sttState.isListening) {
+    listeningController.stop();
     sttState.isListening = false;
-    sttState.commandMode = false;
+    sttState.mode = 'command';
+    document.removeEventListener('focusin', handleDictationFocus);
+    document.removeEventListener('focusout', handleDictationFocus);
+    document.removeEventListener('keydown', handlePushToTalk, true);
+    document.removeEventListener('keyup', handlePushToTalk, true);
+    window.removeEventListener('blur', handlePushToTalk);
+    updateVoiceStatus(false);
+    clearDictationHistory();
+    hideOverlays();
     updateControlPanel();
   }
 }
 
 // Process voice commands
-function processVoiceCommand(transcript) {
-  // Convert to lowercase for easier matching
-  const command = transcript.toLowerCase().trim();
-  
-  console.log('Processing voice command:', command);
-  
-  // Basic commands
-  if (command.includes('stop reading') || command.includes('stop speaking')) {
-    stopTTS();
-    return;
-  }
-  
-  if (command.includes('start reading') || command.includes('read page')) {
-    startTTS();
-    return;
-  }
+async function processVoiceCommand(alternatives) {
+  console.log('Processing voice command:', alternatives[0] && alternatives[0].transcript);
   
-  if (command.includes('pause reading') || command.includes('pause speech')) {
-    pauseTTS();
-    return;
-  }
-  
-  if (command.includes('resume reading') || command.includes('continue reading')) {
-    if (window.speechSynthesis && window.speechSynthesis.paused) {
-      window.speechSynthesis.resume();
-    } else {
-      startTTS();
-    }
-    return;
-  }
-  
-  // Navigation commands
-  if (command.includes('scroll down')) {
-    window.scrollBy({ top: window.innerHeight / 2, behavior: 'smooth' });
-    return;
-  }
-  
-  if (command.includes('scroll up')) {
-    window.scrollBy({ top: -window.innerHeight / 2, behavior: 'smooth' });
-    return;
-  }
-  
-  if (command.includes('go back')) {
-    window.history.back();
-    return;
-  }
-  
-  if (command.includes('go forward')) {
-    window.history.forward();
-    return;
-  }
-  
-  // Click commands - find links or buttons with matching text
-  if (command.includes('click')) {
-    const target = command.replace('click', '').trim();
-    if (target) {
-      clickElementWithText(target);
-    }
-    return;
-  }
-  
-  // Toggle features
-  if (command.includes('enable high contrast') || command.includes('turn on high contrast')) {
-    visualState.highContrastEnabled = true;
-    applyVisualEnhancements();
-    return;
-  }
-  
-  if (command.includes('disable high contrast') || command.includes('turn off high contrast')) {
-    visualState.highContrastEnabled = false;
-    applyVisualEnhancements();
-    return;
-  }
+  const { status, match } = await voiceCommands.handle(alternatives);
   
   // If no command matched, provide feedback
-  speakText('Command not recognized. Please try again.');
+  if (status === 'unrecognized') {
+    speakText('Command not recognized. Please try again.');
+  } else if (status === 'unsure') {
+    speakText(`Did you mean "${match.command.description}"? Please say it again.`);
+  } else if (status === 'failed') {
+    speakText(`Could not ${match.command.description.toLowerCase()}.`);
+  }
 }
 
-// Find and click an element with matching text
-function clickElementWithText(text) {
-  // Normalize the search text
-  const searchText = text.toLowerCase();
-  
-  // Find all clickable elements
-  const clickableElements = document.querySelectorAll('a, button, [role="button"], input[type="submit"], input[type="button"]');
-  
-  // Try to find an element with matching text
-  for (const element of clickableElements) {
-    const elementText = element.textContent.toLowerCase();
-    if (elementText.includes(searchText)) {
-      element.click();
-      speakText(`Clicked ${element.textContent.trim()}`);
-      return;
-    }
+// Type dictated speech, unless the whole utterance is an editing command
+async function processDictation(alternatives) {
+  const { status, match } = await dictationCommands.handle(alternatives);
+  
+  if (status === 'unrecognized') {
+    insertDictation(alternatives[0].transcript);
+  } else if (status === 'unsure') {
+    speakText(`Did you mean "${match.command.description}"? Please say it again.`);
   }
-  
-  // If no exact match, try to find a partial match
-  for (const element of clickableElements) {
-    const elementText = element.textContent.toLowerCase();
-    if (elementText.includes(searchText.split(' ')[0])) {
-      element.click();
-      speakText(`Clicked ${element.textContent.trim()}`);
-      return;
-    }
-  }
-  
-  speakText(`Could not find element containing "${text}"`);
 }
 
 // ============================================================
@@ -975,11 +1642,10 @@ async function processImages() {
       
       try {
         // Process this image
-        const description = await processImage(img);
-        img.setAttribute('alt', description);
+        const { confidence } = await processImage(img);
         indicator.style.border = '2px solid #34A853';
         indicator.style.background = 'rgba(52, 168, 83, 0.1)';
-        indicator.innerHTML = '✓ Described';
+        indicator.innerHTML = `✓ Described (${Math.round(confidence * 100)}% confidence)`;
         
         // Remove the indicator after 3 seconds
         setTimeout(() => {
@@ -1032,69 +1698,23 @@ async function processImages() {
 
 // Process a single image to generate a description
 async function processImage(img) {
-  // Add loading indicator
-  const loadingIndicator = document.createElement('div');
-  loadingIndicator.className = 'accessibility-extension-loading';
-  loadingIndicator.textContent = '🔄 Processing...';
-  loadingIndicator.style.cssText = `
-    position: absolute;
-    background: rgba(66, 133, 244, 0.1);
-    color: #4285F4;
-    padding: 4px 8px;
-    border-radius: 4px;
-    font-size: 12px;
-    z-index: 1000;
-  `;
+  const detail = extensionState.userPreferences?.visual?.descriptionDetail || 'detailed';
+  const { description, confidence, source } = await requestImageDescription(img, detail);
 
-  try {
-    // In a real implementation, we would use an image recognition API
-    // For this demo, we'll just add a simple description after a delay
-    const description = await new Promise(resolve => {
-      setTimeout(() => {
-        const url = img.src;
-        const filename = url.substring(url.lastIndexOf('/') + 1);
-        resolve(`Image: ${filename.split('.')[0].replace(/[-_]/g, ' ')}`);
-      }, 1000);
-    });
+  // Set the alt text and mark as processed
+  img.setAttribute('alt', description);
+  img.setAttribute('data-processed', 'true');
+  img.setAttribute('data-description-source', source);
+  img.setAttribute('data-description-confidence', confidence.toFixed(2));
 
-    // Set the alt text and mark as processed
-    img.setAttribute('alt', description);
-    img.setAttribute('data-processed', 'true');
-
-    // Add hover effect and click-to-speak if TTS is enabled
-    img.title = description;
-    if (extensionState.activeFeatures.tts) {
-      img.style.cursor = 'pointer';
-      img.addEventListener('click', () => speakText(description));
-    }
-
-    return description;
-  } catch (error) {
-    console.error('Error processing image:', error);
-    throw error;
-  } finally {
-    loadingIndicator.remove();
+  // Add click-to-speak if TTS is enabled. The page's title is left alone:
+  // it is one of the inputs to the description heuristics.
+  if (extensionState.activeFeatures.tts) {
+    img.style.cursor = 'pointer';
+    img.addEventListener('click', () => speakText(description));
   }
-}
 
-// Generate a mock description for testing
-function generateMockDescription(img) {
-  const aspectRatio = img.width / img.height;
-  const size = `${img.width}x${img.height}`;
-  let type = 'image';
-  
-  if (aspectRatio > 2) {
-    type = 'landscape banner';
-  } else if (aspectRatio < 0.5) {
-    type = 'vertical banner';
-  } else if (Math.abs(aspectRatio - 1) < 0.1) {
-    type = 'square image';
-  }
-  
-  // Extract filename from src
-  const filename = img.src.split('/').pop().split('?')[0];
-  
-  return `A ${type} (${size}) - ${filename}`;
+  return { description, confidence };
 }
 
 // Start the content script
@@ -1102,9 +1722,18 @@ initialize();
 
 // Export functions for use in other modules
 export {
+  extensionState,
+  visualState,
+  ttsState,
+  announce,
   startTTS,
   pauseTTS,
   stopTTS,
+  nextSentence,
+  previousSentence,
+  repeatSentence,
+  spellCurrentWord,
   startSTT,
-  stopSTT
+  stopSTT,
+  getListeningStatus
 };
\ No newline at end of file
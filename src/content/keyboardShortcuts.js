@@ -7,9 +7,12 @@
 
 // Import necessary state and functions
 import { extensionState } from './index';
-import { startTTS, stopTTS, pauseTTS } from './index';
+import { startTTS, stopTTS, pauseTTS, announce, ttsState } from './index';
+import { nextSentence, previousSentence, repeatSentence, spellCurrentWord } from './index';
 import { startSTT, stopSTT } from './index';
-import { showControlPanel, hideControlPanel } from './controlPanel';
+import { hideControlPanel, toggleControlPanel } from './controlPanel';
+import { toggleBrowseMode, isTypingTarget } from './browseMode';
+import { moveTableCell, readTableRow, readTableColumn, announceTableSummary } from './tableNavigation';
 
 // Keyboard shortcuts configuration
 const defaultShortcuts = {
@@ -21,8 +24,21 @@ const defaultShortcuts = {
   decreaseSpeed: { key: 'ArrowDown', altKey: true, description: 'Decrease reading speed' },
   skipForward: { key: 'ArrowRight', altKey: true, description: 'Skip to next section' },
   skipBackward: { key: 'ArrowLeft', altKey: true, description: 'Skip to previous section' },
+  nextSentence: { key: 'ArrowRight', altKey: true, shiftKey: true, description: 'Read from the next sentence' },
+  previousSentence: { key: 'ArrowLeft', altKey: true, shiftKey: true, description: 'Read from the previous sentence' },
+  repeatSentence: { key: 'ArrowUp', altKey: true, shiftKey: true, description: 'Repeat the current sentence' },
+  slowerSentence: { key: 'ArrowDown', altKey: true, shiftKey: true, description: 'Read the current sentence slower' },
+  spellWord: { key: 'W', altKey: true, shiftKey: true, description: 'Spell the current word' },
   toggleHighContrast: { key: 'H', altKey: true, shiftKey: true, description: 'Toggle high contrast' },
   toggleFocus: { key: 'F', altKey: true, shiftKey: true, description: 'Toggle focus mode' },
+  toggleBrowseMode: { key: 'B', altKey: true, shiftKey: true, description: 'Toggle browse mode (single-key navigation)' },
+  tableNextColumn: { key: 'ArrowRight', ctrlKey: true, altKey: true, description: 'Next table cell in the row' },
+  tablePreviousColumn: { key: 'ArrowLeft', ctrlKey: true, altKey: true, description: 'Previous table cell in the row' },
+  tableNextRow: { key: 'ArrowDown', ctrlKey: true, altKey: true, description: 'Next table cell in the column' },
+  tablePreviousRow: { key: 'ArrowUp', ctrlKey: true, altKey: true, description: 'Previous table cell in the column' },
+  tableReadRow: { key: 'R', ctrlKey: true, altKey: true, shiftKey: true, description: 'Read the current table row' },
+  tableReadColumn: { key: 'C', ctrlKey: true, altKey: true, shiftKey: true, description: 'Read the current table column' },
+  tableSummary: { key: 'T', ctrlKey: true, altKey: true, shiftKey: true, description: 'Announce the table size and caption' },
   emergencyStop: { key: 'Escape', description: 'Stop all active features' }
 };
 
@@ -63,8 +79,10 @@ function handleKeyboardShortcuts(event) {
   // Check for matching shortcuts
   for (const [action, shortcut] of Object.entries(activeShortcuts)) {
     if (isShortcutMatch(event, shortcut)) {
-      executeShortcut(action);
-      event.preventDefault();
+      // Shortcuts that don't apply here (e.g. table keys outside a table) pass through
+      if (executeShortcut(action, event) !== false) {
+        event.preventDefault();
+      }
       return;
     }
   }
@@ -82,15 +100,19 @@ function isShortcutMatch(event, shortcut) {
 
 /**
  * Execute the action for a given shortcut
+ * @returns {boolean|undefined} False when the shortcut didn't apply
  */
-function executeShortcut(action) {
+function executeShortcut(action, event) {
+  // Table commands work from the focused cell, or the cell being read
+  const tableOptions = {
+    speak: announce,
+    from: document.activeElement !== document.body ? document.activeElement : ttsState.currentNode
+  };
+  const inTextField = event && isTypingTarget(event.target);
+  
   switch (action) {
     case 'togglePanel':
-      if (typeof controlPanel !== 'undefined' && controlPanel.style.display !== 'none') {
-        hideControlPanel();
-      } else {
-        showControlPanel();
-      }
+      toggleControlPanel();
       break;
       
     case 'toggleReading':
@@ -143,6 +165,36 @@ function executeShortcut(action) {
       }
       break;
       
+    case 'nextSentence':
+      if (extensionState.activeFeatures.tts) {
+        nextSentence();
+      }
+      break;
+      
+    case 'previousSentence':
+      if (extensionState.activeFeatures.tts) {
+        previousSentence();
+      }
+      break;
+      
+    case 'repeatSentence':
+      if (extensionState.activeFeatures.tts) {
+        repeatSentence();
+      }
+      break;
+      
+    case 'slowerSentence':
+      if (extensionState.activeFeatures.tts) {
+        repeatSentence({ slower: true });
+      }
+      break;
+      
+    case 'spellWord':
+      if (extensionState.activeFeatures.tts) {
+        spellCurrentWord();
+      }
+      break;
+      
     case 'toggleHighContrast':
       if (extensionState.activeFeatures.visualAssistance) {
         toggleHighContrast();
@@ -154,6 +206,31 @@ function executeShortcut(action) {
         toggleFocusMode();
       }
       break;
+      
+    case 'toggleBrowseMode':
+      toggleBrowseMode(announce);
+      break;
+      
+    case 'tableNextColumn':
+      return !inTextField && moveTableCell('right', tableOptions);
+      
+    case 'tablePreviousColumn':
+      return !inTextField && moveTableCell('left', tableOptions);
+      
+    case 'tableNextRow':
+      return !inTextField && moveTableCell('down', tableOptions);
+      
+    case 'tablePreviousRow':
+      return !inTextField && moveTableCell('up', tableOptions);
+      
+    case 'tableReadRow':
+      return !inTextField && readTableRow(tableOptions);
+      
+    case 'tableReadColumn':
+      return !inTextField && readTableColumn(tableOptions);
+      
+    case 'tableSummary':
+      return !inTextField && announceTableSummary(tableOptions);
   }
 }
 
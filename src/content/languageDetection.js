@@ -0,0 +1,199 @@
+/**
+ * Language Detection Module
+ *
+ * Works out the language of each readable node so it can be read with a
+ * matching voice. A `lang` attribute on the node or one of its ancestors is
+ * trusted first; otherwise the text is run through an offline detector that
+ * looks at the writing system and, for Latin-script text, at common words and
+ * characters of each supported language. The root <html lang> is only used
+ * when detection isn't confident, since many pages declare one language for
+ * content that mixes several.
+ */
+
+// Scripts that identify a language by themselves
+const SCRIPT_LANGUAGES = [
+  { language: 'hi', pattern: /[ऀ-ॿ]/g },
+  { language: 'bn', pattern: /[ঀ-৿]/g },
+  { language: 'ta', pattern: /[஀-௿]/g },
+  { language: 'ar', pattern: /[؀-ۿ]/g },
+  { language: 'he', pattern: /[֐-׿]/g },
+  { language: 'el', pattern: /[Ͱ-Ͽ]/g },
+  { language: 'ru', pattern: /[Ѐ-ӿ]/g },
+  { language: 'th', pattern: /[฀-๿]/g },
+  { language: 'ko', pattern: /[가-힯ᄀ-ᇿ]/g },
+  { language: 'ja', pattern: /[぀-ヿ]/g },
+  { language: 'zh', pattern: /[一-鿿]/g }
+];
+
+// Frequent words and distinctive characters of Latin-script languages
+const LATIN_PROFILES = {
+  en: {
+    words: ['the', 'and', 'of', 'to', 'is', 'in', 'that', 'it', 'for', 'with', 'was', 'on', 'are', 'this', 'you', 'be', 'have', 'not', 'from', 'by'],
+    characters: ''
+  },
+  es: {
+    words: ['el', 'la', 'de', 'que', 'y', 'en', 'los', 'las', 'por', 'con', 'una', 'para', 'es', 'del', 'se', 'no', 'como', 'más', 'pero', 'su'],
+    characters: 'ñ¿¡áíóú'
+  },
+  fr: {
+    words: ['le', 'la', 'les', 'de', 'des', 'et', 'est', 'une', 'un', 'du', 'que', 'qui', 'pour', 'dans', 'pas', 'sur', 'avec', 'au', 'ce', 'vous'],
+    characters: 'çèêëàâîïôûœ'
+  },
+  de: {
+    words: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'ein', 'eine', 'zu', 'den', 'mit', 'sich', 'des', 'auf', 'für', 'im', 'dem', 'auch', 'es', 'sie'],
+    characters: 'äöüß'
+  },
+  it: {
+    words: ['il', 'di', 'che', 'e', 'la', 'per', 'un', 'una', 'sono', 'non', 'gli', 'le', 'del', 'della', 'con', 'si', 'come', 'anche', 'è', 'ma'],
+    characters: 'ìòù'
+  },
+  pt: {
+    words: ['o', 'a', 'de', 'que', 'e', 'do', 'da', 'em', 'um', 'uma', 'para', 'com', 'não', 'os', 'as', 'no', 'na', 'por', 'mais', 'são'],
+    characters: 'ãõç'
+  },
+  nl: {
+    words: ['de', 'het', 'een', 'en', 'van', 'is', 'niet', 'dat', 'op', 'te', 'zijn', 'voor', 'met', 'ook', 'wordt', 'maar', 'bij', 'dit', 'er', 'ik'],
+    characters: 'ĳ'
+  }
+};
+
+// Texts shorter than this are too short to detect reliably
+const MIN_DETECTION_LENGTH = 20;
+
+// Share of a score the best language needs over the runner-up
+const MIN_CONFIDENCE = 0.6;
+
+/**
+ * Detect the language of a text
+ * @param {string} text - Text to examine
+ * @returns {Object|null} { language, confidence } or null when unsure
+ */
+export function detectLanguage(text) {
+  const sample = (text || '').slice(0, 1000);
+  if (sample.replace(/\s+/g, '').length < MIN_DETECTION_LENGTH) {
+    return null;
+  }
+
+  // Non-Latin scripts decide on their own
+  const letters = (sample.match(/\p{L}/gu) || []).length;
+  let bestScript = null;
+  SCRIPT_LANGUAGES.forEach(({ language, pattern }) => {
+    const count = (sample.match(pattern) || []).length;
+    if (count > 0 && (!bestScript || count > bestScript.count)) {
+      bestScript = { language, count };
+    }
+  });
+  if (bestScript && bestScript.count / letters >= 0.5) {
+    // Kana mixed with Han characters is Japanese
+    if (bestScript.language === 'zh' && /[぀-ヿ]/.test(sample)) {
+      return { language: 'ja', confidence: 1 };
+    }
+    return { language: bestScript.language, confidence: Math.min(1, bestScript.count / letters) };
+  }
+
+  return detectLatinLanguage(sample);
+}
+
+/**
+ * Score Latin-script text against each language profile
+ */
+function detectLatinLanguage(text) {
+  const lower = text.toLowerCase();
+  const words = lower.match(/\p{L}+/gu) || [];
+  if (words.length === 0) return null;
+
+  const scores = Object.entries(LATIN_PROFILES).map(([language, profile]) => {
+    const common = new Set(profile.words);
+    let score = words.filter(word => common.has(word)).length;
+    for (const char of lower) {
+      if (profile.characters.includes(char)) score += 2;
+    }
+    return { language, score };
+  }).sort((a, b) => b.score - a.score);
+
+  const [best, second] = scores;
+  if (best.score === 0) return null;
+
+  const confidence = (best.score - second.score) / best.score;
+  return confidence >= MIN_CONFIDENCE || (best.score >= 3 && confidence >= MIN_CONFIDENCE / 2)
+    ? { language: best.language, confidence }
+    : null;
+}
+
+/**
+ * Language declared for an element by a `lang` attribute
+ * @param {Element} element - Element
+ * @param {boolean} includeRoot - Whether <html lang> counts
+ * @returns {string} Language tag, or ''
+ */
+export function getDeclaredLanguage(element, includeRoot = true) {
+  const declared = element && element.closest('[lang]');
+  if (!declared || (!includeRoot && declared === document.documentElement)) {
+    return '';
+  }
+  return declared.getAttribute('lang').trim();
+}
+
+/**
+ * Resolve the language a node should be read in
+ * @param {Element} node - Readable node
+ * @param {string} text - Text of the node
+ * @returns {string} Language tag
+ */
+export function resolveNodeLanguage(node, text) {
+  const declared = getDeclaredLanguage(node, false);
+  if (declared) return declared;
+
+  const pageLanguage = getDeclaredLanguage(node) || navigator.language || 'en';
+  const detected = detectLanguage(text);
+  if (!detected || sameLanguage(detected.language, pageLanguage)) {
+    return pageLanguage;
+  }
+  return detected.language;
+}
+
+/**
+ * Whether two language tags share a primary language
+ */
+export function sameLanguage(a, b) {
+  return Boolean(a && b) && a.split('-')[0].toLowerCase() === b.split('-')[0].toLowerCase();
+}
+
+/**
+ * Voice settings for a language from the per-language preferences
+ * @param {Object} languageVoices - { [language]: { voice, rate, pitch } }
+ * @param {string} language - Language tag
+ * @returns {Object|null} Settings for the exact tag, else its primary language
+ */
+export function getLanguagePreferences(languageVoices, language) {
+  if (!languageVoices || !language) return null;
+
+  const tag = language.toLowerCase();
+  const key = Object.keys(languageVoices).find(code => code.toLowerCase() === tag) ||
+    Object.keys(languageVoices).find(code => code.toLowerCase() === tag.split('-')[0]);
+  return key ? languageVoices[key] : null;
+}
+
+/**
+ * Pick the best voice for a language
+ * @param {Array<SpeechSynthesisVoice>} voices - Available voices
+ * @param {string} language - Language tag
+ * @param {string} preferredVoice - Name or URI of the voice the user chose for this language
+ * @returns {SpeechSynthesisVoice|null} Voice, or null when none speaks the language
+ */
+export function selectVoiceForLanguage(voices, language, preferredVoice = null) {
+  if (!language) return null;
+
+  if (preferredVoice) {
+    const voice = voices.find(v => v.voiceURI === preferredVoice || v.name === preferredVoice);
+    if (voice) return voice;
+  }
+
+  const tag = language.toLowerCase();
+  const exact = voices.filter(v => v.lang && v.lang.toLowerCase().replace('_', '-') === tag);
+  const related = voices.filter(v => sameLanguage(v.lang && v.lang.replace('_', '-'), language));
+
+  // Prefer the browser's default voice, then on-device voices
+  const rank = list => list.find(v => v.default) || list.find(v => v.localService) || list[0];
+  return rank(exact) || rank(related) || null;
+}
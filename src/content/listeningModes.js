@@ -0,0 +1,334 @@
+/**
+ * Listening Modes
+ *
+ * Decides when speech recognition runs. Always-on listening only acts on
+ * utterances that start with the wake phrase, push-to-talk listens while a
+ * key is held, and timed sessions stop after a stretch of silence. The
+ * browser ends recognition by itself after pauses and errors, so the
+ * controller restarts it while the user still wants to be listened to.
+ */
+
+import { parseShortcut } from './voiceCommands.js';
+
+export const LISTENING_MODES = {
+  alwaysOn: { label: 'Always on' },
+  pushToTalk: { label: 'Push to talk' },
+  timed: { label: 'Timed session' }
+};
+
+export const DEFAULT_LISTENING_MODE = 'alwaysOn';
+export const DEFAULT_PUSH_TO_TALK_KEY = 'Ctrl+Space';
+export const DEFAULT_RECOGNITION_TIMEOUT = 30;
+
+// How long the wake phrase on its own keeps listening for the next utterance
+const WAKE_WINDOW = 8000;
+
+// Delay before restarting, doubled for each session that ends straight away
+const RESTART_DELAY = 250;
+
+// Sessions shorter than this count as failed restarts
+const MIN_SESSION_LENGTH = 1000;
+const MAX_FAILED_RESTARTS = 5;
+
+// Errors that restarting can't fix
+const FATAL_ERRORS = ['not-allowed', 'service-not-allowed', 'audio-capture', 'language-not-supported'];
+
+const MODIFIER_KEYS = { ctrlKey: 'Control', altKey: 'Alt', shiftKey: 'Shift', metaKey: 'Meta' };
+
+function normalizeWord(word) {
+  return word.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+/**
+ * Remove the wake phrase from the start of a transcript. Case and
+ * punctuation are ignored, so "Hey, Assistant. Scroll down" wakes
+ * "hey assistant".
+ * @param {string} transcript - Recognized speech
+ * @param {string} phrase - Wake phrase
+ * @returns {string|null} The rest of the utterance, or null without the wake phrase
+ */
+export function stripWakePhrase(transcript, phrase) {
+  const words = String(transcript || '').trim().split(/\s+/);
+  const wakeWords = String(phrase || '').split(/\s+/).map(normalizeWord).filter(Boolean);
+  let index = 0;
+
+  for (const wakeWord of wakeWords) {
+    while (index < words.length && !normalizeWord(words[index])) index++;
+    if (index >= words.length || normalizeWord(words[index]) !== wakeWord) return null;
+    index++;
+  }
+
+  return words.slice(index).join(' ').replace(/^[^\p{L}\p{N}]+/u, '');
+}
+
+/**
+ * Describe a listening mode for settings and status displays
+ * @param {Object} prefs - Speech-to-text preferences
+ * @returns {string} Mode name with how to use it
+ */
+export function describeListeningMode(prefs = {}) {
+  const mode = LISTENING_MODES[prefs.listeningMode] ? prefs.listeningMode : DEFAULT_LISTENING_MODE;
+  const { label } = LISTENING_MODES[mode];
+
+  if (mode === 'pushToTalk') {
+    return `${label}: hold ${prefs.pushToTalkKey || DEFAULT_PUSH_TO_TALK_KEY}`;
+  }
+  if (mode === 'timed') {
+    return `${label}: stops after ${prefs.recognitionTimeout || DEFAULT_RECOGNITION_TIMEOUT} seconds of silence`;
+  }
+  return prefs.triggerPhrase && prefs.triggerPhrase.trim()
+    ? `${label}: say "${prefs.triggerPhrase.trim()}" first`
+    : label;
+}
+
+/**
+ * Starts, stops and restarts a speech recognizer for the chosen listening mode
+ */
+class ListeningController {
+  constructor() {
+    this.recognition = null;
+    this.callbacks = {};
+    this.prefs = {};
+    this.mode = DEFAULT_LISTENING_MODE;
+    this.pushToTalkKey = parseShortcut(DEFAULT_PUSH_TO_TALK_KEY);
+    this.active = false; // The user has turned listening on
+    this.running = false; // The recognizer is capturing audio
+    this.keyHeld = false;
+    this.wokenUntil = 0;
+    this.startedAt = 0;
+    this.failedRestarts = 0;
+    this.restartTimer = null;
+    this.silenceTimer = null;
+  }
+
+  /**
+   * Use a speech recognizer. The recognizer's onend and onerror handlers
+   * must call handleEnd and handleError.
+   * @param {SpeechRecognition} recognition - Recognizer to control
+   * @param {Object} callbacks - onStop(reason) just before listening stops by itself
+   */
+  attach(recognition, callbacks = {}) {
+    this.recognition = recognition;
+    this.callbacks = callbacks;
+    this.running = false;
+  }
+
+  /**
+   * Apply speech-to-text preferences. They take effect from the next start.
+   * @param {Object} prefs - listeningMode, triggerPhrase, pushToTalkKey and recognitionTimeout
+   */
+  configure(prefs = {}) {
+    this.prefs = prefs;
+    this.mode = LISTENING_MODES[prefs.listeningMode] ? prefs.listeningMode : DEFAULT_LISTENING_MODE;
+    this.pushToTalkKey = parseShortcut(prefs.pushToTalkKey) || parseShortcut(DEFAULT_PUSH_TO_TALK_KEY);
+  }
+
+  getMode() {
+    return this.mode;
+  }
+
+  isActive() {
+    return this.active;
+  }
+
+  /**
+   * Current mode and whether the recognizer is running
+   * @returns {Object} mode, description, active, listening and waitingForKey
+   */
+  getStatus() {
+    return {
+      mode: this.mode,
+      description: describeListeningMode({ ...this.prefs, listeningMode: this.mode }),
+      active: this.active,
+      listening: this.running,
+      waitingForKey: this.active && this.mode === 'pushToTalk' && !this.keyHeld
+    };
+  }
+
+  /**
+   * Turn listening on. Push-to-talk waits for the key before recognizing.
+   * @returns {boolean} False when listening was already on
+   */
+  start() {
+    if (this.active) return false;
+
+    this.active = true;
+    this.keyHeld = false;
+    this.wokenUntil = 0;
+    this.failedRestarts = 0;
+    if (this.mode !== 'pushToTalk') {
+      this.startRecognition();
+    }
+    this.resetSilenceTimer();
+    return true;
+  }
+
+  /**
+   * Turn listening off and stop the recognizer without restarting it. The
+   * recognizer counts as stopped straight away: its onend handler may be
+   * removed before the end event arrives.
+   */
+  stop() {
+    this.active = false;
+    this.keyHeld = false;
+    clearTimeout(this.restartTimer);
+    clearTimeout(this.silenceTimer);
+    this.stopRecognition();
+    this.running = false;
+  }
+
+  startRecognition() {
+    if (!this.recognition || this.running) return;
+
+    try {
+      this.recognition.start();
+      this.running = true;
+      this.startedAt = Date.now();
+    } catch (error) {
+      console.error('Error starting speech recognition:', error);
+    }
+  }
+
+  stopRecognition() {
+    if (!this.recognition || !this.running) return;
+
+    try {
+      this.recognition.stop();
+    } catch (error) {
+      console.error('Error stopping speech recognition:', error);
+    }
+  }
+
+  /**
+   * Handle the recognizer ending, restarting it while listening is still on
+   * @returns {boolean} True when recognition will restart
+   */
+  handleEnd() {
+    this.running = false;
+    if (!this.active || (this.mode === 'pushToTalk' && !this.keyHeld)) return false;
+
+    this.failedRestarts = Date.now() - this.startedAt < MIN_SESSION_LENGTH ? this.failedRestarts + 1 : 0;
+    if (this.failedRestarts > MAX_FAILED_RESTARTS) {
+      this.callbacks.onStop?.('restart-failed');
+      this.stop();
+      return false;
+    }
+
+    clearTimeout(this.restartTimer);
+    this.restartTimer = setTimeout(() => {
+      if (this.active) this.startRecognition();
+    }, RESTART_DELAY * 2 ** this.failedRestarts);
+    return true;
+  }
+
+  /**
+   * Handle a recognition error. Errors restarting can't fix end listening.
+   * @param {string} error - SpeechRecognitionErrorEvent error code
+   */
+  handleError(error) {
+    if (!this.active || !FATAL_ERRORS.includes(error)) return;
+
+    this.callbacks.onStop?.(error);
+    this.stop();
+  }
+
+  /**
+   * Note that speech was heard, which keeps a timed session going
+   */
+  noteSpeech() {
+    this.failedRestarts = 0;
+    this.resetSilenceTimer();
+  }
+
+  resetSilenceTimer() {
+    clearTimeout(this.silenceTimer);
+    if (!this.active || this.mode !== 'timed') return;
+
+    this.silenceTimer = setTimeout(() => {
+      this.callbacks.onStop?.('timeout');
+      this.stop();
+    }, (this.prefs.recognitionTimeout || DEFAULT_RECOGNITION_TIMEOUT) * 1000);
+  }
+
+  /**
+   * Keep the recognition alternatives to act on. Always-on listening with
+   * a wake phrase drops utterances without it and strips it from the rest.
+   * The wake phrase on its own wakes the next utterance.
+   * @param {Array<{transcript: string, confidence: number}>} alternatives - Final recognition alternatives
+   * @returns {Array<{transcript: string, confidence: number}>} Alternatives to act on, empty to ignore the utterance
+   */
+  filterAlternatives(alternatives) {
+    const phrase = (this.prefs.triggerPhrase || '').trim();
+    if (this.mode !== 'alwaysOn' || !phrase) return alternatives;
+
+    const awake = Date.now() < this.wokenUntil;
+    this.wokenUntil = 0;
+    const heard = alternatives
+      .map(alternative => ({
+        ...alternative,
+        transcript: stripWakePhrase(alternative.transcript, phrase) ?? (awake ? alternative.transcript : null)
+      }))
+      .filter(alternative => alternative.transcript !== null);
+
+    if (heard.length > 0 && heard.every(alternative => !alternative.transcript)) {
+      this.wokenUntil = Date.now() + WAKE_WINDOW;
+      return [];
+    }
+    return heard.filter(alternative => alternative.transcript);
+  }
+
+  matchesKey(event) {
+    const shortcut = this.pushToTalkKey;
+    return typeof event.key === 'string' &&
+      event.key.toLowerCase() === shortcut.key.toLowerCase() &&
+      Object.keys(MODIFIER_KEYS).every(modifier => Boolean(event[modifier]) === shortcut[modifier]);
+  }
+
+  /**
+   * Start recognizing when the push-to-talk key goes down
+   * @param {KeyboardEvent} event - keydown event
+   * @returns {boolean} True when the event was the push-to-talk key
+   */
+  handleKeyDown(event) {
+    if (!this.active || this.mode !== 'pushToTalk' || !this.matchesKey(event)) return false;
+
+    event.preventDefault();
+    if (!this.keyHeld) {
+      this.keyHeld = true;
+      this.startRecognition();
+    }
+    return true;
+  }
+
+  /**
+   * Stop recognizing when the key or one of its modifiers comes up. The
+   * recognizer still delivers what was said before it ends.
+   * @param {KeyboardEvent} event - keyup event
+   * @returns {boolean} True when this released push-to-talk
+   */
+  handleKeyUp(event) {
+    if (!this.keyHeld) return false;
+
+    const shortcut = this.pushToTalkKey;
+    const released = String(event.key).toLowerCase() === shortcut.key.toLowerCase() ||
+      Object.entries(MODIFIER_KEYS).some(([modifier, key]) => shortcut[modifier] && event.key === key);
+    if (!released) return false;
+
+    this.release();
+    return true;
+  }
+
+  /**
+   * Stop push-to-talk as if the key came up, e.g. when the window loses focus
+   */
+  release() {
+    if (!this.keyHeld) return;
+
+    this.keyHeld = false;
+    clearTimeout(this.restartTimer);
+    this.stopRecognition();
+  }
+}
+
+export { ListeningController };
+export const listeningController = new ListeningController();
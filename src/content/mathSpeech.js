@@ -0,0 +1,894 @@
+/**
+ * Math Speech Module
+ *
+ * Turns math on the page into spoken English. MathML (including the MathML
+ * that KaTeX and MathJax render alongside their visual output) and LaTeX
+ * source are parsed into one expression tree, which is then spoken at a
+ * verbosity level:
+ * - brief: "x squared plus 1 over 2"
+ * - verbose: "x superscript 2, end superscript plus the fraction with
+ *   numerator 1 and denominator 2, end fraction"
+ *
+ * The same tree drives expression exploration: a focused formula can be
+ * walked with the arrow keys, stepping down into numerators, denominators,
+ * exponents and matrix cells, and back up to the whole expression.
+ */
+
+// Verbosity levels
+export const MATH_VERBOSITY = ['brief', 'verbose'];
+
+// Math rendered by page libraries: MathML, KaTeX, MathJax v3 and v2
+const MATH_CONTAINER_SELECTOR = '.katex, mjx-container, .MathJax, math';
+const TEX_SCRIPT_SELECTOR = 'script[type^="math/tex"]';
+
+// Visual renderings that duplicate the MathML beside them
+const MATH_VISUAL_SELECTOR = '.katex-html, mjx-math, .MathJax_Preview, [aria-hidden="true"]';
+
+// Operators and symbols, spoken
+const SYMBOL_SPEECH = {
+  '+': 'plus',
+  '-': 'minus',
+  '−': 'minus',
+  '±': 'plus or minus',
+  '∓': 'minus or plus',
+  '=': 'equals',
+  '≠': 'is not equal to',
+  '≈': 'is approximately equal to',
+  '≡': 'is equivalent to',
+  '<': 'is less than',
+  '>': 'is greater than',
+  '≤': 'is less than or equal to',
+  '≥': 'is greater than or equal to',
+  '×': 'times',
+  '⋅': 'times',
+  '·': 'times',
+  '*': 'times',
+  '÷': 'divided by',
+  '/': 'divided by',
+  '!': 'factorial',
+  '%': 'percent',
+  '→': 'approaches',
+  '⇒': 'implies',
+  '⇔': 'if and only if',
+  '∈': 'is an element of',
+  '∉': 'is not an element of',
+  '⊂': 'is a subset of',
+  '⊆': 'is a subset of or equal to',
+  '∪': 'union',
+  '∩': 'intersection',
+  '∀': 'for all',
+  '∃': 'there exists',
+  '∂': 'partial',
+  '∇': 'del',
+  '∞': 'infinity',
+  '′': 'prime',
+  '…': 'dot dot dot',
+  '⋯': 'dot dot dot',
+  ',': ',',
+  '(': 'open paren',
+  ')': 'close paren',
+  '[': 'open bracket',
+  ']': 'close bracket',
+  '{': 'open brace',
+  '}': 'close brace',
+  '|': 'vertical bar',
+  'α': 'alpha',
+  'β': 'beta',
+  'γ': 'gamma',
+  'δ': 'delta',
+  'ε': 'epsilon',
+  'ζ': 'zeta',
+  'η': 'eta',
+  'θ': 'theta',
+  'ι': 'iota',
+  'κ': 'kappa',
+  'λ': 'lambda',
+  'μ': 'mu',
+  'ν': 'nu',
+  'ξ': 'xi',
+  'π': 'pi',
+  'ρ': 'rho',
+  'σ': 'sigma',
+  'τ': 'tau',
+  'υ': 'upsilon',
+  'φ': 'phi',
+  'ϕ': 'phi',
+  'χ': 'chi',
+  'ψ': 'psi',
+  'ω': 'omega',
+  'Γ': 'capital gamma',
+  'Δ': 'capital delta',
+  'Θ': 'capital theta',
+  'Λ': 'capital lambda',
+  'Π': 'capital pi',
+  'Σ': 'capital sigma',
+  'Φ': 'capital phi',
+  'Ψ': 'capital psi',
+  'Ω': 'capital omega'
+};
+
+// Function names, spoken
+const FUNCTION_SPEECH = {
+  sin: 'sine',
+  cos: 'cosine',
+  tan: 'tangent',
+  cot: 'cotangent',
+  sec: 'secant',
+  csc: 'cosecant',
+  arcsin: 'arc sine',
+  arccos: 'arc cosine',
+  arctan: 'arc tangent',
+  sinh: 'hyperbolic sine',
+  cosh: 'hyperbolic cosine',
+  tanh: 'hyperbolic tangent',
+  log: 'log',
+  ln: 'natural log',
+  exp: 'exponential',
+  det: 'determinant',
+  max: 'max',
+  min: 'min',
+  gcd: 'greatest common divisor',
+  lim: 'limit'
+};
+
+// Large operators whose scripts are limits
+const LARGE_OPERATORS = {
+  '∑': 'sum',
+  '∏': 'product',
+  '∫': 'integral',
+  '∬': 'double integral',
+  '∭': 'triple integral',
+  '∮': 'contour integral',
+  '⋃': 'union',
+  '⋂': 'intersection',
+  lim: 'limit'
+};
+
+// Accents placed over a base
+const ACCENT_SPEECH = {
+  '¯': 'bar',
+  '‾': 'bar',
+  '_': 'bar',
+  '^': 'hat',
+  'ˆ': 'hat',
+  '~': 'tilde',
+  '˜': 'tilde',
+  '˙': 'dot',
+  '.': 'dot',
+  '¨': 'double dot',
+  '→': 'vector',
+  '⃗': 'vector'
+};
+
+// Names of an expression's parts, used while exploring
+const CHILD_ROLES = {
+  fraction: ['numerator', 'denominator'],
+  binomial: ['top', 'bottom'],
+  sqrt: ['radicand'],
+  root: ['radicand', 'index'],
+  sup: ['base', 'exponent'],
+  sub: ['base', 'subscript'],
+  subsup: ['base', 'subscript', 'superscript'],
+  under: ['base', 'lower limit'],
+  over: ['base', 'upper limit'],
+  underover: ['base', 'lower limit', 'upper limit'],
+  fenced: ['contents']
+};
+
+// Names of a large operator's scripts, which are limits
+const LIMIT_ROLES = {
+  sub: ['operator', 'lower limit'],
+  sup: ['operator', 'upper limit'],
+  subsup: ['operator', 'lower limit', 'upper limit'],
+  under: ['operator', 'lower limit'],
+  over: ['operator', 'upper limit'],
+  underover: ['operator', 'lower limit', 'upper limit']
+};
+
+// LaTeX commands for symbols, mapped to the characters MathML uses
+const LATEX_SYMBOLS = {
+  alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ε',
+  varepsilon: 'ε', zeta: 'ζ', eta: 'η', theta: 'θ', iota: 'ι',
+  kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', pi: 'π',
+  rho: 'ρ', sigma: 'σ', tau: 'τ', upsilon: 'υ', phi: 'φ',
+  varphi: 'ϕ', chi: 'χ', psi: 'ψ', omega: 'ω', Gamma: 'Γ',
+  Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Pi: 'Π', Sigma: 'Σ',
+  Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω', infty: '∞', partial: '∂',
+  nabla: '∇', ldots: '…', cdots: '⋯', dots: '…', prime: '′'
+};
+
+const LATEX_OPERATORS = {
+  cdot: '⋅', times: '×', div: '÷', pm: '±', mp: '∓', le: '≤',
+  leq: '≤', ge: '≥', geq: '≥', ne: '≠', neq: '≠', approx: '≈',
+  equiv: '≡', to: '→', rightarrow: '→', Rightarrow: '⇒', implies: '⇒',
+  iff: '⇔', in: '∈', notin: '∉', subset: '⊂', subseteq: '⊆',
+  cup: '∪', cap: '∩', forall: '∀', exists: '∃', sum: '∑',
+  prod: '∏', int: '∫', iint: '∬', iiint: '∭', oint: '∮',
+  bigcup: '⋃', bigcap: '⋂', lbrace: '{', rbrace: '}', '{': '{', '}': '}',
+  langle: '⟨', rangle: '⟩', vert: '|', '|': '‖', lvert: '|', rvert: '|'
+};
+
+const LATEX_ACCENTS = {
+  bar: '¯', overline: '¯', hat: '^', widehat: '^', tilde: '~', widetilde: '~',
+  dot: '˙', ddot: '¨', vec: '→', overrightarrow: '→'
+};
+
+const LATEX_SPACES = new Set([',', ';', ':', '!', ' ', '\\', 'quad', 'qquad', 'displaystyle', 'textstyle', 'limits', 'nolimits']);
+
+const LATEX_STYLES = new Set(['mathbf', 'mathit', 'mathbb', 'mathcal', 'mathsf', 'boldsymbol', 'bm']);
+
+// Invisible function application, times and separator
+const INVISIBLE_OPERATORS = /^[⁡⁢⁣⁤]*$/;
+
+// Wait for the page to stop adding nodes before looking for new formulas;
+// MathJax and KaTeX render a page's formulas in batches
+const MATH_RESCAN_DELAY = 250;
+
+// State for math exploration
+const mathExplorationState = {
+  enabled: false,
+  speak: null,
+  getVerbosity: null,
+  explorer: null,
+  container: null,
+  keydownHandler: null,
+  focusHandler: null,
+  observer: null,
+  rescanTimer: null
+};
+
+/**
+ * Build a node of the expression tree. Rows drop empty items and collapse
+ * to their only item; other nodes keep a blank for a missing part so each
+ * part stays at its position (numerator first, denominator second).
+ */
+function createNode(type, children = [], extra = {}) {
+  if (type === 'row' || type === 'table' || type === 'tablerow') {
+    const filtered = children.filter(Boolean);
+    if (type === 'row' && filtered.length <= 1) return filtered[0] || null;
+    return { type, children: filtered, ...extra };
+  }
+  return { type, children: children.map(child => child || { type: 'text', value: '', children: [] }), ...extra };
+}
+
+function createLeaf(type, value) {
+  const text = (value || '').replace(/\s+/g, ' ').trim();
+  if (!text || (type === 'operator' && INVISIBLE_OPERATORS.test(text))) return null;
+  return { type, value: text, children: [] };
+}
+
+/**
+ * Parse MathML into an expression tree
+ * @param {Element} element - A math element or any MathML element inside one
+ * @returns {Object|null} Expression tree
+ */
+export function parseMathML(element) {
+  if (!element) return null;
+  const children = Array.from(element.children);
+  const parse = index => parseMathML(children[index]);
+  const parseAll = list => list.map(child => parseMathML(child));
+
+  switch ((element.localName || '').toLowerCase()) {
+    case 'mn':
+      return createLeaf('number', element.textContent);
+    case 'mi':
+      return createLeaf('identifier', element.textContent);
+    case 'mo':
+      return createLeaf('operator', element.textContent);
+    case 'mtext':
+    case 'ms':
+      return createLeaf('text', element.textContent);
+    case 'mspace':
+    case 'mphantom':
+    case 'none':
+    case 'mprescripts':
+    case 'annotation':
+    case 'annotation-xml':
+      return null;
+    case 'semantics': {
+      const presentation = children.find(child => !/^annotation/i.test(child.localName));
+      const tree = parseMathML(presentation);
+      if (tree) return tree;
+      const tex = children.find(child => /tex/i.test(child.getAttribute('encoding') || ''));
+      return tex ? parseLatex(tex.textContent) : null;
+    }
+    case 'mfrac':
+      return createNode(element.getAttribute('linethickness') === '0' ? 'binomial' : 'fraction', [parse(0), parse(1)]);
+    case 'msqrt':
+      return createNode('sqrt', [createNode('row', parseAll(children))]);
+    case 'mroot':
+      return createNode('root', [parse(0), parse(1)]);
+    case 'msup':
+      return createNode('sup', [parse(0), parse(1)]);
+    case 'msub':
+      return createNode('sub', [parse(0), parse(1)]);
+    case 'msubsup':
+      return createNode('subsup', [parse(0), parse(1), parse(2)]);
+    case 'munder':
+      return createNode('under', [parse(0), parse(1)]);
+    case 'mover':
+      return createNode('over', [parse(0), parse(1)]);
+    case 'munderover':
+      return createNode('underover', [parse(0), parse(1), parse(2)]);
+    case 'mfenced':
+      return createNode('fenced', [createNode('row', parseAll(children))], {
+        open: element.hasAttribute('open') ? element.getAttribute('open') : '(',
+        close: element.hasAttribute('close') ? element.getAttribute('close') : ')'
+      });
+    case 'mtable':
+      return createNode('table', children.map(row => createNode('tablerow',
+        Array.from(row.children).map(cell => createNode('row', parseAll(Array.from(cell.children))) || createLeaf('text', 'blank')))));
+    default:
+      return createNode('row', parseAll(children));
+  }
+}
+
+/**
+ * Split LaTeX source into tokens: commands, braces, scripts and characters
+ */
+function tokenizeLatex(source) {
+  const tokens = [];
+  const pattern = /\\([a-zA-Z]+|.)|(\d+(?:\.\d+)?)|(\s+)|([\s\S])/g;
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    if (match[1] !== undefined) tokens.push({ command: match[1] });
+    else if (match[2] !== undefined) tokens.push({ number: match[2] });
+    else if (match[3] !== undefined) tokens.push({ space: ' ' });
+    else tokens.push({ char: match[4] });
+  }
+  return tokens;
+}
+
+/**
+ * Parse LaTeX source into the same expression tree as MathML
+ * @param {string} source - LaTeX, with or without $ delimiters
+ * @returns {Object|null} Expression tree
+ */
+export function parseLatex(source) {
+  const text = (source || '').trim().replace(/^\$\$?|\$\$?$/g, '').replace(/^\\[[(]|\\[\])]$/g, '');
+  const tokens = tokenizeLatex(text);
+  let position = 0;
+
+  // Spaces only matter inside \\text{}, so lookahead skips them
+  const skipSpaces = () => {
+    while (tokens[position] && tokens[position].space) position++;
+  };
+  const peek = () => {
+    skipSpaces();
+    return tokens[position];
+  };
+  const isChar = (token, char) => Boolean(token && token.char === char);
+  const isCommand = (token, name) => Boolean(token && token.command === name);
+
+  // Read a {group} or single token as raw text (for \text and \begin)
+  const readRawGroup = () => {
+    if (!isChar(peek(), '{')) {
+      const token = tokens[position++];
+      if (!token) return '';
+      return token.command !== undefined ? (LATEX_OPERATORS[token.command] || token.command) : (token.char || token.number);
+    }
+    position++;
+    let depth = 1;
+    let raw = '';
+    while (position < tokens.length) {
+      const token = tokens[position++];
+      if (isChar(token, '{')) depth++;
+      if (isChar(token, '}') && --depth === 0) break;
+      raw += token.command !== undefined ? (token.command.length === 1 ? token.command : `\\${token.command} `) : (token.char || token.number || token.space);
+    }
+    return raw;
+  };
+
+  const parseRow = isEnd => {
+    const items = [];
+    while (position < tokens.length && !isEnd(peek())) {
+      const atom = parseScripts(parseAtom());
+      if (atom) items.push(atom);
+    }
+    return createNode('row', items);
+  };
+
+  const parseArgument = () => parseScripts(parseAtom(), false);
+
+  const parseEnvironment = name => {
+    if (name === 'array') readRawGroup();
+    const rows = [];
+    let cells = [];
+    while (position < tokens.length) {
+      const cell = parseRow(token => isChar(token, '&') || isCommand(token, '\\') || isCommand(token, 'end'));
+      cells.push(cell || createLeaf('text', 'blank'));
+      const token = tokens[position++];
+      if (!token || isCommand(token, 'end')) {
+        readRawGroup();
+        break;
+      }
+      if (isCommand(token, '\\')) {
+        rows.push(createNode('tablerow', cells));
+        cells = [];
+      }
+    }
+    if (cells.some(cell => cell.value !== 'blank')) rows.push(createNode('tablerow', cells));
+    return createNode('table', rows, { environment: name });
+  };
+
+  const parseAtom = () => {
+    skipSpaces();
+    const token = tokens[position++];
+    if (!token) return null;
+
+    if (token.number !== undefined) return createLeaf('number', token.number);
+    if (token.char !== undefined) {
+      if (token.char === '{') {
+        const group = parseRow(next => isChar(next, '}'));
+        position++;
+        return group;
+      }
+      if (token.char === '}' || token.char === '&') return null;
+      if (token.char === "'") return createLeaf('operator', '′');
+      return createLeaf(/[a-zA-Z]/.test(token.char) ? 'identifier' : 'operator', token.char);
+    }
+
+    const name = token.command;
+    if (LATEX_SPACES.has(name)) return null;
+    if (LATEX_SYMBOLS[name]) return createLeaf('identifier', LATEX_SYMBOLS[name]);
+    if (LATEX_OPERATORS[name]) return createLeaf('operator', LATEX_OPERATORS[name]);
+    if (FUNCTION_SPEECH[name] || name === 'lim') return createLeaf('identifier', name);
+    if (LATEX_ACCENTS[name]) return createNode('over', [parseArgument(), createLeaf('operator', LATEX_ACCENTS[name])]);
+    if (LATEX_STYLES.has(name)) return parseArgument();
+
+    switch (name) {
+      case 'frac':
+      case 'dfrac':
+      case 'tfrac':
+        return createNode('fraction', [parseArgument(), parseArgument()]);
+      case 'binom':
+        return createNode('binomial', [parseArgument(), parseArgument()]);
+      case 'sqrt': {
+        if (isChar(peek(), '[')) {
+          position++;
+          const index = parseRow(next => isChar(next, ']'));
+          position++;
+          return createNode('root', [parseArgument(), index]);
+        }
+        return createNode('sqrt', [parseArgument()]);
+      }
+      case 'left': {
+        const open = readRawGroup();
+        const inner = parseRow(next => isCommand(next, 'right'));
+        position++;
+        const close = readRawGroup();
+        return createNode('fenced', [inner], { open: open === '.' ? '' : open, close: close === '.' ? '' : close });
+      }
+      case 'text':
+      case 'textrm':
+      case 'mbox':
+        return createLeaf('text', readRawGroup());
+      case 'mathrm':
+      case 'operatorname':
+        return createLeaf('identifier', readRawGroup());
+      case 'begin':
+        return parseEnvironment(readRawGroup());
+      default:
+        return createLeaf('identifier', name);
+    }
+  };
+
+  // Attach ^ and _ scripts to a base
+  function parseScripts(base, allowScripts = true) {
+    if (!allowScripts || !base) return base;
+    let lower = null;
+    let upper = null;
+    while (isChar(peek(), '^') || isChar(peek(), '_')) {
+      const isUpper = tokens[position++].char === '^';
+      const script = parseArgument();
+      if (isUpper) upper = script;
+      else lower = script;
+    }
+    if (lower && upper) return createNode('subsup', [base, lower, upper]);
+    if (upper) return createNode('sup', [base, upper]);
+    if (lower) return createNode('sub', [base, lower]);
+    return base;
+  }
+
+  return parseRow(() => false);
+}
+
+/**
+ * Whether an expression is short enough to speak without start/end markers
+ */
+function isSimple(node) {
+  return Boolean(node) && node.children.length === 0;
+}
+
+function getLargeOperator(node) {
+  return node && node.children.length === 0 ? LARGE_OPERATORS[node.value] : undefined;
+}
+
+function speakFence(symbol, side) {
+  if (!symbol) return '';
+  const names = { '(': 'paren', ')': 'paren', '[': 'bracket', ']': 'bracket', '{': 'brace', '}': 'brace', '⟨': 'angle bracket', '⟩': 'angle bracket' };
+  return names[symbol] ? `${side} ${names[symbol]}` : (SYMBOL_SPEECH[symbol] || symbol);
+}
+
+/**
+ * Speak an expression tree
+ * @param {Object} node - Expression tree
+ * @param {Object} options
+ * @param {string} options.verbosity - 'brief' or 'verbose'
+ * @returns {string} Spoken text
+ */
+export function speakMath(node, { verbosity = 'brief' } = {}) {
+  const verbose = verbosity === 'verbose';
+  const say = child => speak(child);
+
+  function speakScripts(base, lower, upper, underOver) {
+    const operator = getLargeOperator(base);
+    if (operator) {
+      if (operator === 'limit') {
+        return ['the limit', lower && `as ${say(lower)}`, 'of'].filter(Boolean).join(' ');
+      }
+      return [`the ${operator}`, lower && `from ${say(lower)}`, upper && `to ${say(upper)}`, 'of'].filter(Boolean).join(' ');
+    }
+
+    if (underOver) {
+      const accent = upper && isSimple(upper) && ACCENT_SPEECH[upper.value];
+      if (accent) return accent === 'vector' ? `vector ${say(base)}` : `${say(base)} ${accent}`;
+      return [say(base), lower && `with ${say(lower)} below`, upper && `with ${say(upper)} above`].filter(Boolean).join(' ');
+    }
+
+    let text = say(base);
+    if (lower) {
+      text += verbose
+        ? ` subscript ${say(lower)}, end subscript`
+        : ` sub ${say(lower)}${isSimple(lower) ? '' : ', end sub'}`;
+    }
+    if (upper) {
+      text += ` ${speakExponent(upper)}`;
+    }
+    return text;
+  }
+
+  function speakExponent(exponent) {
+    if (isSimple(exponent) && exponent.value === '′') return 'prime';
+    if (verbose) return `superscript ${say(exponent)}, end superscript`;
+    if (isSimple(exponent) && exponent.value === '2') return 'squared';
+    if (isSimple(exponent) && exponent.value === '3') return 'cubed';
+    return isSimple(exponent) ? `to the ${say(exponent)}` : `to the ${say(exponent)}, end exponent`;
+  }
+
+  function speak(current) {
+    if (!current) return '';
+    const [first, second, third] = current.children;
+
+    switch (current.type) {
+      case 'number':
+      case 'text':
+        return current.value;
+      case 'identifier':
+        return FUNCTION_SPEECH[current.value] || SYMBOL_SPEECH[current.value] || current.value;
+      case 'operator':
+        return SYMBOL_SPEECH[current.value] || LARGE_OPERATORS[current.value] || current.value;
+      case 'row':
+        return current.children.map(say).filter(Boolean).join(' ');
+      case 'fraction':
+        if (verbose) return `the fraction with numerator ${say(first)} and denominator ${say(second)}, end fraction`;
+        if (isSimple(first) && isSimple(second)) return `${say(first)} over ${say(second)}`;
+        return `start fraction ${say(first)} over ${say(second)}, end fraction`;
+      case 'binomial':
+        return `${say(first)} choose ${say(second)}`;
+      case 'sqrt':
+        return isSimple(first) && !verbose
+          ? `the square root of ${say(first)}`
+          : `the square root of ${say(first)}, end root`;
+      case 'root': {
+        const index = isSimple(second) ? second.value : '';
+        const name = index === '2' ? 'square' : index === '3' ? 'cube' : `${say(second)}th`;
+        return `the ${name} root of ${say(first)}${isSimple(first) && !verbose ? '' : ', end root'}`;
+      }
+      case 'sup':
+        return speakScripts(first, null, second, false);
+      case 'sub':
+        return speakScripts(first, second, null, false);
+      case 'subsup':
+        return speakScripts(first, second, third, false);
+      case 'under':
+        return speakScripts(first, second, null, true);
+      case 'over':
+        return speakScripts(first, null, second, true);
+      case 'underover':
+        return speakScripts(first, second, third, true);
+      case 'fenced': {
+        if (current.open === '|' && current.close === '|') {
+          return `the absolute value of ${say(first)}${verbose || !isSimple(first) ? ', end absolute value' : ''}`;
+        }
+        return [speakFence(current.open, 'open'), say(first), speakFence(current.close, 'close')].filter(Boolean).join(' ');
+      }
+      case 'table': {
+        const rows = current.children;
+        const columns = rows.reduce((max, row) => Math.max(max, row.children.length), 0);
+        const label = current.environment === 'cases' ? 'cases' : `the ${rows.length} by ${columns} matrix`;
+        const body = rows.map((row, index) => `row ${index + 1}: ${row.children.map(say).join(', ')}`);
+        return [label, ...body].join('; ') + (verbose ? '; end matrix' : '');
+      }
+      case 'tablerow':
+        return current.children.map(say).join(', ');
+      default:
+        return current.children.map(say).join(' ');
+    }
+  }
+
+  return speak(node)
+    .replace(/\s+/g, ' ')
+    .replace(/\s+([,;])/g, '$1')
+    .replace(/([,;])(?:\s*[,;])+/g, '$1')
+    .trim();
+}
+
+/**
+ * Speak a MathML element
+ * @param {Element} element - math element
+ * @param {Object} options - { verbosity }
+ * @returns {string} Spoken text
+ */
+export function mathmlToSpeech(element, options = {}) {
+  return speakMath(parseMathML(element), options);
+}
+
+/**
+ * Speak LaTeX source
+ * @param {string} source - LaTeX
+ * @param {Object} options - { verbosity }
+ * @returns {string} Spoken text
+ */
+export function latexToSpeech(source, options = {}) {
+  return speakMath(parseLatex(source), options);
+}
+
+/**
+ * Expression tree of a rendered formula: its MathML, else its TeX source
+ * @param {Element} element - A math container, math element or TeX script
+ * @returns {Object|null} Expression tree
+ */
+export function getMathTree(element) {
+  if (!element) return null;
+  if (element.matches(TEX_SCRIPT_SELECTOR)) return parseLatex(element.textContent);
+
+  const math = element.localName === 'math' ? element : element.querySelector('math');
+  if (math) return parseMathML(math);
+
+  const annotation = element.querySelector('annotation[encoding*="tex"]');
+  if (annotation) return parseLatex(annotation.textContent);
+
+  // MathJax v2 keeps the source in a script beside the rendering
+  const next = element.nextElementSibling;
+  return next && next.matches(TEX_SCRIPT_SELECTOR) ? parseLatex(next.textContent) : null;
+}
+
+/**
+ * Whether an element holds math
+ * @param {Element} element - Element
+ * @returns {boolean}
+ */
+export function containsMath(element) {
+  return Boolean(element && element.querySelector &&
+    (element.matches(`${MATH_CONTAINER_SELECTOR}, ${TEX_SCRIPT_SELECTOR}`) ||
+     element.querySelector(`${MATH_CONTAINER_SELECTOR}, ${TEX_SCRIPT_SELECTOR}`)));
+}
+
+/**
+ * Text of an element with its math spoken instead of its rendered glyphs
+ * @param {Element} element - Element to read
+ * @param {string} verbosity - 'brief' or 'verbose'
+ * @returns {string} Text
+ */
+export function getTextWithMath(element, verbosity = 'brief') {
+  const parts = [];
+
+  const walk = node => {
+    if (node.nodeType === Node.TEXT_NODE) {
+      parts.push(node.textContent);
+      return;
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+    if (node.matches(`${MATH_CONTAINER_SELECTOR}, ${TEX_SCRIPT_SELECTOR}`)) {
+      // MathJax v2 puts the source script right after the rendering: read it once
+      const previous = node.previousElementSibling;
+      if (node.matches(TEX_SCRIPT_SELECTOR) && previous && previous.matches(MATH_CONTAINER_SELECTOR)) return;
+      const tree = getMathTree(node);
+      if (tree) parts.push(` ${speakMath(tree, { verbosity })} `);
+      return;
+    }
+    if (node.matches(`${MATH_VISUAL_SELECTOR}, script, style`)) return;
+
+    Array.from(node.childNodes).forEach(walk);
+  };
+
+  walk(element);
+  return parts.join('').replace(/\s+/g, ' ').replace(/\s+([.,;:!?])/g, '$1').trim();
+}
+
+/**
+ * Walks an expression tree one part at a time
+ */
+export class MathExplorer {
+  /**
+   * @param {Object} tree - Expression tree
+   * @param {Object} options - { verbosity }
+   */
+  constructor(tree, options = {}) {
+    this.tree = tree;
+    this.options = options;
+    this.path = [];
+  }
+
+  get current() {
+    return this.path.reduce((node, index) => getExplorableChildren(node)[index], this.tree);
+  }
+
+  get parent() {
+    return this.path.slice(0, -1).reduce((node, index) => getExplorableChildren(node)[index], this.tree);
+  }
+
+  /**
+   * Describe the current part: its role in the parent, then its speech
+   * @returns {string} Spoken text
+   */
+  describe() {
+    const speech = speakMath(this.current, this.options);
+    if (this.path.length === 0) return speech;
+    return `${getChildRole(this.parent, this.path[this.path.length - 1])}, ${speech}`;
+  }
+
+  /** Step into the first part of the current expression */
+  down() {
+    if (getExplorableChildren(this.current).length === 0) return 'No smaller part';
+    this.path.push(0);
+    return this.describe();
+  }
+
+  /** Step out to the enclosing expression */
+  up() {
+    if (this.path.length === 0) return `Whole expression, ${this.describe()}`;
+    this.path.pop();
+    return this.describe();
+  }
+
+  /** Move to the next part at the same level */
+  next() {
+    return this.moveSibling(1);
+  }
+
+  /** Move to the previous part at the same level */
+  previous() {
+    return this.moveSibling(-1);
+  }
+
+  moveSibling(step) {
+    if (this.path.length === 0) return 'Whole expression';
+    const index = this.path[this.path.length - 1] + step;
+    if (index < 0 || index >= getExplorableChildren(this.parent).length) {
+      return step > 0 ? 'Last part' : 'First part';
+    }
+    this.path[this.path.length - 1] = index;
+    return this.describe();
+  }
+
+  /** Return to the whole expression */
+  reset() {
+    this.path = [];
+    return this.describe();
+  }
+}
+
+function getExplorableChildren(node) {
+  return node ? node.children : [];
+}
+
+function getChildRole(parent, index) {
+  if (parent.type === 'table') return `row ${index + 1}`;
+  if (parent.type === 'tablerow') return `column ${index + 1}`;
+  const roles = getLargeOperator(parent.children[0]) && LIMIT_ROLES[parent.type]
+    ? LIMIT_ROLES[parent.type]
+    : CHILD_ROLES[parent.type];
+  return (roles && roles[index]) || `term ${index + 1}`;
+}
+
+/**
+ * Make the page's formulas focusable and explorable with the arrow keys
+ * @param {Function} speak - (text) => void
+ * @param {Function} getVerbosity - Returns the current verbosity level
+ */
+export function enableMathExploration(speak, getVerbosity = () => 'brief') {
+  mathExplorationState.speak = speak;
+  mathExplorationState.getVerbosity = getVerbosity;
+  prepareMathContainers();
+  if (mathExplorationState.enabled) return;
+
+  mathExplorationState.focusHandler = event => {
+    const container = event.target.closest && event.target.closest('[data-accessibility-math]');
+    if (!container) return;
+
+    const tree = getMathTree(container);
+    if (!tree) return;
+    mathExplorationState.container = container;
+    mathExplorationState.explorer = new MathExplorer(tree, { verbosity: mathExplorationState.getVerbosity() });
+    mathExplorationState.speak(mathExplorationState.explorer.describe());
+  };
+
+  mathExplorationState.keydownHandler = event => {
+    const { explorer, container } = mathExplorationState;
+    if (!explorer || !container || !container.contains(event.target)) return;
+    if (event.ctrlKey || event.altKey || event.metaKey) return;
+
+    const moves = {
+      ArrowDown: () => explorer.down(),
+      ArrowUp: () => explorer.up(),
+      ArrowRight: () => explorer.next(),
+      ArrowLeft: () => explorer.previous(),
+      Home: () => explorer.reset(),
+      ' ': () => explorer.describe()
+    };
+    if (event.key === 'Escape') {
+      explorer.reset();
+      container.blur();
+      return;
+    }
+    if (!moves[event.key]) return;
+
+    event.preventDefault();
+    event.stopPropagation();
+    mathExplorationState.speak(moves[event.key]());
+  };
+
+  document.addEventListener('focusin', mathExplorationState.focusHandler, true);
+  document.addEventListener('keydown', mathExplorationState.keydownHandler, true);
+
+  // Formulas rendered after the page loads become explorable too
+  mathExplorationState.observer = new MutationObserver(mutations => {
+    if (!mutations.some(mutation => mutation.addedNodes.length > 0)) return;
+    clearTimeout(mathExplorationState.rescanTimer);
+    mathExplorationState.rescanTimer = setTimeout(() => prepareMathContainers(), MATH_RESCAN_DELAY);
+  });
+  mathExplorationState.observer.observe(document.documentElement, { childList: true, subtree: true });
+  mathExplorationState.enabled = true;
+}
+
+/**
+ * Stop exploring formulas
+ */
+export function disableMathExploration() {
+  if (!mathExplorationState.enabled) return;
+  document.removeEventListener('focusin', mathExplorationState.focusHandler, true);
+  document.removeEventListener('keydown', mathExplorationState.keydownHandler, true);
+  mathExplorationState.observer.disconnect();
+  clearTimeout(mathExplorationState.rescanTimer);
+  document.querySelectorAll('[data-accessibility-math]').forEach(container => {
+    if (container.getAttribute('data-accessibility-math') === 'added') container.removeAttribute('tabindex');
+    container.removeAttribute('data-accessibility-math');
+  });
+  Object.assign(mathExplorationState, {
+    enabled: false, explorer: null, container: null, keydownHandler: null, focusHandler: null, observer: null, rescanTimer: null
+  });
+}
+
+/**
+ * Give each outermost formula a tab stop, a math role and a spoken label.
+ * Safe to call again after the page renders more math.
+ */
+export function prepareMathContainers(root = document) {
+  const verbosity = mathExplorationState.getVerbosity ? mathExplorationState.getVerbosity() : 'brief';
+
+  root.querySelectorAll(MATH_CONTAINER_SELECTOR).forEach(container => {
+    if (container.hasAttribute('data-accessibility-math')) return;
+    if (container.parentElement && container.parentElement.closest(MATH_CONTAINER_SELECTOR)) return;
+
+    const tree = getMathTree(container);
+    if (!tree) return;
+
+    container.setAttribute('data-accessibility-math', container.hasAttribute('tabindex') ? 'existing' : 'added');
+    if (!container.hasAttribute('tabindex')) container.setAttribute('tabindex', '0');
+    if (!container.hasAttribute('role')) container.setAttribute('role', 'math');
+    if (!container.hasAttribute('aria-label')) container.setAttribute('aria-label', speakMath(tree, { verbosity }));
+  });
+}
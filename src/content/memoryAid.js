@@ -321,6 +321,21 @@ export function getReadingProgress() {
   return memoryState.readingProgress.get(url) || 0;
 }
 
+/**
+ * Record reading progress measured elsewhere, such as by text-to-speech
+ * @param {number} progress - Progress percentage
+ * @param {string} url - Page URL (default: the current page)
+ */
+export function recordReadingProgress(progress, url = window.location.href) {
+  const value = Math.max(0, Math.min(100, progress));
+  memoryState.readingProgress.set(url, value);
+
+  const progressBar = document.getElementById('reading-progress-bar');
+  if (progressBar) {
+    progressBar.style.width = `${value}%`;
+  }
+}
+
 /**
  * Clean up memory aid system
  */
@@ -0,0 +1,359 @@
+/**
+ * Pronunciation Dictionary Module
+ *
+ * Rewrites text before it is spoken so words are pronounced the way the user
+ * wants. User entries are literal words or regular expressions with the form
+ * to speak instead, scoped to every page, one language, or one site. Built-in
+ * packs cover common abbreviations, units and acronyms.
+ *
+ * Every speech path (page reading, image and audio descriptions,
+ * notifications) calls applyPronunciations() with the dictionary set from the
+ * user's TTS preferences (`tts.pronunciation`):
+ *
+ *   { entries: [{ id, match, replacement, type, scope, language, site, caseSensitive }],
+ *     packs: { abbreviations: true, units: true, acronyms: true } }
+ */
+
+// Entry types and scopes offered by the options page
+export const ENTRY_TYPES = ['literal', 'regex'];
+export const ENTRY_SCOPES = ['global', 'language', 'site'];
+
+// Version written to exported dictionary files
+const EXPORT_VERSION = 1;
+
+// Built-in packs (English). Regex replacements may use $1 for captured groups.
+export const BUILT_IN_PACKS = {
+  abbreviations: {
+    label: 'Common abbreviations',
+    entries: [
+      { match: 'e.g.', replacement: 'for example' },
+      { match: 'i.e.', replacement: 'that is' },
+      { match: 'etc.', replacement: 'et cetera' },
+      { match: 'vs.', replacement: 'versus' },
+      { match: 'approx.', replacement: 'approximately' },
+      { match: 'Dr.', replacement: 'Doctor', caseSensitive: true },
+      { match: 'Mr.', replacement: 'Mister', caseSensitive: true },
+      { match: 'Mrs.', replacement: 'Missus', caseSensitive: true },
+      { match: 'Prof.', replacement: 'Professor', caseSensitive: true },
+      { match: 'Jan.', replacement: 'January', caseSensitive: true },
+      { match: 'Feb.', replacement: 'February', caseSensitive: true },
+      { match: 'Aug.', replacement: 'August', caseSensitive: true },
+      { match: 'Sept.', replacement: 'September', caseSensitive: true },
+      { match: 'Oct.', replacement: 'October', caseSensitive: true },
+      { match: 'Nov.', replacement: 'November', caseSensitive: true },
+      { match: 'Dec.', replacement: 'December', caseSensitive: true }
+    ]
+  },
+  units: {
+    label: 'Units of measurement',
+    entries: [
+      { match: '(\\d)\\s?km/h\\b', replacement: '$1 kilometers per hour', type: 'regex' },
+      { match: '(\\d)\\s?mph\\b', replacement: '$1 miles per hour', type: 'regex' },
+      { match: '(\\d)\\s?km\\b', replacement: '$1 kilometers', type: 'regex' },
+      { match: '(\\d)\\s?cm\\b', replacement: '$1 centimeters', type: 'regex' },
+      { match: '(\\d)\\s?mm\\b', replacement: '$1 millimeters', type: 'regex' },
+      { match: '(\\d)\\s?kg\\b', replacement: '$1 kilograms', type: 'regex' },
+      { match: '(\\d)\\s?mg\\b', replacement: '$1 milligrams', type: 'regex' },
+      { match: '(\\d)\\s?ml\\b', replacement: '$1 milliliters', type: 'regex' },
+      { match: '(\\d)\\s?lbs?\\b', replacement: '$1 pounds', type: 'regex' },
+      { match: '(\\d)\\s?oz\\b', replacement: '$1 ounces', type: 'regex' },
+      { match: '(\\d)\\s?°C\\b', replacement: '$1 degrees Celsius', type: 'regex', caseSensitive: true },
+      { match: '(\\d)\\s?°F\\b', replacement: '$1 degrees Fahrenheit', type: 'regex', caseSensitive: true },
+      { match: '(\\d)\\s?KB\\b', replacement: '$1 kilobytes', type: 'regex', caseSensitive: true },
+      { match: '(\\d)\\s?MB\\b', replacement: '$1 megabytes', type: 'regex', caseSensitive: true },
+      { match: '(\\d)\\s?GB\\b', replacement: '$1 gigabytes', type: 'regex', caseSensitive: true },
+      { match: '(\\d)\\s?TB\\b', replacement: '$1 terabytes', type: 'regex', caseSensitive: true }
+    ]
+  },
+  acronyms: {
+    label: 'Acronyms spelled out',
+    entries: [
+      { match: 'FAQ', replacement: 'F A Q', caseSensitive: true },
+      { match: 'URL', replacement: 'U R L', caseSensitive: true },
+      { match: 'HTML', replacement: 'H T M L', caseSensitive: true },
+      { match: 'CSS', replacement: 'C S S', caseSensitive: true },
+      { match: 'API', replacement: 'A P I', caseSensitive: true },
+      { match: 'PDF', replacement: 'P D F', caseSensitive: true },
+      { match: 'CEO', replacement: 'C E O', caseSensitive: true },
+      { match: 'USB', replacement: 'U S B', caseSensitive: true },
+      { match: 'SQL', replacement: 'sequel', caseSensitive: true },
+      { match: 'GIF', replacement: 'gif', caseSensitive: true }
+    ]
+  }
+};
+
+// Built-in packs apply to English text only
+const BUILT_IN_PACK_LANGUAGE = 'en';
+
+// Built-in packs are on unless the user turns them off
+const DEFAULT_PACKS = { abbreviations: true, units: true, acronyms: true };
+
+// Current dictionary and page context
+const pronunciationState = {
+  entries: [],
+  packs: { ...DEFAULT_PACKS },
+  origin: '',
+  language: '',
+  compiled: null
+};
+
+/**
+ * Use a pronunciation dictionary for all speech on this page
+ * @param {Object} dictionary - { entries, packs } from the TTS preferences
+ * @param {Object} context - { origin, language } of the page
+ */
+export function setPronunciationDictionary(dictionary = {}, context = {}) {
+  pronunciationState.entries = Array.isArray(dictionary.entries) ? dictionary.entries : [];
+  pronunciationState.packs = { ...DEFAULT_PACKS, ...(dictionary.packs || {}) };
+  pronunciationState.origin = context.origin || '';
+  pronunciationState.language = context.language || '';
+  pronunciationState.compiled = null;
+}
+
+/**
+ * Rewrite text with the pronunciation dictionary
+ * @param {string} text - Text to speak
+ * @param {Object} options - { language } of the voice, when it differs from the page
+ * @returns {string} Text to send to the speech engine
+ */
+export function applyPronunciations(text, options = {}) {
+  return transformForSpeech(text, options).text;
+}
+
+/**
+ * Rewrite text and keep track of where each spoken character came from, so
+ * speech boundary events can be mapped back to the page text
+ * @param {string} text - Text to speak
+ * @param {Object} options - { language }
+ * @returns {Object} { text, changed, toSourceIndex(index) }
+ */
+export function transformForSpeech(text, options = {}) {
+  const rules = getRules(options.language || pronunciationState.language);
+  let current = text || '';
+  let sources = null;
+
+  rules.forEach(rule => {
+    rule.regex.lastIndex = 0;
+    if (!rule.regex.test(current)) return;
+
+    if (!sources) {
+      sources = Array.from(current, (char, index) => index);
+    }
+
+    const nextSources = [];
+    let output = '';
+    let position = 0;
+
+    rule.regex.lastIndex = 0;
+    current.replace(rule.regex, (...args) => {
+      const match = args[0];
+      const offset = args[args.length - 2];
+      const replacement = rule.literal ? rule.replacement : expandReplacement(rule.replacement, args);
+
+      output += current.slice(position, offset);
+      nextSources.push(...sources.slice(position, offset));
+
+      // Spoken characters of a replacement map to the start of what they replace
+      output += replacement;
+      for (let i = 0; i < replacement.length; i++) {
+        nextSources.push(sources[offset] !== undefined ? sources[offset] : sources.length);
+      }
+
+      position = offset + match.length;
+      return match;
+    });
+
+    output += current.slice(position);
+    nextSources.push(...sources.slice(position));
+    current = output;
+    sources = nextSources;
+  });
+
+  return {
+    text: current,
+    changed: sources !== null,
+    toSourceIndex: index => {
+      if (!sources) return index;
+      if (index >= sources.length) return (text || '').length;
+      return sources[Math.max(0, index)];
+    }
+  };
+}
+
+/**
+ * Expand $n and $& in a regex replacement
+ */
+function expandReplacement(replacement, args) {
+  return replacement.replace(/\$(\d{1,2}|&)/g, (token, group) => {
+    if (group === '&') return args[0];
+    const value = args[Number(group)];
+    return typeof value === 'string' ? value : '';
+  });
+}
+
+/**
+ * Rules that apply on this page for a language, most specific first:
+ * site entries, language entries, global entries, then built-in packs
+ */
+function getRules(language) {
+  const key = `${pronunciationState.origin}|${language}`;
+  if (pronunciationState.compiled && pronunciationState.compiled.key === key) {
+    return pronunciationState.compiled.rules;
+  }
+
+  const scopeOrder = { site: 0, language: 1, global: 2 };
+  const userEntries = pronunciationState.entries
+    .filter(entry => !validatePronunciationEntry(entry) && entryApplies(entry, language))
+    .sort((a, b) => scopeOrder[a.scope || 'global'] - scopeOrder[b.scope || 'global']);
+
+  const packEntries = matchesLanguage(BUILT_IN_PACK_LANGUAGE, language)
+    ? Object.entries(BUILT_IN_PACKS)
+      .filter(([id]) => pronunciationState.packs[id] !== false)
+      .flatMap(([, pack]) => pack.entries)
+    : [];
+
+  const rules = [...userEntries, ...packEntries].map(compileEntry);
+  pronunciationState.compiled = { key, rules };
+  return rules;
+}
+
+function entryApplies(entry, language) {
+  switch (entry.scope || 'global') {
+    case 'language':
+      return matchesLanguage(entry.language, language);
+    case 'site':
+      return matchesSite(entry.site, pronunciationState.origin);
+    default:
+      return true;
+  }
+}
+
+/**
+ * Whether an entry language ('en' or 'en-GB') covers a spoken language
+ */
+function matchesLanguage(entryLanguage, language) {
+  if (!entryLanguage || !language) return !entryLanguage;
+  const wanted = entryLanguage.toLowerCase();
+  const actual = language.toLowerCase();
+  return actual === wanted || actual.startsWith(`${wanted}-`);
+}
+
+/**
+ * Whether an entry site (origin or host) covers the page origin, including subdomains
+ */
+function matchesSite(site, origin) {
+  if (!site || !origin) return false;
+
+  let host;
+  let siteHost;
+  try {
+    host = new URL(origin).hostname;
+    siteHost = site.includes('://') ? new URL(site).hostname : site.replace(/\/.*$/, '');
+  } catch (error) {
+    return false;
+  }
+
+  siteHost = siteHost.toLowerCase();
+  return host === siteHost || host.endsWith(`.${siteHost}`);
+}
+
+/**
+ * Compile an entry to a global regular expression
+ */
+function compileEntry(entry) {
+  const flags = entry.caseSensitive ? 'gu' : 'giu';
+
+  if (entry.type === 'regex') {
+    return { regex: new RegExp(entry.match, flags), replacement: entry.replacement, literal: false };
+  }
+
+  // Literal words only match whole words
+  const escaped = entry.match.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const before = /^[\p{L}\p{N}_]/u.test(entry.match) ? '(?<![\\p{L}\\p{N}_])' : '';
+  const after = /[\p{L}\p{N}_]$/u.test(entry.match) ? '(?![\\p{L}\\p{N}_])' : '';
+  return { regex: new RegExp(`${before}${escaped}${after}`, flags), replacement: entry.replacement, literal: true };
+}
+
+/**
+ * Check a dictionary entry
+ * @param {Object} entry - Dictionary entry
+ * @returns {string|null} Error message, or null when the entry is valid
+ */
+export function validatePronunciationEntry(entry) {
+  if (!entry || typeof entry.match !== 'string' || !entry.match.trim()) {
+    return 'Enter the text to match';
+  }
+  if (typeof entry.replacement !== 'string') {
+    return 'Enter how the text should be spoken';
+  }
+  if (entry.type && !ENTRY_TYPES.includes(entry.type)) {
+    return `Unknown entry type: ${entry.type}`;
+  }
+  if (entry.scope && !ENTRY_SCOPES.includes(entry.scope)) {
+    return `Unknown scope: ${entry.scope}`;
+  }
+  if (entry.scope === 'language' && !entry.language) {
+    return 'Enter a language code such as "en" or "fr-CA"';
+  }
+  if (entry.scope === 'site' && !entry.site) {
+    return 'Enter a site such as "example.com"';
+  }
+  if (entry.type === 'regex') {
+    try {
+      new RegExp(entry.match, 'u');
+    } catch (error) {
+      return `Invalid regular expression: ${error.message}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Serialize dictionary entries for export
+ * @param {Array} entries - Dictionary entries
+ * @returns {string} JSON file contents
+ */
+export function exportPronunciations(entries) {
+  return JSON.stringify({ version: EXPORT_VERSION, entries }, null, 2);
+}
+
+/**
+ * Parse an exported dictionary file
+ * @param {string} text - JSON file contents (an export, or a plain array of entries)
+ * @returns {Object} { entries, rejected } where rejected counts invalid entries
+ */
+export function importPronunciations(text) {
+  const data = JSON.parse(text);
+  const list = Array.isArray(data) ? data : data && data.entries;
+  if (!Array.isArray(list)) {
+    throw new Error('The file does not contain pronunciation entries');
+  }
+
+  const entries = [];
+  list.forEach(entry => {
+    if (!validatePronunciationEntry(entry)) {
+      entries.push(normalizeEntry(entry));
+    }
+  });
+
+  return { entries, rejected: list.length - entries.length };
+}
+
+/**
+ * Keep only the known fields of an entry and give it an id
+ * @param {Object} entry - Dictionary entry
+ * @returns {Object} Entry
+ */
+export function normalizeEntry(entry) {
+  const scope = entry.scope || 'global';
+  return {
+    id: entry.id || `pron-${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 6)}`,
+    match: entry.match,
+    replacement: entry.replacement,
+    type: entry.type || 'literal',
+    scope,
+    language: scope === 'language' ? entry.language : undefined,
+    site: scope === 'site' ? entry.site : undefined,
+    caseSensitive: Boolean(entry.caseSensitive)
+  };
+}
@@ -0,0 +1,198 @@
+/**
+ * Reading Modes Module
+ *
+ * Extra ways to start text-to-speech besides reading the whole page:
+ * reading the current selection, reading from a chosen element onwards,
+ * and hover-to-speak for short elements such as buttons, links and images.
+ */
+
+// Controls spoken by hover-to-speak (images are spoken when not inside one)
+const HOVER_SELECTOR = [
+  'a[href]',
+  'button',
+  'input[type="button"]',
+  'input[type="submit"]',
+  'input[type="reset"]',
+  'input[type="image"]',
+  'summary',
+  'label',
+  '[role="button"]',
+  '[role="link"]',
+  '[role="menuitem"]',
+  '[role="tab"]'
+].join(', ');
+
+// Default hover delay before speaking, in milliseconds
+export const DEFAULT_HOVER_DELAY = 400;
+
+// Longer hover text is not spoken (the element is probably not a control)
+const MAX_HOVER_TEXT_LENGTH = 150;
+
+// State for reading modes
+const readingModesState = {
+  contextTarget: null,
+  hoverTimer: null,
+  hoverElement: null,
+  hoverSpeak: null,
+  hoverDelay: DEFAULT_HOVER_DELAY
+};
+
+/**
+ * Get the selected text on the page, including selections in text fields
+ * @returns {string} Selected text
+ */
+export function getSelectedText() {
+  const active = document.activeElement;
+  if (active && (active.tagName === 'TEXTAREA' || active.tagName === 'INPUT') &&
+      typeof active.selectionStart === 'number' && active.selectionStart !== active.selectionEnd) {
+    return active.value.slice(active.selectionStart, active.selectionEnd).trim();
+  }
+
+  const selection = window.getSelection();
+  return selection ? selection.toString().trim() : '';
+}
+
+/**
+ * Find where reading should start for an element
+ * @param {Array<Element>} nodes - Readable nodes
+ * @param {Element} element - Element chosen by the user
+ * @returns {Object} { nodes, index } with nodes in document order and the
+ *   index of the first node containing, inside, or after the element (-1 if none)
+ */
+export function findReadingStart(nodes, element) {
+  const ordered = [...nodes].sort((a, b) => (
+    a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1
+  ));
+
+  const index = ordered.findIndex(node => (
+    node === element ||
+    node.contains(element) ||
+    element.contains(node) ||
+    Boolean(element.compareDocumentPosition(node) & Node.DOCUMENT_POSITION_FOLLOWING)
+  ));
+
+  return { nodes: ordered, index };
+}
+
+/**
+ * Remember the element the user opened the context menu on, so "Read from
+ * here" knows where to start
+ */
+export function trackContextTarget() {
+  document.addEventListener('contextmenu', handleContextMenu, true);
+}
+
+/**
+ * Stop tracking context menu targets
+ */
+export function untrackContextTarget() {
+  document.removeEventListener('contextmenu', handleContextMenu, true);
+  readingModesState.contextTarget = null;
+}
+
+/**
+ * Element the context menu was last opened on
+ * @returns {Element|null} Element
+ */
+export function getContextTarget() {
+  const target = readingModesState.contextTarget;
+  return target && target.isConnected ? target : null;
+}
+
+function handleContextMenu(event) {
+  readingModesState.contextTarget = event.target instanceof Element ? event.target : event.target.parentElement;
+}
+
+/**
+ * Text spoken for a hovered element: its accessible name
+ * @param {Element} element - Hovered element
+ * @returns {string} Text, or '' when the element isn't worth speaking
+ */
+export function getHoverText(element) {
+  let text = element.getAttribute('aria-label') || '';
+
+  if (!text) {
+    const labelledBy = element.getAttribute('aria-labelledby');
+    if (labelledBy) {
+      text = labelledBy.split(/\s+/)
+        .map(id => document.getElementById(id))
+        .filter(Boolean)
+        .map(label => label.textContent)
+        .join(' ');
+    }
+  }
+
+  if (!text) {
+    if (element.tagName === 'IMG') {
+      text = element.alt;
+    } else if (element.tagName === 'INPUT') {
+      text = element.value || element.alt || '';
+    } else {
+      // Links and buttons that only contain an image are named by its alt text
+      text = element.textContent.trim() ||
+        Array.from(element.querySelectorAll('img[alt]')).map(img => img.alt).join(' ');
+    }
+  }
+
+  text = (text || element.getAttribute('title') || '').replace(/\s+/g, ' ').trim();
+  return text.length <= MAX_HOVER_TEXT_LENGTH ? text : '';
+}
+
+/**
+ * Start hover-to-speak
+ * @param {Function} speak - Called with the text of the hovered element
+ * @param {number} delay - Hover time before speaking, in milliseconds
+ */
+export function enableHoverToSpeak(speak, delay = DEFAULT_HOVER_DELAY) {
+  disableHoverToSpeak();
+  readingModesState.hoverSpeak = speak;
+  readingModesState.hoverDelay = delay;
+  document.addEventListener('mouseover', handleHoverStart);
+  document.addEventListener('mouseout', handleHoverEnd);
+  document.addEventListener('focusin', handleHoverStart);
+}
+
+/**
+ * Stop hover-to-speak
+ */
+export function disableHoverToSpeak() {
+  document.removeEventListener('mouseover', handleHoverStart);
+  document.removeEventListener('mouseout', handleHoverEnd);
+  document.removeEventListener('focusin', handleHoverStart);
+  clearTimeout(readingModesState.hoverTimer);
+  readingModesState.hoverTimer = null;
+  readingModesState.hoverElement = null;
+  readingModesState.hoverSpeak = null;
+}
+
+function handleHoverStart(event) {
+  const target = event.target instanceof Element ? event.target : null;
+  const element = target && (target.closest(HOVER_SELECTOR) || target.closest('img[alt]'));
+  if (!element || element === readingModesState.hoverElement) return;
+
+  // Never speak the extension's own controls
+  if (element.closest('#accessibility-extension-panel, .accessibility-transcript-panel')) return;
+
+  clearTimeout(readingModesState.hoverTimer);
+  readingModesState.hoverElement = element;
+
+  // Speak only once the pointer settles, not for every element it crosses
+  readingModesState.hoverTimer = setTimeout(() => {
+    readingModesState.hoverTimer = null;
+    const text = getHoverText(element);
+    if (text && readingModesState.hoverSpeak) {
+      readingModesState.hoverSpeak(text, element);
+    }
+  }, readingModesState.hoverDelay);
+}
+
+function handleHoverEnd(event) {
+  const element = readingModesState.hoverElement;
+  if (!element || (event.relatedTarget instanceof Node && element.contains(event.relatedTarget))) {
+    return;
+  }
+
+  clearTimeout(readingModesState.hoverTimer);
+  readingModesState.hoverTimer = null;
+  readingModesState.hoverElement = null;
+}
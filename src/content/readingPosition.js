@@ -0,0 +1,357 @@
+/**
+ * Reading Position Module
+ *
+ * Remembers where page reading stopped so it can continue on a later visit.
+ * Positions are stored per URL in chrome.storage.local as a fingerprint of
+ * the block being read (its text hash, opening words and DOM path) plus a
+ * character offset into it. On return, the block is found again by its
+ * fingerprint rather than its index, so ads or banners added above the
+ * article don't throw the position off, and the offset is re-anchored on
+ * the words that were being read when the text changed slightly.
+ *
+ * The progress through the article is shared with the memory aid's reading
+ * progress, and the popup lists the articles still in progress.
+ */
+
+import { recordReadingProgress } from './memoryAid';
+
+// Storage key for saved positions
+const POSITIONS_STORAGE_KEY = 'readingPositions';
+
+// Positions kept, most recent first
+export const MAX_SAVED_POSITIONS = 50;
+
+// Positions older than this are forgotten
+const POSITION_EXPIRY_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Delay before a position update during reading is written to storage
+const SAVE_DELAY_MS = 2000;
+
+// Characters of a block's opening text kept in its fingerprint
+const FINGERPRINT_TEXT_LENGTH = 80;
+
+// Characters kept after the offset to find it again in changed text
+const OFFSET_CONTEXT_LENGTH = 30;
+
+// Lowest fingerprint score of a block whose text still matches
+const MIN_TEXT_MATCH_SCORE = 60;
+
+// Time the resume prompt stays up without an answer
+const RESUME_PROMPT_TIMEOUT_MS = 20000;
+
+// Query parameters that don't change which article a URL shows
+const TRACKING_PARAMETERS = /^(utm_.*|fbclid|gclid|mc_cid|mc_eid|ref|ref_src)$/i;
+
+// State for position tracking
+const readingPositionState = {
+  pending: null,
+  saveTimer: null,
+  pagehideListening: false,
+  prompt: null,
+  promptTimer: null
+};
+
+function normalizeText(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Key a URL by the article it shows: no fragment and no tracking parameters
+ * @param {string} href - URL
+ * @returns {string|null} Normalized URL, or null for unsupported URLs
+ */
+export function normalizePageUrl(href = window.location.href) {
+  try {
+    const url = new URL(href);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+    url.hash = '';
+    Array.from(url.searchParams.keys())
+      .filter(key => TRACKING_PARAMETERS.test(key))
+      .forEach(key => url.searchParams.delete(key));
+    return url.toString();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * FNV-1a hash of a string, as hex
+ */
+function hashText(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16);
+}
+
+/**
+ * Path of tag names and same-tag positions from the body to an element
+ */
+function getElementPath(element) {
+  const parts = [];
+  let current = element;
+  while (current && current !== document.body && current.parentElement) {
+    const tag = current.tagName.toLowerCase();
+    const index = Array.from(current.parentElement.children)
+      .filter(sibling => sibling.tagName === current.tagName)
+      .indexOf(current);
+    parts.unshift(`${tag}:${index}`);
+    current = current.parentElement;
+  }
+  return parts.join('>');
+}
+
+/**
+ * Describe a readable block so it can be found again after the page changes
+ * @param {Element} node - Block being read
+ * @returns {Object} { tag, path, textHash, textStart, length }
+ */
+export function createNodeFingerprint(node) {
+  const text = normalizeText(node.textContent);
+  return {
+    tag: node.tagName.toLowerCase(),
+    path: getElementPath(node),
+    textHash: hashText(text),
+    textStart: text.slice(0, FINGERPRINT_TEXT_LENGTH),
+    length: text.length
+  };
+}
+
+/**
+ * How well a block matches a fingerprint: the same text beats the same
+ * opening words, which beat the same place in the page
+ */
+function scoreFingerprint(fingerprint, node) {
+  const text = normalizeText(node.textContent);
+  let score = 0;
+  if (hashText(text) === fingerprint.textHash) {
+    score += 100;
+  } else if (fingerprint.textStart && text.startsWith(fingerprint.textStart.slice(0, OFFSET_CONTEXT_LENGTH))) {
+    score += 60;
+  }
+  if (getElementPath(node) === fingerprint.path) score += 20;
+  if (node.tagName.toLowerCase() === fingerprint.tag) score += 5;
+  return score;
+}
+
+/**
+ * Find the block a saved position refers to
+ * @param {Object} entry - Saved position
+ * @param {Array<Element>} nodes - Readable blocks of the page, in reading order
+ * @returns {Object|null} { index, textOffset }, or null when no block matches
+ */
+export function resolveReadingPosition(entry, nodes) {
+  if (!entry || !entry.fingerprint || nodes.length === 0) return null;
+
+  let best = null;
+  nodes.forEach((node, index) => {
+    const match = scoreFingerprint(entry.fingerprint, node);
+    // A block only in the same place, with different text, is not the same block
+    if (match < MIN_TEXT_MATCH_SCORE) return;
+    // Prefer the block nearest its old place when several match equally
+    const score = match - Math.abs(index - entry.nodeIndex) / nodes.length;
+    if (!best || score > best.score) best = { index, score };
+  });
+
+  if (!best) return null;
+
+  const text = normalizeText(nodes[best.index].textContent);
+  let textOffset = Math.min(entry.textOffset || 0, text.length);
+  if (entry.textContext && !text.startsWith(entry.textContext, textOffset)) {
+    const found = text.indexOf(entry.textContext);
+    textOffset = found === -1 ? 0 : found;
+  }
+  return { index: best.index, textOffset };
+}
+
+async function readPositions() {
+  const result = await chrome.storage.local.get([POSITIONS_STORAGE_KEY]);
+  return (result && result[POSITIONS_STORAGE_KEY]) || {};
+}
+
+/**
+ * Drop expired positions and keep the most recent ones
+ */
+function prunePositions(positions, now = Date.now()) {
+  const kept = Object.values(positions)
+    .filter(entry => now - entry.updatedAt < POSITION_EXPIRY_MS)
+    .sort((a, b) => b.updatedAt - a.updatedAt)
+    .slice(0, MAX_SAVED_POSITIONS);
+  return Object.fromEntries(kept.map(entry => [entry.url, entry]));
+}
+
+/**
+ * Save where reading is in the page
+ * @param {Object} position
+ * @param {Element} position.node - Block being read
+ * @param {number} position.nodeIndex - Index of the block among the readable blocks
+ * @param {number} position.nodeCount - Number of readable blocks
+ * @param {number} position.textOffset - Characters of the block already read
+ * @param {string} position.url - Page URL (default: the current page)
+ * @param {string} position.title - Page title (default: the document title)
+ * @returns {Promise<Object|null>} The saved entry
+ */
+export async function saveReadingPosition({ node, nodeIndex, nodeCount, textOffset = 0, url, title }) {
+  const key = normalizePageUrl(url);
+  if (!key || !node) return null;
+
+  const text = normalizeText(node.textContent);
+  const entry = {
+    url: key,
+    title: normalizeText(title || document.title) || key,
+    fingerprint: createNodeFingerprint(node),
+    nodeIndex,
+    nodeCount,
+    textOffset,
+    textContext: text.slice(textOffset, textOffset + OFFSET_CONTEXT_LENGTH),
+    progress: nodeCount > 0 ? Math.round((nodeIndex / nodeCount) * 100) : 0,
+    updatedAt: Date.now()
+  };
+
+  recordReadingProgress(entry.progress, url);
+
+  const positions = await readPositions();
+  positions[key] = entry;
+  await chrome.storage.local.set({ [POSITIONS_STORAGE_KEY]: prunePositions(positions) });
+  return entry;
+}
+
+/**
+ * Remember the latest position during reading; it is written after a short
+ * delay, or at once when the page is hidden
+ * @param {Object} position - Same as saveReadingPosition()
+ */
+export function trackReadingPosition(position) {
+  readingPositionState.pending = position;
+
+  if (!readingPositionState.pagehideListening) {
+    readingPositionState.pagehideListening = true;
+    window.addEventListener('pagehide', flushReadingPosition);
+  }
+
+  if (!readingPositionState.saveTimer) {
+    readingPositionState.saveTimer = setTimeout(flushReadingPosition, SAVE_DELAY_MS);
+  }
+}
+
+/**
+ * Write the tracked position now
+ * @returns {Promise<Object|null>} The saved entry
+ */
+export function flushReadingPosition() {
+  clearTimeout(readingPositionState.saveTimer);
+  readingPositionState.saveTimer = null;
+
+  const position = readingPositionState.pending;
+  readingPositionState.pending = null;
+  if (!position) return Promise.resolve(null);
+
+  return saveReadingPosition(position).catch(error => {
+    console.error('Error saving reading position:', error);
+    return null;
+  });
+}
+
+/**
+ * Get the saved position for a page
+ * @param {string} url - Page URL (default: the current page)
+ * @returns {Promise<Object|null>} Saved entry
+ */
+export async function loadReadingPosition(url) {
+  const key = normalizePageUrl(url);
+  if (!key) return null;
+  const positions = prunePositions(await readPositions());
+  return positions[key] || null;
+}
+
+/**
+ * Forget the saved position for a page (e.g. when it has been read to the end)
+ * @param {string} url - Page URL (default: the current page)
+ * @returns {Promise<void>}
+ */
+export async function clearReadingPosition(url) {
+  const key = normalizePageUrl(url);
+  if (!key) return;
+
+  // A pending update would save the position again
+  if (readingPositionState.pending && normalizePageUrl(readingPositionState.pending.url) === key) {
+    clearTimeout(readingPositionState.saveTimer);
+    readingPositionState.saveTimer = null;
+    readingPositionState.pending = null;
+  }
+
+  const positions = await readPositions();
+  if (!positions[key]) return;
+  delete positions[key];
+  await chrome.storage.local.set({ [POSITIONS_STORAGE_KEY]: positions });
+}
+
+/**
+ * List the articles still in progress, most recent first
+ * @returns {Promise<Array>} Saved entries
+ */
+export async function listReadingPositions() {
+  return Object.values(prunePositions(await readPositions()));
+}
+
+/**
+ * Ask whether to continue reading from a saved position
+ * @param {Object} entry - Saved position
+ * @param {Object} handlers
+ * @param {Function} handlers.onResume - Continue from the saved position
+ * @param {Function} handlers.onStartOver - Forget it and read from the top
+ * @returns {HTMLElement} The prompt
+ */
+export function showResumePrompt(entry, { onResume, onStartOver } = {}) {
+  hideResumePrompt();
+
+  const prompt = document.createElement('div');
+  prompt.className = 'accessibility-resume-prompt';
+  prompt.setAttribute('role', 'dialog');
+  prompt.setAttribute('aria-labelledby', 'accessibility-resume-prompt-text');
+
+  const message = document.createElement('p');
+  message.id = 'accessibility-resume-prompt-text';
+  message.textContent = `Resume reading from where you left off? (${entry.progress}% read)`;
+  prompt.appendChild(message);
+
+  const addButton = (text, onClick, extraClass = '') => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = text;
+    button.className = `accessibility-resume-button ${extraClass}`.trim();
+    button.addEventListener('click', () => {
+      hideResumePrompt();
+      if (onClick) onClick();
+    });
+    prompt.appendChild(button);
+    return button;
+  };
+
+  addButton('Resume', onResume, 'primary');
+  addButton('Start over', onStartOver);
+  addButton('Not now', null);
+
+  prompt.addEventListener('keydown', event => {
+    if (event.key === 'Escape') hideResumePrompt();
+  });
+
+  document.body.appendChild(prompt);
+  readingPositionState.prompt = prompt;
+  readingPositionState.promptTimer = setTimeout(hideResumePrompt, RESUME_PROMPT_TIMEOUT_MS);
+  return prompt;
+}
+
+/**
+ * Remove the resume prompt
+ */
+export function hideResumePrompt() {
+  clearTimeout(readingPositionState.promptTimer);
+  readingPositionState.promptTimer = null;
+  if (readingPositionState.prompt) {
+    readingPositionState.prompt.remove();
+    readingPositionState.prompt = null;
+  }
+}
@@ -0,0 +1,154 @@
+/**
+ * Sentence Navigation Module
+ *
+ * Splits the text being read into sentences and words so reading can move
+ * by sentence, repeat or slow down the current sentence, and spell the
+ * current word. Segmentation uses Intl.Segmenter for the text's language
+ * where the browser has it. Otherwise sentences end at ., ! or ? followed
+ * by a space, except after common abbreviations and initials or before a
+ * lowercase letter.
+ */
+
+// Abbreviations that end with a period without ending the sentence
+const ABBREVIATIONS = new Set([
+  'mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'jr', 'st', 'vs', 'etc', 'e.g', 'i.e',
+  'no', 'fig', 'inc', 'ltd', 'co', 'jan', 'feb', 'mar', 'apr', 'jun', 'jul',
+  'aug', 'sep', 'sept', 'oct', 'nov', 'dec'
+]);
+
+// Spoken names for characters that speech would skip or misread when spelled
+const SPOKEN_CHARACTERS = {
+  ' ': 'space',
+  '-': 'dash',
+  "'": 'apostrophe',
+  '’': 'apostrophe',
+  '.': 'dot',
+  ',': 'comma',
+  '@': 'at',
+  '&': 'ampersand',
+  '/': 'slash',
+  '_': 'underscore'
+};
+
+// Segmenters by language and granularity
+const segmenterCache = new Map();
+
+function getSegmenter(language, granularity) {
+  if (typeof Intl === 'undefined' || typeof Intl.Segmenter !== 'function') return null;
+
+  const key = `${language || ''}:${granularity}`;
+  if (!segmenterCache.has(key)) {
+    try {
+      segmenterCache.set(key, new Intl.Segmenter(language || undefined, { granularity }));
+    } catch (error) {
+      // Unknown language tags fall back to the default locale
+      segmenterCache.set(key, new Intl.Segmenter(undefined, { granularity }));
+    }
+  }
+  return segmenterCache.get(key);
+}
+
+/**
+ * Split sentences at ., ! or ?, skipping abbreviations and initials
+ */
+function splitSentencesFallback(text) {
+  const sentences = [];
+  const pattern = /[.!?]+["')\]”’]*\s+/g;
+  let start = 0;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const before = text.slice(start, match.index);
+    const lastWord = (before.match(/(\S+)$/) || ['', ''])[1].toLowerCase();
+    const isAbbreviation = match[0][0] === '.' &&
+      (ABBREVIATIONS.has(lastWord) || /^([a-z]\.)*[a-z]$/i.test(lastWord));
+    const end = match.index + match[0].length;
+    // A sentence doesn't start with a lowercase letter
+    if (isAbbreviation || /\p{Ll}/u.test(text[end] || '')) continue;
+
+    sentences.push({ text: text.slice(start, end), index: start });
+    start = end;
+  }
+
+  if (start < text.length) {
+    sentences.push({ text: text.slice(start), index: start });
+  }
+  return sentences;
+}
+
+/**
+ * Split text into sentences
+ * @param {string} text - Text
+ * @param {string} language - BCP 47 language of the text
+ * @returns {Array<Object>} { text, index } per sentence; text keeps its trailing space
+ */
+export function segmentSentences(text, language) {
+  if (!text) return [];
+
+  const segmenter = getSegmenter(language, 'sentence');
+  const sentences = segmenter
+    ? Array.from(segmenter.segment(text), ({ segment, index }) => ({ text: segment, index }))
+    : splitSentencesFallback(text);
+  return sentences.filter(sentence => sentence.text.trim());
+}
+
+/**
+ * Split text into words, leaving out spaces and punctuation
+ * @param {string} text - Text
+ * @param {string} language - BCP 47 language of the text
+ * @returns {Array<Object>} { text, index } per word
+ */
+export function segmentWords(text, language) {
+  if (!text) return [];
+
+  const segmenter = getSegmenter(language, 'word');
+  if (segmenter) {
+    return Array.from(segmenter.segment(text))
+      .filter(segment => segment.isWordLike)
+      .map(({ segment, index }) => ({ text: segment, index }));
+  }
+  return Array.from(text.matchAll(/[\p{L}\p{N}'’-]+/gu), match => ({ text: match[0], index: match.index }));
+}
+
+/**
+ * Find the sentence containing a character of the text
+ * @param {string} text - Text
+ * @param {number} offset - Character index
+ * @param {string} language - BCP 47 language of the text
+ * @returns {Object|null} { sentences, index, start, end }: all sentences, the
+ *   index of the one found, and where it starts and ends in the text
+ */
+export function getSentenceAt(text, offset, language) {
+  const sentences = segmentSentences(text, language);
+  if (sentences.length === 0) return null;
+
+  let index = sentences.findIndex(sentence => offset < sentence.index + sentence.text.length);
+  if (index === -1) index = sentences.length - 1;
+  const sentence = sentences[index];
+  return { sentences, index, start: sentence.index, end: sentence.index + sentence.text.length };
+}
+
+/**
+ * Find the word at, or else the word after, a character of the text
+ * @param {string} text - Text
+ * @param {number} offset - Character index
+ * @param {string} language - BCP 47 language of the text
+ * @returns {Object|null} { text, index }
+ */
+export function getWordAt(text, offset, language) {
+  const words = segmentWords(text, language);
+  return words.find(word => offset < word.index + word.text.length) || words[words.length - 1] || null;
+}
+
+/**
+ * Spell a word letter by letter, e.g. "Café" as "capital C, a, f, é"
+ * @param {string} word - Word
+ * @returns {string} Text to speak
+ */
+export function spellWord(word) {
+  return Array.from(word).map(character => {
+    if (SPOKEN_CHARACTERS[character]) return SPOKEN_CHARACTERS[character];
+    const isCapital = character !== character.toLowerCase() && character === character.toUpperCase();
+    return isCapital ? `capital ${character}` : character;
+  }).join(', ');
+}
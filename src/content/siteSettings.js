@@ -0,0 +1,63 @@
+/**
+ * Site Settings Resolver
+ *
+ * Layers the override stored for the current site on top of the active
+ * profile's features and preferences. The background keeps the overrides;
+ * this module only computes the effective settings for the page. Overrides
+ * are ignored when "Enable site-specific settings" is turned off.
+ */
+
+/**
+ * Resolve the effective features and preferences for the current site
+ * @param {Object} profileState - Profile state ({ activeFeatures, userPreferences })
+ * @param {Object|null} override - Site override from the background, if any
+ * @returns {Object} Resolved { activeFeatures, userPreferences }
+ */
+export function resolveSiteSettings(profileState, override) {
+  const activeFeatures = { ...(profileState.activeFeatures || {}) };
+  const preferences = profileState.userPreferences || {};
+  const userPreferences = {
+    ...preferences,
+    visual: { ...(preferences.visual || {}) },
+    cognitive: { ...(preferences.cognitive || {}) }
+  };
+
+  if (!override || preferences.general?.siteSpecific === false) {
+    return { activeFeatures, userPreferences };
+  }
+
+  // The override is a percentage like the profile's font size; it only
+  // applies while font adjustments are on
+  if (override.fontSize !== undefined) {
+    userPreferences.visual.fontSize = override.fontSize;
+    userPreferences.visual.fontAdjustments = true;
+  }
+
+  if (override.contrastScheme === 'none') {
+    userPreferences.visual.highContrastMode = false;
+    userPreferences.visual.highContrast = false;
+  } else if (override.contrastScheme) {
+    userPreferences.visual.contrastScheme = override.contrastScheme;
+    userPreferences.visual.highContrastMode = true;
+    userPreferences.visual.highContrast = true;
+  }
+
+  (override.disabledFeatures || []).forEach(feature => {
+    activeFeatures[feature] = false;
+  });
+
+  if (override.simplificationLevel) {
+    userPreferences.cognitive.simplificationLevel = override.simplificationLevel;
+  }
+
+  return { activeFeatures, userPreferences };
+}
+
+/**
+ * Get the origin overrides are stored under for the current page
+ * @returns {string|null} Page origin, or null for non-web pages
+ */
+export function getPageOrigin() {
+  const { protocol, origin } = window.location;
+  return protocol === 'http:' || protocol === 'https:' ? origin : null;
+}
@@ -0,0 +1,692 @@
+/**
+ * Speech Service Module
+ *
+ * One speech queue for everything the extension says. Page reading, audio
+ * descriptions, notifications and announcements all go through the service,
+ * which hands utterances to the selected engine:
+ *
+ *   web-speech - the page's speechSynthesis
+ *   chrome-tts - chrome.tts, driven by the background service worker
+ *   mock       - a deterministic engine for tests
+ *
+ * Utterances are queued by priority:
+ *
+ *   high   - interrupts whatever is speaking; interrupted speech resumes
+ *            from its last spoken word afterwards
+ *   normal - page reading
+ *   low    - waits until no page reading is queued
+ *
+ * Rate, pitch, volume and voice come from the profile through configure()
+ * unless an utterance overrides them. Each utterance is an event target
+ * firing start, boundary, pause, resume, end and error; the service fires
+ * the same events for every utterance to its subscribers.
+ */
+
+// Priorities in the order their queues are spoken
+export const SPEECH_PRIORITIES = ['high', 'normal', 'low'];
+
+// Speech engines offered by the `tts.engine` preference
+export const SPEECH_ENGINES = ['web-speech', 'chrome-tts'];
+
+let nextRequestId = 1;
+
+/**
+ * An utterance waiting in or spoken from the queue
+ */
+export class SpeechRequest extends EventTarget {
+  /**
+   * @param {string} text - Text to speak
+   * @param {Object} options
+   * @param {string} options.priority - 'high', 'normal' or 'low'
+   * @param {string} options.source - Who asked (e.g. 'page', 'notification')
+   * @param {string} options.language - Language of the text
+   * @param {string|Object} options.voice - Voice name, or a voice from getVoices()
+   * @param {number} options.rate - Rate, overriding the configured one
+   * @param {number} options.pitch - Pitch, overriding the configured one
+   * @param {number} options.volume - Volume, overriding the configured one
+   */
+  constructor(text, options = {}) {
+    super();
+    this.id = nextRequestId++;
+    this.text = text;
+    this.priority = SPEECH_PRIORITIES.includes(options.priority) ? options.priority : 'normal';
+    this.source = options.source || 'page';
+    this.language = options.language;
+    this.voice = options.voice;
+    this.rate = options.rate;
+    this.pitch = options.pitch;
+    this.volume = options.volume;
+    this.state = 'created';
+
+    // Where to start speaking again after an interruption
+    this.resumeIndex = 0;
+    this.spokenIndex = 0;
+    this.attempt = 0;
+  }
+
+  /**
+   * Fire an event with extra fields (e.g. charIndex for boundaries)
+   */
+  emit(type, detail = {}) {
+    const event = new Event(type);
+    Object.assign(event, { request: this }, detail);
+    this.dispatchEvent(event);
+    return event;
+  }
+}
+
+class SpeechService {
+  constructor() {
+    this.engines = new Map();
+    this.engine = null;
+    this.queues = { high: [], normal: [], low: [] };
+    this.current = null;
+    this.paused = false;
+    this.settings = { rate: 1, pitch: 1, volume: 1, voice: undefined };
+    this.subscribers = new Map();
+  }
+
+  /**
+   * Register a speech engine. Engines implement
+   * `speak({ text, language, voice, rate, pitch, volume }, { onStart, onBoundary, onEnd, onError })`,
+   * `cancel()`, `pause()`, `resume()`, `getVoices()` and `isAvailable()`, and may
+   * implement `onVoicesChanged(callback)`. The first available engine is used
+   * until useEngine() picks another.
+   * @param {Object} engine - Engine with an `id`
+   */
+  registerEngine(engine) {
+    if (!engine || typeof engine.speak !== 'function' || typeof engine.cancel !== 'function') {
+      throw new Error('Speech engines must implement speak() and cancel()');
+    }
+    this.engines.set(engine.id, engine);
+
+    if (typeof engine.onVoicesChanged === 'function') {
+      engine.onVoicesChanged(() => {
+        if (this.engine === engine) this.notify('voiceschanged', {});
+      });
+    }
+    if (!this.engine && engine.isAvailable()) {
+      this.engine = engine;
+    }
+  }
+
+  /**
+   * Switch to a registered engine; speech in progress is cancelled
+   * @param {string} id - Engine id
+   * @returns {boolean} False when the engine is missing or unavailable
+   */
+  useEngine(id) {
+    const engine = this.engines.get(id);
+    if (!engine || !engine.isAvailable()) return false;
+    if (engine !== this.engine) {
+      this.cancel();
+      this.engine = engine;
+      this.notify('voiceschanged', {});
+    }
+    return true;
+  }
+
+  /**
+   * Id of the engine in use
+   * @returns {string|null}
+   */
+  getEngineId() {
+    return this.engine ? this.engine.id : null;
+  }
+
+  /**
+   * Whether speech can be produced
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return Boolean(this.engine);
+  }
+
+  /**
+   * Voices of the engine in use
+   * @returns {Array} Voices with at least { name, lang }
+   */
+  getVoices() {
+    return this.engine ? this.engine.getVoices() : [];
+  }
+
+  /**
+   * Set the rate, pitch, volume and voice used unless an utterance overrides them
+   * @param {Object} settings - { rate, pitch, volume, voice }
+   */
+  configure(settings = {}) {
+    ['rate', 'pitch', 'volume', 'voice'].forEach(key => {
+      if (settings[key] !== undefined) this.settings[key] = settings[key];
+    });
+  }
+
+  /**
+   * Get the configured rate, pitch, volume and voice
+   * @returns {Object} { rate, pitch, volume, voice }
+   */
+  getSettings() {
+    return { ...this.settings };
+  }
+
+  /**
+   * Queue text to be spoken
+   * @param {string} text - Text to speak
+   * @param {Object} options - SpeechRequest options
+   * @returns {SpeechRequest|null} The queued utterance, or null when there is nothing to speak
+   */
+  speak(text, options = {}) {
+    if (!text) return null;
+    return this.enqueue(new SpeechRequest(text, options));
+  }
+
+  /**
+   * Queue a prepared utterance (listen to its events before queueing it)
+   * @param {SpeechRequest} request - Utterance
+   * @returns {SpeechRequest} The utterance
+   */
+  enqueue(request) {
+    request.state = 'queued';
+    this.queues[request.priority].push(request);
+
+    // High priority speech interrupts anything less urgent
+    if (request.priority === 'high' && this.current && this.current.priority !== 'high') {
+      this.interruptCurrent();
+    }
+
+    this.processQueue();
+    return request;
+  }
+
+  /**
+   * Stop the current utterance and put it back at the front of its queue,
+   * to continue from its last spoken word
+   */
+  interruptCurrent() {
+    const request = this.current;
+    this.current = null;
+    request.state = 'queued';
+    request.resumeIndex = request.spokenIndex;
+    this.queues[request.priority].unshift(request);
+    if (this.engine) this.engine.cancel();
+
+    // Listeners see the interruption as a pause (subscribers don't: speech goes on)
+    request.emit('pause', { interrupted: true });
+  }
+
+  /**
+   * Speak the next utterance when nothing is speaking
+   */
+  processQueue() {
+    if (this.current || this.paused || !this.engine) return;
+
+    const priority = SPEECH_PRIORITIES.find(name => {
+      if (name === 'low' && this.queues.normal.length > 0) return false;
+      return this.queues[name].length > 0;
+    });
+    if (!priority) {
+      this.notify('idle', {});
+      return;
+    }
+
+    const request = this.queues[priority].shift();
+    this.current = request;
+    this.speakRequest(request);
+  }
+
+  /**
+   * Hand an utterance to the engine. Callbacks from an earlier attempt (an
+   * interrupted or cancelled utterance) are ignored.
+   */
+  speakRequest(request) {
+    const attempt = ++request.attempt;
+    const offset = request.resumeIndex;
+    const isCurrent = () => this.current === request && request.attempt === attempt;
+
+    request.state = 'speaking';
+
+    try {
+      this.engine.speak({
+        text: request.text.slice(offset),
+        language: request.language,
+        voice: request.voice !== undefined ? request.voice : this.settings.voice,
+        rate: request.rate !== undefined ? request.rate : this.settings.rate,
+        pitch: request.pitch !== undefined ? request.pitch : this.settings.pitch,
+        volume: request.volume !== undefined ? request.volume : this.settings.volume
+      }, {
+        onStart: () => {
+          if (!isCurrent()) return;
+          if (attempt === 1) {
+            this.fire(request, 'start');
+          } else {
+            request.emit('resume', { interrupted: true });
+          }
+        },
+        onBoundary: ({ charIndex = 0, charLength, name = 'word' } = {}) => {
+          if (!isCurrent()) return;
+          request.spokenIndex = offset + charIndex;
+          this.fire(request, 'boundary', { charIndex: offset + charIndex, charLength, name });
+        },
+        onEnd: () => {
+          if (isCurrent()) this.finish(request, 'end');
+        },
+        onError: (error) => {
+          if (isCurrent()) this.finish(request, 'error', { error });
+        }
+      });
+    } catch (error) {
+      console.error(`Speech engine ${this.engine.id} failed:`, error);
+      this.finish(request, 'error', { error: error.message });
+    }
+  }
+
+  finish(request, type, detail = {}) {
+    this.current = null;
+    request.state = type === 'end' ? 'done' : 'failed';
+    this.fire(request, type, detail);
+    this.processQueue();
+  }
+
+  /**
+   * Fire an event on an utterance and to the service's subscribers
+   */
+  fire(request, type, detail = {}) {
+    request.emit(type, detail);
+    this.notify(type, { request, ...detail });
+  }
+
+  /**
+   * Pause speech; queued utterances wait until resume()
+   */
+  pause() {
+    if (this.paused) return;
+    this.paused = true;
+    if (this.engine) this.engine.pause();
+    if (this.current) this.fire(this.current, 'pause');
+  }
+
+  /**
+   * Resume paused speech
+   */
+  resume() {
+    if (!this.paused) return;
+    this.paused = false;
+    if (this.engine) this.engine.resume();
+    if (this.current) {
+      this.fire(this.current, 'resume');
+    } else {
+      this.processQueue();
+    }
+  }
+
+  /**
+   * Cancel queued and current utterances. Cancelled utterances end with
+   * `event.cancelled` set.
+   * @param {Object} filter - { priority, source } to cancel only some utterances
+   */
+  cancel(filter = {}) {
+    const matches = request =>
+      (!filter.priority || request.priority === filter.priority) &&
+      (!filter.source || request.source === filter.source);
+
+    const cancelled = [];
+    SPEECH_PRIORITIES.forEach(priority => {
+      this.queues[priority] = this.queues[priority].filter(request => {
+        if (!matches(request)) return true;
+        cancelled.push(request);
+        return false;
+      });
+    });
+
+    const current = this.current;
+    if (current && matches(current)) {
+      this.current = null;
+      cancelled.unshift(current);
+      if (this.engine) this.engine.cancel();
+    }
+
+    // Cancelling everything also clears a pause
+    if (!filter.priority && !filter.source && this.paused) {
+      this.paused = false;
+      if (this.engine) this.engine.resume();
+    }
+
+    cancelled.forEach(request => {
+      request.state = 'cancelled';
+      this.fire(request, 'end', { cancelled: true });
+    });
+
+    this.processQueue();
+  }
+
+  /**
+   * Whether an utterance is being spoken (or is paused)
+   * @returns {boolean}
+   */
+  isSpeaking() {
+    return Boolean(this.current);
+  }
+
+  /**
+   * Whether speech is paused
+   * @returns {boolean}
+   */
+  isPaused() {
+    return this.paused;
+  }
+
+  /**
+   * Subscribe to speech events of every utterance
+   * @param {string} type - 'start', 'boundary', 'pause', 'resume', 'end', 'error',
+   *   'idle' or 'voiceschanged'
+   * @param {Function} callback - ({ request, ...detail }) => void
+   * @returns {Function} Unsubscribe function
+   */
+  on(type, callback) {
+    if (!this.subscribers.has(type)) {
+      this.subscribers.set(type, new Set());
+    }
+    this.subscribers.get(type).add(callback);
+
+    return () => {
+      const callbacks = this.subscribers.get(type);
+      if (callbacks) {
+        callbacks.delete(callback);
+      }
+    };
+  }
+
+  notify(type, detail) {
+    (this.subscribers.get(type) || []).forEach(callback => {
+      try {
+        callback({ type, ...detail });
+      } catch (error) {
+        console.error(`Error in speech subscriber for ${type}:`, error);
+      }
+    });
+  }
+}
+
+/**
+ * Engine speaking through the page's speechSynthesis
+ */
+export class WebSpeechEngine {
+  constructor(synthesis = typeof window !== 'undefined' ? window.speechSynthesis : undefined) {
+    this.id = 'web-speech';
+    this.synthesis = synthesis;
+  }
+
+  isAvailable() {
+    return Boolean(this.synthesis) && typeof SpeechSynthesisUtterance !== 'undefined';
+  }
+
+  getVoices() {
+    return this.isAvailable() ? this.synthesis.getVoices() : [];
+  }
+
+  onVoicesChanged(callback) {
+    if (this.synthesis) this.synthesis.addEventListener('voiceschanged', callback);
+  }
+
+  speak({ text, language, voice, rate, pitch, volume }, callbacks) {
+    const utterance = new SpeechSynthesisUtterance(text);
+    const voiceObject = typeof voice === 'string'
+      ? this.getVoices().find(item => item.name === voice)
+      : voice;
+    if (voiceObject) utterance.voice = voiceObject;
+    if (language) utterance.lang = language;
+    utterance.rate = rate;
+    utterance.pitch = pitch;
+    utterance.volume = volume;
+
+    utterance.onstart = () => callbacks.onStart();
+    utterance.onboundary = event => callbacks.onBoundary({
+      charIndex: event.charIndex,
+      charLength: event.charLength,
+      name: event.name
+    });
+    utterance.onend = () => callbacks.onEnd();
+    utterance.onerror = event => callbacks.onError(event.error);
+
+    this.synthesis.speak(utterance);
+  }
+
+  pause() {
+    this.synthesis.pause();
+  }
+
+  resume() {
+    this.synthesis.resume();
+  }
+
+  cancel() {
+    this.synthesis.cancel();
+  }
+}
+
+/**
+ * Engine speaking through chrome.tts in the background service worker. The
+ * background reports each utterance's events back as `ttsEvent` messages.
+ */
+export class ChromeTtsEngine {
+  constructor(runtime = typeof chrome !== 'undefined' ? chrome.runtime : undefined) {
+    this.id = 'chrome-tts';
+    this.runtime = runtime;
+    this.voices = [];
+    this.callbacks = new Map();
+    this.nextUtteranceId = 1;
+    this.voicesChanged = [];
+    this.listening = false;
+  }
+
+  isAvailable() {
+    return Boolean(this.runtime && this.runtime.id && this.runtime.sendMessage);
+  }
+
+  getVoices() {
+    return this.voices;
+  }
+
+  onVoicesChanged(callback) {
+    this.voicesChanged.push(callback);
+  }
+
+  /**
+   * Fetch the chrome.tts voices from the background
+   * @returns {Promise<Array>} Voices as { name, lang }
+   */
+  async loadVoices() {
+    const response = await this.runtime.sendMessage({ action: 'ttsGetVoices' });
+    if (!response || !response.success) {
+      throw new Error(response && response.error ? response.error : 'Could not load speech voices');
+    }
+    this.voices = response.voices.map(voice => ({ name: voice.voiceName, lang: voice.lang, remote: voice.remote }));
+    this.voicesChanged.forEach(callback => callback());
+    return this.voices;
+  }
+
+  listen() {
+    if (this.listening) return;
+    this.listening = true;
+    this.runtime.onMessage.addListener(message => {
+      if (message && message.type === 'ttsEvent') this.handleEvent(message);
+    });
+  }
+
+  /**
+   * Route a chrome.tts event to the utterance it belongs to
+   * @param {Object} message - { utteranceId, event: { type, charIndex, length, errorMessage } }
+   */
+  handleEvent({ utteranceId, event = {} }) {
+    const callbacks = this.callbacks.get(utteranceId);
+    if (!callbacks) return;
+
+    switch (event.type) {
+      case 'start':
+        callbacks.onStart();
+        break;
+      case 'word':
+      case 'sentence':
+        callbacks.onBoundary({ charIndex: event.charIndex, charLength: event.length, name: event.type });
+        break;
+      case 'end':
+        this.callbacks.delete(utteranceId);
+        callbacks.onEnd();
+        break;
+      case 'error':
+      case 'interrupted':
+      case 'cancelled':
+        this.callbacks.delete(utteranceId);
+        callbacks.onError(event.errorMessage || event.type);
+        break;
+      default:
+        break;
+    }
+  }
+
+  speak({ text, language, voice, rate, pitch, volume }, callbacks) {
+    this.listen();
+    const utteranceId = `${Date.now()}-${this.nextUtteranceId++}`;
+    this.callbacks.set(utteranceId, callbacks);
+
+    this.runtime.sendMessage({
+      action: 'ttsSpeak',
+      utteranceId,
+      text,
+      options: {
+        lang: language,
+        voiceName: voice && typeof voice === 'object' ? voice.name : voice,
+        rate,
+        pitch,
+        volume
+      }
+    }).then(response => {
+      if (!response || !response.success) {
+        this.handleEvent({ utteranceId, event: { type: 'error', errorMessage: response && response.error } });
+      }
+    }).catch(error => {
+      this.handleEvent({ utteranceId, event: { type: 'error', errorMessage: error.message } });
+    });
+  }
+
+  pause() {
+    this.send('ttsPause');
+  }
+
+  resume() {
+    this.send('ttsResume');
+  }
+
+  cancel() {
+    this.callbacks.clear();
+    this.send('ttsStop');
+  }
+
+  send(action) {
+    Promise.resolve(this.runtime.sendMessage({ action })).catch(error => {
+      console.error(`Speech request ${action} failed:`, error);
+    });
+  }
+}
+
+/**
+ * Deterministic engine for tests: nothing is spoken until advance() or
+ * finish() reports progress
+ */
+export class MockSpeechEngine {
+  constructor({ voices } = {}) {
+    this.id = 'mock';
+    this.voices = voices || [{ name: 'Mock Voice', lang: 'en-US', default: true }];
+    this.spoken = [];
+    this.current = null;
+    this.paused = false;
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  getVoices() {
+    return this.voices;
+  }
+
+  speak(utterance, callbacks) {
+    this.spoken.push(utterance);
+    this.current = { utterance, callbacks, position: 0 };
+    callbacks.onStart();
+  }
+
+  /**
+   * Speak the next words of the current utterance
+   * @param {number} count - Number of words
+   * @returns {boolean} False when nothing is speaking
+   */
+  advance(count = 1) {
+    const current = this.current;
+    if (!current) return false;
+
+    const words = /\S+/g;
+    words.lastIndex = current.position;
+    for (let i = 0; i < count; i++) {
+      const match = words.exec(current.utterance.text);
+      if (!match) break;
+      current.position = words.lastIndex;
+      current.callbacks.onBoundary({ charIndex: match.index, charLength: match[0].length, name: 'word' });
+    }
+
+    if (!/\S/.test(current.utterance.text.slice(current.position))) {
+      this.current = null;
+      current.callbacks.onEnd();
+    }
+    return true;
+  }
+
+  /**
+   * Speak the rest of the current utterance
+   * @returns {boolean} False when nothing is speaking
+   */
+  finish() {
+    return this.advance(Infinity);
+  }
+
+  pause() {
+    this.paused = true;
+  }
+
+  resume() {
+    this.paused = false;
+  }
+
+  cancel() {
+    const current = this.current;
+    this.current = null;
+    if (current) current.callbacks.onError('interrupted');
+  }
+}
+
+/**
+ * Register the browser engines with the shared service and pick one
+ * @param {string} engineId - Preferred engine ('web-speech' or 'chrome-tts')
+ * @returns {SpeechService} The shared service
+ */
+export function initializeSpeechService(engineId = 'web-speech') {
+  if (!speechService.engines.has('web-speech')) {
+    speechService.registerEngine(new WebSpeechEngine());
+  }
+  if (!speechService.engines.has('chrome-tts')) {
+    speechService.registerEngine(new ChromeTtsEngine());
+  }
+
+  if (engineId && !speechService.useEngine(engineId)) {
+    console.error(`Speech engine ${engineId} is not available`);
+  }
+
+  const engine = speechService.engines.get('chrome-tts');
+  if (speechService.getEngineId() === 'chrome-tts' && engine.getVoices().length === 0) {
+    engine.loadVoices().catch(error => console.error('Error loading speech voices:', error));
+  }
+
+  return speechService;
+}
+
+export { SpeechService };
+export const speechService = new SpeechService();
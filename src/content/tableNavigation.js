@@ -0,0 +1,301 @@
+/**
+ * Table Navigation Module
+ *
+ * Table reading mode: move through a table cell by cell (Ctrl+Alt+arrow
+ * keys), read a whole row or column, and hear a summary of the table. Each
+ * move announces the headers that changed (the column header when moving
+ * across, the row header when moving down) followed by the cell's text.
+ *
+ * Headers come from the `headers` attribute when a cell has one, otherwise
+ * from `th` cells and their `scope`. Tables without any `th` get their first
+ * row treated as column headers. Cells spanning rows or columns are placed in
+ * a grid so every position has a cell.
+ */
+
+import { highlightReadingNode, buildTextMap } from './visualFeedback';
+
+// Movement directions as row and column steps
+const DIRECTIONS = {
+  up: [-1, 0],
+  down: [1, 0],
+  left: [0, -1],
+  right: [0, 1]
+};
+
+// State for table navigation
+const tableNavigationState = {
+  table: null,
+  row: 0,
+  column: 0
+};
+
+/**
+ * Lay a table's cells out in a grid, expanding row and column spans
+ * @param {HTMLTableElement} table - Table
+ * @returns {Object} { grid, positions, rowCount, columnCount } where grid[row][column]
+ *   is a cell and positions maps each cell to its first { row, column }
+ */
+export function buildTableGrid(table) {
+  const grid = [];
+  const positions = new Map();
+
+  Array.from(table.rows).forEach((row, rowIndex) => {
+    grid[rowIndex] = grid[rowIndex] || [];
+    let column = 0;
+
+    Array.from(row.cells).forEach(cell => {
+      while (grid[rowIndex][column]) column++;
+
+      const rowSpan = Math.max(1, cell.rowSpan || 1);
+      const colSpan = Math.max(1, cell.colSpan || 1);
+      positions.set(cell, { row: rowIndex, column });
+
+      for (let r = rowIndex; r < Math.min(rowIndex + rowSpan, table.rows.length); r++) {
+        grid[r] = grid[r] || [];
+        for (let c = column; c < column + colSpan; c++) {
+          grid[r][c] = cell;
+        }
+      }
+      column += colSpan;
+    });
+  });
+
+  const columnCount = grid.reduce((max, row) => Math.max(max, row.length), 0);
+  return { grid, positions, rowCount: grid.length, columnCount };
+}
+
+/**
+ * Whether a header cell labels a column (otherwise it labels a row)
+ */
+function isColumnHeader(cell) {
+  const scope = (cell.getAttribute('scope') || '').toLowerCase();
+  if (scope === 'col' || scope === 'colgroup') return true;
+  if (scope === 'row' || scope === 'rowgroup') return false;
+
+  // Without a scope, headers in the table head or in a row of headers label columns
+  const row = cell.parentElement;
+  return Boolean(cell.closest('thead')) || !row.querySelector('td');
+}
+
+/**
+ * Find the row and column headers of the cell at a position
+ * @param {Object} layout - Result of buildTableGrid()
+ * @param {number} row - Row index
+ * @param {number} column - Column index
+ * @returns {Object} { rowHeaders, columnHeaders } as arrays of cells
+ */
+export function getCellHeaders(layout, row, column) {
+  const cell = layout.grid[row] && layout.grid[row][column];
+  const rowHeaders = [];
+  const columnHeaders = [];
+  if (!cell) return { rowHeaders, columnHeaders };
+
+  const add = (list, header) => {
+    if (header && header !== cell && !list.includes(header)) list.push(header);
+  };
+
+  // Explicit headers="id1 id2"
+  const ids = (cell.getAttribute('headers') || '').split(/\s+/).filter(Boolean);
+  if (ids.length > 0) {
+    ids.map(id => cell.ownerDocument.getElementById(id)).filter(Boolean).forEach(header => {
+      const position = layout.positions.get(header);
+      add(position && position.row < row ? columnHeaders : rowHeaders, header);
+    });
+    return { rowHeaders, columnHeaders };
+  }
+
+  const hasHeaderCells = layout.grid.some(cells => cells.some(item => item && item.tagName === 'TH'));
+
+  for (let r = 0; r < row; r++) {
+    const header = layout.grid[r][column];
+    if (!header) continue;
+    if (header.tagName === 'TH' ? isColumnHeader(header) : !hasHeaderCells && r === 0) {
+      add(columnHeaders, header);
+    }
+  }
+
+  for (let c = 0; c < column; c++) {
+    const header = layout.grid[row][c];
+    if (header && header.tagName === 'TH' && !isColumnHeader(header)) {
+      add(rowHeaders, header);
+    }
+  }
+
+  return { rowHeaders, columnHeaders };
+}
+
+/**
+ * Text of a cell as spoken (a header's abbr replaces its text)
+ * @param {Element} cell - Table cell
+ * @param {boolean} useAbbreviation - Whether to use the abbr attribute
+ * @returns {string} Text, or 'blank'
+ */
+export function getCellText(cell, useAbbreviation = false) {
+  const text = (useAbbreviation && cell.getAttribute('abbr')) || cell.textContent;
+  return text.replace(/\s+/g, ' ').trim() || 'blank';
+}
+
+function getHeaderText(headers) {
+  return headers.map(header => getCellText(header, true)).join(' ');
+}
+
+/**
+ * Summary of a table: its size and caption
+ * @param {HTMLTableElement} table - Table
+ * @returns {string} e.g. "Table with 5 rows, 3 columns, Prices"
+ */
+export function getTableSummary(table) {
+  const { rowCount, columnCount } = buildTableGrid(table);
+  const caption = table.caption ? table.caption.textContent : (table.getAttribute('aria-label') || '');
+  const name = caption.replace(/\s+/g, ' ').trim();
+  const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+  return [`Table with ${plural(rowCount, 'row')}, ${plural(columnCount, 'column')}`, name].filter(Boolean).join(', ');
+}
+
+/**
+ * Find the table and cell to work from
+ */
+function getTableContext(from) {
+  const element = from || document.activeElement;
+  const table = element && element.closest ? element.closest('table') : null;
+  if (!table || table.rows.length === 0) return null;
+
+  const layout = buildTableGrid(table);
+  const cell = element.closest('td, th');
+  if (cell && table.contains(cell) && layout.positions.has(cell)) {
+    const position = layout.positions.get(cell);
+
+    // Inside a spanning cell, stay on the row and column we were on
+    if (tableNavigationState.table === table && layout.grid[tableNavigationState.row] &&
+        layout.grid[tableNavigationState.row][tableNavigationState.column] === cell) {
+      return { table, layout, row: tableNavigationState.row, column: tableNavigationState.column, entered: false };
+    }
+    return { table, layout, row: position.row, column: position.column, entered: false };
+  }
+
+  return { table, layout, row: 0, column: 0, entered: true };
+}
+
+/**
+ * Move to the next cell in a direction and announce it
+ * @param {string} direction - 'up', 'down', 'left' or 'right'
+ * @param {Object} options
+ * @param {Function} options.speak - (text, { followText, textOffset }) => void
+ * @param {Element} options.from - Element to start from (default: the focused element)
+ * @returns {boolean} False when the focus isn't in a table
+ */
+export function moveTableCell(direction, { speak, from } = {}) {
+  const context = getTableContext(from);
+  if (!context || !DIRECTIONS[direction]) return false;
+
+  const { table, layout } = context;
+  let { row, column } = context;
+
+  if (context.entered) {
+    // Entering a table: summarize it and announce the first cell
+    focusCell(table, layout, row, column, [getTableSummary(table), describeHeaders(layout, row, column)], speak);
+    return true;
+  }
+
+  const [rowStep, columnStep] = DIRECTIONS[direction];
+  const current = layout.grid[row][column];
+  do {
+    row += rowStep;
+    column += columnStep;
+  } while (layout.grid[row] && layout.grid[row][column] === current);
+
+  if (!layout.grid[row] || !layout.grid[row][column]) {
+    speak('Edge of table');
+    return true;
+  }
+
+  const { rowHeaders, columnHeaders } = getCellHeaders(layout, row, column);
+  const header = rowStep !== 0
+    ? getHeaderText(rowHeaders) || `Row ${row + 1}`
+    : getHeaderText(columnHeaders) || `Column ${column + 1}`;
+  focusCell(table, layout, row, column, [header], speak);
+  return true;
+}
+
+function describeHeaders(layout, row, column) {
+  const { rowHeaders, columnHeaders } = getCellHeaders(layout, row, column);
+  return [getHeaderText(rowHeaders), getHeaderText(columnHeaders)].filter(Boolean).join(', ');
+}
+
+/**
+ * Focus, highlight and announce a cell
+ */
+function focusCell(table, layout, row, column, prefixParts, speak) {
+  const cell = layout.grid[row][column];
+  tableNavigationState.table = table;
+  tableNavigationState.row = row;
+  tableNavigationState.column = column;
+
+  if (!cell.hasAttribute('tabindex')) {
+    cell.setAttribute('tabindex', '-1');
+    cell.addEventListener('blur', () => cell.removeAttribute('tabindex'), { once: true });
+  }
+  cell.focus({ preventScroll: true });
+
+  // Speak before highlighting: starting speech clears the previous highlight
+  const text = buildTextMap(cell).text || 'blank';
+  const prefix = prefixParts.filter(Boolean).map(part => `${part}, `).join('');
+  speak(prefix + text, { followText: true, textOffset: prefix.length });
+  highlightReadingNode(cell);
+}
+
+/**
+ * Read every cell of the current row with its column header
+ * @param {Object} options - { speak, from }
+ * @returns {boolean} False when the focus isn't in a table
+ */
+export function readTableRow({ speak, from } = {}) {
+  const context = getTableContext(from);
+  if (!context) return false;
+
+  const { layout, row } = context;
+  const cells = [...new Set(layout.grid[row])].filter(Boolean);
+  const text = cells.map(cell => {
+    const { columnHeaders } = getCellHeaders(layout, row, layout.positions.get(cell).column);
+    const header = getHeaderText(columnHeaders);
+    return header ? `${header}: ${getCellText(cell)}` : getCellText(cell);
+  }).join('. ');
+
+  speak(`Row ${row + 1}. ${text}`);
+  highlightReadingNode(context.table.rows[row]);
+  return true;
+}
+
+/**
+ * Read every cell of the current column with its row header
+ * @param {Object} options - { speak, from }
+ * @returns {boolean} False when the focus isn't in a table
+ */
+export function readTableColumn({ speak, from } = {}) {
+  const context = getTableContext(from);
+  if (!context) return false;
+
+  const { layout, column } = context;
+  const cells = [...new Set(layout.grid.map(cells => cells[column]))].filter(Boolean);
+  const text = cells.map(cell => {
+    const { rowHeaders } = getCellHeaders(layout, layout.positions.get(cell).row, column);
+    const header = getHeaderText(rowHeaders);
+    return header ? `${header}: ${getCellText(cell)}` : getCellText(cell);
+  }).join('. ');
+
+  speak(`Column ${column + 1}. ${text}`);
+  return true;
+}
+
+/**
+ * Announce the size and caption of the current table
+ * @param {Object} options - { speak, from }
+ * @returns {boolean} False when the focus isn't in a table
+ */
+export function announceTableSummary({ speak, from } = {}) {
+  const context = getTableContext(from);
+  if (!context) return false;
+
+  speak(getTableSummary(context.table));
+  return true;
+}
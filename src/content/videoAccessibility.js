@@ -14,11 +14,35 @@ import DOMPurify from 'dompurify';
 // Import video controls
 import { createVideoControls } from './videoControls';
 
+// Import caption file parsing
+import { parseCaptions, parseCueText, fromTextTrackCue, scopeCueStyles, serializeWebVTT } from './captionParser';
+
+// Import live auto-captioning
+import { AutoCaptioner, createRecognitionEngine, getVideoAudioTrack } from './autoCaption';
+
+// Import audio description playback
+import { AudioDescriber, createSpeechSpeaker } from './audioDescription';
+
+// Import the interactive transcript panel
+import {
+  openTranscript,
+  closeTranscript,
+  isTranscriptOpen,
+  refreshTranscript,
+  updateTranscript,
+  downloadTextFile,
+  getDownloadName
+} from './videoTranscript';
+
 // State for video accessibility features
 const videoState = {
   customControlsEnabled: false,
   captionsEnabled: false,
+  autoCaptionsEnabled: false,
+  autoCaptionEngine: 'web-speech',
+  recognitionLanguage: 'en-US',
   audioDescriptionEnabled: false,
+  audioDescriptionMode: 'duck', // 'duck' lowers the video volume, 'pause' pauses until the description ends
   videoEnhancementEnabled: false,
   captionStyle: {
     fontSize: '16px',
@@ -36,9 +60,20 @@ const videoState = {
   currentVideos: [],
   controlsOverlays: {},
   captionsOverlays: {},
-  descriptionAudio: {}
+  captionTracks: {}, // videoId -> { source, label, language, cues, styles, nativeTrack, originalMode }
+  activeCues: {}, // videoId -> cue currently shown (latest-starting when several overlap)
+  autoCaptioners: {}, // videoId -> AutoCaptioner
+  describers: {}, // videoId -> AudioDescriber
+  descriptionTracks: {}, // videoId -> { source, label, cues }
+  observer: null
 };
 
+// Text track kinds rendered as captions
+const CAPTION_TRACK_KINDS = ['captions', 'subtitles'];
+
+// Line height used to place snap-to-lines cues
+const CUE_LINE_HEIGHT_EM = 1.5;
+
 /**
  * Initialize video accessibility features
  */
@@ -65,6 +100,8 @@ export function initializeVideoAccessibility(state) {
   
   if (videoState.audioDescriptionEnabled) {
     initializeAudioDescription();
+  } else {
+    stopAudioDescription();
   }
   
   if (videoState.videoEnhancementEnabled) {
@@ -81,7 +118,9 @@ function updateVideoState(state) {
     
     videoState.customControlsEnabled = prefs.customControls || false;
     videoState.captionsEnabled = prefs.captions || false;
+    videoState.autoCaptionsEnabled = prefs.automaticCaptions || false;
     videoState.audioDescriptionEnabled = prefs.audioDescription || false;
+    videoState.audioDescriptionMode = prefs.audioDescriptionMode || 'duck';
     videoState.videoEnhancementEnabled = prefs.videoEnhancement || false;
     
     // Update caption style if provided
@@ -89,6 +128,17 @@ function updateVideoState(state) {
       videoState.captionStyle = { ...videoState.captionStyle, ...prefs.captionStyle };
     }
     
+    // Caption options from the options page
+    if (prefs.captionSize) {
+      videoState.captionStyle.fontSize = `${Math.round(16 * prefs.captionSize / 100)}px`;
+    }
+    if (prefs.captionPosition) {
+      videoState.captionStyle.position = prefs.captionPosition;
+    }
+    if (prefs.captionBackground === false) {
+      videoState.captionStyle.background = 'transparent';
+    }
+    
     // Update video enhancement settings if provided
     if (prefs.videoEnhancement) {
       videoState.playbackRate = prefs.playbackRate || 1.0;
@@ -99,12 +149,21 @@ function updateVideoState(state) {
       videoState.videoStabilization = prefs.videoStabilization || false;
     }
   }
+  
+  // Automatic captions recognize speech in the speech-to-text language
+  if (state && state.userPreferences && state.userPreferences.stt && state.userPreferences.stt.language) {
+    videoState.recognitionLanguage = state.userPreferences.stt.language;
+  }
 }
 
 /**
  * Set up mutation observer to detect new videos added to the page
  */
 function setupVideoObserver() {
+  if (videoState.observer) {
+    return;
+  }
+  
   const observer = new MutationObserver((mutations) => {
     let newVideosAdded = false;
     
@@ -146,6 +205,7 @@ function setupVideoObserver() {
   
   // Start observing the document with the configured parameters
   observer.observe(document.body, { childList: true, subtree: true });
+  videoState.observer = observer;
 }
 
 /**
@@ -226,13 +286,25 @@ function removeVideoProcessing(video) {
     delete videoState.captionsOverlays[video.id];
   }
   
-  // Remove any audio description elements
-  if (videoState.descriptionAudio[video.id]) {
-    const descAudio = videoState.descriptionAudio[video.id];
-    if (descAudio.parentNode) {
-      descAudio.parentNode.removeChild(descAudio);
-    }
-    delete videoState.descriptionAudio[video.id];
+  stopAutoCaptions(video);
+  delete videoState.autoCaptioners[video.id];
+  releaseNativeTrack(video);
+  delete videoState.captionTracks[video.id];
+  delete videoState.activeCues[video.id];
+  const cueStyles = document.getElementById(`accessibility-cue-styles-${video.id}`);
+  if (cueStyles) {
+    cueStyles.remove();
+  }
+  
+  // Stop any audio descriptions
+  if (videoState.describers[video.id]) {
+    videoState.describers[video.id].detach();
+    delete videoState.describers[video.id];
+  }
+  delete videoState.descriptionTracks[video.id];
+  
+  if (isTranscriptOpen(video)) {
+    closeTranscript();
   }
   
   console.log('Video processing removed:', video.src || 'embedded video');
@@ -266,6 +338,11 @@ function handleVideoPlay(event) {
   const video = event.target;
   console.log('Video play:', video.src || 'embedded video');
   
+  // Caption videos that have no captions of their own
+  if (videoState.captionsEnabled && videoState.autoCaptionsEnabled && needsAutoCaptions(video)) {
+    startAutoCaptions(video);
+  }
+  
   // Update custom controls if enabled
   if (videoState.customControlsEnabled && videoState.controlsOverlays[video.id]) {
     const playButton = videoState.controlsOverlays[video.id].querySelector('.accessibility-play-pause');
@@ -283,6 +360,8 @@ function handleVideoPause(event) {
   const video = event.target;
   console.log('Video pause:', video.src || 'embedded video');
   
+  stopAutoCaptions(video);
+  
   // Update custom controls if enabled
   if (videoState.customControlsEnabled && videoState.controlsOverlays[video.id]) {
     const playButton = videoState.controlsOverlays[video.id].querySelector('.accessibility-play-pause');
@@ -318,10 +397,8 @@ function handleVideoTimeUpdate(event) {
     updateCaptions(video);
   }
   
-  // Check for audio description cues
-  if (videoState.audioDescriptionEnabled && videoState.descriptionAudio[video.id]) {
-    checkAudioDescriptionCues(video);
-  }
+  // Follow playback in the transcript
+  updateTranscript(video);
 }
 
 /**
@@ -529,12 +606,32 @@ function createCustomControls(video) {
     captionButton.style.background = videoState.captionsEnabled ? '#4285F4' : 'none';
   });
   
+  // Create caption file button
+  const captionFileButton = document.createElement('button');
+  captionFileButton.className = 'accessibility-caption-file';
+  captionFileButton.textContent = 'Load CC';
+  captionFileButton.setAttribute('aria-label', 'Load a caption file (.vtt or .srt) for this video');
+  captionFileButton.style.cssText = `
+    background: none;
+    border: 1px solid white;
+    color: white;
+    font-size: 14px;
+    cursor: pointer;
+    padding: 5px 10px;
+    border-radius: 3px;
+    margin-left: 10px;
+  `;
+  captionFileButton.addEventListener('click', () => {
+    promptCaptionFile(video);
+  });
+  
   // Assemble controls
   controls.appendChild(playButton);
   controls.appendChild(progressContainer);
   controls.appendChild(timeDisplay);
   controls.appendChild(rateControl);
   controls.appendChild(captionButton);
+  controls.appendChild(captionFileButton);
   
   // Position the controls relative to the video
   const videoContainer = video.parentElement;
@@ -587,25 +684,28 @@ function createCaptionOverlay(video) {
     video.id = 'accessibility-video-' + Math.random().toString(36).substr(2, 9);
   }
   
-  // Create caption container
+  // Create caption container. It covers the video so cues with WebVTT
+  // positioning can be placed anywhere; other cues flow in the default region.
   const captionContainer = document.createElement('div');
   captionContainer.className = 'accessibility-caption-container';
+  captionContainer.id = `accessibility-captions-${video.id}`;
+  captionContainer.setAttribute('aria-live', 'off');
   captionContainer.style.cssText = `
     position: absolute;
-    ${videoState.captionStyle.position === 'bottom' ? 'bottom: 60px;' : 'top: 20px;'}
-    left: 10%;
-    width: 80%;
-    text-align: center;
-    color: ${videoState.captionStyle.color};
-    background-color: ${videoState.captionStyle.background};
-    padding: 5px 10px;
-    border-radius: 5px;
-    font-family: ${videoState.captionStyle.fontFamily};
-    font-size: ${videoState.captionStyle.fontSize};
+    top: 0;
+    left: 0;
+    width: 100%;
+    height: 100%;
+    pointer-events: none;
     z-index: 9;
     display: ${videoState.captionsEnabled ? 'block' : 'none'};
   `;
   
+  const defaultRegion = document.createElement('div');
+  defaultRegion.className = 'accessibility-cue-region';
+  captionContainer.appendChild(defaultRegion);
+  applyCaptionStyle(captionContainer);
+  
   // Position the caption container relative to the video
   const videoContainer = video.parentElement;
   videoContainer.style.position = 'relative';
@@ -614,9 +714,411 @@ function createCaptionOverlay(video) {
   // Store reference to caption overlay
   videoState.captionsOverlays[video.id] = captionContainer;
   
+  // Load captions from the video's own tracks
+  loadVideoCaptions(video);
+  
   console.log('Caption overlay created for video:', video.src || 'embedded video');
 }
 
+/**
+ * Apply the user's caption style to a caption container
+ */
+function applyCaptionStyle(captionContainer) {
+  const style = videoState.captionStyle;
+  
+  captionContainer.style.color = style.color;
+  captionContainer.style.fontFamily = style.fontFamily;
+  captionContainer.style.fontSize = style.fontSize;
+  
+  const defaultRegion = captionContainer.querySelector('.accessibility-cue-region');
+  defaultRegion.style.cssText = `
+    position: absolute;
+    ${style.position === 'top' ? 'top: 20px;' : 'bottom: 60px;'}
+    left: 10%;
+    width: 80%;
+    text-align: center;
+  `;
+  
+  captionContainer.querySelectorAll('.accessibility-cue-text').forEach(text => {
+    text.style.backgroundColor = style.background;
+  });
+}
+
+/**
+ * Load captions from the video's <track> elements / textTracks
+ */
+function loadVideoCaptions(video) {
+  // A caption file loaded by the user takes precedence
+  if (videoState.captionTracks[video.id] && videoState.captionTracks[video.id].source === 'file') {
+    return;
+  }
+  
+  const tracks = Array.from(video.textTracks || [])
+    .filter(track => CAPTION_TRACK_KINDS.includes(track.kind));
+  if (tracks.length === 0) {
+    return;
+  }
+  
+  // Prefer the track the page shows by default, then the default <track>
+  const trackElements = Array.from(video.querySelectorAll('track'));
+  const defaultElement = trackElements.find(element => element.default && tracks.includes(element.track));
+  const nativeTrack = tracks.find(track => track.mode === 'showing') ||
+    (defaultElement && defaultElement.track) ||
+    tracks[0];
+  const trackElement = trackElements.find(element => element.track === nativeTrack);
+  
+  const originalMode = nativeTrack.mode;
+  const useNativeCues = () => {
+    setCaptionTrack(video, {
+      source: 'track',
+      label: nativeTrack.label || nativeTrack.language || 'Captions',
+      language: nativeTrack.language,
+      cues: Array.from(nativeTrack.cues || []).map(fromTextTrackCue),
+      styles: [],
+      nativeTrack,
+      originalMode
+    });
+  };
+  
+  // Hidden tracks still load and expose cues, but the browser doesn't render them
+  nativeTrack.mode = 'hidden';
+  
+  if (nativeTrack.cues && nativeTrack.cues.length > 0) {
+    useNativeCues();
+  } else if (trackElement && trackElement.src) {
+    trackElement.addEventListener('load', useNativeCues, { once: true });
+    
+    // The browser refuses some tracks (e.g. cross-origin without CORS); try fetching the file
+    trackElement.addEventListener('error', () => {
+      fetchCaptionFile(trackElement.src)
+        .then(parsed => {
+          setCaptionTrack(video, {
+            source: 'track',
+            label: trackElement.label || trackElement.srclang || 'Captions',
+            language: trackElement.srclang,
+            cues: parsed.cues,
+            styles: parsed.styles,
+            nativeTrack,
+            originalMode
+          });
+        })
+        .catch(error => {
+          console.error('Error loading caption track:', error);
+        });
+    }, { once: true });
+  } else {
+    useNativeCues();
+  }
+}
+
+/**
+ * Fetch and parse a caption file
+ */
+async function fetchCaptionFile(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch captions: ${response.status}`);
+  }
+  return parseCaptions(await response.text());
+}
+
+/**
+ * Let the user pick a local .vtt/.srt caption file for a video
+ */
+function promptCaptionFile(video) {
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = '.vtt,.srt,text/vtt';
+  
+  input.onchange = () => {
+    const file = input.files[0];
+    if (file) {
+      loadCaptionFile(video, file).catch(error => {
+        console.error('Error loading caption file:', error);
+        showCaptionMessage(video, `Could not load captions: ${error.message}`);
+      });
+    }
+  };
+  
+  input.click();
+}
+
+/**
+ * Load a local caption file for a video
+ * @param {HTMLVideoElement} video - Video element
+ * @param {File} file - .vtt or .srt file
+ * @returns {Promise<Object>} The loaded caption track
+ */
+export async function loadCaptionFile(video, file) {
+  const parsed = parseCaptions(await file.text());
+  
+  // Captions from a file replace the native track
+  releaseNativeTrack(video);
+  
+  const track = {
+    source: 'file',
+    label: file.name,
+    language: '',
+    cues: parsed.cues,
+    styles: parsed.styles,
+    nativeTrack: null,
+    originalMode: null
+  };
+  
+  // Turn captions on so the file is visible right away
+  if (!videoState.captionsEnabled) {
+    videoState.captionsEnabled = true;
+    initializeCaptionSystem();
+    Object.values(videoState.captionsOverlays).forEach(overlay => {
+      overlay.style.display = 'block';
+    });
+  }
+  
+  setCaptionTrack(video, track);
+  showCaptionMessage(video, `Loaded ${parsed.cues.length} captions from ${file.name}`);
+  return track;
+}
+
+/**
+ * Use a caption track for a video and render it
+ */
+function setCaptionTrack(video, track) {
+  videoState.captionTracks[video.id] = track;
+  
+  // Scope the file's ::cue styles to this video's captions
+  const styleId = `accessibility-cue-styles-${video.id}`;
+  let styleElement = document.getElementById(styleId);
+  const css = scopeCueStyles(track.styles || [], `#accessibility-captions-${CSS.escape(video.id)}`);
+  
+  if (css) {
+    if (!styleElement) {
+      styleElement = document.createElement('style');
+      styleElement.id = styleId;
+      document.head.appendChild(styleElement);
+    }
+    styleElement.textContent = css;
+  } else if (styleElement) {
+    styleElement.remove();
+  }
+  
+  const captionOverlay = videoState.captionsOverlays[video.id];
+  if (captionOverlay) {
+    delete captionOverlay.dataset.cueKey;
+  }
+  updateCaptions(video);
+  refreshTranscript(video);
+}
+
+/**
+ * Give a native text track back to the browser
+ */
+function releaseNativeTrack(video) {
+  const track = videoState.captionTracks[video.id];
+  if (track && track.nativeTrack && track.originalMode) {
+    track.nativeTrack.mode = track.originalMode;
+  }
+}
+
+/**
+ * Whether a video should get automatic captions (it has no other captions)
+ */
+function needsAutoCaptions(video) {
+  const track = videoState.captionTracks[video.id];
+  return !track || track.source === 'auto';
+}
+
+/**
+ * Start live automatic captions for a video
+ */
+export function startAutoCaptions(video) {
+  if (!videoState.captionsOverlays[video.id]) {
+    createCaptionOverlay(video);
+  }
+  
+  let captioner = videoState.autoCaptioners[video.id];
+  if (captioner && captioner.running) {
+    return;
+  }
+  
+  let audioTrack;
+  try {
+    audioTrack = getVideoAudioTrack(video);
+  } catch (error) {
+    console.error('Automatic captions unavailable:', error);
+    showCaptionMessage(video, `Automatic captions unavailable: ${error.message}`);
+    return;
+  }
+  
+  if (!captioner) {
+    captioner = new AutoCaptioner({
+      engine: createRecognitionEngine(videoState.autoCaptionEngine),
+      getTime: () => video.currentTime,
+      onUpdate: (text) => renderLiveCaption(video, text),
+      onError: (error) => {
+        console.error('Automatic captioning error:', error);
+        showCaptionMessage(video, `Automatic captions stopped: ${error.message}`);
+        finishLiveCaptions(video);
+      }
+    });
+    videoState.autoCaptioners[video.id] = captioner;
+  }
+  
+  // Generated cues form the video's caption track so they can be replayed and exported
+  setCaptionTrack(video, {
+    source: 'auto',
+    label: 'Automatic captions',
+    language: videoState.recognitionLanguage,
+    cues: captioner.cues,
+    styles: [],
+    nativeTrack: null,
+    originalMode: null,
+    live: true
+  });
+  
+  captioner.start(audioTrack, videoState.recognitionLanguage);
+}
+
+/**
+ * Stop live automatic captions for a video (generated cues are kept)
+ */
+export function stopAutoCaptions(video) {
+  const captioner = videoState.autoCaptioners[video.id];
+  if (captioner && captioner.running) {
+    captioner.stop();
+  }
+  finishLiveCaptions(video);
+}
+
+/**
+ * Switch an automatic caption track from rolling text to timed cues
+ */
+function finishLiveCaptions(video) {
+  const track = videoState.captionTracks[video.id];
+  if (track && track.live) {
+    track.live = false;
+    const captionOverlay = videoState.captionsOverlays[video.id];
+    if (captionOverlay) {
+      delete captionOverlay.dataset.cueKey;
+    }
+    updateCaptions(video);
+  }
+}
+
+/**
+ * Render rolling caption text in a video's default caption region
+ */
+function renderLiveCaption(video, text) {
+  const captionOverlay = videoState.captionsOverlays[video.id];
+  const track = videoState.captionTracks[video.id];
+  const captioner = videoState.autoCaptioners[video.id];
+  
+  // New automatic cues are added to the transcript as they are recognized
+  refreshTranscript(video);
+  
+  // Captions loaded from a track or file replace automatic captions
+  if (!track || !track.live) {
+    if (captioner && captioner.running) {
+      captioner.stop();
+    }
+    return;
+  }
+  if (!captionOverlay || !videoState.captionsEnabled) {
+    return;
+  }
+  
+  const cues = captioner ? captioner.cues : [];
+  videoState.activeCues[video.id] = cues[cues.length - 1] || null;
+  
+  const defaultRegion = captionOverlay.querySelector('.accessibility-cue-region');
+  captionOverlay.querySelectorAll('.accessibility-cue').forEach(element => element.remove());
+  captionOverlay.dataset.cueKey = 'live';
+  
+  if (text) {
+    const escaped = text.replace(/&/g, '&amp;').replace(/</g, '&lt;');
+    defaultRegion.appendChild(renderCue({ markup: escaped }));
+  }
+}
+
+/**
+ * Download a video's captions (loaded or generated) as a WebVTT file
+ * @param {HTMLVideoElement} video - Video element
+ * @returns {boolean} Whether there were captions to export
+ */
+export function exportCaptions(video) {
+  const track = videoState.captionTracks[video.id];
+  if (!track || track.cues.length === 0) {
+    showCaptionMessage(video, 'No captions to export yet');
+    return false;
+  }
+  
+  downloadTextFile(getDownloadName('vtt'), serializeWebVTT(track.cues), 'text/vtt');
+  return true;
+}
+
+/**
+ * Open or close the transcript panel for a video
+ * @param {HTMLVideoElement} video - Video element
+ * @returns {boolean} Whether the transcript is now open
+ */
+export function toggleTranscript(video) {
+  if (isTranscriptOpen(video)) {
+    closeTranscript();
+    return false;
+  }
+  
+  // Caption tracks from the page load with the caption system
+  if (!videoState.captionTracks[video.id]) {
+    loadVideoCaptions(video);
+  }
+  
+  openTranscript(video, () => videoState.captionTracks[video.id] || null);
+  return true;
+}
+
+/**
+ * Hide native tracks while our captions are on, restore them when off
+ */
+function syncNativeTracks() {
+  videoState.currentVideos.forEach(video => {
+    const track = videoState.captionTracks[video.id];
+    if (!track || !track.nativeTrack) return;
+    
+    if (videoState.captionsEnabled) {
+      track.nativeTrack.mode = 'hidden';
+    } else {
+      releaseNativeTrack(video);
+    }
+  });
+}
+
+/**
+ * Show a short status message in a video's caption area
+ */
+function showCaptionMessage(video, message) {
+  const captionOverlay = videoState.captionsOverlays[video.id];
+  if (!captionOverlay) {
+    console.log(message);
+    return;
+  }
+  
+  const status = document.createElement('div');
+  status.className = 'accessibility-caption-status';
+  status.setAttribute('role', 'status');
+  status.textContent = message;
+  status.style.cssText = `
+    position: absolute;
+    top: 10px;
+    left: 10px;
+    padding: 4px 8px;
+    border-radius: 4px;
+    background: rgba(0, 0, 0, 0.75);
+    color: white;
+    font-size: 14px;
+  `;
+  captionOverlay.appendChild(status);
+  setTimeout(() => status.remove(), 4000);
+}
+
 /**
  * Refresh caption system for all videos
  */
@@ -624,6 +1126,8 @@ function refreshCaptionSystem() {
   videoState.currentVideos.forEach(video => {
     if (!videoState.captionsOverlays[video.id]) {
       createCaptionOverlay(video);
+    } else {
+      applyCaptionStyle(videoState.captionsOverlays[video.id]);
     }
   });
 }
@@ -638,6 +1142,7 @@ function toggleCaptions(video) {
   Object.values(videoState.captionsOverlays).forEach(overlay => {
     overlay.style.display = videoState.captionsEnabled ? 'block' : 'none';
   });
+  syncNativeTracks();
   
   console.log(`Captions ${videoState.captionsEnabled ? 'enabled' : 'disabled'}`);
 }
@@ -650,34 +1155,155 @@ function updateCaptions(video) {
     return;
   }
   
-  // In a real implementation, this would use WebVTT or other caption data
-  // For this demo, we'll generate mock captions based on time
-  
   const captionOverlay = videoState.captionsOverlays[video.id];
+  const track = videoState.captionTracks[video.id];
   const currentTime = video.currentTime;
   
-  // Mock caption data - in real implementation, this would come from a caption file
-  const mockCaptions = [
-    { start: 0, end: 5, text: 'This is a sample caption for demonstration purposes.' },
-    { start: 5, end: 10, text: 'Captions help make videos accessible to deaf and hard of hearing users.' },
-    { start: 10, end: 15, text: 'They also benefit users in noisy environments or those learning a language.' },
-    { start: 15, end: 20, text: 'In a real implementation, captions would be loaded from WebVTT or SRT files.' },
-    { start: 20, end: 25, text: 'Or generated in real-time using speech recognition technology.' }
-  ];
-  
-  // Find the current caption
-  const currentCaption = mockCaptions.find(caption => 
-    currentTime >= caption.start && currentTime < caption.end
-  );
+  // Live automatic captions are rendered as rolling text by renderLiveCaption()
+  if (track && track.live) {
+    return;
+  }
+  
+  // Find the active cues
+  const activeCues = track
+    ? track.cues.filter(cue => currentTime >= cue.start && currentTime < cue.end)
+    : [];
+  videoState.activeCues[video.id] = activeCues[activeCues.length - 1] || null;
+  
+  // Only touch the DOM when the set of active cues changes
+  const cueKey = activeCues.map(cue => `${cue.id}@${cue.start}`).join('|');
+  if (captionOverlay.dataset.cueKey === cueKey) {
+    return;
+  }
+  captionOverlay.dataset.cueKey = cueKey;
+  
+  const defaultRegion = captionOverlay.querySelector('.accessibility-cue-region');
+  captionOverlay.querySelectorAll('.accessibility-cue').forEach(element => element.remove());
+  
+  activeCues.forEach(cue => {
+    const cueElement = renderCue(cue);
+    if (positionCue(cueElement, cue.settings)) {
+      captionOverlay.appendChild(cueElement);
+    } else {
+      defaultRegion.appendChild(cueElement);
+    }
+  });
+}
+
+/**
+ * Render a cue with its markup (classes, voices, bold/italic/underline, ruby)
+ */
+function renderCue(cue) {
+  const cueElement = document.createElement('div');
+  cueElement.className = 'accessibility-cue';
+  
+  const text = document.createElement('span');
+  text.className = 'accessibility-cue-text';
+  text.style.cssText = `
+    background-color: ${videoState.captionStyle.background};
+    padding: 2px 8px;
+    border-radius: 4px;
+    line-height: ${CUE_LINE_HEIGHT_EM};
+    white-space: pre-line;
+    box-decoration-break: clone;
+    -webkit-box-decoration-break: clone;
+  `;
+  appendCueNodes(text, parseCueText(cue.markup));
+  
+  cueElement.appendChild(text);
+  return cueElement;
+}
+
+/**
+ * Build DOM nodes for parsed cue markup (never uses innerHTML)
+ */
+function appendCueNodes(parent, nodes) {
+  nodes.forEach(node => {
+    if (node.type === 'text') {
+      parent.appendChild(document.createTextNode(node.value));
+      return;
+    }
+    
+    let element;
+    switch (node.name) {
+      case 'b':
+      case 'i':
+      case 'u':
+      case 'ruby':
+      case 'rt':
+        element = document.createElement(node.name);
+        break;
+      case 'v':
+        element = document.createElement('span');
+        element.dataset.voice = node.annotation;
+        element.title = node.annotation;
+        break;
+      case 'lang':
+        element = document.createElement('span');
+        element.lang = node.annotation;
+        break;
+      case 'font': {
+        element = document.createElement('span');
+        const color = /color\s*=\s*["']?([#\w]+)/i.exec(node.annotation);
+        if (color) {
+          element.style.color = color[1];
+        }
+        break;
+      }
+      default:
+        element = document.createElement('span');
+    }
+    
+    node.classes.forEach(className => element.classList.add(className));
+    appendCueNodes(element, node.children);
+    parent.appendChild(element);
+  });
+}
+
+/**
+ * Apply WebVTT positioning to a cue element
+ * @returns {boolean} Whether the cue is positioned (false = default region)
+ */
+function positionCue(cueElement, settings) {
+  const textAlign = { start: 'left', left: 'left', end: 'right', right: 'right', center: 'center' };
+  cueElement.style.textAlign = textAlign[settings.align] || 'center';
+  
+  if (settings.vertical) {
+    cueElement.style.writingMode = settings.vertical === 'rl' ? 'vertical-rl' : 'vertical-lr';
+  }
+  
+  if (settings.line === null && settings.position === null && settings.size === 100 && !settings.vertical) {
+    return false;
+  }
   
-  // Update the caption text
-  if (currentCaption) {
-    captionOverlay.textContent = currentCaption.text;
-    captionOverlay.style.display = 'block';
+  // Horizontal placement from position/size/align
+  const alignOffset = { start: 0, left: 0, end: -100, right: -100, center: -50 };
+  const positionAlignOffset = { 'line-left': 0, center: -50, 'line-right': -100 };
+  const position = settings.position !== null
+    ? settings.position
+    : { start: 0, left: 0, end: 100, right: 100 }[settings.align] ?? 50;
+  const offsetX = positionAlignOffset[settings.positionAlign] ?? alignOffset[settings.align] ?? -50;
+  
+  cueElement.style.position = 'absolute';
+  cueElement.style.width = `${settings.size}%`;
+  cueElement.style.left = `${Math.min(Math.max(position + offsetX * settings.size / 100, 0), 100 - settings.size)}%`;
+  
+  // Vertical placement from line
+  if (settings.line === null) {
+    cueElement.style.bottom = '60px';
+  } else if (settings.snapToLines) {
+    if (settings.line >= 0) {
+      cueElement.style.top = `${settings.line * CUE_LINE_HEIGHT_EM}em`;
+    } else {
+      cueElement.style.bottom = `${(-settings.line - 1) * CUE_LINE_HEIGHT_EM}em`;
+    }
   } else {
-    captionOverlay.textContent = '';
-    captionOverlay.style.display = 'none';
+    const lineOffset = { start: 0, center: -50, end: -100 }[settings.lineAlign] || 0;
+    cueElement.style.top = `${settings.line}%`;
+    cueElement.style.transform = `translateY(${lineOffset}%)`;
   }
+  
+  return true;
 }
 
 /**
@@ -697,7 +1323,7 @@ function initializeAudioDescription() {
  */
 function createAudioDescription(video) {
   // Skip if already has audio description
-  if (videoState.descriptionAudio[video.id]) {
+  if (videoState.describers[video.id]) {
     return;
   }
   
@@ -706,16 +1332,20 @@ function createAudioDescription(video) {
     video.id = 'accessibility-video-' + Math.random().toString(36).substr(2, 9);
   }
   
-  // Create audio element for descriptions
-  const audioElement = document.createElement('audio');
-  audioElement.id = `accessibility-description-${video.id}`;
-  audioElement.style.display = 'none';
-  
-  // Add to the page
-  document.body.appendChild(audioElement);
+  const track = videoState.descriptionTracks[video.id];
+  const describer = new AudioDescriber({
+    video,
+    // Descriptions use the text-to-speech voice the speech service is configured with
+    speaker: createSpeechSpeaker(),
+    cues: track ? track.cues : [],
+    mode: videoState.audioDescriptionMode
+  });
+  describer.attach();
+  videoState.describers[video.id] = describer;
   
-  // Store reference to audio element
-  videoState.descriptionAudio[video.id] = audioElement;
+  if (!track) {
+    loadDescriptionTrack(video);
+  }
   
   console.log('Audio description created for video:', video.src || 'embedded video');
 }
@@ -725,71 +1355,123 @@ function createAudioDescription(video) {
  */
 function refreshAudioDescription() {
   videoState.currentVideos.forEach(video => {
-    if (!videoState.descriptionAudio[video.id]) {
+    if (!videoState.describers[video.id]) {
       createAudioDescription(video);
     }
   });
 }
 
 /**
- * Check for audio description cues based on video time
+ * Stop audio descriptions for all videos (loaded description tracks are kept)
+ */
+function stopAudioDescription() {
+  Object.values(videoState.describers).forEach(describer => describer.detach());
+  videoState.describers = {};
+}
+
+/**
+ * Load descriptions from the video's <track kind="descriptions">
  */
-function checkAudioDescriptionCues(video) {
-  if (!videoState.audioDescriptionEnabled || !videoState.descriptionAudio[video.id]) {
+function loadDescriptionTrack(video) {
+  const nativeTrack = Array.from(video.textTracks || []).find(track => track.kind === 'descriptions');
+  if (!nativeTrack) {
     return;
   }
   
-  // In a real implementation, this would use a description track
-  // For this demo, we'll use mock description cues
+  const trackElement = Array.from(video.querySelectorAll('track')).find(element => element.track === nativeTrack);
+  const label = nativeTrack.label || nativeTrack.language || 'Descriptions';
+  const useNativeCues = () => {
+    setDescriptionTrack(video, {
+      source: 'track',
+      label,
+      cues: Array.from(nativeTrack.cues || []).map(fromTextTrackCue)
+    });
+  };
   
-  const currentTime = video.currentTime;
+  // Disabled tracks don't load their cues
+  if (nativeTrack.mode === 'disabled') {
+    nativeTrack.mode = 'hidden';
+  }
   
-  // Mock description cues - in real implementation, these would come from a data file
-  const mockDescriptions = [
-    { time: 2, text: 'A person walks into a room' },
-    { time: 8, text: 'They sit down at a desk' },
-    { time: 14, text: 'They open a laptop' },
-    { time: 22, text: 'They begin typing' }
-  ];
-  
-  // Check if we need to play a description
-  mockDescriptions.forEach(desc => {
-    if (Math.abs(currentTime - desc.time) < 0.1) {
-      playAudioDescription(video, desc.text);
+  if (nativeTrack.cues && nativeTrack.cues.length > 0) {
+    useNativeCues();
+  } else if (trackElement && trackElement.src) {
+    trackElement.addEventListener('load', useNativeCues, { once: true });
+    trackElement.addEventListener('error', () => {
+      fetchCaptionFile(trackElement.src)
+        .then(parsed => setDescriptionTrack(video, { source: 'track', label, cues: parsed.cues }))
+        .catch(error => {
+          console.error('Error loading description track:', error);
+        });
+    }, { once: true });
+  }
+}
+
+/**
+ * Let the user pick a local .vtt description file for a video
+ */
+function promptDescriptionFile(video) {
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = '.vtt,.srt,text/vtt';
+  
+  input.onchange = () => {
+    const file = input.files[0];
+    if (file) {
+      loadDescriptionFile(video, file).catch(error => {
+        console.error('Error loading description file:', error);
+        showCaptionMessage(video, `Could not load descriptions: ${error.message}`);
+      });
     }
-  });
+  };
+  
+  input.click();
 }
 
 /**
- * Play an audio description using text-to-speech
+ * Load a local description file for a video
+ * @param {HTMLVideoElement} video - Video element
+ * @param {File} file - .vtt (or .srt) file whose cues are descriptions
+ * @returns {Promise<Object>} The loaded description track
  */
-function playAudioDescription(video, text) {
-  // In a real implementation, this would either use pre-recorded audio
-  // or the Web Speech API for text-to-speech
+export async function loadDescriptionFile(video, file) {
+  const parsed = parseCaptions(await file.text());
+  const track = { source: 'file', label: file.name, cues: parsed.cues };
   
-  console.log('Audio description:', text);
+  // Turn descriptions on so the file is heard right away
+  if (!videoState.audioDescriptionEnabled) {
+    videoState.audioDescriptionEnabled = true;
+    initializeAudioDescription();
+  }
   
-  // Use Web Speech API if available
-  if ('speechSynthesis' in window) {
-    // Pause the video during description
-    const wasPlaying = !video.paused;
-    if (wasPlaying) {
-      video.pause();
-    }
-    
-    // Create utterance
-    const utterance = new SpeechSynthesisUtterance(text);
-    utterance.rate = 1.2; // Slightly faster than normal
-    utterance.onend = () => {
-      // Resume video when description ends
-      if (wasPlaying) {
-        video.play();
-      }
-    };
-    
-    // Speak the description
-    window.speechSynthesis.speak(utterance);
+  setDescriptionTrack(video, track);
+  showCaptionMessage(video, `Loaded ${parsed.cues.length} descriptions from ${file.name}`);
+  return track;
+}
+
+/**
+ * Use a description track for a video
+ */
+function setDescriptionTrack(video, track) {
+  // A file loaded by the user takes precedence over the page's track
+  const current = videoState.descriptionTracks[video.id];
+  if (current && current.source === 'file' && track.source !== 'file') {
+    return;
   }
+  
+  videoState.descriptionTracks[video.id] = track;
+  if (videoState.describers[video.id]) {
+    videoState.describers[video.id].setCues(track.cues);
+  }
+}
+
+/**
+ * Switch all videos between ducking and pausing for descriptions
+ * @param {string} mode - 'duck' or 'pause'
+ */
+export function setAudioDescriptionMode(mode) {
+  videoState.audioDescriptionMode = mode;
+  Object.values(videoState.describers).forEach(describer => describer.setMode(mode));
 }
 
 /**
@@ -918,15 +1600,76 @@ export function addVideoControlsToPanel() {
       
       if (videoState.captionsEnabled) {
         initializeCaptionSystem();
+        Object.values(videoState.captionsOverlays).forEach(overlay => {
+          overlay.style.display = 'block';
+        });
       } else {
         // Hide caption overlays
         Object.values(videoState.captionsOverlays).forEach(overlay => {
           overlay.style.display = 'none';
         });
       }
+      syncNativeTracks();
     }
   );
   
+  // Create caption file button
+  const captionFileButton = createToggleButton(
+    'Load Caption File',
+    false,
+    () => {
+      const video = getPrimaryVideo();
+      if (video) {
+        promptCaptionFile(video);
+      }
+    }
+  );
+  captionFileButton.setAttribute('aria-label', 'Load a caption file (.vtt or .srt) for the current video');
+  
+  // Create automatic captions toggle
+  const autoCaptionsToggle = createToggleButton(
+    'Automatic Captions',
+    videoState.autoCaptionsEnabled,
+    () => {
+      videoState.autoCaptionsEnabled = !videoState.autoCaptionsEnabled;
+      autoCaptionsToggle.classList.toggle('active', videoState.autoCaptionsEnabled);
+      
+      const video = getPrimaryVideo();
+      if (!video) return;
+      
+      if (videoState.autoCaptionsEnabled && videoState.captionsEnabled && !video.paused && needsAutoCaptions(video)) {
+        startAutoCaptions(video);
+      } else if (!videoState.autoCaptionsEnabled) {
+        videoState.currentVideos.forEach(stopAutoCaptions);
+      }
+    }
+  );
+  
+  // Create caption export button
+  const exportCaptionsButton = createToggleButton(
+    'Export Captions (WebVTT)',
+    false,
+    () => {
+      const video = getPrimaryVideo();
+      if (video) {
+        exportCaptions(video);
+      }
+    }
+  );
+  
+  // Create transcript button
+  const transcriptButton = createToggleButton(
+    'Show Transcript',
+    false,
+    () => {
+      const video = getPrimaryVideo();
+      if (video) {
+        toggleTranscript(video);
+      }
+    }
+  );
+  transcriptButton.setAttribute('aria-label', 'Show or hide an interactive transcript of the current video');
+  
   // Create audio description toggle
   const audioDescToggle = createToggleButton(
     'Audio Descriptions', 
@@ -937,9 +1680,35 @@ export function addVideoControlsToPanel() {
       
       if (videoState.audioDescriptionEnabled) {
         initializeAudioDescription();
+      } else {
+        stopAudioDescription();
+      }
+    }
+  );
+  
+  // Create extended description toggle (pause the video instead of lowering its volume)
+  const descriptionModeToggle = createToggleButton(
+    'Pause for Descriptions',
+    videoState.audioDescriptionMode === 'pause',
+    () => {
+      const mode = videoState.audioDescriptionMode === 'pause' ? 'duck' : 'pause';
+      setAudioDescriptionMode(mode);
+      descriptionModeToggle.classList.toggle('active', mode === 'pause');
+    }
+  );
+  
+  // Create description file button
+  const descriptionFileButton = createToggleButton(
+    'Load Description File',
+    false,
+    () => {
+      const video = getPrimaryVideo();
+      if (video) {
+        promptDescriptionFile(video);
       }
     }
   );
+  descriptionFileButton.setAttribute('aria-label', 'Load an audio description file (.vtt) for the current video');
   
   // Create video enhancement toggle
   const enhancementToggle = createToggleButton(
@@ -971,7 +1740,13 @@ export function addVideoControlsToPanel() {
   // Assemble panel
   videoControls.appendChild(customControlsToggle);
   videoControls.appendChild(captionsToggle);
+  videoControls.appendChild(captionFileButton);
+  videoControls.appendChild(autoCaptionsToggle);
+  videoControls.appendChild(exportCaptionsButton);
+  videoControls.appendChild(transcriptButton);
   videoControls.appendChild(audioDescToggle);
+  videoControls.appendChild(descriptionModeToggle);
+  videoControls.appendChild(descriptionFileButton);
   videoControls.appendChild(enhancementToggle);
   
   if (enhancementControls) {
@@ -983,6 +1758,23 @@ export function addVideoControlsToPanel() {
   controlPanel.appendChild(videoControls);
 }
 
+/**
+ * Get the video the panel controls act on: the playing video, else the
+ * largest one in view
+ */
+function getPrimaryVideo() {
+  const playing = videoState.currentVideos.find(video => !video.paused);
+  if (playing) {
+    return playing;
+  }
+  
+  return videoState.currentVideos
+    .map(video => ({ video, rect: video.getBoundingClientRect() }))
+    .filter(({ rect }) => rect.bottom > 0 && rect.top < window.innerHeight)
+    .sort((a, b) => b.rect.width * b.rect.height - a.rect.width * a.rect.height)
+    .map(({ video }) => video)[0] || videoState.currentVideos[0] || null;
+}
+
 /**
  * Create a toggle button for the control panel
  */
@@ -1144,4 +1936,6 @@ function createSliderControl(label, initialValue, min, max, onChange, formatValu
   container.appendChild(sliderRow);
   
   return container;
-}
\ No newline at end of file
+}
+
+export { videoState };
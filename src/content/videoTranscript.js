@@ -0,0 +1,416 @@
+/**
+ * Video Transcript Module
+ *
+ * Side panel listing every caption cue of a video with its timestamp. Cues
+ * are buttons: clicking one (or pressing Enter on it) seeks the video. The
+ * cue being played is highlighted and scrolled into view, the transcript can
+ * be searched, and it can be exported as plain text or Markdown.
+ *
+ * The panel reads cues through a getTrack() callback so it always shows the
+ * video's current caption track (from the page, a file, or automatic
+ * captions).
+ */
+
+// Pause auto-scrolling this long after the user scrolls the transcript
+const AUTOSCROLL_PAUSE_MS = 4000;
+
+// State for the transcript panel
+const transcriptState = {
+  panel: null,
+  video: null,
+  getTrack: null,
+  renderedTrack: null,
+  renderedCount: 0,
+  activeIndex: -1,
+  query: '',
+  autoScroll: true,
+  scrollPausedUntil: 0
+};
+
+/**
+ * Format a cue time as M:SS or H:MM:SS
+ * @param {number} seconds - Time in seconds
+ * @returns {string} Formatted time
+ */
+export function formatCueTime(seconds) {
+  const total = Math.max(0, Math.floor(seconds || 0));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}`
+    : `${minutes}:${secs}`;
+}
+
+/**
+ * Find the cues matching a search query (case-insensitive)
+ * @param {Array} cues - Caption cues
+ * @param {string} query - Search text
+ * @returns {Array<number>} Indexes of matching cues
+ */
+export function searchCues(cues, query) {
+  const needle = (query || '').trim().toLowerCase();
+  const matches = [];
+  cues.forEach((cue, index) => {
+    if (!needle || cue.text.toLowerCase().includes(needle)) {
+      matches.push(index);
+    }
+  });
+  return matches;
+}
+
+/**
+ * Format cues as a transcript document
+ * @param {Array} cues - Caption cues
+ * @param {string} format - 'text' or 'markdown'
+ * @param {string} title - Transcript title
+ * @returns {string} Transcript
+ */
+export function formatTranscript(cues, format = 'text', title = '') {
+  if (format === 'markdown') {
+    const lines = [`# ${escapeMarkdown(title ? `Transcript: ${title}` : 'Transcript')}`, ''];
+    cues.forEach(cue => {
+      const text = cue.text.split('\n').map(escapeMarkdown).join('  \n');
+      lines.push(`**[${formatCueTime(cue.start)}]** ${text}`, '');
+    });
+    return lines.join('\n');
+  }
+
+  const lines = title ? [`Transcript: ${title}`, ''] : [];
+  cues.forEach(cue => {
+    lines.push(`[${formatCueTime(cue.start)}] ${cue.text.replace(/\n/g, ' ')}`);
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Download text as a file
+ * @param {string} filename - File name
+ * @param {string} text - File contents
+ * @param {string} type - MIME type
+ */
+export function downloadTextFile(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * File name for downloads about the current page
+ * @param {string} extension - File extension
+ * @returns {string} File name
+ */
+export function getDownloadName(extension) {
+  const baseName = (document.title || '').replace(/[^\w\s-]/g, '').trim() || 'video';
+  return `${baseName}.${extension}`;
+}
+
+/**
+ * Open the transcript panel for a video
+ * @param {HTMLVideoElement} video - Video element
+ * @param {Function} getTrack - Returns the video's caption track ({ cues }) or null
+ */
+export function openTranscript(video, getTrack) {
+  if (!transcriptState.panel) {
+    transcriptState.panel = createPanel();
+    document.body.appendChild(transcriptState.panel);
+  }
+
+  transcriptState.video = video;
+  transcriptState.getTrack = getTrack;
+  transcriptState.renderedTrack = null;
+  transcriptState.activeIndex = -1;
+
+  refreshTranscript(video);
+  transcriptState.panel.querySelector('.accessibility-transcript-search').focus();
+}
+
+/**
+ * Close the transcript panel
+ */
+export function closeTranscript() {
+  if (transcriptState.panel) {
+    transcriptState.panel.remove();
+  }
+  transcriptState.panel = null;
+  transcriptState.video = null;
+  transcriptState.getTrack = null;
+  transcriptState.renderedTrack = null;
+  transcriptState.renderedCount = 0;
+  transcriptState.activeIndex = -1;
+  transcriptState.query = '';
+}
+
+/**
+ * Whether the transcript panel is open (for a given video, if passed)
+ * @param {HTMLVideoElement} video - Video element
+ * @returns {boolean} Open state
+ */
+export function isTranscriptOpen(video) {
+  return Boolean(transcriptState.panel) && (!video || transcriptState.video === video);
+}
+
+/**
+ * Re-render the cue list when the video's caption track has changed
+ * @param {HTMLVideoElement} video - Video element
+ */
+export function refreshTranscript(video) {
+  if (!isTranscriptOpen(video)) return;
+
+  const cues = getCues();
+  const track = transcriptState.getTrack();
+  if (track === transcriptState.renderedTrack && cues.length === transcriptState.renderedCount) {
+    return;
+  }
+
+  transcriptState.renderedTrack = track;
+  transcriptState.renderedCount = cues.length;
+  renderCueList();
+  updateTranscript(video);
+}
+
+/**
+ * Highlight the cue at the video's current time
+ * @param {HTMLVideoElement} video - Video element
+ */
+export function updateTranscript(video) {
+  if (!isTranscriptOpen(video)) return;
+
+  const cues = getCues();
+  const currentTime = video.currentTime;
+
+  // Latest-starting cue that contains the current time
+  let activeIndex = -1;
+  cues.forEach((cue, index) => {
+    if (cue.start <= currentTime && cue.end > currentTime) {
+      activeIndex = index;
+    }
+  });
+
+  if (activeIndex === transcriptState.activeIndex) return;
+  transcriptState.activeIndex = activeIndex;
+
+  const list = transcriptState.panel.querySelector('.accessibility-transcript-list');
+  list.querySelectorAll('[aria-current]').forEach(element => element.removeAttribute('aria-current'));
+
+  const activeItem = list.querySelector(`[data-cue-index="${activeIndex}"]`);
+  if (!activeItem) return;
+
+  activeItem.querySelector('button').setAttribute('aria-current', 'true');
+  if (transcriptState.autoScroll && Date.now() >= transcriptState.scrollPausedUntil) {
+    activeItem.scrollIntoView({ block: 'nearest' });
+  }
+}
+
+function getCues() {
+  const track = transcriptState.getTrack ? transcriptState.getTrack() : null;
+  return track && track.cues ? track.cues : [];
+}
+
+/**
+ * Build the panel: header, search, cue list and export buttons
+ */
+function createPanel() {
+  const panel = document.createElement('aside');
+  panel.className = 'accessibility-transcript-panel';
+  panel.setAttribute('role', 'complementary');
+  panel.setAttribute('aria-label', 'Video transcript');
+
+  const header = document.createElement('div');
+  header.className = 'accessibility-transcript-header';
+
+  const title = document.createElement('h2');
+  title.textContent = 'Transcript';
+
+  const closeButton = document.createElement('button');
+  closeButton.className = 'accessibility-transcript-close';
+  closeButton.textContent = '✕';
+  closeButton.setAttribute('aria-label', 'Close transcript');
+  closeButton.addEventListener('click', closeTranscript);
+
+  header.appendChild(title);
+  header.appendChild(closeButton);
+
+  const search = document.createElement('input');
+  search.type = 'search';
+  search.className = 'accessibility-transcript-search';
+  search.placeholder = 'Search transcript';
+  search.setAttribute('aria-label', 'Search transcript');
+  search.addEventListener('input', () => {
+    transcriptState.query = search.value;
+    renderCueList();
+  });
+
+  const options = document.createElement('label');
+  options.className = 'accessibility-transcript-autoscroll';
+  const autoScroll = document.createElement('input');
+  autoScroll.type = 'checkbox';
+  autoScroll.checked = transcriptState.autoScroll;
+  autoScroll.addEventListener('change', () => {
+    transcriptState.autoScroll = autoScroll.checked;
+  });
+  options.appendChild(autoScroll);
+  options.appendChild(document.createTextNode(' Follow video'));
+
+  const status = document.createElement('p');
+  status.className = 'accessibility-transcript-status';
+  status.setAttribute('role', 'status');
+
+  const list = document.createElement('ol');
+  list.className = 'accessibility-transcript-list';
+
+  // Scrolling by hand pauses auto-scroll so the reader isn't pulled away
+  const pauseAutoScroll = () => {
+    transcriptState.scrollPausedUntil = Date.now() + AUTOSCROLL_PAUSE_MS;
+  };
+  list.addEventListener('wheel', pauseAutoScroll, { passive: true });
+  list.addEventListener('touchmove', pauseAutoScroll, { passive: true });
+
+  // Seek by clicking a cue (buttons also activate on Enter and Space)
+  list.addEventListener('click', (event) => {
+    const item = event.target.closest('[data-cue-index]');
+    if (item) {
+      seekToCue(Number(item.dataset.cueIndex));
+    }
+  });
+
+  const exportRow = document.createElement('div');
+  exportRow.className = 'accessibility-transcript-export';
+  exportRow.appendChild(createExportButton('Export Text', 'text'));
+  exportRow.appendChild(createExportButton('Export Markdown', 'markdown'));
+
+  panel.appendChild(header);
+  panel.appendChild(search);
+  panel.appendChild(options);
+  panel.appendChild(status);
+  panel.appendChild(list);
+  panel.appendChild(exportRow);
+
+  panel.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') {
+      closeTranscript();
+    }
+  });
+
+  return panel;
+}
+
+function createExportButton(label, format) {
+  const button = document.createElement('button');
+  button.className = 'accessibility-transcript-button';
+  button.textContent = label;
+  button.addEventListener('click', () => exportTranscript(format));
+  return button;
+}
+
+/**
+ * Render the cues matching the search query
+ */
+function renderCueList() {
+  const panel = transcriptState.panel;
+  const list = panel.querySelector('.accessibility-transcript-list');
+  const status = panel.querySelector('.accessibility-transcript-status');
+  const cues = getCues();
+  const query = transcriptState.query.trim();
+  const matches = searchCues(cues, query);
+
+  list.textContent = '';
+  transcriptState.activeIndex = -1;
+
+  matches.forEach(index => {
+    const cue = cues[index];
+    const item = document.createElement('li');
+    item.dataset.cueIndex = index;
+
+    const button = document.createElement('button');
+    button.className = 'accessibility-transcript-cue';
+
+    const time = document.createElement('span');
+    time.className = 'accessibility-transcript-time';
+    time.textContent = formatCueTime(cue.start);
+
+    const text = document.createElement('span');
+    text.className = 'accessibility-transcript-text';
+    appendHighlighted(text, cue.text, query);
+
+    button.appendChild(time);
+    button.appendChild(text);
+    button.setAttribute('aria-label', `${formatCueTime(cue.start)}: ${cue.text}`);
+    item.appendChild(button);
+    list.appendChild(item);
+  });
+
+  if (cues.length === 0) {
+    status.textContent = 'No captions are loaded for this video.';
+  } else if (query) {
+    status.textContent = `${matches.length} of ${cues.length} captions match "${query}"`;
+  } else {
+    status.textContent = `${cues.length} captions`;
+  }
+
+  if (transcriptState.video) {
+    updateTranscript(transcriptState.video);
+  }
+}
+
+/**
+ * Append text with the search query marked
+ */
+function appendHighlighted(parent, text, query) {
+  if (!query) {
+    parent.textContent = text;
+    return;
+  }
+
+  const lowerText = text.toLowerCase();
+  const lowerQuery = query.toLowerCase();
+  let position = 0;
+  let match = lowerText.indexOf(lowerQuery);
+
+  while (match !== -1) {
+    parent.appendChild(document.createTextNode(text.slice(position, match)));
+    const mark = document.createElement('mark');
+    mark.textContent = text.slice(match, match + query.length);
+    parent.appendChild(mark);
+    position = match + query.length;
+    match = lowerText.indexOf(lowerQuery, position);
+  }
+  parent.appendChild(document.createTextNode(text.slice(position)));
+}
+
+/**
+ * Seek the video to a cue
+ */
+function seekToCue(index) {
+  const cue = getCues()[index];
+  if (!cue || !transcriptState.video) return;
+
+  transcriptState.video.currentTime = cue.start;
+  transcriptState.scrollPausedUntil = 0;
+  updateTranscript(transcriptState.video);
+}
+
+/**
+ * Download the transcript
+ * @param {string} format - 'text' or 'markdown'
+ */
+function exportTranscript(format) {
+  const cues = getCues();
+  if (cues.length === 0) return;
+
+  const title = document.title || '';
+  if (format === 'markdown') {
+    downloadTextFile(getDownloadName('md'), formatTranscript(cues, 'markdown', title), 'text/markdown');
+  } else {
+    downloadTextFile(getDownloadName('txt'), formatTranscript(cues, 'text', title), 'text/plain');
+  }
+}
+
+function escapeMarkdown(text) {
+  return text.replace(/([\\`*_[\]<>#|])/g, '\\$1');
+}
@@ -5,17 +5,61 @@
  * high contrast mode, font adjustments, and focus highlighting.
  */
 
+// Page font size, in pixels, that font size percentages scale
+export const DEFAULT_FONT_SIZE = 16;
+
+// Colors for each high contrast scheme; 'custom' uses the user's colors
+export const CONTRAST_SCHEMES = {
+  dark: { background: '#000000', text: '#ffffff', link: '#ffff00' },
+  light: { background: '#ffffff', text: '#000000', link: '#0000ee' },
+  yellow: { background: '#000000', text: '#ffff00', link: '#00ffff' },
+  blue: { background: '#00005f', text: '#ffffff', link: '#ffff00' }
+};
+
 // Visual enhancement state
 const visualEnhancementState = {
   enabled: false,
   highContrast: false,
+  contrastScheme: 'dark',
+  customColors: null,
   fontAdjustments: false,
   focusHighlight: false,
-  fontSize: 16,
+  fontSize: DEFAULT_FONT_SIZE,
   lineHeight: 1.5,
   letterSpacing: 0
 };
 
+/**
+ * Convert a font size preference to pixels. Numbers are percentages of the
+ * default size, as set on the options page; strings such as "18px" are pixels.
+ * @param {number|string} value - Font size preference
+ * @returns {number} Font size in pixels
+ */
+export function fontSizeInPixels(value) {
+  if (typeof value === 'string' && value.trim().endsWith('px')) {
+    return parseFloat(value) || DEFAULT_FONT_SIZE;
+  }
+  const percent = Number(value);
+  return percent > 0 ? Math.round(DEFAULT_FONT_SIZE * percent) / 100 : DEFAULT_FONT_SIZE;
+}
+
+/**
+ * Colors for a high contrast scheme
+ * @param {string} scheme - Key of CONTRAST_SCHEMES, or 'custom'
+ * @param {Object} customColors - { textColor, backgroundColor, linkColor } for 'custom'
+ * @returns {Object} { background, text, link }
+ */
+export function getContrastColors(scheme, customColors) {
+  if (scheme === 'custom' && customColors) {
+    return {
+      background: customColors.backgroundColor || CONTRAST_SCHEMES.dark.background,
+      text: customColors.textColor || CONTRAST_SCHEMES.dark.text,
+      link: customColors.linkColor || CONTRAST_SCHEMES.dark.link
+    };
+  }
+  return CONTRAST_SCHEMES[scheme] || CONTRAST_SCHEMES.dark;
+}
+
 /**
  * Initialize visual enhancements
  */
@@ -41,9 +85,14 @@ export function applyVisualEnhancements() {
 
   // Apply high contrast if enabled
   if (visualEnhancementState.highContrast) {
+    const colors = getContrastColors(visualEnhancementState.contrastScheme, visualEnhancementState.customColors);
     document.body.classList.add('high-contrast-mode');
+    document.body.style.setProperty('--contrast-background', colors.background);
+    document.body.style.setProperty('--contrast-text', colors.text);
+    document.body.style.setProperty('--contrast-link', colors.link);
   } else {
     document.body.classList.remove('high-contrast-mode');
+    removeContrastColors();
   }
 
   // Apply font adjustments if enabled
@@ -81,20 +130,20 @@ function createVisualStyles() {
 
     /* High contrast mode */
     .high-contrast-mode {
-      background-color: #000 !important;
-      color: #fff !important;
+      background-color: var(--contrast-background) !important;
+      color: var(--contrast-text) !important;
     }
 
     .high-contrast-mode a {
-      color: #ffff00 !important;
+      color: var(--contrast-link) !important;
     }
 
     .high-contrast-mode button,
     .high-contrast-mode input,
     .high-contrast-mode select {
-      background-color: #fff !important;
-      color: #000 !important;
-      border: 2px solid #fff !important;
+      background-color: var(--contrast-text) !important;
+      color: var(--contrast-background) !important;
+      border: 2px solid var(--contrast-text) !important;
     }
 
     /* Font adjustments */
@@ -160,6 +209,13 @@ export function removeVisualEnhancements() {
   document.body.style.removeProperty('--base-font-size');
   document.body.style.removeProperty('--base-line-height');
   document.body.style.removeProperty('--base-letter-spacing');
+  removeContrastColors();
+}
+
+function removeContrastColors() {
+  document.body.style.removeProperty('--contrast-background');
+  document.body.style.removeProperty('--contrast-text');
+  document.body.style.removeProperty('--contrast-link');
 }
 
 /**
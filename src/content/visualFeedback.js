@@ -8,6 +8,8 @@
 // State for visual feedback
 const visualFeedbackState = {
   highlightedElement: null,
+  textMap: null, // Spoken text of the highlighted element mapped to its text nodes
+  highlightOverlay: null, // Fallback word/sentence boxes when CSS highlights are unsupported
   progressBar: null,
   voiceIndicator: null,
   statusIndicator: null,
@@ -17,13 +19,42 @@ const visualFeedbackState = {
   activeFeatures: {}
 };
 
+// Names of the CSS custom highlights for the word and sentence being read
+const WORD_HIGHLIGHT = 'accessibility-reading-word';
+const SENTENCE_HIGHLIGHT = 'accessibility-reading-sentence';
+
+// Estimated speaking speed at rate 1, used when a voice emits no boundary events
+const CHARS_PER_SECOND = 14;
+
+// Time to wait for a boundary event before estimating the position instead
+const BOUNDARY_GRACE_MS = 600;
+
+// Interval between estimated positions
+const ESTIMATE_INTERVAL_MS = 100;
+
+// Elements whose text is never spoken
+const SKIPPED_TEXT_SELECTOR = 'script, style, noscript, template';
+
+// How the voice indicator shows each recognition mode
+const VOICE_MODES = {
+  command: { icon: '🎤', label: 'Commands', idleText: 'Listening...', background: 'rgba(0, 0, 0, 0.8)' },
+  dictation: { icon: '✎', label: 'Dictation', idleText: 'Speak to type...', background: 'rgba(27, 94, 32, 0.9)' }
+};
+
 // Styles for visual elements
 const styles = {
-  highlight: {
-    backgroundColor: 'rgba(255, 255, 0, 0.3)',
-    outline: '2px solid rgba(255, 165, 0, 0.5)',
-    borderRadius: '3px',
-    transition: 'all 0.3s ease'
+  wordOverlay: {
+    position: 'absolute',
+    backgroundColor: 'rgba(255, 213, 0, 0.6)',
+    borderRadius: '2px',
+    pointerEvents: 'none',
+    zIndex: 999998
+  },
+  sentenceOverlay: {
+    position: 'absolute',
+    backgroundColor: 'rgba(66, 133, 244, 0.15)',
+    pointerEvents: 'none',
+    zIndex: 999997
   },
   progressBar: {
     container: {
@@ -72,6 +103,37 @@ const styles = {
     gap: '10px',
     opacity: 0,
     transition: 'opacity 0.3s ease'
+  },
+  statusIndicator: {
+    container: {
+      position: 'fixed',
+      bottom: '20px',
+      right: '20px',
+      minWidth: '200px',
+      padding: '12px 16px',
+      borderRadius: '8px',
+      backgroundColor: 'rgba(0, 0, 0, 0.8)',
+      color: '#fff',
+      fontSize: '13px',
+      zIndex: 999999
+    },
+    item: {
+      display: 'flex',
+      alignItems: 'center',
+      gap: '8px',
+      marginBottom: '4px'
+    },
+    icon: {
+      width: '8px',
+      height: '8px',
+      borderRadius: '50%'
+    },
+    active: {
+      backgroundColor: '#4CAF50'
+    },
+    inactive: {
+      backgroundColor: '#9E9E9E'
+    }
   }
 };
 
@@ -111,17 +173,26 @@ function createVoiceIndicator() {
   Object.assign(indicator.style, styles.voiceIndicator);
 
   const icon = document.createElement('span');
-  icon.innerHTML = '🎤';
+  icon.innerHTML = VOICE_MODES.command.icon;
+
+  // Screen readers announce the mode when it changes
+  const mode = document.createElement('span');
+  mode.setAttribute('role', 'status');
+  mode.textContent = VOICE_MODES.command.label;
+  mode.style.fontWeight = 'bold';
 
   const text = document.createElement('span');
-  text.textContent = 'Listening...';
+  text.textContent = VOICE_MODES.command.idleText;
 
   indicator.appendChild(icon);
+  indicator.appendChild(mode);
   indicator.appendChild(text);
   document.body.appendChild(indicator);
 
   visualFeedbackState.voiceIndicator = {
     container: indicator,
+    icon,
+    mode,
     text
   };
 }
@@ -147,7 +218,15 @@ export function toggleProgressBar(show) {
   visualFeedbackState.progressBar.container.style.display = show ? 'block' : 'none';
 }
 
-// Highlight current reading node
+/**
+ * Highlight the element being read and map its text for word highlighting.
+ * The element gets a highlight class while it is read; words and sentences
+ * are highlighted with CSS custom highlights (or overlay boxes), so the
+ * page's text nodes are never changed.
+ * @param {Element} node - Element being read
+ * @returns {Object|undefined} Text map: { text, positions } where text is the
+ *   whitespace-collapsed text to speak and positions[i] is { node, offset }
+ */
 export function highlightReadingNode(node) {
   // Remove previous highlight
   removeHighlight();
@@ -156,16 +235,9 @@ export function highlightReadingNode(node) {
 
   // Store reference to highlighted element
   visualFeedbackState.highlightedElement = node;
+  visualFeedbackState.textMap = buildTextMap(node);
 
-  // Apply highlight styles
-  const originalStyles = {
-    backgroundColor: node.style.backgroundColor,
-    outline: node.style.outline,
-    borderRadius: node.style.borderRadius,
-    transition: node.style.transition
-  };
-
-  Object.assign(node.style, styles.highlight);
+  node.classList.add('accessibility-extension-highlight');
 
   // Scroll element into view if needed
   const rect = node.getBoundingClientRect();
@@ -180,32 +252,300 @@ export function highlightReadingNode(node) {
     node.scrollIntoView({ behavior: 'smooth', block: 'center' });
   }
 
-  return originalStyles;
+  return visualFeedbackState.textMap;
+}
+
+/**
+ * Map an element's text to its text nodes. Runs of whitespace collapse to
+ * one space, as they do when the text is rendered, and text split across
+ * inline elements (links, <em>) reads as one string.
+ * @param {Element} node - Element
+ * @returns {Object} { text, positions }
+ */
+export function buildTextMap(node) {
+  const chars = [];
+  const positions = [];
+  const walker = document.createTreeWalker(node, NodeFilter.SHOW_TEXT, {
+    acceptNode: textNode => (
+      textNode.parentElement && textNode.parentElement.closest(SKIPPED_TEXT_SELECTOR)
+        ? NodeFilter.FILTER_REJECT
+        : NodeFilter.FILTER_ACCEPT
+    )
+  });
+
+  let textNode = walker.nextNode();
+  while (textNode) {
+    const value = textNode.nodeValue;
+    for (let offset = 0; offset < value.length; offset++) {
+      const isSpace = /\s/.test(value[offset]);
+      if (isSpace && (chars.length === 0 || chars[chars.length - 1] === ' ')) {
+        continue;
+      }
+      chars.push(isSpace ? ' ' : value[offset]);
+      positions.push({ node: textNode, offset });
+    }
+    textNode = walker.nextNode();
+  }
+
+  // Drop trailing whitespace
+  while (chars.length > 0 && chars[chars.length - 1] === ' ') {
+    chars.pop();
+    positions.pop();
+  }
+
+  return { text: chars.join(''), positions };
+}
+
+/**
+ * Bounds of the word at a character index
+ * @param {string} text - Text
+ * @param {number} index - Character index
+ * @param {number} length - Word length if the speech engine reported it
+ * @returns {Object|null} { start, end }
+ */
+export function findWordBounds(text, index, length = 0) {
+  let start = Math.max(0, index);
+
+  // Boundaries can point at the space before a word
+  while (start < text.length && /\s/.test(text[start])) {
+    start++;
+  }
+  if (start >= text.length) return null;
+
+  if (length > 0 && start === index) {
+    return { start, end: Math.min(text.length, start + length) };
+  }
+
+  while (start > 0 && !/\s/.test(text[start - 1])) {
+    start--;
+  }
+  let end = start;
+  while (end < text.length && !/\s/.test(text[end])) {
+    end++;
+  }
+  return { start, end };
+}
+
+/**
+ * Bounds of the sentence containing a character index
+ * @param {string} text - Text
+ * @param {number} index - Character index
+ * @returns {Object} { start, end }
+ */
+export function findSentenceBounds(text, index) {
+  const sentenceEnd = /[.!?\u2026]+["'\u201D\u2019)\]]*(?=\s|$)/g;
+  let start = 0;
+  let match;
+
+  while ((match = sentenceEnd.exec(text)) !== null) {
+    const end = match.index + match[0].length;
+    if (end > index) {
+      return { start: skipSpaces(text, start), end };
+    }
+    start = end;
+  }
+
+  return { start: skipSpaces(text, start), end: text.length };
+}
+
+function skipSpaces(text, index) {
+  while (index < text.length && /\s/.test(text[index])) {
+    index++;
+  }
+  return index;
+}
+
+/**
+ * Highlight the word and sentence at a position in the text being read
+ * @param {number} charIndex - Character index in the text map
+ * @param {number} charLength - Word length, when known
+ */
+export function highlightReadingPosition(charIndex, charLength = 0) {
+  const textMap = visualFeedbackState.textMap;
+  if (!textMap || textMap.positions.length === 0) return;
+
+  const word = findWordBounds(textMap.text, charIndex, charLength);
+  if (!word) return;
+
+  const sentence = findSentenceBounds(textMap.text, word.start);
+  const wordRange = createMappedRange(textMap, word.start, word.end);
+  const sentenceRange = createMappedRange(textMap, sentence.start, sentence.end);
+
+  if (window.CSS && CSS.highlights && typeof Highlight === 'function') {
+    CSS.highlights.set(SENTENCE_HIGHLIGHT, new Highlight(sentenceRange));
+    CSS.highlights.set(WORD_HIGHLIGHT, new Highlight(wordRange));
+  } else {
+    drawOverlayHighlight(sentenceRange, wordRange);
+  }
+
+  // Keep the spoken word on screen while reading long passages
+  const rect = wordRange.getBoundingClientRect();
+  if (rect.height > 0 && (rect.top < 0 || rect.bottom > window.innerHeight)) {
+    window.scrollBy({ top: rect.top - window.innerHeight / 2, behavior: 'smooth' });
+  }
+}
+
+/**
+ * Create a DOM range for a span of the text map
+ */
+function createMappedRange(textMap, start, end) {
+  const first = textMap.positions[start];
+  const last = textMap.positions[Math.max(start, end - 1)];
+  const range = document.createRange();
+  range.setStart(first.node, first.offset);
+  range.setEnd(last.node, last.offset + 1);
+  return range;
+}
+
+/**
+ * Draw word and sentence boxes over the page (for browsers without CSS highlights)
+ */
+function drawOverlayHighlight(sentenceRange, wordRange) {
+  clearWordHighlight();
+
+  const overlay = document.createElement('div');
+  overlay.className = 'accessibility-reading-overlay';
+  overlay.setAttribute('aria-hidden', 'true');
+
+  const addBoxes = (range, style) => {
+    Array.from(range.getClientRects()).forEach(rect => {
+      const box = document.createElement('div');
+      Object.assign(box.style, style, {
+        top: `${rect.top + window.scrollY}px`,
+        left: `${rect.left + window.scrollX}px`,
+        width: `${rect.width}px`,
+        height: `${rect.height}px`
+      });
+      overlay.appendChild(box);
+    });
+  };
+
+  addBoxes(sentenceRange, styles.sentenceOverlay);
+  addBoxes(wordRange, styles.wordOverlay);
+
+  document.body.appendChild(overlay);
+  visualFeedbackState.highlightOverlay = overlay;
+}
+
+/**
+ * Remove the word and sentence highlight
+ */
+function clearWordHighlight() {
+  if (window.CSS && CSS.highlights) {
+    CSS.highlights.delete(WORD_HIGHLIGHT);
+    CSS.highlights.delete(SENTENCE_HIGHLIGHT);
+  }
+  if (visualFeedbackState.highlightOverlay) {
+    visualFeedbackState.highlightOverlay.remove();
+    visualFeedbackState.highlightOverlay = null;
+  }
+}
+
+/**
+ * Highlight words as an utterance is spoken. Word boundary events give the
+ * position; voices that emit none get a position estimated from the elapsed
+ * speaking time.
+ * @param {SpeechSynthesisUtterance} utterance - Utterance for the highlighted element
+ * @param {Object} options
+ * @param {number} options.textOffset - Length of text spoken before the element's
+ *   text (e.g. "Heading level 2: ")
+ * @param {Function} options.toSourceIndex - Maps an index in the spoken text
+ *   back to the original text when the pronunciation dictionary changed it
+ */
+export function followSpeechProgress(utterance, { textOffset = 0, toSourceIndex = null } = {}) {
+  let receivedBoundary = false;
+  let graceTimer = null;
+  let estimateTimer = null;
+  let spokenMs = 0;
+  let resumedAt = 0;
+
+  const highlightAt = (utteranceIndex, length) => {
+    // Spoken word lengths don't apply to rewritten text; find the word instead
+    const sourceIndex = toSourceIndex ? toSourceIndex(utteranceIndex) : utteranceIndex;
+    const charIndex = sourceIndex - textOffset;
+    if (charIndex >= 0) {
+      highlightReadingPosition(charIndex, toSourceIndex ? undefined : length);
+    }
+  };
+
+  const stopEstimating = () => {
+    clearTimeout(graceTimer);
+    clearInterval(estimateTimer);
+    graceTimer = null;
+    estimateTimer = null;
+  };
+
+  const estimate = () => {
+    const elapsed = spokenMs + (resumedAt ? Date.now() - resumedAt : 0);
+    const charsPerMs = CHARS_PER_SECOND * (utterance.rate || 1) / 1000;
+    highlightAt(Math.floor(elapsed * charsPerMs));
+  };
+
+  utterance.addEventListener('boundary', (event) => {
+    if (event.name && event.name !== 'word') return;
+
+    receivedBoundary = true;
+    stopEstimating();
+    highlightAt(event.charIndex, event.charLength);
+  });
+
+  utterance.addEventListener('start', () => {
+    resumedAt = Date.now();
+    graceTimer = setTimeout(() => {
+      if (!receivedBoundary) {
+        estimate();
+        estimateTimer = setInterval(estimate, ESTIMATE_INTERVAL_MS);
+      }
+    }, BOUNDARY_GRACE_MS);
+  });
+
+  utterance.addEventListener('pause', () => {
+    if (resumedAt) {
+      spokenMs += Date.now() - resumedAt;
+      resumedAt = 0;
+    }
+  });
+
+  utterance.addEventListener('resume', () => {
+    resumedAt = Date.now();
+  });
+
+  utterance.addEventListener('end', stopEstimating);
+  utterance.addEventListener('error', stopEstimating);
 }
 
 // Remove highlight from current node
 export function removeHighlight() {
+  clearWordHighlight();
+  visualFeedbackState.textMap = null;
+
   const node = visualFeedbackState.highlightedElement;
   if (!node) return;
 
-  // Reset styles
-  node.style.backgroundColor = '';
-  node.style.outline = '';
-  node.style.borderRadius = '';
-  node.style.transition = '';
+  node.classList.remove('accessibility-extension-highlight');
 
   visualFeedbackState.highlightedElement = null;
 }
 
-// Update voice recognition status
-export function updateVoiceStatus(isListening, transcript = '') {
+/**
+ * Update voice recognition status
+ * @param {boolean} isListening - Whether recognition is running
+ * @param {string} transcript - What has been heard so far
+ * @param {string} mode - 'command' when speech runs commands, 'dictation' when it is typed
+ */
+export function updateVoiceStatus(isListening, transcript = '', mode = 'command') {
   if (!visualFeedbackState.voiceIndicator) return;
 
   const indicator = visualFeedbackState.voiceIndicator;
+  const voiceMode = VOICE_MODES[mode] || VOICE_MODES.command;
 
   if (isListening) {
     indicator.container.style.opacity = '1';
-    indicator.text.textContent = transcript || 'Listening...';
+    indicator.container.style.backgroundColor = voiceMode.background;
+    indicator.container.dataset.mode = mode;
+    indicator.icon.innerHTML = voiceMode.icon;
+    indicator.mode.textContent = voiceMode.label;
+    indicator.text.textContent = transcript || voiceMode.idleText;
   } else {
     indicator.container.style.opacity = '0';
   }
@@ -0,0 +1,826 @@
+/**
+ * Voice Commands Module
+ *
+ * Matches spoken transcripts against a command grammar. A command has one or
+ * more patterns made of words and:
+ *
+ *   (a|b)          alternatives         [the]           optional words
+ *   {number}       "3", "three", "twenty one"
+ *   {ordinal}      "second", "2nd", "last"
+ *   {element}      "link", "button", "text box", ...
+ *   {direction}    "up", "down", "top", "bottom", ...
+ *   {text}         any words
+ *
+ * A slot can be renamed with {name:type}, e.g. {position:ordinal}.
+ * Transcripts are lowercased, filler words are dropped and synonyms such as
+ * "press" for "click" or "twice" for "2 times" are applied before matching.
+ *
+ * The words slots accept, filler words, synonyms and the phrases for the
+ * built-in commands come from the command set for the recognition language
+ * (see commandLanguages.js). A transcript that matches nothing in that
+ * language is tried against the English patterns.
+ *
+ * Each match is scored by the recognizer's confidence times the share of the
+ * transcript the pattern covers, so "stop" inside a longer sentence scores
+ * low. Matches below the minimum confidence are not run. User-defined
+ * commands map a phrase to a sequence of other commands or to a keyboard
+ * shortcut.
+ */
+
+import { isElementVisible } from './contentExtractor.js';
+import { COMMAND_SETS, DEFAULT_COMMAND_LANGUAGE, resolveCommandLanguage } from './commandLanguages.js';
+
+// Matches scoring below this are not run
+export const DEFAULT_MIN_CONFIDENCE = 0.5;
+
+// Custom commands can run other custom commands this many levels deep
+const MAX_COMMAND_DEPTH = 3;
+
+// The most a single command scrolls
+const MAX_SCROLL_COUNT = 20;
+
+// Element kinds that commands can name. Their spoken names are in the command sets.
+export const ELEMENT_TYPES = {
+  link: {
+    selector: 'a[href], [role="link"]'
+  },
+  button: {
+    selector: 'button, [role="button"], input[type="submit"], input[type="button"], input[type="reset"]'
+  },
+  heading: {
+    selector: 'h1, h2, h3, h4, h5, h6, [role="heading"]'
+  },
+  image: {
+    selector: 'img, [role="img"]'
+  },
+  field: {
+    selector: [
+      'input:not([type="hidden"]):not([type="submit"]):not([type="button"]):not([type="reset"])' +
+        ':not([type="checkbox"]):not([type="radio"])',
+      'textarea', 'select', '[contenteditable="true"]', '[role="textbox"]'
+    ].join(', ')
+  },
+  checkbox: {
+    selector: 'input[type="checkbox"], [role="checkbox"]'
+  }
+};
+
+// Keys a shortcut can name, other than single characters
+const KEY_NAMES = {
+  esc: 'Escape', escape: 'Escape', enter: 'Enter', return: 'Enter', tab: 'Tab',
+  space: ' ', spacebar: ' ', up: 'ArrowUp', down: 'ArrowDown', left: 'ArrowLeft',
+  right: 'ArrowRight', arrowup: 'ArrowUp', arrowdown: 'ArrowDown',
+  arrowleft: 'ArrowLeft', arrowright: 'ArrowRight', home: 'Home', end: 'End',
+  pageup: 'PageUp', pagedown: 'PageDown', backspace: 'Backspace', delete: 'Delete'
+};
+
+const MODIFIER_NAMES = {
+  ctrl: 'ctrlKey', control: 'ctrlKey', alt: 'altKey', option: 'altKey',
+  shift: 'shiftKey', meta: 'metaKey', cmd: 'metaKey', command: 'metaKey'
+};
+
+// Grammars built from the command sets, by language code
+const grammars = {};
+
+// Longest first, so "text box" is tried before "box"
+function alternation(words) {
+  return [...words].sort((a, b) => b.length - a.length).join('|');
+}
+
+function hasWord(words, word) {
+  return Object.prototype.hasOwnProperty.call(words, word);
+}
+
+// Lowercase text and turn punctuation into spaces
+function simplifyText(text, splitElisions = false) {
+  let simplified = String(text || '')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/’/g, "'")
+    // Recognizers may write Hindi numbers in Devanagari digits
+    .replace(/[०-९]/g, digit => String(digit.charCodeAt(0) - 0x0966));
+  if (splitElisions) {
+    // French "l'image" is the words "l'" and "image"
+    simplified = simplified.replace(/(\p{L})'(?=\p{L})/gu, "$1' ");
+  }
+  return simplified.replace(/[^\p{L}\p{M}\p{N}'\s]+/gu, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// Simplify the words of a command set the way transcripts are simplified
+function buildGrammar(set) {
+  const splitElisions = Boolean(set.splitElisions);
+  const simplify = text => simplifyText(text, splitElisions);
+  const simplifyKeys = words => Object.fromEntries(
+    Object.entries(words || {}).map(([word, value]) => [simplify(word), value])
+  );
+  const simplifyLists = lists => Object.fromEntries(
+    Object.entries(lists || {}).map(([key, words]) => [key, words.map(simplify)])
+  );
+
+  const grammar = {
+    language: set.language,
+    splitElisions,
+    fillerWords: (set.fillerWords || []).map(word => new RegExp(` ${simplify(word)}(?= )`, 'g')),
+    synonyms: Object.entries(set.synonyms || {}).map(([word, replacement]) => [
+      new RegExp(`(?<= )${simplify(word)}(?= )`, 'g'),
+      simplify(replacement)
+    ]),
+    numbers: simplifyKeys(set.numbers),
+    tens: simplifyKeys(set.tens),
+    numberJoiner: simplify(set.numberJoiner),
+    ordinals: simplifyKeys(set.ordinals),
+    ordinalSuffixes: (set.ordinalSuffixes || []).map(simplify),
+    directions: simplifyLists(set.directions),
+    elements: simplifyLists(set.elements),
+    commands: set.commands || {}
+  };
+  grammar.slotTypes = createSlotTypes(grammar);
+  return grammar;
+}
+
+function createSlotTypes(grammar) {
+  const { numbers, tens, numberJoiner, ordinals, ordinalSuffixes, directions, elements } = grammar;
+  const numberWords = alternation(Object.keys(numbers));
+  const tensWords = alternation(Object.keys(tens));
+  const joiner = numberJoiner ? `(?: ${numberJoiner})?` : '';
+  const suffixes = alternation(ordinalSuffixes);
+
+  return {
+    number: {
+      pattern: ['\\d+', tensWords && `(?:${tensWords})(?:${joiner} (?:${numberWords}))?`, numberWords]
+        .filter(Boolean).join('|'),
+      parse: value => parseNumber(value, grammar.language)
+    },
+    ordinal: {
+      pattern: [suffixes && `\\d+(?:${suffixes})`, alternation(Object.keys(ordinals))].filter(Boolean).join('|'),
+      parse: value => parseOrdinal(value, grammar.language)
+    },
+    element: {
+      pattern: alternation(Object.values(elements).flat()),
+      parse: value => Object.keys(elements).find(key => elements[key].includes(value))
+    },
+    direction: {
+      pattern: alternation(Object.values(directions).flat()),
+      parse: value => Object.keys(directions).find(key => directions[key].includes(value))
+    },
+    text: {
+      pattern: '.+',
+      parse: value => value.trim()
+    }
+  };
+}
+
+// Grammar for a recognition language, English when it has no command set
+function getGrammar(language) {
+  const code = resolveCommandLanguage(language);
+  if (!grammars[code]) {
+    grammars[code] = buildGrammar(COMMAND_SETS[code]);
+  }
+  return grammars[code];
+}
+
+/**
+ * Read a number said as digits or words
+ * @param {string} value - e.g. "3", "three" or "twenty one"
+ * @param {string} language - Language of the words
+ * @returns {number|null} Number
+ */
+export function parseNumber(value, language = DEFAULT_COMMAND_LANGUAGE) {
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+
+  const { numbers, tens, numberJoiner } = getGrammar(language);
+  if (hasWord(numbers, value)) return numbers[value];
+
+  const ten = Object.keys(tens)
+    .sort((a, b) => b.length - a.length)
+    .find(word => value === word || value.startsWith(`${word} `));
+  if (!ten) return null;
+
+  let rest = value.slice(ten.length).trim();
+  if (numberJoiner && rest.startsWith(`${numberJoiner} `)) {
+    rest = rest.slice(numberJoiner.length).trim();
+  }
+  return tens[ten] + (hasWord(numbers, rest) ? numbers[rest] : 0);
+}
+
+/**
+ * Read an ordinal said as digits or words
+ * @param {string} value - e.g. "2nd", "second" or "last"
+ * @param {string} language - Language of the words
+ * @returns {number|null} Position counting from 1, or -1 for "last"
+ */
+export function parseOrdinal(value, language = DEFAULT_COMMAND_LANGUAGE) {
+  const { ordinals, ordinalSuffixes } = getGrammar(language);
+  const digits = value.match(/^(\d+)(\D+)$/);
+  if (digits && ordinalSuffixes.includes(digits[2])) return parseInt(digits[1], 10);
+  return hasWord(ordinals, value) ? ordinals[value] : null;
+}
+
+/**
+ * Lowercase a transcript, drop punctuation and filler words and apply synonyms
+ * @param {string} transcript - Recognized speech
+ * @param {string} language - Language whose filler words and synonyms apply
+ * @returns {string} Normalized transcript
+ */
+export function normalizeTranscript(transcript, language = DEFAULT_COMMAND_LANGUAGE) {
+  const { fillerWords, synonyms, splitElisions } = getGrammar(language);
+  let text = ` ${simplifyText(transcript, splitElisions)} `;
+  fillerWords.forEach(filler => {
+    text = text.replace(filler, '');
+  });
+  synonyms.forEach(([word, replacement]) => {
+    text = text.replace(word, replacement);
+  });
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Compile a command pattern into a regular expression
+ * @param {string} pattern - Pattern in the grammar described above
+ * @param {string} language - Language of the pattern's words and slots
+ * @returns {Object} { regex, slots, language } where slots lists { name, type } in order
+ */
+export function compilePattern(pattern, language = DEFAULT_COMMAND_LANGUAGE) {
+  const { slotTypes } = getGrammar(language);
+  const tokens = normalizePattern(pattern, language).match(/\{[^}]*\}|[[\]()|]| |[^[\](){}| ]+/g) || [];
+  const slots = [];
+  const groups = [];
+  let source = '';
+
+  tokens.forEach((token, index) => {
+    if (token === '[') {
+      // An optional group takes its leading space with it, or its trailing one at the start
+      const leadingSpace = source.endsWith(' ');
+      if (leadingSpace) source = source.slice(0, -1);
+      groups.push({ type: '[', leadingSpace });
+      source += leadingSpace ? '(?: ' : '(?:';
+    } else if (token === ']') {
+      const group = groups.pop();
+      if (!group || group.type !== '[') throw new Error(`Unbalanced brackets in pattern: ${pattern}`);
+      if (!group.leadingSpace && tokens[index + 1] === ' ') {
+        source += ' ';
+        tokens[index + 1] = '';
+      }
+      source += ')?';
+    } else if (token === '(') {
+      groups.push({ type: '(' });
+      source += '(?:';
+    } else if (token === ')') {
+      const group = groups.pop();
+      if (!group || group.type !== '(') throw new Error(`Unbalanced parentheses in pattern: ${pattern}`);
+      source += ')';
+    } else if (token === '|') {
+      source += '|';
+    } else if (token.startsWith('{')) {
+      const [name, type = name] = token.slice(1, -1).split(':').map(part => part.trim());
+      if (!slotTypes[type]) throw new Error(`Unknown slot type "${type}" in pattern: ${pattern}`);
+      source += `(?<s${slots.length}>${slotTypes[type].pattern})`;
+      slots.push({ name, type });
+    } else if (token) {
+      source += token.replace(/[.*+?^$\\]/g, '\\$&');
+    }
+  });
+
+  if (groups.length > 0) throw new Error(`Unclosed group in pattern: ${pattern}`);
+  if (!source.trim()) throw new Error('Pattern is empty');
+
+  return {
+    regex: new RegExp(`(?:^| )(?<whole>${source})(?= |$)`, 'u'),
+    slots,
+    language: resolveCommandLanguage(language)
+  };
+}
+
+// Normalize a pattern's words the way transcripts are normalized, leaving the syntax alone
+function normalizePattern(pattern, language) {
+  return String(pattern || '')
+    .split(/(\{[^}]*\}|[[\]()|])/)
+    .map(part => {
+      if (/^(\{[^}]*\}|[[\]()|])$/.test(part)) return part;
+      const words = normalizeTranscript(part, language);
+      return words ? ` ${words} ` : part && ' ';
+    })
+    .join('')
+    .replace(/\s+/g, ' ')
+    .replace(/([[(|]) | (?=[\])|])/g, '$1')
+    .trim();
+}
+
+/**
+ * Read a shortcut such as "Ctrl+Shift+K" or "Alt+Down"
+ * @param {string} text - Modifiers and a key joined by "+"
+ * @returns {Object|null} KeyboardEvent init { key, ctrlKey, altKey, shiftKey, metaKey },
+ *   or null when it isn't a valid shortcut
+ */
+export function parseShortcut(text) {
+  const parts = String(text || '').split('+').map(part => part.trim()).filter(Boolean);
+  const shortcut = { key: null, ctrlKey: false, altKey: false, shiftKey: false, metaKey: false };
+
+  for (const part of parts) {
+    const name = part.toLowerCase();
+    if (MODIFIER_NAMES[name]) {
+      shortcut[MODIFIER_NAMES[name]] = true;
+    } else if (shortcut.key) {
+      return null;
+    } else if (KEY_NAMES[name]) {
+      shortcut.key = KEY_NAMES[name];
+    } else if (/^f([1-9]|1[0-2])$/.test(name)) {
+      shortcut.key = name.toUpperCase();
+    } else if (Array.from(part).length === 1) {
+      shortcut.key = part;
+    } else {
+      return null;
+    }
+  }
+
+  if (!shortcut.key) return null;
+  if (shortcut.key.length === 1) {
+    shortcut.key = shortcut.shiftKey ? shortcut.key.toUpperCase() : shortcut.key.toLowerCase();
+  }
+  return shortcut;
+}
+
+/**
+ * Press a keyboard shortcut on the focused element. Pages and the
+ * extension's own shortcuts see the key events; the browser's built-in
+ * shortcuts don't respond to synthetic events.
+ * @param {Object} shortcut - Result of parseShortcut
+ * @returns {boolean} False when a keydown listener cancelled the event
+ */
+export function dispatchShortcut(shortcut) {
+  const target = document.activeElement || document.body;
+  const init = { ...shortcut, bubbles: true, cancelable: true, composed: true };
+  const notCancelled = target.dispatchEvent(new KeyboardEvent('keydown', init));
+  target.dispatchEvent(new KeyboardEvent('keyup', init));
+  return notCancelled;
+}
+
+/**
+ * Check a user-defined command before saving it
+ * @param {Object} entry - { phrase, type, actions, shortcut }
+ * @returns {string|null} Error message, or null when the entry is valid
+ */
+export function validateCustomCommand(entry) {
+  if (!entry || typeof entry.phrase !== 'string' || !entry.phrase.trim()) {
+    return 'Enter the phrase to say';
+  }
+  try {
+    compilePattern(entry.phrase);
+  } catch (error) {
+    return error.message;
+  }
+  if (entry.type === 'shortcut') {
+    return parseShortcut(entry.shortcut) ? null : 'Enter a shortcut such as "Ctrl+Shift+K"';
+  }
+  if (entry.type !== 'commands') {
+    return `Unknown command type: ${entry.type}`;
+  }
+  if (!Array.isArray(entry.actions) || entry.actions.length === 0) {
+    return 'Enter the commands to run, separated by semicolons';
+  }
+  return null;
+}
+
+/**
+ * Fill in defaults for a user-defined command
+ * @param {Object} entry - Stored or edited entry
+ * @returns {Object} { id, phrase, type, actions, shortcut }
+ */
+export function normalizeCustomCommand(entry) {
+  const type = entry.type || (entry.shortcut ? 'shortcut' : 'commands');
+  const actions = typeof entry.actions === 'string' ? entry.actions.split(';') : entry.actions || [];
+  return {
+    id: entry.id || `cmd-${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 6)}`,
+    phrase: String(entry.phrase || '').trim(),
+    type,
+    actions: type === 'commands' ? actions.map(action => String(action).trim()).filter(Boolean) : [],
+    shortcut: type === 'shortcut' ? String(entry.shortcut || '').trim() : ''
+  };
+}
+
+/**
+ * Check a localized alias for a built-in command before saving it
+ * @param {Object} entry - { language, command, phrase }
+ * @returns {string|null} Error message, or null when the entry is valid
+ */
+export function validateCommandAlias(entry) {
+  if (!entry || typeof entry.phrase !== 'string' || !entry.phrase.trim()) {
+    return 'Enter the phrase to say';
+  }
+  if (!entry.command) {
+    return 'Choose the command the phrase runs';
+  }
+  try {
+    compilePattern(entry.phrase, entry.language);
+  } catch (error) {
+    return error.message;
+  }
+  return null;
+}
+
+/**
+ * Fill in defaults for a localized alias
+ * @param {Object} entry - Stored or edited entry
+ * @returns {Object} { id, language, command, phrase } where language is a command set code
+ */
+export function normalizeCommandAlias(entry) {
+  return {
+    id: entry.id || `alias-${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 6)}`,
+    language: resolveCommandLanguage(entry.language),
+    command: String(entry.command || '').trim(),
+    phrase: String(entry.phrase || '').trim()
+  };
+}
+
+class VoiceCommandEngine {
+  /**
+   * @param {Object} options - { minConfidence, minCoverage, language } where
+   *   minCoverage is the share of the transcript a pattern must cover to match
+   *   and language picks the command set
+   */
+  constructor({ minConfidence = DEFAULT_MIN_CONFIDENCE, minCoverage = 0, language = DEFAULT_COMMAND_LANGUAGE } = {}) {
+    this.minConfidence = minConfidence;
+    this.minCoverage = minCoverage;
+    this.language = resolveCommandLanguage(language);
+    this.commands = [];
+    this.customEntries = [];
+    this.customCommands = [];
+    this.aliases = [];
+  }
+
+  /**
+   * Add commands, replacing any with the same id. Patterns are English; the
+   * command set for the engine's language supplies phrases by command id.
+   * @param {Array<Object>} commands - { id, description, patterns, run(slots, context), when }
+   *   where the optional when() returns false while the command doesn't apply
+   */
+  register(commands) {
+    commands.forEach(command => {
+      const compiled = this.compileCommand(command);
+      const index = this.commands.findIndex(existing => existing.id === command.id);
+      if (index === -1) {
+        this.commands.push(compiled);
+      } else {
+        this.commands[index] = compiled;
+      }
+    });
+  }
+
+  // Compile a command's phrases in the engine's language, keeping its English patterns as a fallback
+  compileCommand(command) {
+    // Drop the patterns compiled for the previous language
+    const definition = { ...command };
+    delete definition.compiled;
+    delete definition.fallback;
+    const aliases = this.aliases
+      .filter(alias => alias.command === definition.id && alias.language === this.language)
+      .map(alias => alias.phrase);
+
+    if (this.language === DEFAULT_COMMAND_LANGUAGE) {
+      return { ...definition, compiled: [...definition.patterns, ...aliases].map(pattern => compilePattern(pattern)), fallback: [] };
+    }
+    const phrases = getGrammar(this.language).commands[definition.id] || [];
+    return {
+      ...definition,
+      compiled: [...phrases, ...aliases].map(pattern => compilePattern(pattern, this.language)),
+      fallback: definition.patterns.map(pattern => compilePattern(pattern))
+    };
+  }
+
+  /**
+   * Switch to the command set for a recognition language. Languages
+   * without one use English.
+   * @param {string} language - Language tag, e.g. "fr-FR"
+   */
+  setLanguage(language) {
+    this.language = resolveCommandLanguage(language);
+    this.commands = this.commands.map(command => this.compileCommand(command));
+    this.setCustomCommands(this.customEntries);
+  }
+
+  /**
+   * Replace the localized aliases for built-in commands. Invalid entries are skipped.
+   * @param {Array<Object>} entries - Entries from the command aliases option
+   */
+  setAliases(entries) {
+    this.aliases = (entries || [])
+      .map(normalizeCommandAlias)
+      .filter(entry => {
+        const error = validateCommandAlias(entry);
+        if (error) console.error(`Skipping voice command alias "${entry.phrase}":`, error);
+        return !error;
+      });
+    this.commands = this.commands.map(command => this.compileCommand(command));
+  }
+
+  /**
+   * Replace the user-defined commands. Invalid entries are skipped.
+   * Phrases are in the engine's language.
+   * @param {Array<Object>} entries - Entries from the custom commands option
+   */
+  setCustomCommands(entries) {
+    this.customEntries = entries || [];
+    this.customCommands = this.customEntries
+      .map(normalizeCustomCommand)
+      .filter(entry => {
+        const error = validateCustomCommand(entry);
+        if (error) console.error(`Skipping custom voice command "${entry.phrase}":`, error);
+        return !error;
+      })
+      .map(entry => ({
+        id: entry.id,
+        description: entry.phrase,
+        patterns: [entry.phrase],
+        compiled: [compilePattern(entry.phrase, this.language)],
+        fallback: [],
+        run: (slots, context) => this.runCustomCommand(entry, context)
+      }));
+  }
+
+  setMinConfidence(value) {
+    const confidence = Number(value);
+    this.minConfidence = Number.isFinite(confidence) ? Math.min(Math.max(confidence, 0), 1) : DEFAULT_MIN_CONFIDENCE;
+  }
+
+  /**
+   * Find the best command for a transcript. On equal scores the match with
+   * fewer words taken by {text} slots wins, so "click 12" prefers a number
+   * slot over free text; after that custom commands win, so users can
+   * redefine built-in phrases. When the engine's language has no match the
+   * English patterns are tried.
+   * @param {string} transcript - Recognized speech
+   * @param {number} confidence - Recognizer confidence, 0-1; 0 or missing means unknown
+   * @returns {Object|null} { command, slots, score, transcript, language }
+   */
+  parse(transcript, confidence = 1) {
+    const match = this.findMatch(transcript, confidence, 'compiled', this.language);
+    if (match || this.language === DEFAULT_COMMAND_LANGUAGE) return match;
+    return this.findMatch(transcript, confidence, 'fallback', DEFAULT_COMMAND_LANGUAGE);
+  }
+
+  // Best match among the commands' compiled or fallback patterns
+  findMatch(transcript, confidence, patterns, language) {
+    const text = normalizeTranscript(transcript, language);
+    if (!text) return null;
+
+    const { slotTypes } = getGrammar(language);
+    const wordCount = text.split(' ').length;
+    const recognizerConfidence = confidence > 0 ? Math.min(confidence, 1) : 1;
+    let best = null;
+
+    [...this.customCommands, ...this.commands].forEach(command => {
+      if (command.when && !command.when()) return;
+
+      command[patterns].forEach(({ regex, slots }) => {
+        const match = regex.exec(text);
+        if (!match) return;
+
+        const coverage = match.groups.whole.split(' ').length / wordCount;
+        if (coverage < this.minCoverage) return;
+        const score = recognizerConfidence * coverage;
+        const freeWords = slots.reduce((count, { type }, index) => {
+          const value = match.groups[`s${index}`];
+          return type === 'text' && value ? count + value.split(' ').length : count;
+        }, 0);
+        if (best && (score < best.score || (score === best.score && freeWords >= best.freeWords))) return;
+
+        const values = {};
+        slots.forEach(({ name, type }, index) => {
+          const value = match.groups[`s${index}`];
+          if (value !== undefined) values[name] = slotTypes[type].parse(value);
+        });
+        best = { command, slots: values, score, freeWords, transcript: text, language };
+      });
+    });
+
+    return best;
+  }
+
+  /**
+   * Run the command a transcript asks for
+   * @param {string|Array<Object>} input - Transcript, or the recognizer's
+   *   alternatives as { transcript, confidence }
+   * @param {Object} options - { confidence, depth }
+   * @returns {Promise<Object>} { status, match, error } where status is
+   *   'executed', 'unsure' (matched below the minimum confidence),
+   *   'unrecognized' or 'failed'
+   */
+  async handle(input, { confidence = 1, depth = 0 } = {}) {
+    const alternatives = Array.isArray(input) ? input : [{ transcript: input, confidence }];
+    const match = alternatives
+      .map(alternative => this.parse(alternative.transcript, alternative.confidence))
+      .filter(Boolean)
+      .reduce((best, candidate) => (!best || candidate.score > best.score ? candidate : best), null);
+
+    if (!match) return { status: 'unrecognized', match: null };
+    if (match.score < this.minConfidence) return { status: 'unsure', match };
+
+    try {
+      await match.command.run(match.slots, { transcript: match.transcript, language: match.language, engine: this, depth });
+      return { status: 'executed', match };
+    } catch (error) {
+      console.error(`Error running voice command "${match.command.id}":`, error);
+      return { status: 'failed', match, error };
+    }
+  }
+
+  // Run a custom command's commands in turn, or press its shortcut
+  async runCustomCommand(entry, { depth }) {
+    if (entry.type === 'shortcut') {
+      dispatchShortcut(parseShortcut(entry.shortcut));
+      return;
+    }
+
+    if (depth >= MAX_COMMAND_DEPTH) {
+      throw new Error(`Custom command "${entry.phrase}" runs too many other custom commands`);
+    }
+    for (const action of entry.actions) {
+      const result = await this.handle(action, { depth: depth + 1 });
+      if (result.status !== 'executed') {
+        throw new Error(`"${action}" in custom command "${entry.phrase}" could not be run`);
+      }
+    }
+  }
+
+  /**
+   * List the commands that can be said
+   * @returns {Array<Object>} { id, description, patterns, custom }
+   */
+  getCommands() {
+    return [
+      ...this.customCommands.map(({ id, description, patterns }) => ({ id, description, patterns, custom: true })),
+      ...this.commands.map(({ id, description, patterns }) => ({ id, description, patterns, custom: false }))
+    ];
+  }
+}
+
+// ============================================================
+// Built-in commands
+// ============================================================
+
+/**
+ * Name of an element as a user would say it
+ * @param {Element} element - Element
+ * @returns {string} Name, or '' when it has none
+ */
+export function getElementName(element) {
+  return (
+    element.getAttribute('aria-label') ||
+    element.getAttribute('alt') ||
+    element.textContent ||
+    element.value ||
+    element.getAttribute('placeholder') ||
+    element.getAttribute('title') ||
+    ''
+  ).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Find the visible elements of a kind in document order
+ * @param {string} type - Key of ELEMENT_TYPES, or null for anything clickable
+ * @param {Function} isVisible - Visibility check
+ * @returns {Array<Element>} Elements
+ */
+export function findElements(type, isVisible = isElementVisible) {
+  const selector = type
+    ? ELEMENT_TYPES[type].selector
+    : [ELEMENT_TYPES.link.selector, ELEMENT_TYPES.button.selector, ELEMENT_TYPES.checkbox.selector].join(', ');
+  return Array.from(document.querySelectorAll(selector)).filter(element => isVisible(element));
+}
+
+/**
+ * Click a link, button or checkbox, or focus anything else
+ * @param {Element} element - Element
+ * @returns {boolean} True when the element was clicked
+ */
+export function activateElement(element) {
+  element.focus();
+  if (element.matches(ELEMENT_TYPES.field.selector) || element.matches(ELEMENT_TYPES.heading.selector) ||
+      element.matches(ELEMENT_TYPES.image.selector)) {
+    return false;
+  }
+  element.click();
+  return true;
+}
+
+// Describe an element for spoken feedback
+function describeElement(element, type) {
+  const name = getElementName(element);
+  return name ? `${name}, ${type}` : type;
+}
+
+/**
+ * Built-in commands. Reading and display commands call the given handlers;
+ * page commands (scrolling, history, clicking, focusing) work on the DOM.
+ * @param {Object} handlers - { speak, startReading, stopReading,
+ *   pauseReading, resumeReading, nextSentence, previousSentence,
+ *   repeatSentence, slowerSentence, spellWord, setHighContrast,
+ *   startDictation, isVisible }
+ * @returns {Array<Object>} Commands for VoiceCommandEngine.register
+ */
+export function createDefaultCommands(handlers) {
+  const speak = handlers.speak || (() => {});
+  const isVisible = handlers.isVisible || isElementVisible;
+
+  const pickElement = (type, position) => {
+    const elements = findElements(type, isVisible);
+    const index = position === -1 ? elements.length - 1 : (position || 1) - 1;
+    return elements[index] || null;
+  };
+
+  const actOnPosition = ({ element, position, number }, focusOnly) => {
+    const target = pickElement(element, position !== undefined ? position : number);
+    if (!target) {
+      speak(`Could not find that ${element}`);
+      return;
+    }
+    if (focusOnly) {
+      target.focus();
+      speak(describeElement(target, element));
+    } else {
+      const clicked = activateElement(target);
+      speak(`${clicked ? 'Clicked' : 'Focused'} ${describeElement(target, element)}`);
+    }
+  };
+
+  const clickByName = ({ text, element }, { language }) => {
+    const name = text.replace(/^(on|the) /, '');
+    const candidates = findElements(element, isVisible);
+    // Names are normalized like the transcript they are compared with
+    const nameOf = candidate => normalizeTranscript(getElementName(candidate), language);
+    const target = candidates.find(candidate => nameOf(candidate) === name) ||
+      candidates.find(candidate => nameOf(candidate).includes(name));
+    if (!target) {
+      speak(`Could not find ${element || 'anything'} called "${name}"`);
+      return;
+    }
+    const clicked = activateElement(target);
+    speak(`${clicked ? 'Clicked' : 'Focused'} ${getElementName(target)}`);
+  };
+
+  const scroll = ({ direction, count }) => {
+    if (direction === 'top' || direction === 'bottom') {
+      window.scrollTo({ top: direction === 'top' ? 0 : document.documentElement.scrollHeight, behavior: 'smooth' });
+      return;
+    }
+    const times = Math.min(Math.max(count || 1, 1), MAX_SCROLL_COUNT);
+    const vertical = direction === 'up' || direction === 'down';
+    const distance = (vertical ? window.innerHeight : window.innerWidth) / 2 * times;
+    const sign = direction === 'up' || direction === 'left' ? -1 : 1;
+    window.scrollBy({
+      top: vertical ? sign * distance : 0,
+      left: vertical ? 0 : sign * distance,
+      behavior: 'smooth'
+    });
+  };
+
+  return [
+    { id: 'stopReading', description: 'Stop reading', patterns: ['stop [(reading|speaking|talking)]', 'be quiet'], run: handlers.stopReading },
+    { id: 'startReading', description: 'Start reading', patterns: ['(start reading|read [this] page|read aloud)'], run: handlers.startReading },
+    { id: 'pauseReading', description: 'Pause reading', patterns: ['pause [(reading|speech|speaking)]'], run: handlers.pauseReading },
+    { id: 'resumeReading', description: 'Resume reading', patterns: ['(resume|continue) [reading]'], run: handlers.resumeReading },
+    { id: 'nextSentence', description: 'Next sentence', patterns: ['next sentence', 'skip [a] sentence'], run: handlers.nextSentence },
+    { id: 'previousSentence', description: 'Previous sentence', patterns: ['previous sentence', '[go] back [one] sentence'], run: handlers.previousSentence },
+    { id: 'slowerSentence', description: 'Repeat the sentence slower', patterns: ['(slower|slow down)', 'say [that] slower'], run: handlers.slowerSentence },
+    { id: 'repeatSentence', description: 'Repeat the sentence', patterns: ['repeat [(that|sentence|the sentence)]', 'say that again'], run: handlers.repeatSentence },
+    { id: 'spellWord', description: 'Spell the word', patterns: ['spell [(that|it|word|the word|this word)]'], run: handlers.spellWord },
+    {
+      id: 'scroll',
+      description: 'Scroll the page',
+      patterns: ['scroll [to] [the] {direction} [{count:number} times]', 'scroll {direction} {count:number}', 'go to [the] {direction}'],
+      run: scroll
+    },
+    { id: 'startDictation', description: 'Start dictation', patterns: ['(start|begin) (dictation|typing)', 'dictation mode'], run: handlers.startDictation },
+    { id: 'goBack', description: 'Go back', patterns: ['go back', 'previous page'], run: () => window.history.back() },
+    { id: 'goForward', description: 'Go forward', patterns: ['go forward', 'next page'], run: () => window.history.forward() },
+    {
+      id: 'clickPosition',
+      description: 'Click an element by position',
+      patterns: ['click [on] [the] {position:ordinal} {element}', 'click [on] [the] {element} [number] {number}'],
+      run: slots => actOnPosition(slots, false)
+    },
+    {
+      id: 'focusPosition',
+      description: 'Move to an element by position',
+      patterns: ['(go to|focus|move to) [the] {position:ordinal} {element}', '(go to|focus|move to) [the] {element} [number] {number}'],
+      run: slots => actOnPosition(slots, true)
+    },
+    { id: 'clickNamed', description: 'Click an element by name', patterns: ['click [on] [the] {text} {element}'], run: clickByName },
+    { id: 'clickText', description: 'Click something by name', patterns: ['click [on] {text}'], run: ({ text }, context) => clickByName({ text, element: null }, context) },
+    {
+      id: 'highContrastOn',
+      description: 'Turn on high contrast',
+      patterns: ['(enable|turn on|switch on) high contrast', 'high contrast on'],
+      run: () => handlers.setHighContrast(true)
+    },
+    {
+      id: 'highContrastOff',
+      description: 'Turn off high contrast',
+      patterns: ['(disable|turn off|switch off) high contrast', 'high contrast off'],
+      run: () => handlers.setHighContrast(false)
+    }
+  ];
+}
+
+export { VoiceCommandEngine };
+export const voiceCommands = new VoiceCommandEngine();
@@ -0,0 +1,422 @@
+/**
+ * Voice Overlays Module
+ *
+ * Lets voice-only users click things that have no name to say, such as icon
+ * buttons. "Show numbers" labels every visible interactive element with a
+ * number so "click 12" clicks it. The labels follow the page as it scrolls
+ * or changes, and "hide numbers" clears them. "Show grid" splits the screen
+ * into a 3x3 grid. Saying a cell's number zooms the grid into that cell and
+ * "click" clicks the middle of the current area, so any point on the screen
+ * can be reached in a few steps.
+ */
+
+import { isElementVisible } from './contentExtractor.js';
+import { activateElement, getElementName } from './voiceCommands.js';
+
+// Elements that get a number
+const INTERACTIVE_SELECTOR = [
+  'a[href]', 'button', 'input:not([type="hidden"])', 'select', 'textarea', 'summary',
+  '[role="button"]', '[role="link"]', '[role="checkbox"]', '[role="radio"]', '[role="switch"]',
+  '[role="tab"]', '[role="menuitem"]', '[role="option"]', '[contenteditable="true"]',
+  '[onclick]', '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+// Labels beyond this many would cover the page
+const MAX_LABELS = 300;
+
+// The grid stops zooming when its cells would be smaller than this, in pixels
+const MIN_GRID_CELL_SIZE = 12;
+
+const GRID_SIZE = 3;
+
+// Overlay state
+const overlayState = {
+  mode: null, // 'numbers', 'grid' or null
+  container: null,
+  isVisible: isElementVisible,
+  numbers: new Map(), // number -> element
+  elementNumbers: new Map(), // element -> number
+  observer: null,
+  frame: null,
+  gridRegions: [] // Zoom levels, the whole viewport first
+};
+
+function createContainer(className) {
+  const container = document.createElement('div');
+  container.className = className;
+  // A visual aid for voice users; screen readers have their own navigation
+  container.setAttribute('aria-hidden', 'true');
+  (document.body || document.documentElement).appendChild(container);
+  return container;
+}
+
+// ============================================================
+// Numbers
+// ============================================================
+
+/**
+ * Find the interactive elements that are visible in the viewport
+ * @param {Function} isVisible - Visibility check
+ * @returns {Array<Element>} Elements in document order
+ */
+export function findInteractiveElements(isVisible = isElementVisible) {
+  const width = window.innerWidth;
+  const height = window.innerHeight;
+
+  return Array.from(document.querySelectorAll(INTERACTIVE_SELECTOR)).filter(element => {
+    if (overlayState.container && overlayState.container.contains(element)) return false;
+    // Label a control once, not each part inside it
+    if (element.parentElement && element.parentElement.closest(INTERACTIVE_SELECTOR)) return false;
+    if (element.disabled) return false;
+
+    const rect = element.getBoundingClientRect();
+    return rect.bottom > 0 && rect.right > 0 && rect.top < height && rect.left < width && isVisible(element);
+  }).slice(0, MAX_LABELS);
+}
+
+// Keep the numbers of elements still on screen and give new ones the lowest free numbers
+function refreshNumbers() {
+  overlayState.frame = null;
+  if (overlayState.mode !== 'numbers') return;
+
+  const elements = findInteractiveElements(overlayState.isVisible);
+  const onScreen = new Set(elements);
+
+  overlayState.numbers.forEach((element, number) => {
+    if (!onScreen.has(element)) {
+      overlayState.numbers.delete(number);
+      overlayState.elementNumbers.delete(element);
+    }
+  });
+
+  let next = 1;
+  elements.forEach(element => {
+    if (overlayState.elementNumbers.has(element)) return;
+    while (overlayState.numbers.has(next)) next++;
+    overlayState.numbers.set(next, element);
+    overlayState.elementNumbers.set(element, next);
+  });
+
+  renderNumberLabels();
+}
+
+function renderNumberLabels() {
+  const { container } = overlayState;
+  container.textContent = '';
+
+  overlayState.numbers.forEach((element, number) => {
+    const rect = element.getBoundingClientRect();
+    const label = document.createElement('span');
+    label.className = 'accessibility-number-label';
+    label.textContent = String(number);
+    label.style.left = `${Math.max(rect.left, 0)}px`;
+    label.style.top = `${Math.max(rect.top, 0)}px`;
+    container.appendChild(label);
+  });
+}
+
+function scheduleRefresh() {
+  if (!overlayState.frame) {
+    overlayState.frame = requestAnimationFrame(refreshNumbers);
+  }
+}
+
+// Page changes outside the overlay move or add elements
+function handleMutations(mutations) {
+  if (mutations.some(mutation => !overlayState.container.contains(mutation.target))) {
+    scheduleRefresh();
+  }
+}
+
+function startTracking() {
+  // Capture catches scrolling inside scrollable elements too
+  window.addEventListener('scroll', scheduleRefresh, { capture: true, passive: true });
+  window.addEventListener('resize', scheduleRefresh);
+  overlayState.observer = new MutationObserver(handleMutations);
+  overlayState.observer.observe(document.documentElement, {
+    childList: true,
+    subtree: true,
+    attributes: true,
+    attributeFilter: ['style', 'class', 'hidden', 'aria-hidden', 'disabled']
+  });
+}
+
+function stopTracking() {
+  window.removeEventListener('scroll', scheduleRefresh, { capture: true });
+  window.removeEventListener('resize', scheduleRefresh);
+  if (overlayState.observer) {
+    overlayState.observer.disconnect();
+    overlayState.observer = null;
+  }
+  if (overlayState.frame) {
+    cancelAnimationFrame(overlayState.frame);
+    overlayState.frame = null;
+  }
+}
+
+/**
+ * Label the visible interactive elements with numbers
+ * @param {Object} options - { isVisible }
+ * @returns {number} How many elements were labelled
+ */
+export function showNumbers({ isVisible = isElementVisible } = {}) {
+  hideOverlays();
+  overlayState.mode = 'numbers';
+  overlayState.isVisible = isVisible;
+  overlayState.container = createContainer('accessibility-number-overlay');
+  startTracking();
+  refreshNumbers();
+  return overlayState.numbers.size;
+}
+
+/**
+ * Click, or focus, the element with a number
+ * @param {number} number - Number on the element's label
+ * @returns {Object|null} { element, clicked }, or null when no element has the number
+ */
+export function clickNumber(number) {
+  const element = overlayState.numbers.get(number);
+  if (!element || !element.isConnected) return null;
+  return { element, clicked: activateElement(element) };
+}
+
+export function areNumbersShown() {
+  return overlayState.mode === 'numbers';
+}
+
+// ============================================================
+// Grid
+// ============================================================
+
+/**
+ * Area of a grid cell in the current zoom level
+ * @param {number} number - Cell number, 1-9 from the top left
+ * @returns {Object|null} { left, top, width, height }, or null for a number outside the grid
+ */
+export function getGridCell(number) {
+  const region = overlayState.gridRegions[overlayState.gridRegions.length - 1];
+  if (!region || !Number.isInteger(number) || number < 1 || number > GRID_SIZE * GRID_SIZE) return null;
+
+  const width = region.width / GRID_SIZE;
+  const height = region.height / GRID_SIZE;
+  return {
+    left: region.left + ((number - 1) % GRID_SIZE) * width,
+    top: region.top + Math.floor((number - 1) / GRID_SIZE) * height,
+    width,
+    height
+  };
+}
+
+function renderGrid() {
+  const { container } = overlayState;
+  const region = overlayState.gridRegions[overlayState.gridRegions.length - 1];
+  container.textContent = '';
+
+  const frame = document.createElement('div');
+  frame.className = 'accessibility-grid-region';
+  frame.style.left = `${region.left}px`;
+  frame.style.top = `${region.top}px`;
+  frame.style.width = `${region.width}px`;
+  frame.style.height = `${region.height}px`;
+
+  for (let number = 1; number <= GRID_SIZE * GRID_SIZE; number++) {
+    const cell = document.createElement('div');
+    cell.className = 'accessibility-grid-cell';
+    cell.textContent = String(number);
+    frame.appendChild(cell);
+  }
+  container.appendChild(frame);
+}
+
+// Start again from the whole viewport when the window changes size
+function resetGrid() {
+  overlayState.gridRegions = [{ left: 0, top: 0, width: window.innerWidth, height: window.innerHeight }];
+  renderGrid();
+}
+
+/**
+ * Show a 3x3 grid over the whole viewport
+ */
+export function showGrid() {
+  hideOverlays();
+  overlayState.mode = 'grid';
+  overlayState.container = createContainer('accessibility-grid-overlay');
+  window.addEventListener('resize', resetGrid);
+  resetGrid();
+}
+
+/**
+ * Zoom the grid into one of its cells
+ * @param {number} number - Cell number, 1-9
+ * @returns {boolean} False when the number isn't a cell or the cells are already as small as they get
+ */
+export function zoomGrid(number) {
+  const cell = getGridCell(number);
+  if (!cell || cell.width / GRID_SIZE < MIN_GRID_CELL_SIZE || cell.height / GRID_SIZE < MIN_GRID_CELL_SIZE) {
+    return false;
+  }
+  overlayState.gridRegions.push(cell);
+  renderGrid();
+  return true;
+}
+
+/**
+ * Go back to the previous zoom level
+ * @returns {boolean} False at the top level
+ */
+export function zoomOutGrid() {
+  if (overlayState.gridRegions.length <= 1) return false;
+  overlayState.gridRegions.pop();
+  renderGrid();
+  return true;
+}
+
+/**
+ * Click the middle of a grid cell, or of the whole current area, and close the grid
+ * @param {number} number - Cell number, or undefined for the current area
+ * @returns {Element|null} Element clicked
+ */
+export function clickGrid(number) {
+  const region = number === undefined
+    ? overlayState.gridRegions[overlayState.gridRegions.length - 1]
+    : getGridCell(number);
+  if (!region) return null;
+
+  hideOverlays();
+  return clickAtPoint(region.left + region.width / 2, region.top + region.height / 2);
+}
+
+export function isGridShown() {
+  return overlayState.mode === 'grid';
+}
+
+/**
+ * Click whatever is at a point in the viewport, as a mouse would
+ * @param {number} x - Viewport x coordinate
+ * @param {number} y - Viewport y coordinate
+ * @returns {Element|null} Element clicked
+ */
+export function clickAtPoint(x, y) {
+  const target = document.elementFromPoint(x, y);
+  if (!target) return null;
+
+  const init = { bubbles: true, cancelable: true, composed: true, view: window, clientX: x, clientY: y, button: 0 };
+  ['pointerdown', 'mousedown', 'pointerup', 'mouseup', 'click'].forEach(type => {
+    const EventType = type.startsWith('pointer') && typeof PointerEvent === 'function' ? PointerEvent : MouseEvent;
+    target.dispatchEvent(new EventType(type, init));
+  });
+
+  const focusable = target.closest(INTERACTIVE_SELECTOR);
+  if (focusable) focusable.focus();
+  return target;
+}
+
+/**
+ * Remove the numbers or the grid
+ */
+export function hideOverlays() {
+  stopTracking();
+  window.removeEventListener('resize', resetGrid);
+  if (overlayState.container) {
+    overlayState.container.remove();
+    overlayState.container = null;
+  }
+  overlayState.numbers.clear();
+  overlayState.elementNumbers.clear();
+  overlayState.gridRegions = [];
+  overlayState.mode = null;
+}
+
+// ============================================================
+// Voice commands
+// ============================================================
+
+/**
+ * Voice commands for the overlays. Number and grid commands only apply
+ * while their overlay is shown, so "click 12" otherwise clicks something
+ * named "12".
+ * @param {Object} handlers - { speak, isVisible }
+ * @returns {Array<Object>} Commands for VoiceCommandEngine.register
+ */
+export function createOverlayCommands(handlers = {}) {
+  const speak = handlers.speak || (() => {});
+
+  return [
+    {
+      id: 'showNumbers',
+      description: 'Show numbers',
+      patterns: ['(show|display) (numbers|labels)'],
+      run: () => {
+        const count = showNumbers({ isVisible: handlers.isVisible });
+        speak(count > 0 ? `Showing ${count} numbers` : 'Nothing to click on this screen');
+      }
+    },
+    {
+      id: 'hideNumbers',
+      description: 'Hide numbers',
+      patterns: ['(hide|clear|remove) (numbers|labels)'],
+      run: () => hideOverlays()
+    },
+    {
+      id: 'clickNumber',
+      description: 'Click a numbered element',
+      patterns: ['[click] {number}', '(choose|pick) {number}'],
+      when: areNumbersShown,
+      run: ({ number }) => {
+        const result = clickNumber(number);
+        if (!result) {
+          speak(`There is no number ${number}`);
+          return;
+        }
+        const name = getElementName(result.element);
+        speak(`${result.clicked ? 'Clicked' : 'Focused'} ${name || number}`);
+      }
+    },
+    {
+      id: 'showGrid',
+      description: 'Show grid',
+      patterns: ['(show|display) [mouse] grid', 'mouse grid'],
+      run: () => showGrid()
+    },
+    {
+      id: 'hideGrid',
+      description: 'Hide grid',
+      patterns: ['(hide|close|cancel) [mouse] grid'],
+      run: () => hideOverlays()
+    },
+    {
+      id: 'zoomGrid',
+      description: 'Zoom the grid into a cell',
+      patterns: ['[grid] {number}'],
+      when: isGridShown,
+      run: ({ number }) => {
+        if (!zoomGrid(number)) {
+          speak(getGridCell(number) ? 'The grid is as small as it gets. Say click' : 'Say a number from 1 to 9');
+        }
+      }
+    },
+    {
+      id: 'zoomOutGrid',
+      description: 'Zoom the grid out',
+      patterns: ['(zoom out|grid back|undo)'],
+      when: isGridShown,
+      run: () => zoomOutGrid()
+    },
+    {
+      id: 'clickGrid',
+      description: 'Click in the grid',
+      patterns: ['click [{number}]'],
+      when: isGridShown,
+      run: ({ number }) => {
+        const target = clickGrid(number);
+        if (!target) {
+          speak('Nothing to click there');
+          return;
+        }
+        const control = target.closest(INTERACTIVE_SELECTOR);
+        const name = control ? getElementName(control) : '';
+        speak(name ? `Clicked ${name}` : 'Clicked');
+      }
+    }
+  ];
+}
@@ -0,0 +1,98 @@
+/**
+ * Listening Queue Player
+ *
+ * Offscreen document opened by the background while the listening queue is
+ * playing or paused. The speech itself comes from chrome.tts, which the
+ * browser's media controls can't see, so this page loops silent audio to
+ * own the Media Session. It shows the current article as the media metadata
+ * and sends media key presses back to the queue.
+ */
+
+// Media Session actions to listening queue actions
+const MEDIA_ACTIONS = {
+  play: 'resumeListeningQueue',
+  pause: 'pauseListeningQueue',
+  stop: 'stopListeningQueue',
+  nexttrack: 'nextInListeningQueue',
+  previoustrack: 'previousInListeningQueue'
+};
+
+/**
+ * One second of 8-bit mono silence as a WAV file
+ * @returns {Blob} WAV data
+ */
+function createSilentWav(sampleRate = 8000) {
+  const buffer = new ArrayBuffer(44 + sampleRate);
+  const view = new DataView(buffer);
+  const writeString = (offset, text) => {
+    for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+  };
+
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + sampleRate, true);
+  writeString(8, 'WAVE');
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, 1, true); // Mono
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate, true); // Bytes per second
+  view.setUint16(32, 1, true); // Block align
+  view.setUint16(34, 8, true); // Bits per sample
+  writeString(36, 'data');
+  view.setUint32(40, sampleRate, true);
+  // Unsigned 8-bit samples are silent at their midpoint
+  new Uint8Array(buffer, 44).fill(128);
+
+  return new Blob([buffer], { type: 'audio/wav' });
+}
+
+/**
+ * Show the queue in the Media Session and play or pause the silent audio
+ * @param {Object} queue - Listening queue summary
+ */
+function updateMediaSession(queue) {
+  const audio = document.getElementById('media-session-audio');
+  const { current, status, items, currentIndex } = queue;
+
+  if (current) {
+    navigator.mediaSession.metadata = new MediaMetadata({
+      title: current.title,
+      artist: new URL(current.url).host,
+      album: `Listening queue (${currentIndex + 1} of ${items.length})`
+    });
+  }
+
+  if (status === 'playing') {
+    audio.play().catch(error => console.error('Error starting media session audio:', error));
+    navigator.mediaSession.playbackState = 'playing';
+  } else {
+    audio.pause();
+    navigator.mediaSession.playbackState = 'paused';
+  }
+}
+
+function initializePlayer() {
+  const audio = document.getElementById('media-session-audio');
+  audio.src = URL.createObjectURL(createSilentWav());
+
+  Object.entries(MEDIA_ACTIONS).forEach(([mediaAction, action]) => {
+    navigator.mediaSession.setActionHandler(mediaAction, () => {
+      chrome.runtime.sendMessage({ action });
+    });
+  });
+
+  chrome.runtime.onMessage.addListener(message => {
+    if (message.type === 'listeningQueueUpdate') {
+      updateMediaSession(message.queue);
+    }
+  });
+
+  chrome.runtime.sendMessage({ action: 'getListeningQueue' }, response => {
+    if (response && response.queue) {
+      updateMediaSession(response.queue);
+    }
+  });
+}
+
+document.addEventListener('DOMContentLoaded', initializePlayer);
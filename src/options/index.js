@@ -5,6 +5,34 @@
  * tab navigation, saving user preferences, and updating the UI.
  */
 
+import {
+  BUILT_IN_PACKS,
+  setPronunciationDictionary,
+  applyPronunciations,
+  validatePronunciationEntry,
+  normalizeEntry,
+  exportPronunciations,
+  importPronunciations
+} from '../content/pronunciation';
+import { sameLanguage } from '../content/languageDetection';
+import {
+  DEFAULT_MIN_CONFIDENCE,
+  validateCustomCommand,
+  normalizeCustomCommand,
+  validateCommandAlias,
+  normalizeCommandAlias,
+  parseShortcut,
+  createDefaultCommands
+} from '../content/voiceCommands';
+import { createOverlayCommands } from '../content/voiceOverlays';
+import { createDictationCommands } from '../content/dictation';
+import { listCommandLanguages, resolveCommandLanguage } from '../content/commandLanguages';
+import {
+  DEFAULT_LISTENING_MODE,
+  DEFAULT_PUSH_TO_TALK_KEY,
+  DEFAULT_RECOGNITION_TIMEOUT
+} from '../content/listeningModes';
+
 // State to track user preferences
 let userPreferences = {
   general: {
@@ -15,21 +43,38 @@ let userPreferences = {
     usageStats: false
   },
   tts: {
+    engine: 'web-speech',
     voice: 'default',
     rate: 1.0,
     pitch: 1.0,
     volume: 1.0,
     autoStartReading: false,
+    resumePrompt: true,
     highlightText: true,
+    hoverToSpeak: false,
     skipElements: [],
-    languageDetection: false
+    skipSelectors: '',
+    languageDetection: false,
+    languageVoices: {},
+    mathVerbosity: 'brief',
+    mathExploration: true,
+    pronunciation: {
+      entries: [],
+      packs: { abbreviations: true, units: true, acronyms: true }
+    }
   },
   stt: {
     language: 'en-US',
+    listeningMode: DEFAULT_LISTENING_MODE,
+    pushToTalkKey: DEFAULT_PUSH_TO_TALK_KEY,
     continuousRecognition: true,
-    recognitionTimeout: 30,
+    recognitionTimeout: DEFAULT_RECOGNITION_TIMEOUT,
     triggerPhrase: '',
-    commandFeedback: true
+    commandFeedback: true,
+    commandConfidence: DEFAULT_MIN_CONFIDENCE,
+    customCommands: [],
+    commandAliases: [],
+    autoDictation: true
   },
   visual: {
     highContrastMode: false,
@@ -39,6 +84,7 @@ let userPreferences = {
     lineSpacing: 1.5,
     letterSpacing: 0.5,
     imageDescriptions: true,
+    descriptionDetail: 'detailed',
     customColors: {
       textColor: '#ffffff',
       backgroundColor: '#000000',
@@ -65,6 +111,8 @@ let userPreferences = {
     playbackRate: 1.0,
     captionBackground: true,
     customControls: true,
+    audioDescription: false,
+    audioDescriptionMode: 'duck',
     brightness: 100,
     contrast: 100,
     reduceMotion: false
@@ -96,8 +144,61 @@ document.addEventListener('DOMContentLoaded', () => {
   
   // Set up import/export functionality
   setupDataManagement();
+  
+  // Load the per-site overrides table
+  loadSiteOverrides();
+  
+  // Set up the pronunciation dictionary editor
+  setupPronunciationEditor();
+  
+  // Set up the custom voice commands editor
+  setupCustomCommandsEditor();
+  
+  // Set up the command aliases editor
+  setupCommandAliasesEditor();
 });
 
+// Options offered when editing a site override (match the visual/cognitive controls)
+const SITE_OVERRIDE_OPTIONS = {
+  contrastScheme: {
+    none: 'Off',
+    dark: 'Dark',
+    light: 'Light',
+    yellow: 'Yellow on black',
+    blue: 'Blue',
+    custom: 'Custom'
+  },
+  simplificationLevel: {
+    mild: 'Mild',
+    moderate: 'Moderate',
+    strong: 'Strong'
+  },
+  features: {
+    tts: 'Text-to-Speech',
+    stt: 'Speech-to-Text',
+    visualAssistance: 'Visual Enhancements',
+    imageDescription: 'Image Descriptions',
+    readingAssistance: 'Reading Assistance',
+    focusManagement: 'Focus Management',
+    cognitiveSupport: 'Cognitive Support',
+    videoAccessibility: 'Video Accessibility',
+    crossDisabilitySupport: 'Cross-Disability Support'
+  }
+};
+
+// Options offered when editing a pronunciation entry
+const PRONUNCIATION_OPTIONS = {
+  type: {
+    literal: 'Word or phrase',
+    regex: 'Regular expression'
+  },
+  scope: {
+    global: 'All pages',
+    language: 'One language',
+    site: 'One site'
+  }
+};
+
 // Load saved preferences from storage
 function loadSavedPreferences() {
   chrome.storage.local.get(['userPreferences'], (result) => {
@@ -119,20 +220,37 @@ function updateUIFromPreferences() {
   
   // TTS settings
   setSelectValue('voice-select', userPreferences.tts.voice);
+  setSelectValue('tts-engine', userPreferences.tts.engine || 'web-speech');
   setRangeValue('rate-range', userPreferences.tts.rate);
   setRangeValue('pitch-range', userPreferences.tts.pitch);
   setRangeValue('volume-range', userPreferences.tts.volume);
   setCheckboxValue('auto-start-reading', userPreferences.tts.autoStartReading);
+  setCheckboxValue('resume-prompt', userPreferences.tts.resumePrompt !== false);
   setCheckboxValue('highlight-text', userPreferences.tts.highlightText);
+  setCheckboxValue('hover-to-speak', userPreferences.tts.hoverToSpeak);
   setMultiSelectValue('skip-elements', userPreferences.tts.skipElements);
+  setTextValue('skip-selectors', userPreferences.tts.skipSelectors || '');
   setCheckboxValue('language-detection', userPreferences.tts.languageDetection);
+  renderLanguageVoices();
+  setSelectValue('math-verbosity', userPreferences.tts.mathVerbosity || 'brief');
+  setCheckboxValue('math-exploration', userPreferences.tts.mathExploration !== false);
+  Object.keys(BUILT_IN_PACKS).forEach(pack => {
+    setCheckboxValue(`pronunciation-pack-${pack}`, getPronunciationDictionary().packs[pack] !== false);
+  });
+  renderPronunciations();
   
   // STT settings
   setSelectValue('language-select', userPreferences.stt.language);
+  setSelectValue('listening-mode', userPreferences.stt.listeningMode || DEFAULT_LISTENING_MODE);
+  setTextValue('push-to-talk-key', userPreferences.stt.pushToTalkKey || DEFAULT_PUSH_TO_TALK_KEY);
   setCheckboxValue('continuous-recognition', userPreferences.stt.continuousRecognition);
   setNumberValue('recognition-timeout', userPreferences.stt.recognitionTimeout);
   setTextValue('trigger-phrase', userPreferences.stt.triggerPhrase);
   setCheckboxValue('command-feedback', userPreferences.stt.commandFeedback);
+  setRangeValue('command-confidence', userPreferences.stt.commandConfidence ?? DEFAULT_MIN_CONFIDENCE);
+  renderCustomCommands();
+  renderCommandAliases();
+  setCheckboxValue('auto-dictation', userPreferences.stt.autoDictation !== false);
   
   // Visual settings
   setCheckboxValue('high-contrast-mode', userPreferences.visual.highContrastMode);
@@ -142,6 +260,7 @@ function updateUIFromPreferences() {
   setRangeValue('line-spacing', userPreferences.visual.lineSpacing);
   setRangeValue('letter-spacing', userPreferences.visual.letterSpacing);
   setCheckboxValue('image-descriptions', userPreferences.visual.imageDescriptions);
+  setSelectValue('description-detail', userPreferences.visual.descriptionDetail || 'detailed');
   
   // Update custom colors
   document.getElementById('text-color').value = userPreferences.visual.customColors.textColor;
@@ -170,6 +289,8 @@ function updateUIFromPreferences() {
   setCheckboxValue('caption-background', userPreferences.video.captionBackground);
   setCheckboxValue('custom-video-controls', userPreferences.video.customControls);
   setRangeValue('playback-rate', userPreferences.video.playbackRate);
+  setCheckboxValue('audio-description', userPreferences.video.audioDescription);
+  setSelectValue('audio-description-mode', userPreferences.video.audioDescriptionMode || 'duck');
   setRangeValue('video-brightness', userPreferences.video.brightness || 100);
   setRangeValue('video-contrast', userPreferences.video.contrast || 100);
   setCheckboxValue('reduce-motion', userPreferences.video.reduceMotion);
@@ -236,6 +357,11 @@ function setupFormControls() {
     savePreferences();
   });
   
+  setupSelect('tts-engine', value => {
+    userPreferences.tts.engine = value;
+    savePreferences();
+  });
+  
   setupRange('rate-range', value => {
     userPreferences.tts.rate = parseFloat(value);
     savePreferences();
@@ -256,27 +382,89 @@ function setupFormControls() {
     savePreferences();
   });
   
+  setupCheckbox('resume-prompt', value => {
+    userPreferences.tts.resumePrompt = value;
+    savePreferences();
+  });
+  
   setupCheckbox('highlight-text', value => {
     userPreferences.tts.highlightText = value;
     savePreferences();
   });
   
+  setupCheckbox('hover-to-speak', value => {
+    userPreferences.tts.hoverToSpeak = value;
+    savePreferences();
+  });
+  
   setupMultiSelect('skip-elements', values => {
     userPreferences.tts.skipElements = values;
     savePreferences();
   });
   
+  setupText('skip-selectors', value => {
+    userPreferences.tts.skipSelectors = value;
+    savePreferences();
+  });
+  
   setupCheckbox('language-detection', value => {
     userPreferences.tts.languageDetection = value;
     savePreferences();
   });
   
+  setupSelect('math-verbosity', value => {
+    userPreferences.tts.mathVerbosity = value;
+    savePreferences();
+  });
+  
+  setupCheckbox('math-exploration', value => {
+    userPreferences.tts.mathExploration = value;
+    savePreferences();
+  });
+  
+  // Per-language voices
+  const addLanguageVoiceButton = document.getElementById('language-voice-add');
+  if (addLanguageVoiceButton) {
+    addLanguageVoiceButton.addEventListener('click', () => {
+      const input = document.getElementById('language-voice-code');
+      const code = input.value.trim();
+      if (!/^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i.test(code)) {
+        alert('Enter a language code such as "fr" or "es-MX".');
+        return;
+      }
+      
+      const languageVoices = userPreferences.tts.languageVoices || {};
+      if (!languageVoices[code]) {
+        languageVoices[code] = { voice: '', rate: userPreferences.tts.rate, pitch: userPreferences.tts.pitch };
+      }
+      userPreferences.tts.languageVoices = languageVoices;
+      input.value = '';
+      savePreferences();
+      renderLanguageVoices();
+    });
+  }
+  
   // STT settings
   setupSelect('language-select', value => {
     userPreferences.stt.language = value;
     savePreferences();
   });
   
+  setupSelect('listening-mode', value => {
+    userPreferences.stt.listeningMode = value;
+    savePreferences();
+  });
+  
+  setupText('push-to-talk-key', value => {
+    if (!parseShortcut(value)) {
+      alert(`Error saving push-to-talk key: "${value}" is not a key such as Ctrl+Space or F2`);
+      setTextValue('push-to-talk-key', userPreferences.stt.pushToTalkKey || DEFAULT_PUSH_TO_TALK_KEY);
+      return;
+    }
+    userPreferences.stt.pushToTalkKey = value.trim();
+    savePreferences();
+  });
+  
   setupCheckbox('continuous-recognition', value => {
     userPreferences.stt.continuousRecognition = value;
     savePreferences();
@@ -297,6 +485,16 @@ function setupFormControls() {
     savePreferences();
   });
   
+  setupRange('command-confidence', value => {
+    userPreferences.stt.commandConfidence = parseFloat(value);
+    savePreferences();
+  });
+  
+  setupCheckbox('auto-dictation', value => {
+    userPreferences.stt.autoDictation = value;
+    savePreferences();
+  });
+  
   // Visual settings
   setupCheckbox('high-contrast-mode', value => {
     userPreferences.visual.highContrastMode = value;
@@ -334,6 +532,11 @@ function setupFormControls() {
     savePreferences();
   });
   
+  setupSelect('description-detail', value => {
+    userPreferences.visual.descriptionDetail = value;
+    savePreferences();
+  });
+  
   // Custom colors
   setupColorPicker('text-color', value => {
     userPreferences.visual.customColors.textColor = value;
@@ -432,6 +635,16 @@ function setupFormControls() {
     savePreferences();
   });
   
+  setupCheckbox('audio-description', value => {
+    userPreferences.video.audioDescription = value;
+    savePreferences();
+  });
+  
+  setupSelect('audio-description-mode', value => {
+    userPreferences.video.audioDescriptionMode = value;
+    savePreferences();
+  });
+  
   setupRange('video-brightness', value => {
     userPreferences.video.brightness = parseInt(value, 10);
     savePreferences();
@@ -577,6 +790,702 @@ function setupDataManagement() {
   }
 }
 
+// Load site overrides from the background and render them
+function loadSiteOverrides() {
+  chrome.runtime.sendMessage({ action: 'listSiteOverrides' }, (response) => {
+    if (response && response.success) {
+      renderSiteOverrides(response.overrides);
+    }
+  });
+}
+
+// Render the site overrides table
+function renderSiteOverrides(overrides) {
+  const list = document.getElementById('site-overrides-list');
+  const table = document.getElementById('site-overrides-table');
+  const empty = document.getElementById('site-overrides-empty');
+  if (!list) return;
+  
+  list.innerHTML = '';
+  overrides.forEach(override => {
+    list.appendChild(createSiteOverrideRow(override));
+  });
+  
+  if (table) table.style.display = overrides.length > 0 ? '' : 'none';
+  if (empty) empty.style.display = overrides.length > 0 ? 'none' : '';
+}
+
+// Create a read-only table row for a site override
+function createSiteOverrideRow(override) {
+  const row = document.createElement('tr');
+  const disabledFeatures = (override.disabledFeatures || [])
+    .map(feature => SITE_OVERRIDE_OPTIONS.features[feature] || feature);
+  
+  [
+    new URL(override.origin).host,
+    override.fontSize !== undefined ? `${override.fontSize}%` : '—',
+    SITE_OVERRIDE_OPTIONS.contrastScheme[override.contrastScheme] || '—',
+    disabledFeatures.length > 0 ? disabledFeatures.join(', ') : 'None',
+    SITE_OVERRIDE_OPTIONS.simplificationLevel[override.simplificationLevel] || '—'
+  ].forEach(text => {
+    const cell = document.createElement('td');
+    cell.textContent = text;
+    row.appendChild(cell);
+  });
+  row.firstChild.title = override.origin;
+  
+  const actions = document.createElement('td');
+  actions.className = 'row-actions';
+  actions.appendChild(createRowButton('Edit', `Edit settings for ${override.origin}`, () => {
+    row.replaceWith(createSiteOverrideEditor(override));
+  }));
+  actions.appendChild(createRowButton('Delete', `Delete settings for ${override.origin}`, () => {
+    if (confirm(`Delete the settings remembered for ${override.origin}?`)) {
+      chrome.runtime.sendMessage({ action: 'deleteSiteOverride', origin: override.origin }, (response) => {
+        if (response && response.success) {
+          renderSiteOverrides(response.overrides);
+        } else {
+          alert('Error deleting site settings: ' + (response?.error?.message || 'Unknown error'));
+        }
+      });
+    }
+  }, 'button-warning'));
+  row.appendChild(actions);
+  
+  return row;
+}
+
+// Create an editable table row for a site override
+function createSiteOverrideEditor(override) {
+  const row = document.createElement('tr');
+  const host = new URL(override.origin).host;
+  
+  const siteCell = document.createElement('td');
+  siteCell.textContent = host;
+  siteCell.title = override.origin;
+  row.appendChild(siteCell);
+  
+  const fontSize = document.createElement('input');
+  fontSize.type = 'number';
+  fontSize.min = '100';
+  fontSize.max = '200';
+  fontSize.step = '10';
+  fontSize.className = 'number-input';
+  fontSize.value = override.fontSize !== undefined ? override.fontSize : '';
+  fontSize.setAttribute('aria-label', `Font size for ${host} (%)`);
+  
+  const contrast = createOptionSelect(SITE_OVERRIDE_OPTIONS.contrastScheme, override.contrastScheme, `Contrast for ${host}`);
+  
+  const features = document.createElement('select');
+  features.multiple = true;
+  features.className = 'select-input';
+  features.setAttribute('aria-label', `Disabled features for ${host}`);
+  Object.entries(SITE_OVERRIDE_OPTIONS.features).forEach(([value, label]) => {
+    const option = new Option(label, value);
+    option.selected = (override.disabledFeatures || []).includes(value);
+    features.appendChild(option);
+  });
+  
+  const simplification = createOptionSelect(SITE_OVERRIDE_OPTIONS.simplificationLevel, override.simplificationLevel, `Simplification for ${host}`);
+  
+  [fontSize, contrast, features, simplification].forEach(control => {
+    const cell = document.createElement('td');
+    cell.appendChild(control);
+    row.appendChild(cell);
+  });
+  
+  const actions = document.createElement('td');
+  actions.className = 'row-actions';
+  actions.appendChild(createRowButton('Save', `Save settings for ${override.origin}`, () => {
+    const updated = {
+      contrastScheme: contrast.value || undefined,
+      simplificationLevel: simplification.value || undefined,
+      disabledFeatures: Array.from(features.selectedOptions).map(option => option.value)
+    };
+    if (fontSize.value !== '') {
+      updated.fontSize = parseInt(fontSize.value, 10);
+    }
+    
+    chrome.runtime.sendMessage({ action: 'setSiteOverride', origin: override.origin, override: updated }, (response) => {
+      if (response && response.success) {
+        loadSiteOverrides();
+      } else {
+        alert('Error saving site settings: ' + (response?.error?.message || 'Unknown error'));
+      }
+    });
+  }));
+  actions.appendChild(createRowButton('Cancel', 'Cancel editing', () => {
+    row.replaceWith(createSiteOverrideRow(override));
+  }));
+  row.appendChild(actions);
+  
+  return row;
+}
+
+// Create a select with an empty "unchanged" option
+function createOptionSelect(options, selectedValue, label) {
+  const select = document.createElement('select');
+  select.className = 'select-input';
+  select.setAttribute('aria-label', label);
+  select.appendChild(new Option('Profile default', ''));
+  Object.entries(options).forEach(([value, text]) => {
+    select.appendChild(new Option(text, value));
+  });
+  select.value = selectedValue || '';
+  return select;
+}
+
+// Create a small button for a table row
+function createRowButton(text, label, onClick, extraClass) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = extraClass ? `button ${extraClass}` : 'button';
+  button.textContent = text;
+  button.setAttribute('aria-label', label);
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+// Get the pronunciation dictionary, creating it for preferences saved before it existed
+function getPronunciationDictionary() {
+  if (!userPreferences.tts.pronunciation) {
+    userPreferences.tts.pronunciation = { entries: [], packs: {} };
+  }
+  const dictionary = userPreferences.tts.pronunciation;
+  dictionary.entries = dictionary.entries || [];
+  dictionary.packs = { abbreviations: true, units: true, acronyms: true, ...dictionary.packs };
+  return dictionary;
+}
+
+// Set up the pronunciation dictionary editor (packs, entries, import/export, test)
+function setupPronunciationEditor() {
+  const toggleButton = document.getElementById('pronunciation-dict');
+  const editor = document.getElementById('pronunciation-editor');
+  if (!toggleButton || !editor) return;
+  
+  toggleButton.addEventListener('click', () => {
+    editor.hidden = !editor.hidden;
+    toggleButton.setAttribute('aria-expanded', String(!editor.hidden));
+    toggleButton.textContent = editor.hidden ? 'Edit Dictionary' : 'Close Dictionary';
+  });
+  
+  Object.keys(BUILT_IN_PACKS).forEach(pack => {
+    setupCheckbox(`pronunciation-pack-${pack}`, value => {
+      getPronunciationDictionary().packs[pack] = value;
+      savePreferences();
+    });
+  });
+  
+  document.getElementById('pronunciation-add').addEventListener('click', () => {
+    const list = document.getElementById('pronunciation-list');
+    const row = createPronunciationEditor(normalizeEntry({ match: '', replacement: '' }), true);
+    list.appendChild(row);
+    updatePronunciationEmptyState();
+    row.querySelector('input').focus();
+  });
+  
+  document.getElementById('pronunciation-export').addEventListener('click', () => {
+    const dataStr = exportPronunciations(getPronunciationDictionary().entries);
+    const linkElement = document.createElement('a');
+    linkElement.setAttribute('href', 'data:application/json;charset=utf-8,' + encodeURIComponent(dataStr));
+    linkElement.setAttribute('download', 'pronunciation-dictionary.json');
+    linkElement.click();
+  });
+  
+  document.getElementById('pronunciation-import').addEventListener('click', () => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json';
+    
+    input.onchange = e => {
+      const reader = new FileReader();
+      
+      reader.onload = event => {
+        try {
+          const { entries, rejected } = importPronunciations(event.target.result);
+          const dictionary = getPronunciationDictionary();
+          const existing = new Set(dictionary.entries.map(entry => entry.id));
+          dictionary.entries = [
+            ...dictionary.entries,
+            ...entries.filter(entry => !existing.has(entry.id))
+          ];
+          savePreferences();
+          renderPronunciations();
+          alert(`Imported ${entries.length} pronunciations` +
+            (rejected > 0 ? ` (${rejected} invalid entries were skipped)` : ''));
+        } catch (error) {
+          alert('Error importing pronunciations: ' + error.message);
+        }
+      };
+      
+      reader.readAsText(e.target.files[0]);
+    };
+    
+    input.click();
+  });
+  
+  document.getElementById('pronunciation-test').addEventListener('click', testPronunciation);
+}
+
+// Render the pronunciation entries table
+function renderPronunciations() {
+  const list = document.getElementById('pronunciation-list');
+  if (!list) return;
+  
+  list.innerHTML = '';
+  getPronunciationDictionary().entries.forEach(entry => {
+    list.appendChild(createPronunciationRow(entry));
+  });
+  updatePronunciationEmptyState();
+}
+
+// Show the table only when it has rows
+function updatePronunciationEmptyState() {
+  const list = document.getElementById('pronunciation-list');
+  const hasRows = list.children.length > 0;
+  document.getElementById('pronunciation-table').style.display = hasRows ? '' : 'none';
+  document.getElementById('pronunciation-empty').style.display = hasRows ? 'none' : '';
+}
+
+// Describe where a pronunciation entry applies
+function describePronunciationScope(entry) {
+  if (entry.scope === 'language') return `Language: ${entry.language}`;
+  if (entry.scope === 'site') return `Site: ${entry.site}`;
+  return PRONUNCIATION_OPTIONS.scope.global;
+}
+
+// Create a read-only table row for a pronunciation entry
+function createPronunciationRow(entry) {
+  const row = document.createElement('tr');
+  
+  [
+    entry.match,
+    entry.replacement,
+    PRONUNCIATION_OPTIONS.type[entry.type] + (entry.caseSensitive ? ' (match case)' : ''),
+    describePronunciationScope(entry)
+  ].forEach(text => {
+    const cell = document.createElement('td');
+    cell.textContent = text;
+    row.appendChild(cell);
+  });
+  
+  const actions = document.createElement('td');
+  actions.className = 'row-actions';
+  actions.appendChild(createRowButton('Edit', `Edit pronunciation of ${entry.match}`, () => {
+    row.replaceWith(createPronunciationEditor(entry, false));
+  }));
+  actions.appendChild(createRowButton('Delete', `Delete pronunciation of ${entry.match}`, () => {
+    const dictionary = getPronunciationDictionary();
+    dictionary.entries = dictionary.entries.filter(item => item.id !== entry.id);
+    savePreferences();
+    renderPronunciations();
+  }, 'button-warning'));
+  row.appendChild(actions);
+  
+  return row;
+}
+
+// Create an editable table row for a pronunciation entry
+function createPronunciationEditor(entry, isNew) {
+  const row = document.createElement('tr');
+  
+  const match = createPronunciationInput(entry.match, 'Text to match');
+  const replacement = createPronunciationInput(entry.replacement, 'Spoken as');
+  
+  const type = createPronunciationSelect(PRONUNCIATION_OPTIONS.type, entry.type, 'Entry type');
+  const caseLabel = document.createElement('label');
+  const caseSensitive = document.createElement('input');
+  caseSensitive.type = 'checkbox';
+  caseSensitive.checked = entry.caseSensitive;
+  caseLabel.append(caseSensitive, ' Match case');
+  
+  const scope = createPronunciationSelect(PRONUNCIATION_OPTIONS.scope, entry.scope, 'Applies to');
+  const target = createPronunciationInput(entry.language || entry.site || '', 'Language or site');
+  const updateTarget = () => {
+    target.hidden = scope.value === 'global';
+    target.placeholder = scope.value === 'language' ? 'Language, e.g. en or fr-CA' : 'Site, e.g. example.com';
+    target.setAttribute('aria-label', scope.value === 'language' ? 'Language code' : 'Site');
+  };
+  scope.addEventListener('change', updateTarget);
+  updateTarget();
+  
+  [[match], [replacement], [type, caseLabel], [scope, target]].forEach(controls => {
+    const cell = document.createElement('td');
+    controls.forEach(control => cell.appendChild(control));
+    row.appendChild(cell);
+  });
+  
+  const actions = document.createElement('td');
+  actions.className = 'row-actions';
+  actions.appendChild(createRowButton('Save', 'Save pronunciation', () => {
+    const updated = normalizeEntry({
+      id: entry.id,
+      match: match.value,
+      replacement: replacement.value.trim(),
+      type: type.value,
+      scope: scope.value,
+      language: target.value.trim(),
+      site: target.value.trim(),
+      caseSensitive: caseSensitive.checked
+    });
+    
+    const error = validatePronunciationEntry(updated);
+    if (error) {
+      alert('Error saving pronunciation: ' + error);
+      return;
+    }
+    
+    const dictionary = getPronunciationDictionary();
+    dictionary.entries = isNew
+      ? [...dictionary.entries, updated]
+      : dictionary.entries.map(item => (item.id === entry.id ? updated : item));
+    savePreferences();
+    renderPronunciations();
+  }));
+  actions.appendChild(createRowButton('Cancel', 'Cancel editing', () => {
+    if (isNew) {
+      row.remove();
+      updatePronunciationEmptyState();
+    } else {
+      row.replaceWith(createPronunciationRow(entry));
+    }
+  }));
+  row.appendChild(actions);
+  
+  return row;
+}
+
+// Create a text input for the pronunciation editor
+function createPronunciationInput(value, label) {
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'text-input';
+  input.value = value;
+  input.setAttribute('aria-label', label);
+  return input;
+}
+
+// Create a select for the pronunciation editor
+function createPronunciationSelect(options, selectedValue, label) {
+  const select = document.createElement('select');
+  select.className = 'select-input';
+  select.setAttribute('aria-label', label);
+  Object.entries(options).forEach(([value, text]) => {
+    select.appendChild(new Option(text, value));
+  });
+  select.value = selectedValue;
+  return select;
+}
+
+// Speak the test text with the current dictionary (site-specific entries don't apply here)
+function testPronunciation() {
+  const text = document.getElementById('pronunciation-test-text').value.trim();
+  const result = document.getElementById('pronunciation-test-result');
+  if (!text) {
+    result.textContent = 'Type some text to hear how it will be spoken';
+    return;
+  }
+  
+  const voice = window.speechSynthesis.getVoices().find(v => v.name === userPreferences.tts.voice);
+  const language = voice ? voice.lang : navigator.language;
+  setPronunciationDictionary(getPronunciationDictionary(), { language });
+  
+  const spoken = applyPronunciations(text);
+  result.textContent = `Spoken as: ${spoken}`;
+  
+  const utterance = new SpeechSynthesisUtterance(spoken);
+  if (voice) {
+    utterance.voice = voice;
+  }
+  utterance.rate = userPreferences.tts.rate;
+  utterance.pitch = userPreferences.tts.pitch;
+  utterance.volume = userPreferences.tts.volume;
+  window.speechSynthesis.cancel();
+  window.speechSynthesis.speak(utterance);
+}
+
+// Kinds of custom voice command
+const CUSTOM_COMMAND_TYPES = {
+  commands: 'Runs commands',
+  shortcut: 'Presses a shortcut'
+};
+
+// Get the custom voice commands, creating them for preferences saved before they existed
+function getCustomCommands() {
+  if (!Array.isArray(userPreferences.stt.customCommands)) {
+    userPreferences.stt.customCommands = [];
+  }
+  return userPreferences.stt.customCommands;
+}
+
+// Set up the custom voice commands editor
+function setupCustomCommandsEditor() {
+  const toggleButton = document.getElementById('custom-commands');
+  const editor = document.getElementById('custom-commands-editor');
+  if (!toggleButton || !editor) return;
+  
+  toggleButton.addEventListener('click', () => {
+    editor.hidden = !editor.hidden;
+    toggleButton.setAttribute('aria-expanded', String(!editor.hidden));
+    toggleButton.textContent = editor.hidden ? 'Edit Commands' : 'Close Commands';
+  });
+  
+  document.getElementById('custom-commands-add').addEventListener('click', () => {
+    const list = document.getElementById('custom-commands-list');
+    const row = createCustomCommandEditor(normalizeCustomCommand({ phrase: '' }), true);
+    list.appendChild(row);
+    updateCustomCommandsEmptyState();
+    row.querySelector('input').focus();
+  });
+}
+
+// Render the custom voice commands table
+function renderCustomCommands() {
+  const list = document.getElementById('custom-commands-list');
+  if (!list) return;
+  
+  list.innerHTML = '';
+  getCustomCommands().forEach(entry => {
+    list.appendChild(createCustomCommandRow(entry));
+  });
+  updateCustomCommandsEmptyState();
+}
+
+// Show the table only when it has rows
+function updateCustomCommandsEmptyState() {
+  const list = document.getElementById('custom-commands-list');
+  const hasRows = list.children.length > 0;
+  document.getElementById('custom-commands-table').style.display = hasRows ? '' : 'none';
+  document.getElementById('custom-commands-empty').style.display = hasRows ? 'none' : '';
+}
+
+// Create a read-only table row for a custom voice command
+function createCustomCommandRow(entry) {
+  const row = document.createElement('tr');
+  
+  [
+    entry.phrase,
+    CUSTOM_COMMAND_TYPES[entry.type],
+    entry.type === 'shortcut' ? entry.shortcut : entry.actions.join('; ')
+  ].forEach(text => {
+    const cell = document.createElement('td');
+    cell.textContent = text;
+    row.appendChild(cell);
+  });
+  
+  const actions = document.createElement('td');
+  actions.className = 'row-actions';
+  actions.appendChild(createRowButton('Edit', `Edit voice command ${entry.phrase}`, () => {
+    row.replaceWith(createCustomCommandEditor(entry, false));
+  }));
+  actions.appendChild(createRowButton('Delete', `Delete voice command ${entry.phrase}`, () => {
+    userPreferences.stt.customCommands = getCustomCommands().filter(item => item.id !== entry.id);
+    savePreferences();
+    renderCustomCommands();
+  }, 'button-warning'));
+  row.appendChild(actions);
+  
+  return row;
+}
+
+// Create an editable table row for a custom voice command
+function createCustomCommandEditor(entry, isNew) {
+  const row = document.createElement('tr');
+  
+  const phrase = createPronunciationInput(entry.phrase, 'Phrase to say');
+  phrase.placeholder = 'e.g. read the news';
+  const type = createPronunciationSelect(CUSTOM_COMMAND_TYPES, entry.type, 'What the command does');
+  const value = createPronunciationInput(
+    entry.type === 'shortcut' ? entry.shortcut : entry.actions.join('; '),
+    'Commands or shortcut'
+  );
+  const updateValue = () => {
+    value.placeholder = type.value === 'shortcut' ? 'e.g. Alt+Shift+R' : 'e.g. go to the first heading; start reading';
+  };
+  type.addEventListener('change', updateValue);
+  updateValue();
+  
+  [phrase, type, value].forEach(control => {
+    const cell = document.createElement('td');
+    cell.appendChild(control);
+    row.appendChild(cell);
+  });
+  
+  const actions = document.createElement('td');
+  actions.className = 'row-actions';
+  actions.appendChild(createRowButton('Save', 'Save voice command', () => {
+    const updated = normalizeCustomCommand({
+      id: entry.id,
+      phrase: phrase.value,
+      type: type.value,
+      actions: value.value,
+      shortcut: value.value
+    });
+    
+    const error = validateCustomCommand(updated);
+    if (error) {
+      alert('Error saving voice command: ' + error);
+      return;
+    }
+    
+    userPreferences.stt.customCommands = isNew
+      ? [...getCustomCommands(), updated]
+      : getCustomCommands().map(item => (item.id === entry.id ? updated : item));
+    savePreferences();
+    renderCustomCommands();
+  }));
+  actions.appendChild(createRowButton('Cancel', 'Cancel editing', () => {
+    if (isNew) {
+      row.remove();
+      updateCustomCommandsEmptyState();
+    } else {
+      row.replaceWith(createCustomCommandRow(entry));
+    }
+  }));
+  row.appendChild(actions);
+  
+  return row;
+}
+
+// Languages with a voice command set, by code
+const COMMAND_LANGUAGES = Object.fromEntries(listCommandLanguages().map(({ code, name }) => [code, name]));
+
+// Built-in voice commands an alias can run, by id
+const ALIAS_COMMANDS = Object.fromEntries(
+  [...createDefaultCommands({}), ...createOverlayCommands({}), ...createDictationCommands({})]
+    .map(({ id, description }) => [id, description])
+);
+
+// Get the command aliases, creating them for preferences saved before they existed
+function getCommandAliases() {
+  if (!Array.isArray(userPreferences.stt.commandAliases)) {
+    userPreferences.stt.commandAliases = [];
+  }
+  return userPreferences.stt.commandAliases;
+}
+
+// Set up the command aliases editor
+function setupCommandAliasesEditor() {
+  const toggleButton = document.getElementById('command-aliases');
+  const editor = document.getElementById('command-aliases-editor');
+  if (!toggleButton || !editor) return;
+  
+  toggleButton.addEventListener('click', () => {
+    editor.hidden = !editor.hidden;
+    toggleButton.setAttribute('aria-expanded', String(!editor.hidden));
+    toggleButton.textContent = editor.hidden ? 'Edit Aliases' : 'Close Aliases';
+  });
+  
+  document.getElementById('command-aliases-add').addEventListener('click', () => {
+    const list = document.getElementById('command-aliases-list');
+    // New aliases start in the recognition language
+    const entry = normalizeCommandAlias({ language: userPreferences.stt.language, command: Object.keys(ALIAS_COMMANDS)[0] });
+    const row = createCommandAliasEditor(entry, true);
+    list.appendChild(row);
+    updateCommandAliasesEmptyState();
+    row.querySelector('input').focus();
+  });
+}
+
+// Render the command aliases table
+function renderCommandAliases() {
+  const list = document.getElementById('command-aliases-list');
+  if (!list) return;
+  
+  list.innerHTML = '';
+  getCommandAliases().forEach(entry => {
+    list.appendChild(createCommandAliasRow(entry));
+  });
+  updateCommandAliasesEmptyState();
+}
+
+// Show the table only when it has rows
+function updateCommandAliasesEmptyState() {
+  const list = document.getElementById('command-aliases-list');
+  const hasRows = list.children.length > 0;
+  document.getElementById('command-aliases-table').style.display = hasRows ? '' : 'none';
+  document.getElementById('command-aliases-empty').style.display = hasRows ? 'none' : '';
+}
+
+// Create a read-only table row for a command alias
+function createCommandAliasRow(entry) {
+  const row = document.createElement('tr');
+  
+  [
+    COMMAND_LANGUAGES[resolveCommandLanguage(entry.language)],
+    entry.phrase,
+    ALIAS_COMMANDS[entry.command] || entry.command
+  ].forEach(text => {
+    const cell = document.createElement('td');
+    cell.textContent = text;
+    row.appendChild(cell);
+  });
+  
+  const actions = document.createElement('td');
+  actions.className = 'row-actions';
+  actions.appendChild(createRowButton('Edit', `Edit command alias ${entry.phrase}`, () => {
+    row.replaceWith(createCommandAliasEditor(entry, false));
+  }));
+  actions.appendChild(createRowButton('Delete', `Delete command alias ${entry.phrase}`, () => {
+    userPreferences.stt.commandAliases = getCommandAliases().filter(item => item.id !== entry.id);
+    savePreferences();
+    renderCommandAliases();
+  }, 'button-warning'));
+  row.appendChild(actions);
+  
+  return row;
+}
+
+// Create an editable table row for a command alias
+function createCommandAliasEditor(entry, isNew) {
+  const row = document.createElement('tr');
+  
+  const language = createPronunciationSelect(COMMAND_LANGUAGES, resolveCommandLanguage(entry.language), 'Language');
+  const phrase = createPronunciationInput(entry.phrase, 'Phrase to say');
+  phrase.placeholder = 'e.g. baja un poco';
+  const command = createPronunciationSelect(ALIAS_COMMANDS, entry.command, 'Command the phrase runs');
+  
+  [language, phrase, command].forEach(control => {
+    const cell = document.createElement('td');
+    cell.appendChild(control);
+    row.appendChild(cell);
+  });
+  
+  const actions = document.createElement('td');
+  actions.className = 'row-actions';
+  actions.appendChild(createRowButton('Save', 'Save command alias', () => {
+    const updated = normalizeCommandAlias({
+      id: entry.id,
+      language: language.value,
+      command: command.value,
+      phrase: phrase.value
+    });
+    
+    const error = validateCommandAlias(updated);
+    if (error) {
+      alert('Error saving command alias: ' + error);
+      return;
+    }
+    
+    userPreferences.stt.commandAliases = isNew
+      ? [...getCommandAliases(), updated]
+      : getCommandAliases().map(item => (item.id === entry.id ? updated : item));
+    savePreferences();
+    renderCommandAliases();
+  }));
+  actions.appendChild(createRowButton('Cancel', 'Cancel editing', () => {
+    if (isNew) {
+      row.remove();
+      updateCommandAliasesEmptyState();
+    } else {
+      row.replaceWith(createCommandAliasRow(entry));
+    }
+  }));
+  row.appendChild(actions);
+  
+  return row;
+}
+
 // Save preferences to storage
 function savePreferences() {
   chrome.storage.local.set({ userPreferences: userPreferences }, () => {
@@ -620,6 +1529,84 @@ function populateTTSVoices() {
   if (userPreferences.tts.voice !== 'default') {
     setSelectValue('voice-select', userPreferences.tts.voice);
   }
+  
+  // Per-language voice choices need the voice list too
+  renderLanguageVoices();
+}
+
+// Render the per-language voice table
+function renderLanguageVoices() {
+  const list = document.getElementById('language-voices-list');
+  const table = document.getElementById('language-voices-table');
+  if (!list) return;
+  
+  const languageVoices = userPreferences.tts.languageVoices || {};
+  list.innerHTML = '';
+  Object.keys(languageVoices).sort().forEach(code => {
+    list.appendChild(createLanguageVoiceRow(code, languageVoices[code]));
+  });
+  
+  if (table) table.style.display = list.children.length > 0 ? '' : 'none';
+}
+
+// Create an editable table row for one language's voice settings
+function createLanguageVoiceRow(code, settings) {
+  const row = document.createElement('tr');
+  const save = () => {
+    userPreferences.tts.languageVoices[code] = {
+      voice: voice.value,
+      rate: parseFloat(rate.value) || 1,
+      pitch: parseFloat(pitch.value) || 1
+    };
+    savePreferences();
+  };
+  
+  const language = document.createElement('td');
+  language.textContent = code;
+  row.appendChild(language);
+  
+  const voice = document.createElement('select');
+  voice.className = 'select-input';
+  voice.setAttribute('aria-label', `Voice for ${code}`);
+  voice.appendChild(new Option('Best available', ''));
+  window.speechSynthesis.getVoices()
+    .filter(v => sameLanguage(v.lang.replace('_', '-'), code))
+    .forEach(v => voice.appendChild(new Option(`${v.name} (${v.lang})`, v.name)));
+  voice.value = settings.voice || '';
+  
+  const rate = createLanguageVoiceNumber(settings.rate, 0.5, 2, `Rate for ${code}`);
+  const pitch = createLanguageVoiceNumber(settings.pitch, 0.5, 2, `Pitch for ${code}`);
+  
+  [voice, rate, pitch].forEach(control => {
+    control.addEventListener('change', save);
+    const cell = document.createElement('td');
+    cell.appendChild(control);
+    row.appendChild(cell);
+  });
+  
+  const actions = document.createElement('td');
+  actions.className = 'row-actions';
+  actions.appendChild(createRowButton('Remove', `Remove voice settings for ${code}`, () => {
+    delete userPreferences.tts.languageVoices[code];
+    savePreferences();
+    renderLanguageVoices();
+  }, 'button-warning'));
+  row.appendChild(actions);
+  
+  return row;
+}
+
+// Create a number input for a per-language rate or pitch
+function createLanguageVoiceNumber(value, min, max, label) {
+  const input = document.createElement('input');
+  input.type = 'number';
+  input.min = String(min);
+  input.max = String(max);
+  input.step = '0.1';
+  input.className = 'number-input';
+  input.value = value || 1;
+  input.setAttribute('aria-label', label);
+  return input;
 }
 
 // Helper function to toggle custom colors visibility
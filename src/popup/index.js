@@ -8,6 +8,12 @@
 // Import the output message functionality
 import { addOutputMessage } from './popup-output.js';
 
+// Import the saved reading positions
+import { listReadingPositions, clearReadingPosition } from '../content/readingPosition.js';
+
+// Import the listening mode descriptions
+import { describeListeningMode } from '../content/listeningModes.js';
+
 // State to track UI elements
 const uiState = {
   extensionEnabled: true,
@@ -18,20 +24,51 @@ const uiState = {
     image: true,
     reading: false,
     focus: false
-  }
+  },
+  // Per-site settings for the active tab
+  site: {
+    origin: null,
+    override: null,
+    state: null
+  },
+  // Listening queue summary from the background
+  listeningQueue: null
 };
 
 // Initialize the popup
 document.addEventListener('DOMContentLoaded', () => {
-  // Get current state from background script
-  chrome.runtime.sendMessage({ action: 'getState' }, (response) => {
-    if (response && response.state) {
-      updateUIFromState(response.state);
-    }
+  // Get current state (and this site's override) from background script
+  getActiveTabOrigin().then(origin => {
+    uiState.site.origin = origin;
+    
+    chrome.runtime.sendMessage({ action: 'getState', origin: origin || undefined }, (response) => {
+      if (response && response.state) {
+        uiState.site.state = response.state;
+        uiState.site.override = response.siteOverride || null;
+        updateUIFromState(response.state);
+        updateSiteUI();
+        refreshListeningStatus();
+      }
+    });
   });
   
   // Set up event listeners
   setupEventListeners();
+  
+  // List the articles the user hasn't finished
+  renderReadingList();
+  
+  // Show the listening queue and follow its playback
+  chrome.runtime.sendMessage({ action: 'getListeningQueue' }, (response) => {
+    if (response && response.queue) {
+      renderListeningQueue(response.queue);
+    }
+  });
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message.type === 'listeningQueueUpdate') {
+      renderListeningQueue(message.queue);
+    }
+  });
 });
 
 // Update UI based on extension state
@@ -43,8 +80,19 @@ function updateUIFromState(state) {
     uiState.extensionEnabled = state.enabled;
   }
   
-  // Update feature toggles
+  // Update feature toggles (features disabled for this site show as off)
   if (state.activeFeatures) {
+    const siteSpecific = state.userPreferences?.general?.siteSpecific !== false;
+    const disabledForSite = (siteSpecific && uiState.site.override?.disabledFeatures) || [];
+    state = {
+      ...state,
+      activeFeatures: Object.fromEntries(
+        Object.entries(state.activeFeatures).map(([feature, enabled]) => [
+          feature, enabled && !disabledForSite.includes(feature)
+        ])
+      )
+    };
+    
     // TTS
     const ttsToggle = document.getElementById('tts-toggle');
     if (ttsToggle) {
@@ -58,6 +106,7 @@ function updateUIFromState(state) {
       sttToggle.checked = state.activeFeatures.stt;
       uiState.features.stt = state.activeFeatures.stt;
     }
+    renderListeningStatus({ description: describeListeningMode(state.userPreferences?.stt) });
     
     // Visual Assistance
     const visualToggle = document.getElementById('visual-toggle');
@@ -125,6 +174,18 @@ function setupEventListeners() {
   setupFeatureToggle('reading-toggle', 'readingAssistance');
   setupFeatureToggle('focus-toggle', 'focusManagement');
   
+  // Remember settings for this site
+  const siteToggle = document.getElementById('site-toggle');
+  if (siteToggle) {
+    siteToggle.addEventListener('change', (event) => {
+      if (event.target.checked) {
+        rememberSiteSettings();
+      } else {
+        forgetSiteSettings();
+      }
+    });
+  }
+  
   // Action buttons
   const ttsStartButton = document.getElementById('tts-start');
   if (ttsStartButton) {
@@ -145,6 +206,37 @@ function setupEventListeners() {
       
       // Display output message
       addOutputMessage('Starting Speech-to-Text...', 'info');
+      refreshListeningStatus();
+    });
+  }
+  
+  // Listening queue
+  const queueAddButton = document.getElementById('listening-queue-add');
+  if (queueAddButton) {
+    queueAddButton.addEventListener('click', () => {
+      sendListeningQueueAction({ action: 'addToListeningQueue' }, 'Added to listening queue');
+    });
+  }
+  
+  const queuePlayButton = document.getElementById('listening-queue-play');
+  if (queuePlayButton) {
+    queuePlayButton.addEventListener('click', () => {
+      const playing = uiState.listeningQueue && uiState.listeningQueue.status === 'playing';
+      sendListeningQueueAction({ action: playing ? 'pauseListeningQueue' : 'playListeningQueue' });
+    });
+  }
+  
+  const queuePreviousButton = document.getElementById('listening-queue-previous');
+  if (queuePreviousButton) {
+    queuePreviousButton.addEventListener('click', () => {
+      sendListeningQueueAction({ action: 'previousInListeningQueue' });
+    });
+  }
+  
+  const queueNextButton = document.getElementById('listening-queue-next');
+  if (queueNextButton) {
+    queueNextButton.addEventListener('click', () => {
+      sendListeningQueueAction({ action: 'nextInListeningQueue' });
     });
   }
   
@@ -173,12 +265,15 @@ function setupFeatureToggle(elementId, featureKey) {
       else if (featureKey === 'readingAssistance') uiState.features.reading = enabled;
       else if (featureKey === 'focusManagement') uiState.features.focus = enabled;
       
-      // Send message to background script
-      chrome.runtime.sendMessage({
-        action: 'updateFeature',
-        feature: featureKey,
-        enabled: enabled
-      });
+      // Remembered sites keep their own feature list; everything else
+      // updates the active profile
+      if (!updateSiteFeature(featureKey, enabled)) {
+        chrome.runtime.sendMessage({
+          action: 'updateFeature',
+          feature: featureKey,
+          enabled: enabled
+        });
+      }
       
       // Display output message
       const featureName = getFeatureName(featureKey);
@@ -189,6 +284,236 @@ function setupFeatureToggle(elementId, featureKey) {
   }
 }
 
+// Get the origin of the active tab (null for pages the extension can't run on)
+function getActiveTabOrigin() {
+  return new Promise(resolve => {
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+      try {
+        const url = new URL(tabs[0].url);
+        resolve(url.protocol === 'http:' || url.protocol === 'https:' ? url.origin : null);
+      } catch (error) {
+        resolve(null);
+      }
+    });
+  });
+}
+
+// Fill the "Continue Reading" list with the articles still in progress
+function renderReadingList() {
+  const section = document.getElementById('reading-list-section');
+  const list = document.getElementById('reading-list');
+  if (!section || !list) return;
+  
+  listReadingPositions().then(entries => {
+    list.textContent = '';
+    section.hidden = entries.length === 0;
+    
+    entries.forEach(entry => {
+      const item = document.createElement('li');
+      item.className = 'reading-list-item';
+      
+      const openButton = document.createElement('button');
+      openButton.className = 'reading-list-open';
+      const title = document.createElement('span');
+      title.textContent = entry.title;
+      const details = document.createElement('span');
+      details.className = 'feature-desc';
+      details.textContent = `${new URL(entry.url).host} · ${entry.progress}% read`;
+      openButton.append(title, details);
+      openButton.addEventListener('click', () => {
+        chrome.tabs.create({ url: entry.url });
+      });
+      
+      const removeButton = document.createElement('button');
+      removeButton.className = 'reading-list-remove';
+      removeButton.textContent = '×';
+      removeButton.setAttribute('aria-label', `Remove ${entry.title} from the list`);
+      removeButton.addEventListener('click', () => {
+        clearReadingPosition(entry.url).then(() => {
+          addOutputMessage(`Removed ${entry.title}`, 'info');
+          renderReadingList();
+        });
+      });
+      
+      item.append(openButton, removeButton);
+      list.appendChild(item);
+    });
+  }).catch(error => {
+    console.error('Error listing reading positions:', error);
+  });
+}
+
+// Send a listening queue action and show the queue it returns
+function sendListeningQueueAction(message, successMessage) {
+  chrome.runtime.sendMessage(message, (response) => {
+    if (response && response.success) {
+      if (response.queue) renderListeningQueue(response.queue);
+      if (successMessage) addOutputMessage(successMessage, 'success');
+    } else {
+      addOutputMessage(response?.error?.message || 'Listening queue action failed', 'error');
+    }
+  });
+}
+
+// Show the listening queue: its articles, the one playing and the controls
+function renderListeningQueue(queue) {
+  uiState.listeningQueue = queue;
+  
+  const list = document.getElementById('listening-queue');
+  const status = document.getElementById('listening-queue-status');
+  const playButton = document.getElementById('listening-queue-play');
+  if (!list || !status || !playButton) return;
+  
+  const { items, currentIndex, current } = queue;
+  if (current && queue.status !== 'stopped') {
+    status.textContent = `${queue.status === 'playing' ? 'Playing' : 'Paused'}: ${current.title}`;
+  } else {
+    status.textContent = items.length === 0 ? 'Queue is empty' : `${items.length} in queue`;
+  }
+  playButton.textContent = queue.status === 'playing' ? 'Pause' : 'Play';
+  playButton.disabled = items.length === 0;
+  document.getElementById('listening-queue-previous').disabled = currentIndex === 0;
+  document.getElementById('listening-queue-next').disabled = currentIndex >= items.length - 1;
+  
+  list.textContent = '';
+  items.forEach((item, index) => {
+    const entry = document.createElement('li');
+    entry.className = index === currentIndex ? 'reading-list-item current' : 'reading-list-item';
+    
+    const openButton = document.createElement('button');
+    openButton.className = 'reading-list-open';
+    if (index === currentIndex) openButton.setAttribute('aria-current', 'true');
+    const title = document.createElement('span');
+    title.textContent = item.title;
+    const details = document.createElement('span');
+    details.className = 'feature-desc';
+    details.textContent = `${new URL(item.url).host} · ${item.progress}% played`;
+    openButton.append(title, details);
+    openButton.addEventListener('click', () => {
+      sendListeningQueueAction({ action: 'playListeningQueue', index });
+    });
+    entry.appendChild(openButton);
+    
+    if (index > 0) {
+      const upButton = document.createElement('button');
+      upButton.className = 'reading-list-remove';
+      upButton.textContent = '↑';
+      upButton.setAttribute('aria-label', `Move ${item.title} up`);
+      upButton.addEventListener('click', () => {
+        sendListeningQueueAction({ action: 'moveInListeningQueue', id: item.id, index: index - 1 });
+      });
+      entry.appendChild(upButton);
+    }
+    
+    const removeButton = document.createElement('button');
+    removeButton.className = 'reading-list-remove';
+    removeButton.textContent = '×';
+    removeButton.setAttribute('aria-label', `Remove ${item.title} from the queue`);
+    removeButton.addEventListener('click', () => {
+      sendListeningQueueAction({ action: 'removeFromListeningQueue', id: item.id });
+    });
+    entry.appendChild(removeButton);
+    
+    list.appendChild(entry);
+  });
+}
+
+// Update the "Remember for this site" controls
+function updateSiteUI() {
+  const siteToggle = document.getElementById('site-toggle');
+  const siteOrigin = document.getElementById('site-origin');
+  
+  if (siteToggle) {
+    siteToggle.checked = Boolean(uiState.site.override);
+    siteToggle.disabled = !uiState.site.origin;
+  }
+  
+  if (siteOrigin) {
+    siteOrigin.textContent = uiState.site.origin
+      ? new URL(uiState.site.origin).host
+      : 'Not available on this page';
+  }
+}
+
+// Create an override for the active site from the current settings
+function rememberSiteSettings() {
+  const { origin, state } = uiState.site;
+  if (!origin || !state) return;
+  
+  const visual = state.userPreferences?.visual || {};
+  const cognitive = state.userPreferences?.cognitive || {};
+  const override = {
+    fontSize: visual.fontSize,
+    contrastScheme: visual.highContrastMode ? visual.contrastScheme : 'none',
+    simplificationLevel: cognitive.simplificationLevel,
+    disabledFeatures: Object.keys(state.activeFeatures || {})
+      .filter(feature => !state.activeFeatures[feature])
+  };
+  
+  saveSiteOverride(override, `Settings remembered for ${new URL(origin).host}`);
+  
+  // Overrides only apply while site-specific settings are enabled
+  if (state.userPreferences?.general?.siteSpecific === false) {
+    chrome.runtime.sendMessage({
+      action: 'updatePreferences',
+      preferences: { general: { siteSpecific: true } }
+    });
+  }
+}
+
+// Delete the override for the active site
+function forgetSiteSettings() {
+  const { origin } = uiState.site;
+  if (!origin) return;
+  
+  chrome.runtime.sendMessage({ action: 'deleteSiteOverride', origin }, (response) => {
+    if (response && response.success) {
+      uiState.site.override = null;
+      updateUIFromState(uiState.site.state);
+      addOutputMessage(`Site settings removed for ${new URL(origin).host}`, 'info');
+    } else {
+      addOutputMessage(response?.error?.message || 'Could not remove site settings', 'error');
+    }
+  });
+}
+
+// Update the active site's disabled features; returns false when the site
+// has no override (or the feature must be enabled in the profile itself)
+function updateSiteFeature(featureKey, enabled) {
+  const { override, state } = uiState.site;
+  if (!override) return false;
+  
+  if (enabled && state && !state.activeFeatures?.[featureKey]) {
+    return false;
+  }
+  
+  const disabledFeatures = (override.disabledFeatures || []).filter(feature => feature !== featureKey);
+  if (!enabled) {
+    disabledFeatures.push(featureKey);
+  }
+  
+  saveSiteOverride({ ...override, disabledFeatures });
+  return true;
+}
+
+// Store an override for the active site
+function saveSiteOverride(override, successMessage) {
+  const { origin } = uiState.site;
+  
+  chrome.runtime.sendMessage({ action: 'setSiteOverride', origin, override }, (response) => {
+    if (response && response.success) {
+      uiState.site.override = response.override;
+      updateSiteUI();
+      if (successMessage) {
+        addOutputMessage(successMessage, 'success');
+      }
+    } else {
+      addOutputMessage(response?.error?.message || 'Could not save site settings', 'error');
+      updateSiteUI();
+    }
+  });
+}
+
 // Get user-friendly feature name from feature key
 function getFeatureName(featureKey) {
   switch(featureKey) {
@@ -225,6 +550,33 @@ function updateButtonStates() {
 }
 
 // Send message to the active tab
+// Ask the active tab which listening mode it is using and whether it is listening
+function refreshListeningStatus() {
+  chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+    if (tabs.length === 0) return;
+    
+    chrome.tabs.sendMessage(tabs[0].id, { type: 'getListeningStatus' }, (status) => {
+      // Pages without the content script have no status
+      if (chrome.runtime.lastError || !status) return;
+      renderListeningStatus(status);
+    });
+  });
+}
+
+// Show the listening mode next to the Speech-to-Text controls
+function renderListeningStatus(status) {
+  const modeLabel = document.getElementById('stt-mode');
+  if (!modeLabel) return;
+  
+  let state = '';
+  if (status.waitingForKey) {
+    state = ' (ready)';
+  } else if (status.active) {
+    state = ' (listening)';
+  }
+  modeLabel.textContent = `${status.description}${state}`;
+}
+
 function sendMessageToActiveTab(message) {
   chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
     if (tabs.length > 0) {
@@ -0,0 +1,164 @@
+import { AudioDescriber, findNextCueIndex } from '../src/content/audioDescription';
+
+// Minimal media element driven by the tests
+function createVideo() {
+  const video = new EventTarget();
+  video.currentTime = 0;
+  video.playbackRate = 1;
+  video.volume = 1;
+  video.paused = false;
+  video.pause = jest.fn(() => {
+    video.paused = true;
+    video.dispatchEvent(new Event('pause'));
+  });
+  video.play = jest.fn(() => {
+    video.paused = false;
+    video.dispatchEvent(new Event('play'));
+    return Promise.resolve();
+  });
+  return video;
+}
+
+function createSpeaker() {
+  return {
+    spoken: [],
+    pending: null,
+    speak(text, onEnd) {
+      this.spoken.push(text);
+      this.pending = onEnd;
+    },
+    finish() {
+      const onEnd = this.pending;
+      this.pending = null;
+      onEnd();
+    },
+    cancel: jest.fn()
+  };
+}
+
+const cues = [
+  { start: 2, end: 4, text: 'A door opens' },
+  { start: 5, end: 7, text: 'She walks in' },
+  { start: 9, end: 10, text: 'The lights go out' }
+];
+
+describe('Audio Descriptions', () => {
+  let video;
+  let speaker;
+  let describer;
+
+  // Advance playback with timeupdate events at the browser's ~250ms interval
+  function playTo(time) {
+    while (video.currentTime < time) {
+      video.currentTime = Math.min(time, video.currentTime + 0.25);
+      video.dispatchEvent(new Event('timeupdate'));
+    }
+  }
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    video = createVideo();
+    speaker = createSpeaker();
+  });
+
+  afterEach(() => {
+    describer.detach();
+    jest.useRealTimers();
+  });
+
+  // Scheduling Tests
+  describe('Scheduling', () => {
+    test('Finds the next cue for a time', () => {
+      describer = new AudioDescriber({ video, speaker });
+      expect(findNextCueIndex(cues, 0)).toBe(0);
+      expect(findNextCueIndex(cues, 2)).toBe(0);
+      expect(findNextCueIndex(cues, 2.5)).toBe(1);
+      expect(findNextCueIndex(cues, 20)).toBe(3);
+    });
+
+    test('Speaks each cue once as playback passes it', () => {
+      describer = new AudioDescriber({ video, speaker, cues });
+      describer.attach();
+
+      playTo(1.9);
+      playTo(2.9);
+      playTo(3.2);
+      expect(speaker.spoken).toEqual(['A door opens']);
+    });
+
+    test('Fires at the cue start using a rate-adjusted timer', () => {
+      video.playbackRate = 2;
+      describer = new AudioDescriber({ video, speaker, cues });
+      describer.attach();
+
+      // Cue at 2s is 1s away at double speed
+      video.currentTime = 2;
+      jest.advanceTimersByTime(1000);
+      expect(speaker.spoken).toEqual(['A door opens']);
+    });
+
+    test('Seeking cancels the description and skips passed cues', () => {
+      describer = new AudioDescriber({ video, speaker, cues });
+      describer.attach();
+      playTo(2.1);
+
+      video.currentTime = 8;
+      video.dispatchEvent(new Event('seeking'));
+      expect(speaker.cancel).toHaveBeenCalled();
+
+      playTo(9.2);
+      expect(speaker.spoken).toEqual(['A door opens', 'The lights go out']);
+    });
+
+    test('Seeking back replays earlier cues', () => {
+      describer = new AudioDescriber({ video, speaker, cues });
+      describer.attach();
+      playTo(2.1);
+      speaker.finish();
+
+      video.currentTime = 1;
+      video.dispatchEvent(new Event('seeking'));
+      playTo(2.2);
+      expect(speaker.spoken).toEqual(['A door opens', 'A door opens']);
+    });
+  });
+
+  // Mode Tests
+  describe('Modes', () => {
+    test('Ducks the video volume while speaking', () => {
+      video.volume = 0.8;
+      describer = new AudioDescriber({ video, speaker, cues, duckLevel: 0.5 });
+      describer.attach();
+
+      playTo(2.1);
+      expect(video.volume).toBeCloseTo(0.4);
+      expect(video.pause).not.toHaveBeenCalled();
+
+      speaker.finish();
+      expect(video.volume).toBeCloseTo(0.8);
+    });
+
+    test('Pauses the video until the description ends in extended mode', () => {
+      describer = new AudioDescriber({ video, speaker, cues, mode: 'pause' });
+      describer.attach();
+
+      playTo(2.1);
+      expect(video.pause).toHaveBeenCalled();
+      expect(video.paused).toBe(true);
+
+      speaker.finish();
+      expect(video.play).toHaveBeenCalled();
+      expect(video.paused).toBe(false);
+    });
+
+    test('Does not resume a video the user sought while paused for a description', () => {
+      describer = new AudioDescriber({ video, speaker, cues, mode: 'pause' });
+      describer.attach();
+
+      playTo(2.1);
+      video.currentTime = 6;
+      video.dispatchEvent(new Event('seeking'));
+      expect(video.play).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,136 @@
+import {
+  AutoCaptioner,
+  MockRecognitionEngine,
+  createRecognitionEngine,
+  supportsAudioTrackInput
+} from '../src/content/autoCaption';
+import { serializeWebVTT, formatTimestamp, parseWebVTT } from '../src/content/captionParser';
+
+describe('Automatic Captions', () => {
+  let time;
+  let engine;
+  let captioner;
+  let updates;
+
+  beforeEach(() => {
+    time = 0;
+    updates = [];
+    engine = new MockRecognitionEngine();
+    captioner = new AutoCaptioner({
+      engine,
+      getTime: () => time,
+      onUpdate: text => updates.push(text)
+    });
+  });
+
+  // Engine Tests
+  describe('Engines', () => {
+    test('Creates registered engines by id', () => {
+      expect(createRecognitionEngine('mock')).toBeInstanceOf(MockRecognitionEngine);
+      expect(() => createRecognitionEngine('missing')).toThrow('Unknown recognition engine');
+    });
+
+    test('Replays scripted results on start', () => {
+      jest.useFakeTimers();
+      const scripted = new MockRecognitionEngine({
+        script: [{ text: 'Hello', isFinal: false, delay: 100 }, { text: 'Hello world', delay: 100 }]
+      });
+      const results = [];
+      scripted.start({ onResult: result => results.push(result), onError: () => {} });
+
+      jest.advanceTimersByTime(200);
+      expect(results).toEqual([
+        { text: 'Hello', isFinal: false },
+        { text: 'Hello world', isFinal: true }
+      ]);
+      jest.useRealTimers();
+    });
+
+    test('Web Speech engine refuses browsers that would use the microphone', () => {
+      const start = jest.fn();
+      function MicrophoneOnlyRecognition() {
+        this.start = start;
+      }
+      window.SpeechRecognition = MicrophoneOnlyRecognition;
+      const errors = [];
+      createRecognitionEngine('web-speech').start({
+        audioTrack: {},
+        language: 'en-US',
+        onResult: () => {},
+        onError: error => errors.push(error.message)
+      });
+
+      expect(start).not.toHaveBeenCalled();
+      expect(errors[0]).toMatch('unsupported');
+      MicrophoneOnlyRecognition.available = () => Promise.resolve('available');
+      expect(supportsAudioTrackInput(MicrophoneOnlyRecognition)).toBe(true);
+      delete window.SpeechRecognition;
+    });
+  });
+
+  // Cue Generation Tests
+  describe('Cue generation', () => {
+    test('Times cues from the first result of each phrase', () => {
+      captioner.start(null, 'en-US');
+      time = 2;
+      engine.emit('Welcome', false);
+      time = 4;
+      engine.emit('Welcome back', true);
+
+      expect(captioner.cues).toHaveLength(1);
+      expect(captioner.cues[0]).toMatchObject({ id: 'auto-1', start: 2, end: 4, text: 'Welcome back' });
+      expect(engine.language).toBe('en-US');
+    });
+
+    test('Keeps a rolling caption of the last lines plus interim text', () => {
+      captioner.start();
+      engine.emit('One');
+      engine.emit('Two');
+      engine.emit('Three', false);
+
+      expect(updates).toEqual(['One', 'One\nTwo', 'Two\nThree']);
+      expect(captioner.getRollingText()).toBe('Two\nThree');
+    });
+
+    test('Turns pending interim text into a cue on stop', () => {
+      captioner.start();
+      engine.emit('Unfinished', false);
+      captioner.stop();
+
+      expect(engine.running).toBe(false);
+      expect(captioner.cues.map(cue => cue.text)).toEqual(['Unfinished']);
+    });
+
+    test('Stops and reports engine errors', () => {
+      const onError = jest.fn();
+      captioner = new AutoCaptioner({ engine, getTime: () => time, onError });
+      captioner.start();
+      engine.fail(new Error('network'));
+
+      expect(onError).toHaveBeenCalledWith(new Error('network'));
+      expect(captioner.running).toBe(false);
+    });
+  });
+
+  // Export Tests
+  describe('WebVTT export', () => {
+    test('Formats timestamps', () => {
+      expect(formatTimestamp(3723.004)).toBe('01:02:03.004');
+      expect(formatTimestamp(0)).toBe('00:00:00.000');
+    });
+
+    test('Serializes generated cues as parseable WebVTT', () => {
+      captioner.start();
+      time = 1;
+      engine.emit('Fish & <chips>');
+      captioner.stop();
+
+      const vtt = serializeWebVTT(captioner.cues);
+      expect(vtt.startsWith('WEBVTT')).toBe(true);
+
+      const { cues } = parseWebVTT(vtt);
+      expect(cues).toHaveLength(1);
+      expect(cues[0]).toMatchObject({ start: 1, end: 2, text: 'Fish & <chips>' });
+    });
+  });
+});
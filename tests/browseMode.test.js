@@ -0,0 +1,134 @@
+import {
+  enableBrowseMode,
+  disableBrowseMode,
+  isBrowseModeEnabled,
+  findNavigationTarget,
+  describeElement,
+  isTypingTarget
+} from '../src/content/browseMode';
+
+// jsdom has no layout, so every element counts as visible
+const isVisible = () => true;
+
+const pressKey = (key, options = {}, target = document.body) => {
+  const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options });
+  target.dispatchEvent(event);
+  return event;
+};
+
+describe('Browse Mode', () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <header id="banner"><a id="home" href="/">Home</a></header>
+      <nav id="menu" aria-label="Main menu"><a id="news" href="/news">News</a></nav>
+      <main id="main">
+        <h1 id="title">Title</h1>
+        <h2 id="section">Section</h2>
+        <table id="prices"><caption>Prices</caption><tr><th>Item</th><th>Cost</th></tr><tr><td>Tea</td><td>2</td></tr></table>
+        <form>
+          <label for="email">Email</label><input id="email" type="email" required>
+          <input id="terms" type="checkbox" checked aria-label="Accept terms">
+          <button id="send">Send</button>
+        </form>
+        <h2 id="end">End</h2>
+      </main>
+    `;
+  });
+
+  afterEach(() => {
+    disableBrowseMode();
+  });
+
+  // Navigation Tests
+  describe('Finding elements', () => {
+    test('Moves forwards and backwards through elements of a kind', () => {
+      const section = document.getElementById('section');
+
+      expect(findNavigationTarget('heading', null, { isVisible }).id).toBe('title');
+      expect(findNavigationTarget('heading', section, { isVisible }).id).toBe('end');
+      expect(findNavigationTarget('heading', section, { direction: 'previous', isVisible }).id).toBe('title');
+      expect(findNavigationTarget('heading', document.getElementById('end'), { isVisible })).toBeNull();
+    });
+
+    test('Filters headings by level and finds landmarks, links, tables and fields', () => {
+      expect(findNavigationTarget('heading', document.getElementById('section'), { level: 2, isVisible }).id).toBe('end');
+      expect(findNavigationTarget('landmark', document.getElementById('home'), { isVisible }).id).toBe('menu');
+      expect(findNavigationTarget('link', document.getElementById('home'), { isVisible }).id).toBe('news');
+      expect(findNavigationTarget('table', null, { isVisible }).id).toBe('prices');
+      expect(findNavigationTarget('formField', document.getElementById('prices'), { isVisible }).id).toBe('email');
+    });
+  });
+
+  // Announcement Tests
+  describe('Announcements', () => {
+    test('Describes role, name and state', () => {
+      const describe = id => describeElement(document.getElementById(id));
+
+      expect(describe('section')).toBe('Heading level 2, Section');
+      expect(describe('menu')).toBe('Navigation landmark, Main menu');
+      expect(describe('banner')).toBe('Banner landmark');
+      expect(describe('news')).toBe('Link, News');
+      expect(describe('prices')).toBe('Table with 2 rows, 2 columns, Prices');
+      expect(describe('email')).toBe('Edit text, Email, required');
+      expect(describe('terms')).toBe('Checkbox, Accept terms, checked');
+      expect(describe('send')).toBe('Button, Send');
+    });
+  });
+
+  // Key Handling Tests
+  describe('Quick keys', () => {
+    beforeEach(() => {
+      jest.spyOn(HTMLElement.prototype, 'offsetWidth', 'get').mockReturnValue(10);
+      jest.spyOn(HTMLElement.prototype, 'offsetHeight', 'get').mockReturnValue(10);
+      Element.prototype.scrollIntoView = jest.fn();
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('Single keys move focus and announce while browse mode is on', () => {
+      const announce = jest.fn();
+      enableBrowseMode(announce);
+      expect(isBrowseModeEnabled()).toBe(true);
+      expect(announce).toHaveBeenCalledWith('Browse mode on');
+
+      expect(pressKey('h').defaultPrevented).toBe(true);
+      expect(document.activeElement.id).toBe('title');
+      expect(announce).toHaveBeenLastCalledWith('Heading level 1, Title');
+
+      pressKey('2', { code: 'Digit2' });
+      expect(document.activeElement.id).toBe('section');
+
+      pressKey('H', { shiftKey: true });
+      expect(document.activeElement.id).toBe('title');
+
+      pressKey('t');
+      expect(announce).toHaveBeenLastCalledWith('Table with 2 rows, 2 columns, Prices');
+    });
+
+    test('Leaves typing in text fields alone and turns off cleanly', () => {
+      const announce = jest.fn();
+      enableBrowseMode(announce);
+
+      const email = document.getElementById('email');
+      expect(isTypingTarget(email)).toBe(true);
+      expect(pressKey('h', {}, email).defaultPrevented).toBe(false);
+      expect(pressKey('h', { ctrlKey: true }).defaultPrevented).toBe(false);
+
+      disableBrowseMode();
+      expect(announce).toHaveBeenLastCalledWith('Browse mode off');
+      expect(pressKey('h').defaultPrevented).toBe(false);
+      expect(document.querySelector('.accessibility-browse-indicator')).toBeNull();
+    });
+
+    test('Turns off silently for cleanup', () => {
+      const announce = jest.fn();
+      enableBrowseMode(announce);
+
+      disableBrowseMode({ announce: false });
+      expect(announce).not.toHaveBeenCalledWith('Browse mode off');
+      expect(pressKey('h').defaultPrevented).toBe(false);
+    });
+  });
+});
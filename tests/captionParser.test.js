@@ -0,0 +1,126 @@
+import {
+  parseCaptions,
+  parseWebVTT,
+  parseSRT,
+  parseTimestamp,
+  parseCueText,
+  cueToPlainText,
+  scopeCueStyles
+} from '../src/content/captionParser';
+
+describe('Caption Parser', () => {
+  // Timestamp Tests
+  describe('Timestamps', () => {
+    test('Parses WebVTT and SRT timestamps', () => {
+      expect(parseTimestamp('00:01.500')).toBe(1.5);
+      expect(parseTimestamp('01:02:03.004')).toBe(3723.004);
+      expect(parseTimestamp('00:00:04,250')).toBe(4.25);
+    });
+
+    test('Rejects malformed timestamps', () => {
+      expect(parseTimestamp('1:2')).toBeNull();
+      expect(parseTimestamp('00:61.000')).toBeNull();
+    });
+  });
+
+  // WebVTT Tests
+  describe('WebVTT', () => {
+    const vtt = [
+      'WEBVTT - Sample',
+      '',
+      'STYLE',
+      '::cue(.yellow) { color: yellow; }',
+      '',
+      'NOTE This is a comment',
+      '',
+      'intro',
+      '00:00:01.000 --> 00:00:04.000 line:10% position:20%,line-left size:60% align:start',
+      '<v Narrator>Hello &amp; <c.yellow>welcome</c></v>',
+      '',
+      '00:00:05.000 --> 00:00:07.500',
+      'Second line',
+      'continues here'
+    ].join('\r\n');
+
+    test('Parses cues with timing, ids and text', () => {
+      const { format, cues } = parseWebVTT(vtt);
+
+      expect(format).toBe('vtt');
+      expect(cues).toHaveLength(2);
+      expect(cues[0]).toMatchObject({ id: 'intro', start: 1, end: 4, text: 'Hello & welcome' });
+      expect(cues[1]).toMatchObject({ id: '2', start: 5, end: 7.5, text: 'Second line\ncontinues here' });
+    });
+
+    test('Parses cue settings', () => {
+      const { settings } = parseWebVTT(vtt).cues[0];
+
+      expect(settings).toMatchObject({
+        line: 10,
+        snapToLines: false,
+        position: 20,
+        positionAlign: 'line-left',
+        size: 60,
+        align: 'start'
+      });
+    });
+
+    test('Collects STYLE blocks', () => {
+      expect(parseWebVTT(vtt).styles).toEqual(['::cue(.yellow) { color: yellow; }']);
+    });
+
+    test('Requires the WEBVTT header', () => {
+      expect(() => parseWebVTT('00:00:01.000 --> 00:00:02.000\nHi')).toThrow('WEBVTT');
+    });
+  });
+
+  // SRT Tests
+  describe('SRT', () => {
+    test('Parses numbered cues with comma timestamps', () => {
+      const { format, cues } = parseCaptions('1\n00:00:01,000 --> 00:00:02,000\n<i>Hi</i> there\n\n2\n00:00:03,000 --> 00:00:04,000\nBye\n');
+
+      expect(format).toBe('srt');
+      expect(cues.map(cue => [cue.id, cue.start, cue.text])).toEqual([
+        ['1', 1, 'Hi there'],
+        ['2', 3, 'Bye']
+      ]);
+    });
+
+    test('Rejects files without cues', () => {
+      expect(() => parseSRT('not a caption file')).toThrow();
+    });
+  });
+
+  // Cue Text Tests
+  describe('Cue text', () => {
+    test('Builds a tag tree with classes and annotations', () => {
+      const nodes = parseCueText('<v.loud Esme>Hi <b>there</b></v>');
+
+      expect(nodes[0]).toMatchObject({ type: 'tag', name: 'v', classes: ['loud'], annotation: 'Esme' });
+      expect(nodes[0].children[1]).toMatchObject({ type: 'tag', name: 'b' });
+    });
+
+    test('Ignores karaoke timestamps and ruby annotations in plain text', () => {
+      expect(cueToPlainText('One <00:00:01.000>two <ruby>漢<rt>kan</rt></ruby>')).toBe('One two 漢');
+    });
+
+    test('Replaces numeric entities that are not characters', () => {
+      expect(cueToPlainText('Caf&#xe9; &#x110000; &#xD800; &#9999999999;')).toBe('Café \uFFFD \uFFFD \uFFFD');
+      expect(parseCaptions('WEBVTT\n\n00:00.000 --> 00:01.000\nBad &#x110000;\n\n00:01.000 --> 00:02.000\nFine')
+        .cues.map(cue => cue.text)).toEqual(['Bad \uFFFD', 'Fine']);
+    });
+  });
+
+  // Style Tests
+  describe('Cue styles', () => {
+    test('Scopes ::cue rules and drops everything else', () => {
+      const css = scopeCueStyles([
+        '::cue { color: white; } body { display: none; } ::cue(v[voice="Esme"]) { color: cyan; } ::cue(.bg) { background: url(x.png); }'
+      ], '#captions');
+
+      expect(css).toContain('#captions .accessibility-cue {');
+      expect(css).toContain('#captions .accessibility-cue [data-voice="Esme"]');
+      expect(css).not.toContain('body');
+      expect(css).not.toContain('url(');
+    });
+  });
+});
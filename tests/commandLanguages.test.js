@@ -0,0 +1,160 @@
+import {
+  VoiceCommandEngine,
+  createDefaultCommands,
+  normalizeTranscript,
+  parseNumber,
+  validateCommandAlias
+} from '../src/content/voiceCommands';
+import { resolveCommandLanguage, listCommandLanguages } from '../src/content/commandLanguages';
+
+describe('Voice Command Languages', () => {
+  let handlers;
+  let links;
+
+  // An engine with the built-in commands in a language
+  const createEngine = language => {
+    const engine = new VoiceCommandEngine({ language });
+    engine.register(createDefaultCommands(handlers));
+    return engine;
+  };
+
+  beforeEach(() => {
+    handlers = {
+      stopReading: jest.fn(),
+      startReading: jest.fn(),
+      setHighContrast: jest.fn(),
+      isVisible: () => true
+    };
+    window.scrollBy = jest.fn();
+    window.scrollTo = jest.fn();
+    document.body.innerHTML = `
+      <a href="/home">Inicio</a>
+      <a href="/news">Noticias</a>
+      <button>Entrar</button>
+    `;
+    links = Array.from(document.querySelectorAll('a'));
+    links.forEach(link => {
+      link.click = jest.fn();
+    });
+  });
+
+  // Command Set Tests
+  describe('Command sets', () => {
+    test('Resolves recognition languages to command sets', () => {
+      expect(resolveCommandLanguage('es-ES')).toBe('es');
+      expect(resolveCommandLanguage('hi-IN')).toBe('hi');
+      expect(resolveCommandLanguage('zh-CN')).toBe('en');
+      expect(resolveCommandLanguage('')).toBe('en');
+      expect(listCommandLanguages().map(({ code }) => code)).toEqual(['en', 'es', 'fr', 'de', 'hi']);
+    });
+
+    test('Reads numbers in each language', () => {
+      expect(parseNumber('soixante dix sept', 'fr')).toBe(77);
+      expect(parseNumber('veinte y dos', 'es')).toBe(22);
+      expect(parseNumber('drei', 'de')).toBe(3);
+      expect(normalizeTranscript('Desplázate hacia abajo, dos veces', 'es')).toBe('desplázate hacia abajo dos veces');
+      expect(normalizeTranscript('५ पर क्लिक करें', 'hi')).toBe('5 पर क्लिक करो');
+    });
+  });
+
+  // Localized Command Tests
+  describe('Localized commands', () => {
+    test('Matches commands and slots in Spanish, French, German and Hindi', async () => {
+      const spanish = createEngine('es-ES');
+      expect(spanish.parse('desplázate hacia abajo tres veces')).toMatchObject({
+        command: { id: 'scroll' },
+        slots: { direction: 'down', count: 3 },
+        language: 'es'
+      });
+      expect((await spanish.handle('haz clic en el segundo enlace')).status).toBe('executed');
+      expect(links[1].click).toHaveBeenCalled();
+
+      const french = createEngine('fr-FR');
+      expect(french.parse("Clique sur le deuxième lien")).toMatchObject({
+        command: { id: 'clickPosition' },
+        slots: { position: 2, element: 'link' }
+      });
+      expect(french.parse('arrête de lire').command.id).toBe('stopReading');
+
+      const german = createEngine('de-DE');
+      expect(german.parse('scrolle nach unten').slots).toEqual({ direction: 'down' });
+
+      const hindi = createEngine('hi-IN');
+      expect(hindi.parse('दूसरे लिंक पर क्लिक करो')).toMatchObject({
+        command: { id: 'clickPosition' },
+        slots: { position: 2, element: 'link' }
+      });
+    });
+
+    test('Matches verb-final German commands', async () => {
+      const german = createEngine('de-DE');
+      expect(german.parse('nach unten scrollen').slots).toEqual({ direction: 'down' });
+      expect(german.parse('zweimal nach oben scrollen')).toMatchObject({
+        command: { id: 'scroll' },
+        slots: { direction: 'up', count: 2 },
+        language: 'de'
+      });
+      expect(german.parse('Lesen stoppen').command.id).toBe('stopReading');
+      expect(german.parse('mit dem Vorlesen aufhören').command.id).toBe('stopReading');
+      expect(german.parse('die Seite vorlesen').command.id).toBe('startReading');
+      expect(german.parse('Lesen anhalten').command.id).toBe('pauseReading');
+      expect(german.parse('den Kontrastmodus aktivieren').command.id).toBe('highContrastOn');
+      expect(german.parse('zum dritten Link springen')).toMatchObject({
+        command: { id: 'focusPosition' },
+        slots: { position: 3, element: 'link' }
+      });
+      expect(german.parse('auf den zweiten Link klicken')).toMatchObject({
+        command: { id: 'clickPosition' },
+        slots: { position: 2, element: 'link' }
+      });
+      expect((await german.handle('Noticias klicken')).status).toBe('executed');
+      expect(links[1].click).toHaveBeenCalled();
+    });
+
+    test('Clicks elements by name in the engine language', async () => {
+      const spanish = createEngine('es');
+      expect((await spanish.handle('clic en noticias')).status).toBe('executed');
+      expect(links[1].click).toHaveBeenCalled();
+    });
+
+    test('Falls back to English commands when the localized set fails', async () => {
+      const spanish = createEngine('es-ES');
+      const match = spanish.parse('scroll down 2 times');
+      expect(match).toMatchObject({ command: { id: 'scroll' }, slots: { direction: 'down', count: 2 }, language: 'en' });
+      await spanish.handle('stop reading');
+      expect(handlers.stopReading).toHaveBeenCalled();
+      expect(spanish.parse('bonjour tout le monde')).toBeNull();
+    });
+
+    test('Switches command set with the recognition language', () => {
+      const engine = createEngine('en-US');
+      expect(engine.parse('para de leer')).toBeNull();
+
+      engine.setLanguage('es-MX');
+      expect(engine.parse('para de leer').command.id).toBe('stopReading');
+
+      engine.setLanguage('zh-CN');
+      expect(engine.language).toBe('en');
+      expect(engine.parse('para de leer')).toBeNull();
+      expect(engine.parse('stop reading').command.id).toBe('stopReading');
+    });
+  });
+
+  // Alias Tests
+  describe('Aliases', () => {
+    test('Adds user phrases for built-in commands in their language', () => {
+      const engine = createEngine('es-ES');
+      engine.setAliases([
+        { language: 'es', command: 'scroll', phrase: 'baja {count:number} pantallas' },
+        { language: 'fr', command: 'stopReading', phrase: 'chut' },
+        { language: 'es', command: 'stopReading', phrase: '' }
+      ]);
+      expect(engine.parse('baja dos pantallas')).toMatchObject({ command: { id: 'scroll' }, slots: { count: 2 } });
+      expect(engine.parse('chut')).toBeNull();
+
+      engine.setLanguage('fr');
+      expect(engine.parse('chut').command.id).toBe('stopReading');
+      expect(validateCommandAlias({ language: 'de', command: 'scroll', phrase: 'runter {wert:zahl}' })).toMatch('Unknown slot type');
+    });
+  });
+});
@@ -0,0 +1,106 @@
+import {
+  buildSkipSelector,
+  findMainContent,
+  extractReadableContent,
+  getAlternativeText,
+  showExtractionOverlay,
+  hideExtractionOverlay,
+  isExtractionOverlayShown
+} from '../src/content/contentExtractor';
+
+// jsdom has no layout, so every element counts as visible
+const isVisible = () => true;
+
+const paragraph = text => `<p>${text}, with enough words, commas, and length to count as article text.</p>`;
+
+describe('Content Extractor', () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <nav id="menu"><ul><li><a href="/">Home</a></li><li><a href="/news">News</a></li></ul></nav>
+      <div id="cookie-banner"><p>We use cookies to improve your experience on this website, please accept.</p></div>
+      <div id="story" class="post-body">
+        <h1 id="title">Article title</h1>
+        ${paragraph('First paragraph')}
+        ${paragraph('Second paragraph')}
+        <figure><img id="chart" src="chart.png" alt="Sales chart"><figcaption id="caption">Figure 1</figcaption></figure>
+        <pre id="code">const answer = 42;</pre>
+        <ul><li id="item"><p id="item-text">List item text</p></li></ul>
+        <div class="ad-slot" id="ad"><p>Buy our product, it is great, and also cheap today.</p></div>
+        <p class="byline" id="byline">By a staff writer</p>
+      </div>
+      <footer id="footer"><p>Copyright notice for the whole site, all rights reserved, forever.</p></footer>
+    `;
+  });
+
+  // Main Content Tests
+  describe('Main content detection', () => {
+    test('Scores the article container above page chrome', () => {
+      expect(findMainContent(document.body)).toEqual([document.getElementById('story')]);
+    });
+
+    test('Reads article blocks in document order and drops boilerplate', () => {
+      const { nodes, skipped } = extractReadableContent({ isVisible });
+      const ids = nodes.map(node => node.id || node.textContent.split(',')[0]);
+
+      expect(ids).toEqual([
+        'title', 'First paragraph', 'Second paragraph', 'chart', 'caption', 'code', 'item-text', 'byline'
+      ]);
+      expect(skipped.find(entry => entry.element.closest('#cookie-banner')).reason).toBe('boilerplate');
+      expect(skipped.find(entry => entry.element.closest('#footer')).reason).toBe('outside main content');
+      expect(skipped.find(entry => entry.element.closest('#ad')).reason).toBe('boilerplate');
+    });
+
+    test('Reads display formulas outside paragraphs as blocks of their own', () => {
+      document.getElementById('byline').insertAdjacentHTML('beforebegin', `
+        <div class="katex-display" id="formula"><span class="katex"><math><mi>x</mi></math></span></div>
+        <p id="inline">Where <math display="block"><mi>x</mi></math> is positive.</p>
+      `);
+      const ids = extractReadableContent({ isVisible }).nodes.map(node => node.id);
+
+      expect(ids).toContain('formula');
+      expect(ids).toContain('inline');
+      expect(ids.indexOf('formula')).toBe(ids.indexOf('byline') - 2);
+    });
+  });
+
+  // Skip Rule Tests
+  describe('Skip rules', () => {
+    test('Honors skip element types and custom selectors', () => {
+      const { nodes, skipped } = extractReadableContent({
+        isVisible,
+        skipElements: ['code', 'captions'],
+        skipSelectors: '.byline, [invalid'
+      });
+      const ids = nodes.map(node => node.id);
+
+      expect(ids).not.toContain('code');
+      expect(ids).not.toContain('caption');
+      expect(ids).not.toContain('byline');
+      expect(skipped.find(entry => entry.element.id === 'byline').reason).toBe('skip rule');
+    });
+
+    test('Builds selectors from element types and ignores invalid selectors', () => {
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      expect(buildSkipSelector(['tables', 'unknown'], ['.note', '[bad'])).toBe('table, .note');
+      expect(errorSpy).toHaveBeenCalled();
+      errorSpy.mockRestore();
+    });
+  });
+
+  // Alternative Text and Overlay Tests
+  describe('Alternative text and debug overlay', () => {
+    test('Reads graphics by their accessible name', () => {
+      expect(getAlternativeText(document.getElementById('chart'))).toBe('Sales chart');
+      expect(getAlternativeText(document.getElementById('title'))).toBe('');
+    });
+
+    test('Toggles an overlay summarizing the extraction', () => {
+      showExtractionOverlay(extractReadableContent({ isVisible }));
+      expect(isExtractionOverlayShown()).toBe(true);
+      expect(document.querySelector('.accessibility-extraction-legend').textContent).toMatch(/^8 blocks will be read/);
+
+      hideExtractionOverlay();
+      expect(isExtractionOverlayShown()).toBe(false);
+    });
+  });
+});
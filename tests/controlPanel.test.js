@@ -0,0 +1,82 @@
+import {
+  createControlPanel,
+  updateControlPanel,
+  toggleControlPanel
+} from '../src/content/controlPanel';
+import { extensionState, visualState, ttsState, getListeningStatus } from '../src/content/index';
+
+// The entry module starts the whole content script, so the panel gets its state from a stand-in
+jest.mock('../src/content/index', () => ({
+  extensionState: { enabled: true, activeFeatures: { tts: true, stt: false } },
+  visualState: { highContrastEnabled: false, fontAdjustmentsEnabled: false, focusHighlightEnabled: false },
+  ttsState: { isReading: false },
+  startTTS: jest.fn(),
+  pauseTTS: jest.fn(),
+  stopTTS: jest.fn(),
+  startSTT: jest.fn(),
+  stopSTT: jest.fn(),
+  getListeningStatus: jest.fn()
+}));
+
+describe('Control Panel', () => {
+  let panel;
+
+  const toggle = feature => panel.querySelector(`#accessibility-${feature}-toggle`);
+  const buttons = index => panel.querySelectorAll('.accessibility-extension-tts-controls')[index].querySelectorAll('button');
+
+  beforeEach(() => {
+    document.body.innerHTML = '';
+    extensionState.activeFeatures = { tts: true, stt: false };
+    visualState.highContrastEnabled = false;
+    ttsState.isReading = false;
+    getListeningStatus.mockReturnValue({ description: 'Listening on demand', active: false, waitingForKey: false });
+    createControlPanel();
+    panel = document.getElementById('accessibility-extension-panel');
+  });
+
+  // Panel State Tests
+  describe('Panel state', () => {
+    test('Refreshes from the content script state when called without one', () => {
+      extensionState.activeFeatures = { tts: false, stt: true };
+      visualState.highContrastEnabled = true;
+      ttsState.isReading = true;
+
+      expect(() => updateControlPanel()).not.toThrow();
+      expect(toggle('tts').checked).toBe(false);
+      expect(toggle('stt').checked).toBe(true);
+      expect(toggle('highContrast').checked).toBe(true);
+      expect(Array.from(buttons(0), button => button.disabled)).toEqual([true, false, false]);
+    });
+
+    test('Uses the state it is given', () => {
+      updateControlPanel({ activeFeatures: { tts: false }, visualState: { focusHighlightEnabled: true } });
+      expect(toggle('tts').checked).toBe(false);
+      expect(toggle('focusHighlight').checked).toBe(true);
+    });
+
+    test('Shows whether listening is on next to the listening mode', () => {
+      const label = panel.querySelector('.accessibility-extension-listening-mode');
+      expect(label.textContent).toBe('Listening on demand');
+
+      getListeningStatus.mockReturnValue({ description: 'Listening on demand', active: true, waitingForKey: false });
+      updateControlPanel();
+      expect(label.textContent).toBe('Listening on demand (listening)');
+      expect(Array.from(buttons(1), button => button.disabled)).toEqual([true, false]);
+
+      getListeningStatus.mockReturnValue({ description: 'Push to talk', active: true, waitingForKey: true });
+      updateControlPanel();
+      expect(label.textContent).toBe('Push to talk (ready)');
+
+      getListeningStatus.mockReturnValue({ description: 'Listening on demand', active: false, waitingForKey: false });
+      updateControlPanel();
+      expect(label.textContent).toBe('Listening on demand');
+    });
+
+    test('Toggles the panel', () => {
+      toggleControlPanel();
+      expect(panel.style.display).toBe('none');
+      toggleControlPanel();
+      expect(panel.style.display).toBe('block');
+    });
+  });
+});
@@ -0,0 +1,111 @@
+import {
+  formatDictation,
+  insertDictation,
+  isDictationTarget,
+  findPreviousUnit,
+  dictationCommands,
+  createDictationCommands,
+  clearDictationHistory
+} from '../src/content/dictation';
+import { initializeVisualFeedback, updateVoiceStatus, cleanupVisualFeedback } from '../src/content/visualFeedback';
+
+describe('Dictation', () => {
+  let field;
+  let setMode;
+
+  beforeAll(() => {
+    setMode = jest.fn();
+    dictationCommands.register(createDictationCommands({ setMode }));
+  });
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <textarea id="notes"></textarea>
+      <input type="number" id="age">
+      <input type="text" id="readonly" readonly>
+    `;
+    field = document.getElementById('notes');
+    field.focus();
+    clearDictationHistory();
+    setMode.mockClear();
+  });
+
+  // Formatting Tests
+  describe('Formatting', () => {
+    test('Turns spoken punctuation into symbols with the right spacing', () => {
+      expect(formatDictation('hello comma world period how are you question mark')).toBe('Hello, world. How are you?');
+      expect(formatDictation('she said open quote yes close quote new paragraph ok')).toBe('She said “yes”\n\nOk');
+      expect(formatDictation('well-known open bracket see below close bracket')).toBe('Well-known (see below)');
+    });
+
+    test('Continues the text before the caret', () => {
+      expect(formatDictation('and more', 'Some text')).toBe(' and more');
+      expect(formatDictation('next one', 'Done. ')).toBe('Next one');
+      expect(formatDictation('comma then', 'First')).toBe(', then');
+    });
+
+    test('Types only into editable text fields', () => {
+      expect(isDictationTarget(field)).toBe(true);
+      expect(isDictationTarget(document.getElementById('age'))).toBe(false);
+      expect(isDictationTarget(document.getElementById('readonly'))).toBe(false);
+      expect(isDictationTarget(document.body)).toBe(false);
+    });
+  });
+
+  // Editing Tests
+  describe('Editing', () => {
+    test('Inserts at the caret and tells the page about the input', () => {
+      const onInput = jest.fn();
+      field.addEventListener('input', onInput);
+      field.value = 'Start end';
+      field.setSelectionRange(5, 5);
+
+      expect(insertDictation('of the')).toBe(' of the');
+      expect(field.value).toBe('Start of the end');
+      expect(field.selectionStart).toBe(12);
+      expect(onInput).toHaveBeenCalledWith(expect.objectContaining({ inputType: 'insertText', data: ' of the' }));
+    });
+
+    test('Deletes and selects words and sentences, and undoes changes', async () => {
+      insertDictation('first sentence period second one here');
+      expect(field.value).toBe('First sentence. Second one here');
+
+      await dictationCommands.handle('delete last word');
+      expect(field.value).toBe('First sentence. Second one ');
+
+      await dictationCommands.handle('select previous sentence');
+      expect(field.value.slice(field.selectionStart, field.selectionEnd)).toBe('Second one');
+
+      field.setSelectionRange(field.value.length, field.value.length);
+      await dictationCommands.handle('delete the last sentence');
+      expect(field.value).toBe('First sentence. ');
+
+      await dictationCommands.handle('undo that');
+      expect(field.value).toBe('First sentence. Second one ');
+      await dictationCommands.handle('scratch that');
+      expect(field.value).toBe('First sentence. Second one here');
+
+      expect(findPreviousUnit('   ', 'word')).toBeNull();
+    });
+  });
+
+  // Mode Tests
+  describe('Modes', () => {
+    test('Only whole-utterance commands are commands and the indicator shows the mode', async () => {
+      expect(await dictationCommands.handle('please delete last word in my essay')).toMatchObject({ status: 'unrecognized' });
+      await dictationCommands.handle('command mode');
+      expect(setMode).toHaveBeenCalledWith('command');
+
+      initializeVisualFeedback();
+      updateVoiceStatus(true, '', 'dictation');
+      const modeLabel = Array.from(document.querySelectorAll('[role="status"]')).find(element => element.textContent === 'Dictation');
+      expect(modeLabel).toBeTruthy();
+      expect(modeLabel.parentElement.dataset.mode).toBe('dictation');
+
+      updateVoiceStatus(true, 'scroll down', 'command');
+      expect(modeLabel.textContent).toBe('Commands');
+      expect(modeLabel.nextSibling.textContent).toBe('scroll down');
+      cleanupVisualFeedback();
+    });
+  });
+});
@@ -0,0 +1,104 @@
+import {
+  ImageDescriptionService,
+  composeDescription,
+  describeFromHeuristics,
+  describeShape
+} from '../src/background/imageDescription';
+
+describe('Image Description Pipeline', () => {
+  // Heuristic Tests
+  describe('Heuristics', () => {
+    test('Describes the shape from the aspect ratio', () => {
+      expect(describeShape(1200, 300)).toBe('wide banner image');
+      expect(describeShape(400, 400)).toBe('square image');
+      expect(describeShape(100, 400)).toBe('tall narrow image');
+      expect(describeShape(0, 0)).toBe('image');
+    });
+
+    test('Prefers the figcaption over title and link text', () => {
+      const result = describeFromHeuristics({
+        width: 800,
+        height: 600,
+        caption: 'Sunset over the harbor',
+        title: 'harbor.jpg',
+        linkText: 'Gallery'
+      }, 'detailed');
+
+      expect(result.description).toBe('Landscape image: Sunset over the harbor. Link: Gallery');
+      expect(result.source).toBe('heuristic');
+      expect(result.confidence).toBeGreaterThan(0.5);
+    });
+
+    test('Honors the basic detail level', () => {
+      const result = describeFromHeuristics({ width: 50, height: 50, linkText: 'Home' }, 'basic');
+      expect(result.description).toBe('Link: Home');
+    });
+
+    test('Falls back to the shape when there is no context', () => {
+      const result = describeFromHeuristics({ width: 300, height: 200 }, 'comprehensive');
+      expect(result.description).toBe('Landscape image (300 by 200 pixels)');
+    });
+  });
+
+  // Model Result Tests
+  describe('Model results', () => {
+    const analysis = {
+      labels: [
+        { label: 'golden retriever', confidence: 0.82 },
+        { label: 'Labrador retriever', confidence: 0.1 }
+      ],
+      confidence: 0.82,
+      engine: 'test'
+    };
+
+    test('Uses model labels and reports their confidence', () => {
+      const result = composeDescription(analysis, { caption: 'Our dog' }, 'detailed');
+
+      expect(result.description).toBe('Image of a golden retriever, possibly a Labrador retriever. Caption: Our dog');
+      expect(result.confidence).toBe(0.82);
+      expect(result.source).toBe('model');
+    });
+
+    test('Uses heuristics when the model declines', () => {
+      const result = composeDescription({ declined: true }, { title: 'Company logo' }, 'basic');
+      expect(result.description).toBe('Company logo');
+      expect(result.source).toBe('heuristic');
+    });
+  });
+
+  // Service Tests
+  describe('Service', () => {
+    test('Rejects engines without describe()', () => {
+      const service = new ImageDescriptionService();
+      expect(() => service.registerEngine({ id: 'broken' })).toThrow();
+    });
+
+    test('Uses heuristics without fetching the image when no engine is registered', async () => {
+      global.fetch = jest.fn();
+      const service = new ImageDescriptionService();
+
+      const result = await service.describe({ src: 'https://example.com/photo.png', context: { title: 'Team photo' } });
+
+      expect(fetch).not.toHaveBeenCalled();
+      expect(result).toMatchObject({ source: 'heuristic', hash: null, cached: false });
+      delete global.fetch;
+    });
+
+    test('Falls back to heuristics when the image cannot be fetched', async () => {
+      global.fetch = jest.fn().mockRejectedValue(new Error('offline'));
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const service = new ImageDescriptionService();
+      service.registerEngine({ id: 'test', describe: jest.fn() });
+
+      const result = await service.describe({
+        src: 'https://example.com/photo.png',
+        context: { width: 400, height: 400, title: 'Team photo' },
+        detail: 'basic'
+      });
+
+      expect(result).toMatchObject({ description: 'Team photo', source: 'heuristic', hash: null, cached: false });
+      console.warn.mockRestore();
+      delete global.fetch;
+    });
+  });
+});
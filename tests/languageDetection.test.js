@@ -0,0 +1,73 @@
+import {
+  detectLanguage,
+  resolveNodeLanguage,
+  getLanguagePreferences,
+  selectVoiceForLanguage
+} from '../src/content/languageDetection';
+
+const voices = [
+  { name: 'English', lang: 'en-US', voiceURI: 'en-us', default: true, localService: true },
+  { name: 'Français (Canada)', lang: 'fr-CA', voiceURI: 'fr-ca', default: false, localService: false },
+  { name: 'Français', lang: 'fr-FR', voiceURI: 'fr-fr', default: false, localService: true },
+  { name: 'Deutsch', lang: 'de_DE', voiceURI: 'de-de', default: false, localService: false }
+];
+
+describe('Language Detection', () => {
+  // Detector Tests
+  describe('Offline detector', () => {
+    test('Detects languages from their script', () => {
+      expect(detectLanguage('नमस्ते, आप कैसे हैं? मैं ठीक हूँ।').language).toBe('hi');
+      expect(detectLanguage('Привет, как дела? У меня всё хорошо.').language).toBe('ru');
+      expect(detectLanguage('今日はとても良い天気ですね、散歩に行きましょう。').language).toBe('ja');
+    });
+
+    test('Detects Latin-script languages from common words and characters', () => {
+      expect(detectLanguage('The weather is nice today and we are going to the park.').language).toBe('en');
+      expect(detectLanguage('Le chat est sur la table et il dort dans le soleil.').language).toBe('fr');
+      expect(detectLanguage('El niño come una manzana por la mañana con su familia.').language).toBe('es');
+      expect(detectLanguage('Der Hund ist nicht im Garten, sondern auf der Straße.').language).toBe('de');
+    });
+
+    test('Returns null for short or ambiguous text', () => {
+      expect(detectLanguage('Hello')).toBeNull();
+      expect(detectLanguage('12345 67890 12345 67890')).toBeNull();
+    });
+  });
+
+  // Node Language Tests
+  describe('Node languages', () => {
+    beforeEach(() => {
+      document.documentElement.lang = 'en';
+      document.body.innerHTML = `
+        <p id="english">This paragraph is written in English and it is easy to read.</p>
+        <p id="french">Le chat est sur la table et il dort dans le soleil.</p>
+        <div lang="de"><p id="german">Short text</p></div>
+      `;
+    });
+
+    test('Prefers lang attributes, then detection, then the page language', () => {
+      const text = id => document.getElementById(id).textContent;
+      expect(resolveNodeLanguage(document.getElementById('german'), text('german'))).toBe('de');
+      expect(resolveNodeLanguage(document.getElementById('french'), text('french'))).toBe('fr');
+      expect(resolveNodeLanguage(document.getElementById('english'), text('english'))).toBe('en');
+    });
+  });
+
+  // Voice Selection Tests
+  describe('Voice selection', () => {
+    test('Uses the preferred voice, then exact and related language matches', () => {
+      expect(selectVoiceForLanguage(voices, 'fr', 'Français (Canada)').name).toBe('Français (Canada)');
+      expect(selectVoiceForLanguage(voices, 'fr-CA').name).toBe('Français (Canada)');
+      expect(selectVoiceForLanguage(voices, 'fr').name).toBe('Français');
+      expect(selectVoiceForLanguage(voices, 'de').name).toBe('Deutsch');
+      expect(selectVoiceForLanguage(voices, 'hi')).toBeNull();
+    });
+
+    test('Finds per-language preferences by exact tag or primary language', () => {
+      const languageVoices = { fr: { rate: 0.9 }, 'es-MX': { pitch: 1.2 } };
+      expect(getLanguagePreferences(languageVoices, 'fr-CA')).toEqual({ rate: 0.9 });
+      expect(getLanguagePreferences(languageVoices, 'es-mx')).toEqual({ pitch: 1.2 });
+      expect(getLanguagePreferences(languageVoices, 'es')).toBeNull();
+    });
+  });
+});
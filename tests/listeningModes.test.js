@@ -0,0 +1,160 @@
+import {
+  ListeningController,
+  stripWakePhrase,
+  describeListeningMode
+} from '../src/content/listeningModes';
+
+// A recognizer that records start and stop calls
+function createRecognition() {
+  return { start: jest.fn(), stop: jest.fn() };
+}
+
+const key = (init = {}) => ({ key: ' ', ctrlKey: true, altKey: false, shiftKey: false, metaKey: false, preventDefault: jest.fn(), ...init });
+
+describe('Listening Modes', () => {
+  let controller;
+  let recognition;
+  let onStop;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    controller = new ListeningController();
+    recognition = createRecognition();
+    onStop = jest.fn();
+    controller.attach(recognition, { onStop });
+  });
+
+  afterEach(() => {
+    controller.stop();
+    jest.useRealTimers();
+  });
+
+  // Wake Phrase Tests
+  describe('Wake phrase', () => {
+    test('Strips the wake phrase ignoring case and punctuation', () => {
+      expect(stripWakePhrase('Hey, Assistant. Scroll down', 'hey assistant')).toBe('Scroll down');
+      expect(stripWakePhrase('hey assistant', 'Hey Assistant')).toBe('');
+      expect(stripWakePhrase('scroll down', 'hey assistant')).toBeNull();
+      expect(stripWakePhrase('hey there assistant', 'hey assistant')).toBeNull();
+    });
+
+    test('Always on only acts on utterances after the wake phrase', () => {
+      controller.configure({ listeningMode: 'alwaysOn', triggerPhrase: 'Hey Assistant' });
+      controller.start();
+
+      expect(controller.filterAlternatives([{ transcript: 'scroll down', confidence: 0.9 }])).toEqual([]);
+      expect(controller.filterAlternatives([
+        { transcript: 'hey assistant scroll down', confidence: 0.9 },
+        { transcript: 'hay a system scroll down', confidence: 0.4 }
+      ])).toEqual([{ transcript: 'scroll down', confidence: 0.9 }]);
+
+      // The wake phrase alone wakes the next utterance only
+      expect(controller.filterAlternatives([{ transcript: 'Hey assistant.', confidence: 0.9 }])).toEqual([]);
+      expect(controller.filterAlternatives([{ transcript: 'go back', confidence: 0.8 }])).toEqual([{ transcript: 'go back', confidence: 0.8 }]);
+      expect(controller.filterAlternatives([{ transcript: 'go back', confidence: 0.8 }])).toEqual([]);
+
+      controller.configure({ listeningMode: 'alwaysOn', triggerPhrase: '' });
+      expect(controller.filterAlternatives([{ transcript: 'go back', confidence: 0.8 }])).toHaveLength(1);
+    });
+  });
+
+  // Restart Tests
+  describe('Restarting', () => {
+    test('Restarts recognition when it ends until listening is stopped', () => {
+      controller.configure({ listeningMode: 'alwaysOn' });
+      controller.start();
+      expect(recognition.start).toHaveBeenCalledTimes(1);
+
+      jest.advanceTimersByTime(5000);
+      expect(controller.handleEnd()).toBe(true);
+      jest.advanceTimersByTime(250);
+      expect(recognition.start).toHaveBeenCalledTimes(2);
+
+      controller.stop();
+      expect(recognition.stop).toHaveBeenCalled();
+      expect(controller.handleEnd()).toBe(false);
+      jest.runOnlyPendingTimers();
+      expect(recognition.start).toHaveBeenCalledTimes(2);
+    });
+
+    test('Starts again after stopping without an end event', () => {
+      controller.start();
+      controller.stop();
+      controller.start();
+      expect(recognition.start).toHaveBeenCalledTimes(2);
+      controller.stop();
+
+      // Settings changes replace the recognizer before its onend arrives
+      const replacement = createRecognition();
+      controller.attach(replacement, { onStop });
+      controller.start();
+      expect(replacement.start).toHaveBeenCalledTimes(1);
+      expect(controller.getStatus().listening).toBe(true);
+    });
+
+    test('Gives up on errors restarting cannot fix and on repeated quick failures', () => {
+      controller.start();
+      controller.handleError('no-speech');
+      expect(controller.isActive()).toBe(true);
+      controller.handleError('not-allowed');
+      expect(controller.isActive()).toBe(false);
+      expect(onStop).toHaveBeenCalledWith('not-allowed');
+      expect(controller.handleEnd()).toBe(false);
+
+      controller.start();
+      for (let attempt = 0; attempt < 5; attempt++) {
+        expect(controller.handleEnd()).toBe(true);
+        jest.runOnlyPendingTimers();
+      }
+      expect(controller.handleEnd()).toBe(false);
+      expect(onStop).toHaveBeenLastCalledWith('restart-failed');
+    });
+  });
+
+  // Push-to-Talk Tests
+  describe('Push to talk', () => {
+    test('Listens only while the key is held', () => {
+      controller.configure({ listeningMode: 'pushToTalk', pushToTalkKey: 'Ctrl+Space' });
+      controller.start();
+      expect(recognition.start).not.toHaveBeenCalled();
+      expect(controller.getStatus()).toMatchObject({ active: true, waitingForKey: true, description: 'Push to talk: hold Ctrl+Space' });
+
+      expect(controller.handleKeyDown(key({ ctrlKey: false }))).toBe(false);
+      const press = key();
+      expect(controller.handleKeyDown(press)).toBe(true);
+      expect(press.preventDefault).toHaveBeenCalled();
+      controller.handleKeyDown(key({ repeat: true }));
+      expect(recognition.start).toHaveBeenCalledTimes(1);
+
+      // Held past the end of a recognition session
+      jest.advanceTimersByTime(2000);
+      expect(controller.handleEnd()).toBe(true);
+      jest.runOnlyPendingTimers();
+      expect(recognition.start).toHaveBeenCalledTimes(2);
+
+      expect(controller.handleKeyUp(key({ key: 'Control', ctrlKey: false }))).toBe(true);
+      expect(recognition.stop).toHaveBeenCalledTimes(1);
+      expect(controller.handleEnd()).toBe(false);
+      expect(controller.isActive()).toBe(true);
+    });
+  });
+
+  // Timed Session Tests
+  describe('Timed sessions', () => {
+    test('Stops after the timeout without speech', () => {
+      controller.configure({ listeningMode: 'timed', recognitionTimeout: 10 });
+      expect(describeListeningMode({ listeningMode: 'timed', recognitionTimeout: 10 })).toBe('Timed session: stops after 10 seconds of silence');
+      controller.start();
+
+      jest.advanceTimersByTime(8000);
+      controller.noteSpeech();
+      jest.advanceTimersByTime(8000);
+      expect(controller.isActive()).toBe(true);
+
+      jest.advanceTimersByTime(2000);
+      expect(controller.isActive()).toBe(false);
+      expect(recognition.stop).toHaveBeenCalled();
+      expect(onStop).toHaveBeenCalledWith('timeout');
+    });
+  });
+});
@@ -0,0 +1,155 @@
+import { ListeningQueue, PLAYBACK_STATUS } from '../src/background/listeningQueue';
+
+// Speaker that finishes blocks only when the test says so
+class FakeSpeaker {
+  constructor() {
+    this.spoken = [];
+    this.pending = null;
+    this.paused = false;
+  }
+
+  speak(text, onDone) {
+    this.spoken.push(text);
+    this.pending = onDone;
+  }
+
+  finish() {
+    const onDone = this.pending;
+    this.pending = null;
+    onDone(true);
+  }
+
+  pause() {
+    this.paused = true;
+  }
+
+  resume() {
+    this.paused = false;
+  }
+
+  stop() {
+    this.pending = null;
+  }
+}
+
+const ARTICLES = [
+  { url: 'https://news.example/one', title: 'One', blocks: ['One a', 'One b'] },
+  { url: 'https://blog.example/two', title: 'Two', blocks: ['Two a', 'Two b', 'Two c'] },
+  { url: 'https://docs.example/three', title: 'Three', blocks: ['Three a'] }
+];
+
+// Let queued promise callbacks run
+const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('Listening Queue', () => {
+  let storage;
+  let speaker;
+  let queue;
+
+  const addAll = async () => {
+    for (const article of ARTICLES) {
+      await queue.add(article);
+    }
+  };
+
+  beforeEach(() => {
+    storage = {};
+    chrome.storage.local.get.mockImplementation(keys => Promise.resolve(
+      Object.fromEntries(keys.filter(key => key in storage).map(key => [key, storage[key]]))
+    ));
+    chrome.storage.local.set.mockImplementation(items => {
+      Object.assign(storage, JSON.parse(JSON.stringify(items)));
+      return Promise.resolve();
+    });
+    speaker = new FakeSpeaker();
+    queue = new ListeningQueue(speaker);
+  });
+
+  // Queue Tests
+  describe('Queue', () => {
+    test('Adds pages once and rejects pages without readable text', async () => {
+      await addAll();
+      await queue.add(ARTICLES[0]);
+
+      const { items } = queue.getSummary();
+      expect(items.map(item => item.title)).toEqual(['One', 'Two', 'Three']);
+      expect(items[1]).toMatchObject({ position: 0, length: 3, progress: 0 });
+      await expect(queue.add({ url: 'https://empty.example', blocks: [] })).rejects.toThrow('No readable content found on this page');
+    });
+
+    test('Reorders articles and keeps the current one current', async () => {
+      await addAll();
+      await queue.play(1);
+      const [, two, three] = queue.getSummary().items;
+
+      await queue.move(three.id, 0);
+      expect(queue.getSummary().items.map(item => item.title)).toEqual(['Three', 'One', 'Two']);
+      expect(queue.getSummary().current.id).toBe(two.id);
+    });
+  });
+
+  // Playback Tests
+  describe('Playback', () => {
+    test('Plays each block and article in turn, then stops', async () => {
+      await addAll();
+      await queue.play();
+
+      for (let i = 0; i < 6; i++) {
+        speaker.finish();
+        await settle();
+      }
+
+      expect(speaker.spoken).toEqual(['One a', 'One b', 'Two a', 'Two b', 'Two c', 'Three a']);
+      expect(queue.getSummary()).toMatchObject({ status: PLAYBACK_STATUS.STOPPED, currentIndex: 2 });
+      expect(queue.getSummary().items.every(item => item.progress === 100)).toBe(true);
+    });
+
+    test('Skips between articles and resumes each where it stopped', async () => {
+      await addAll();
+      await queue.play();
+      speaker.finish();
+      await settle();
+
+      await queue.next();
+      expect(speaker.spoken).toEqual(['One a', 'One b', 'Two a']);
+
+      await queue.previous();
+      expect(speaker.spoken[3]).toBe('One b');
+      await expect(queue.previous()).rejects.toThrow('This is the first article in the queue');
+    });
+
+    test('Pauses part-way through a block and removing the current article moves on', async () => {
+      await addAll();
+      await queue.play();
+      await queue.pause();
+      expect(speaker.paused).toBe(true);
+      expect(queue.getSummary().status).toBe(PLAYBACK_STATUS.PAUSED);
+
+      await queue.resume();
+      expect(speaker.paused).toBe(false);
+      expect(speaker.spoken).toEqual(['One a']);
+
+      await queue.remove(queue.getSummary().current.id);
+      expect(speaker.spoken).toEqual(['One a', 'Two a']);
+      expect(queue.getSummary().items).toHaveLength(2);
+    });
+  });
+
+  // Persistence Tests
+  describe('Persistence', () => {
+    test('Restores order and positions, paused, after a restart', async () => {
+      await addAll();
+      await queue.play(1);
+      speaker.finish();
+      await settle();
+
+      const restored = new ListeningQueue(new FakeSpeaker());
+      await restored.load();
+      expect(restored.getSummary()).toMatchObject({ currentIndex: 1, status: PLAYBACK_STATUS.PAUSED });
+      expect(restored.getSummary().current).toMatchObject({ title: 'Two', position: 1 });
+
+      await restored.resume();
+      expect(restored.speaker.spoken).toEqual(['Two b']);
+    });
+  });
+});
@@ -0,0 +1,141 @@
+import {
+  latexToSpeech,
+  mathmlToSpeech,
+  getTextWithMath,
+  MathExplorer,
+  parseLatex,
+  enableMathExploration,
+  disableMathExploration
+} from '../src/content/mathSpeech';
+
+const QUADRATIC_MATHML = `
+  <math>
+    <mi>x</mi><mo>=</mo>
+    <mfrac>
+      <mrow><mo>-</mo><mi>b</mi><mo>±</mo><msqrt><msup><mi>b</mi><mn>2</mn></msup><mo>-</mo><mn>4</mn><mi>a</mi><mi>c</mi></msqrt></mrow>
+      <mrow><mn>2</mn><mi>a</mi></mrow>
+    </mfrac>
+  </math>
+`;
+
+describe('Math Speech', () => {
+  // MathML Tests
+  describe('MathML', () => {
+    test('Speaks fractions, roots and powers briefly and verbosely', () => {
+      document.body.innerHTML = QUADRATIC_MATHML;
+      const math = document.querySelector('math');
+
+      expect(mathmlToSpeech(math)).toBe(
+        'x equals start fraction minus b plus or minus the square root of b squared minus 4 a c, end root over 2 a, end fraction'
+      );
+      expect(mathmlToSpeech(math, { verbosity: 'verbose' })).toBe(
+        'x equals the fraction with numerator minus b plus or minus the square root of b superscript 2, end superscript minus 4 a c, end root and denominator 2 a, end fraction'
+      );
+    });
+
+    test('Falls back to the TeX annotation when there is no presentation markup', () => {
+      document.body.innerHTML = `
+        <math><semantics><annotation encoding="application/x-tex">\\frac{a}{b}</annotation></semantics></math>
+      `;
+      expect(mathmlToSpeech(document.querySelector('math'))).toBe('a over b');
+    });
+  });
+
+  // LaTeX Tests
+  describe('LaTeX', () => {
+    test('Speaks large operators with their limits', () => {
+      expect(latexToSpeech('\\sum_{i=1}^{n} i^2')).toBe('the sum from i equals 1 to n of i squared');
+      expect(latexToSpeech('\\int_0^1 x\\,dx')).toBe('the integral from 0 to 1 of x d x');
+      expect(latexToSpeech('\\lim_{x \\to 0} \\frac{\\sin x}{x}')).toBe(
+        'the limit as x approaches 0 of start fraction sine x over x, end fraction'
+      );
+    });
+
+    test('Speaks roots, absolute values, text and matrices', () => {
+      expect(latexToSpeech('\\sqrt[3]{8} = 2')).toBe('the cube root of 8 equals 2');
+      expect(latexToSpeech('\\left| x \\right| \\ge 0 \\text{ for all } x')).toBe(
+        'the absolute value of x is greater than or equal to 0 for all x'
+      );
+      expect(latexToSpeech('\\begin{pmatrix} a & b \\\\ c & d \\end{pmatrix}')).toBe(
+        'the 2 by 2 matrix; row 1: a, b; row 2: c, d'
+      );
+    });
+  });
+
+  // Page Text Tests
+  describe('Page text', () => {
+    test('Reads KaTeX and MathJax formulas once, from their math source', () => {
+      document.body.innerHTML = `
+        <p id="katex">Energy is <span class="katex"><span class="katex-mathml"><math><semantics><mrow><mi>E</mi><mo>=</mo><mi>m</mi><msup><mi>c</mi><mn>2</mn></msup></mrow><annotation encoding="application/x-tex">E=mc^2</annotation></semantics></math></span><span class="katex-html" aria-hidden="true">E=mc2</span></span>.</p>
+        <p id="mathjax">Area <span class="MathJax">πr2</span><script type="math/tex">\\pi r^2</script> here.</p>
+      `;
+      expect(getTextWithMath(document.getElementById('katex'))).toBe('Energy is E equals m c squared.');
+      expect(getTextWithMath(document.getElementById('mathjax'))).toBe('Area pi r squared here.');
+    });
+  });
+
+  // Exploration Tests
+  describe('Exploration', () => {
+    afterEach(() => {
+      disableMathExploration();
+    });
+
+    test('Steps into and across the parts of an expression', () => {
+      const explorer = new MathExplorer(parseLatex('\\frac{x^2}{y} + 1'));
+
+      expect(explorer.down()).toBe('term 1, start fraction x squared over y, end fraction');
+      expect(explorer.down()).toBe('numerator, x squared');
+      expect(explorer.next()).toBe('denominator, y');
+      expect(explorer.next()).toBe('Last part');
+      expect(explorer.previous()).toBe('numerator, x squared');
+      expect(explorer.down()).toBe('base, x');
+      expect(explorer.down()).toBe('No smaller part');
+      expect(explorer.up()).toBe('numerator, x squared');
+      expect(explorer.reset()).toBe('start fraction x squared over y, end fraction plus 1');
+    });
+
+    test('Makes formulas focusable and explores them with the arrow keys', () => {
+      document.body.innerHTML = `
+        <p>Ratio <span class="katex" id="ratio"><span class="katex-mathml"><math><mfrac><mi>a</mi><mi>b</mi></mfrac></math></span></span></p>
+      `;
+      const speak = jest.fn();
+      enableMathExploration(speak);
+
+      const math = document.getElementById('ratio');
+      expect(math.getAttribute('tabindex')).toBe('0');
+      expect(math.getAttribute('role')).toBe('math');
+      expect(math.getAttribute('aria-label')).toBe('a over b');
+
+      math.focus();
+      expect(speak).toHaveBeenLastCalledWith('a over b');
+
+      const event = new KeyboardEvent('keydown', { key: 'ArrowDown', bubbles: true, cancelable: true });
+      math.dispatchEvent(event);
+      expect(event.defaultPrevented).toBe(true);
+      expect(speak).toHaveBeenLastCalledWith('numerator, a');
+
+      disableMathExploration();
+      expect(math.hasAttribute('tabindex')).toBe(false);
+    });
+
+    test('Makes formulas rendered later explorable', async () => {
+      jest.useFakeTimers();
+      document.body.innerHTML = '<p id="text">Loading</p>';
+      enableMathExploration(jest.fn());
+
+      // MathJax replaces the TeX source after the page loads
+      document.getElementById('text').innerHTML = '<mjx-container id="later"><math><msqrt><mi>x</mi></msqrt></math></mjx-container>';
+      await Promise.resolve();
+      jest.advanceTimersByTime(250);
+      const math = document.getElementById('later');
+      expect(math.getAttribute('tabindex')).toBe('0');
+
+      disableMathExploration();
+      document.body.insertAdjacentHTML('beforeend', '<mjx-container id="after"><math><mi>y</mi></math></mjx-container>');
+      await Promise.resolve();
+      jest.runOnlyPendingTimers();
+      expect(document.getElementById('after').hasAttribute('tabindex')).toBe(false);
+      jest.useRealTimers();
+    });
+  });
+});
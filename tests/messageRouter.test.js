@@ -0,0 +1,129 @@
+import {
+  registerAction,
+  unregisterAction,
+  routeMessage,
+  handleRuntimeMessage,
+  validatePayload,
+  MessageRouterError,
+  ROUTER_ERRORS
+} from '../src/background/messageRouter';
+import { forwardToActiveTab } from '../src/background/messageHandlers';
+
+describe('Message Router', () => {
+  afterEach(() => {
+    ['echo', 'failing', 'typedError'].forEach(unregisterAction);
+  });
+
+  // Registration Tests
+  describe('Registration', () => {
+    test('Rejects duplicate actions', () => {
+      registerAction('echo', { handler: payload => payload });
+      expect(() => registerAction('echo', { handler: () => {} })).toThrow('already registered');
+    });
+
+    test('Rejects unknown payload types', () => {
+      expect(() => registerAction('echo', {
+        payload: { value: { type: 'date' } },
+        handler: () => {}
+      })).toThrow('Unsupported payload type');
+    });
+  });
+
+  // Core Functionality Tests
+  describe('Core Functionality', () => {
+    test('Routes messages to async handlers', async () => {
+      registerAction('echo', {
+        payload: { text: { type: 'string', required: true } },
+        handler: async ({ text }) => ({ data: text.toUpperCase() })
+      });
+
+      const response = await routeMessage({ action: 'echo', text: 'hello' });
+      expect(response).toEqual({ success: true, data: 'HELLO' });
+    });
+
+    test('Returns a structured error for unknown actions', async () => {
+      const response = await routeMessage({ action: 'doesNotExist' });
+      expect(response.success).toBe(false);
+      expect(response.error.code).toBe(ROUTER_ERRORS.UNKNOWN_ACTION);
+    });
+
+    test('Validates payloads before calling the handler', async () => {
+      const handler = jest.fn();
+      registerAction('echo', {
+        payload: {
+          text: { type: 'string', required: true },
+          loud: { type: 'boolean' }
+        },
+        handler
+      });
+
+      const response = await routeMessage({ action: 'echo', loud: 'yes' });
+      expect(handler).not.toHaveBeenCalled();
+      expect(response.error.code).toBe(ROUTER_ERRORS.INVALID_PAYLOAD);
+      expect(response.error.details).toHaveLength(2);
+    });
+
+    test('Reports handler failures', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      registerAction('failing', {
+        handler: () => { throw new Error('boom'); }
+      });
+      registerAction('typedError', {
+        handler: () => { throw new MessageRouterError('NOT_FOUND', 'Missing'); }
+      });
+
+      const failing = await routeMessage({ action: 'failing' });
+      expect(failing.error).toEqual({ code: ROUTER_ERRORS.HANDLER_FAILED, message: 'boom', details: null });
+
+      const typed = await routeMessage({ action: 'typedError' });
+      expect(typed.error.code).toBe('NOT_FOUND');
+      console.error.mockRestore();
+    });
+
+    test('Keeps the runtime channel open and responds asynchronously', async () => {
+      registerAction('echo', { handler: () => ({ data: 1 }) });
+      const sendResponse = jest.fn();
+
+      expect(handleRuntimeMessage({ action: 'echo' }, {}, sendResponse)).toBe(true);
+      await new Promise(resolve => setTimeout(resolve, 0));
+      expect(sendResponse).toHaveBeenCalledWith({ success: true, data: 1 });
+    });
+
+    test('Ignores content script messages without an action', () => {
+      expect(handleRuntimeMessage({ type: 'featureUpdate' }, {}, jest.fn())).toBe(false);
+    });
+
+    test('Treats arrays and objects as distinct payload types', () => {
+      expect(validatePayload({ list: { type: 'array' } }, { list: {} })).toHaveLength(1);
+      expect(validatePayload({ list: { type: 'object' } }, { list: {} })).toHaveLength(0);
+    });
+  });
+
+  // Forwarding Tests
+  describe('Forwarding', () => {
+    beforeEach(() => {
+      chrome.tabs = {
+        query: jest.fn().mockResolvedValue([{ id: 7 }]),
+        sendMessage: jest.fn().mockResolvedValue({ success: true })
+      };
+    });
+
+    afterEach(() => {
+      delete chrome.tabs;
+    });
+
+    test('Forwards actions to the active tab', async () => {
+      await expect(forwardToActiveTab('readSelection', 'Reading selection', { text: 'Hi' }))
+        .resolves.toEqual({ message: 'Reading selection' });
+      expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(7, { text: 'Hi', type: 'action', action: 'readSelection' });
+    });
+
+    test('Reports actions the content script failed to run', async () => {
+      chrome.tabs.sendMessage.mockResolvedValue({ success: false, error: 'Nothing selected' });
+      await expect(forwardToActiveTab('readSelection', 'Reading selection')).rejects.toMatchObject({
+        code: ROUTER_ERRORS.HANDLER_FAILED,
+        message: 'Nothing selected'
+      });
+    });
+  });
+});
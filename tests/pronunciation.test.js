@@ -0,0 +1,94 @@
+import {
+  setPronunciationDictionary,
+  applyPronunciations,
+  transformForSpeech,
+  validatePronunciationEntry,
+  exportPronunciations,
+  importPronunciations
+} from '../src/content/pronunciation';
+
+const NO_PACKS = { abbreviations: false, units: false, acronyms: false };
+
+describe('Pronunciation Dictionary', () => {
+  beforeEach(() => {
+    setPronunciationDictionary({ entries: [], packs: NO_PACKS }, { origin: 'https://docs.example.com', language: 'en-US' });
+  });
+
+  // Rule Tests
+  describe('Applying entries', () => {
+    test('Replaces literal words only at word boundaries', () => {
+      setPronunciationDictionary({
+        entries: [{ match: 'nginx', replacement: 'engine x' }],
+        packs: NO_PACKS
+      }, { language: 'en' });
+
+      expect(applyPronunciations('Nginx and nginxconf')).toBe('engine x and nginxconf');
+    });
+
+    test('Applies regular expressions with captured groups', () => {
+      setPronunciationDictionary({
+        entries: [{ match: 'v(\\d+)', replacement: 'version $1', type: 'regex' }],
+        packs: NO_PACKS
+      }, { language: 'en' });
+
+      expect(applyPronunciations('Upgrade to v12')).toBe('Upgrade to version 12');
+    });
+
+    test('Honors language and site scopes, most specific first', () => {
+      setPronunciationDictionary({
+        entries: [
+          { match: 'GIF', replacement: 'jif', scope: 'global' },
+          { match: 'GIF', replacement: 'graphic', scope: 'site', site: 'example.com' },
+          { match: 'chat', replacement: 'shah', scope: 'language', language: 'fr' }
+        ],
+        packs: NO_PACKS
+      }, { origin: 'https://docs.example.com', language: 'en-US' });
+
+      expect(applyPronunciations('A GIF chat')).toBe('A graphic chat');
+      expect(applyPronunciations('le chat', { language: 'fr-FR' })).toBe('le shah');
+    });
+
+    test('Applies built-in packs to English text', () => {
+      setPronunciationDictionary({ entries: [] }, { language: 'en-GB' });
+
+      expect(applyPronunciations('Dr. Lee ran 5 km, e.g. to the FAQ'))
+        .toBe('Doctor Lee ran 5 kilometers, for example to the F A Q');
+      expect(applyPronunciations('Dr. Lee ran 5 km', { language: 'de' })).toBe('Dr. Lee ran 5 km');
+    });
+
+    test('Maps spoken positions back to the original text', () => {
+      setPronunciationDictionary({
+        entries: [{ match: 'km', replacement: 'kilometers' }],
+        packs: NO_PACKS
+      }, { language: 'en' });
+
+      const spoken = transformForSpeech('Walk 3 km today');
+      expect(spoken.text).toBe('Walk 3 kilometers today');
+      expect(spoken.changed).toBe(true);
+      expect(spoken.toSourceIndex(spoken.text.indexOf('today'))).toBe(10);
+      expect(spoken.toSourceIndex(spoken.text.indexOf('meters'))).toBe(7);
+    });
+  });
+
+  // Validation Tests
+  describe('Validation and import/export', () => {
+    test('Rejects invalid entries', () => {
+      expect(validatePronunciationEntry({ match: '', replacement: 'x' })).toMatch(/text to match/);
+      expect(validatePronunciationEntry({ match: '(', replacement: 'x', type: 'regex' })).toMatch(/Invalid regular expression/);
+      expect(validatePronunciationEntry({ match: 'a', replacement: 'b', scope: 'site' })).toMatch(/site/);
+      expect(validatePronunciationEntry({ match: 'a', replacement: 'b' })).toBeNull();
+    });
+
+    test('Round-trips exported entries and skips invalid ones', () => {
+      const exported = exportPronunciations([{ id: 'one', match: 'SQL', replacement: 'sequel', type: 'literal', scope: 'global' }]);
+      const data = JSON.parse(exported);
+      data.entries.push({ match: '[', replacement: 'x', type: 'regex' });
+
+      const { entries, rejected } = importPronunciations(JSON.stringify(data));
+      expect(entries).toHaveLength(1);
+      expect(entries[0]).toMatchObject({ id: 'one', match: 'SQL', replacement: 'sequel' });
+      expect(rejected).toBe(1);
+      expect(() => importPronunciations('{"foo": 1}')).toThrow('pronunciation entries');
+    });
+  });
+});
@@ -0,0 +1,101 @@
+import {
+  getSelectedText,
+  findReadingStart,
+  trackContextTarget,
+  untrackContextTarget,
+  getContextTarget,
+  getHoverText,
+  enableHoverToSpeak,
+  disableHoverToSpeak
+} from '../src/content/readingModes';
+
+describe('Reading Modes', () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <h1 id="title">Title</h1>
+      <p id="first">First <a id="link" href="#">paragraph</a></p>
+      <div id="aside"><span id="note">Note</span></div>
+      <p id="second">Second paragraph</p>
+      <button id="save"><img src="save.png" alt="Save file"></button>
+      <button id="long">${'word '.repeat(40)}</button>
+    `;
+  });
+
+  // Selection Tests
+  describe('Read selection', () => {
+    test('Reads the page selection', () => {
+      const range = document.createRange();
+      range.selectNodeContents(document.getElementById('second'));
+      window.getSelection().removeAllRanges();
+      window.getSelection().addRange(range);
+
+      expect(getSelectedText()).toBe('Second paragraph');
+      window.getSelection().removeAllRanges();
+    });
+
+    test('Reads a selection inside a text field', () => {
+      const textarea = document.createElement('textarea');
+      textarea.value = 'Type here please';
+      document.body.appendChild(textarea);
+      textarea.focus();
+      textarea.setSelectionRange(5, 9);
+
+      expect(getSelectedText()).toBe('here');
+    });
+  });
+
+  // Read From Here Tests
+  describe('Read from here', () => {
+    test('Starts at the node containing the element, in document order', () => {
+      const nodes = ['second', 'title', 'first'].map(id => document.getElementById(id));
+      const { nodes: ordered, index } = findReadingStart(nodes, document.getElementById('link'));
+
+      expect(ordered.map(node => node.id)).toEqual(['title', 'first', 'second']);
+      expect(index).toBe(1);
+    });
+
+    test('Starts at the next node when the element is between nodes', () => {
+      const nodes = ['title', 'first', 'second'].map(id => document.getElementById(id));
+      expect(findReadingStart(nodes, document.getElementById('note')).index).toBe(2);
+      expect(findReadingStart(nodes, document.getElementById('save')).index).toBe(-1);
+    });
+
+    test('Remembers the context menu target', () => {
+      trackContextTarget();
+      document.getElementById('note').dispatchEvent(new MouseEvent('contextmenu', { bubbles: true }));
+      expect(getContextTarget().id).toBe('note');
+      untrackContextTarget();
+      expect(getContextTarget()).toBeNull();
+    });
+  });
+
+  // Hover Tests
+  describe('Hover to speak', () => {
+    test('Uses the accessible name of controls', () => {
+      expect(getHoverText(document.getElementById('save'))).toBe('Save file');
+      expect(getHoverText(document.getElementById('link'))).toBe('paragraph');
+      expect(getHoverText(document.getElementById('long'))).toBe('');
+    });
+
+    test('Speaks once the pointer settles on a control', () => {
+      jest.useFakeTimers();
+      const speak = jest.fn();
+      enableHoverToSpeak(speak, 300);
+
+      // Crossing a control quickly does not speak it
+      const link = document.getElementById('link');
+      link.dispatchEvent(new MouseEvent('mouseover', { bubbles: true }));
+      link.dispatchEvent(new MouseEvent('mouseout', { bubbles: true, relatedTarget: document.body }));
+      jest.advanceTimersByTime(500);
+      expect(speak).not.toHaveBeenCalled();
+
+      // The image inside the button resolves to the button
+      document.querySelector('#save img').dispatchEvent(new MouseEvent('mouseover', { bubbles: true }));
+      jest.advanceTimersByTime(300);
+      expect(speak).toHaveBeenCalledWith('Save file', document.getElementById('save'));
+
+      disableHoverToSpeak();
+      jest.useRealTimers();
+    });
+  });
+});
@@ -0,0 +1,141 @@
+import {
+  normalizePageUrl,
+  saveReadingPosition,
+  loadReadingPosition,
+  clearReadingPosition,
+  listReadingPositions,
+  trackReadingPosition,
+  flushReadingPosition,
+  resolveReadingPosition,
+  showResumePrompt,
+  hideResumePrompt,
+  MAX_SAVED_POSITIONS
+} from '../src/content/readingPosition';
+import { getReadingProgress } from '../src/content/memoryAid';
+
+const ARTICLE_URL = 'https://example.com/article';
+
+const ARTICLE = `
+  <article>
+    <h1>Saving energy</h1>
+    <p>Turn off lights when you leave a room.</p>
+    <p>Unplug chargers that are not in use, because they draw power all day.</p>
+    <p>Wash clothes in cold water.</p>
+  </article>
+`;
+
+describe('Reading Position', () => {
+  let storage;
+
+  const paragraphs = () => Array.from(document.querySelectorAll('h1, p'));
+
+  beforeEach(() => {
+    storage = {};
+    chrome.storage.local.get.mockImplementation(keys => Promise.resolve(
+      Object.fromEntries(keys.filter(key => key in storage).map(key => [key, storage[key]]))
+    ));
+    chrome.storage.local.set.mockImplementation(items => {
+      Object.assign(storage, JSON.parse(JSON.stringify(items)));
+      return Promise.resolve();
+    });
+    document.body.innerHTML = ARTICLE;
+  });
+
+  afterEach(() => {
+    hideResumePrompt();
+  });
+
+  // Storage Tests
+  describe('Storage', () => {
+    test('Saves a position per article, ignoring fragments and tracking parameters', async () => {
+      const nodes = paragraphs();
+      const saved = await saveReadingPosition({
+        node: nodes[2],
+        nodeIndex: 2,
+        nodeCount: nodes.length,
+        textOffset: 37,
+        url: `${ARTICLE_URL}?utm_source=mail#comments`,
+        title: 'Saving energy'
+      });
+
+      expect(normalizePageUrl(`${ARTICLE_URL}?id=4&fbclid=abc`)).toBe(`${ARTICLE_URL}?id=4`);
+      expect(saved).toMatchObject({ url: ARTICLE_URL, progress: 50, textContext: 'because they draw power all da' });
+      expect(await loadReadingPosition(ARTICLE_URL)).toMatchObject({ nodeIndex: 2, textOffset: 37 });
+
+      await clearReadingPosition(`${ARTICLE_URL}#top`);
+      expect(await loadReadingPosition(ARTICLE_URL)).toBeNull();
+    });
+
+    test('Lists articles newest first and keeps only the most recent', async () => {
+      const node = paragraphs()[1];
+      const now = Date.now();
+      const dateNow = jest.spyOn(Date, 'now');
+      for (let i = 0; i <= MAX_SAVED_POSITIONS; i++) {
+        dateNow.mockReturnValue(now + i);
+        await saveReadingPosition({ node, nodeIndex: 1, nodeCount: 4, url: `${ARTICLE_URL}/${i}`, title: `Article ${i}` });
+      }
+      dateNow.mockRestore();
+
+      const entries = await listReadingPositions();
+      expect(entries).toHaveLength(MAX_SAVED_POSITIONS);
+      expect(entries[0].title).toBe(`Article ${MAX_SAVED_POSITIONS}`);
+      expect(entries.some(entry => entry.title === 'Article 0')).toBe(false);
+    });
+
+    test('Writes the latest tracked position and shares progress with the memory aid', async () => {
+      chrome.storage.local.set.mockClear();
+      const nodes = paragraphs();
+      trackReadingPosition({ node: nodes[1], nodeIndex: 1, nodeCount: 4 });
+      trackReadingPosition({ node: nodes[3], nodeIndex: 3, nodeCount: 4, textOffset: 5 });
+      expect(chrome.storage.local.set).not.toHaveBeenCalled();
+
+      await flushReadingPosition();
+      expect(chrome.storage.local.set).toHaveBeenCalledTimes(1);
+      expect(await loadReadingPosition()).toMatchObject({ nodeIndex: 3, textOffset: 5, textContext: 'clothes in cold water.' });
+      expect(getReadingProgress()).toBe(75);
+    });
+  });
+
+  // Resolving Tests
+  describe('Resolving', () => {
+    test('Finds the paragraph again after content is inserted above it', async () => {
+      const entry = await saveReadingPosition({
+        node: paragraphs()[2], nodeIndex: 2, nodeCount: 4, textOffset: 37, url: ARTICLE_URL
+      });
+
+      document.querySelector('article').insertAdjacentHTML('afterbegin', '<p>Advertisement</p><p>Subscribe today</p>');
+      const nodes = paragraphs();
+      expect(resolveReadingPosition(entry, nodes)).toEqual({ index: 4, textOffset: 37 });
+    });
+
+    test('Re-anchors the offset on lightly edited text and gives up on removed text', async () => {
+      const entry = await saveReadingPosition({
+        node: paragraphs()[2], nodeIndex: 2, nodeCount: 4, textOffset: 37, url: ARTICLE_URL
+      });
+
+      paragraphs()[2].textContent = 'Unplug chargers that are not in use (even phones), because they draw power all day.';
+      expect(resolveReadingPosition(entry, paragraphs())).toEqual({ index: 2, textOffset: 51 });
+
+      document.body.innerHTML = '<article><h1>Other</h1><p>Different text.</p><p>More.</p></article>';
+      expect(resolveReadingPosition(entry, paragraphs())).toBeNull();
+    });
+  });
+
+  // Prompt Tests
+  describe('Resume prompt', () => {
+    test('Asks to resume and reports the choice', () => {
+      const onResume = jest.fn();
+      const onStartOver = jest.fn();
+      showResumePrompt({ progress: 40 }, { onResume, onStartOver });
+
+      const prompt = document.querySelector('.accessibility-resume-prompt');
+      expect(prompt.getAttribute('role')).toBe('dialog');
+      expect(prompt.textContent).toContain('Resume reading from where you left off? (40% read)');
+
+      prompt.querySelector('button').click();
+      expect(onResume).toHaveBeenCalledTimes(1);
+      expect(onStartOver).not.toHaveBeenCalled();
+      expect(document.querySelector('.accessibility-resume-prompt')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,62 @@
+import {
+  segmentSentences,
+  segmentWords,
+  getSentenceAt,
+  getWordAt,
+  spellWord
+} from '../src/content/sentenceNavigation';
+
+const TEXT = 'Dr. Smith arrived at 9 a.m. on Monday. Was she late? No! She was early.';
+
+describe('Sentence Navigation', () => {
+  // Sentence Tests
+  describe('Sentences', () => {
+    test('Splits text into sentences with their offsets', () => {
+      const sentences = segmentSentences('First one. Second one? Third!', 'en');
+      expect(sentences).toEqual([
+        { text: 'First one. ', index: 0 },
+        { text: 'Second one? ', index: 11 },
+        { text: 'Third!', index: 23 }
+      ]);
+    });
+
+    test('Keeps abbreviations and initials inside a sentence without Intl.Segmenter', () => {
+      const segmenter = Intl.Segmenter;
+      delete Intl.Segmenter;
+      try {
+        expect(segmentSentences(TEXT, 'en').map(sentence => sentence.text.trim())).toEqual([
+          'Dr. Smith arrived at 9 a.m. on Monday.',
+          'Was she late?',
+          'No!',
+          'She was early.'
+        ]);
+        expect(segmentWords("It's 5 o'clock.", 'en').map(word => word.text)).toEqual(["It's", '5', "o'clock"]);
+      } finally {
+        Intl.Segmenter = segmenter;
+      }
+    });
+
+    test('Finds the sentence around an offset', () => {
+      const text = 'First one. Second one? Third!';
+      expect(getSentenceAt(text, 14, 'en')).toMatchObject({ index: 1, start: 11, end: 23 });
+      expect(getSentenceAt(text, 100, 'en')).toMatchObject({ index: 2, start: 23, end: 29 });
+      expect(getSentenceAt('', 0, 'en')).toBeNull();
+    });
+  });
+
+  // Word Tests
+  describe('Words', () => {
+    test('Finds the word at an offset, skipping spaces and punctuation', () => {
+      const text = 'Hello, wide world.';
+      expect(segmentWords(text, 'en').map(word => word.text)).toEqual(['Hello', 'wide', 'world']);
+      expect(getWordAt(text, 8, 'en')).toEqual({ text: 'wide', index: 7 });
+      expect(getWordAt(text, 5, 'en')).toEqual({ text: 'wide', index: 7 });
+    });
+
+    test('Spells words letter by letter, naming capitals and symbols', () => {
+      expect(spellWord('Café')).toBe('capital C, a, f, é');
+      expect(spellWord("e-mail's")).toBe('e, dash, m, a, i, l, apostrophe, s');
+      expect(spellWord('R2')).toBe('capital R, 2');
+    });
+  });
+});
@@ -0,0 +1,106 @@
+import { resolveSiteSettings } from '../src/content/siteSettings';
+import { normalizeOrigin, normalizeSiteOverride } from '../src/background/siteSettings';
+import { fontSizeInPixels, getContrastColors, updateVisualEnhancements } from '../src/content/visualEnhancements';
+
+describe('Per-Site Settings', () => {
+  const profileState = {
+    activeFeatures: { tts: true, imageDescription: true },
+    userPreferences: {
+      visual: { fontSize: 100, contrastScheme: 'dark', highContrastMode: true },
+      cognitive: { simplificationLevel: 'moderate' }
+    }
+  };
+
+  // Origin Tests
+  describe('Origins', () => {
+    test('Normalizes URLs to their origin', () => {
+      expect(normalizeOrigin('https://example.com/path?q=1')).toBe('https://example.com');
+      expect(normalizeOrigin('http://localhost:8080/')).toBe('http://localhost:8080');
+    });
+
+    test('Rejects non-web URLs', () => {
+      expect(normalizeOrigin('chrome://extensions')).toBeNull();
+      expect(normalizeOrigin('not a url')).toBeNull();
+    });
+  });
+
+  // Override Validation Tests
+  describe('Override validation', () => {
+    test('Drops unknown fields and invalid values', () => {
+      expect(normalizeSiteOverride({
+        fontSize: 150,
+        contrastScheme: 'purple',
+        disabledFeatures: ['tts'],
+        simplificationLevel: 'strong',
+        extra: true
+      })).toEqual({
+        fontSize: 150,
+        disabledFeatures: ['tts'],
+        simplificationLevel: 'strong'
+      });
+    });
+  });
+
+  // Resolution Tests
+  describe('Resolution', () => {
+    test('Returns profile settings when there is no override', () => {
+      const resolved = resolveSiteSettings(profileState, null);
+
+      expect(resolved.activeFeatures).toEqual(profileState.activeFeatures);
+      expect(resolved.userPreferences.visual.fontSize).toBe(100);
+    });
+
+    test('Layers the override on top of the profile', () => {
+      const resolved = resolveSiteSettings(profileState, {
+        fontSize: 150,
+        contrastScheme: 'none',
+        disabledFeatures: ['imageDescription'],
+        simplificationLevel: 'strong'
+      });
+
+      expect(resolved.activeFeatures).toEqual({ tts: true, imageDescription: false });
+      expect(resolved.userPreferences.visual.fontSize).toBe(150);
+      expect(resolved.userPreferences.visual.fontAdjustments).toBe(true);
+      expect(resolved.userPreferences.visual.highContrastMode).toBe(false);
+      expect(resolved.userPreferences.cognitive.simplificationLevel).toBe('strong');
+      expect(profileState.userPreferences.visual.fontSize).toBe(100);
+    });
+
+    test('Ignores overrides when site-specific settings are off', () => {
+      const resolved = resolveSiteSettings({
+        ...profileState,
+        userPreferences: { ...profileState.userPreferences, general: { siteSpecific: false } }
+      }, { fontSize: 150 });
+
+      expect(resolved.userPreferences.visual.fontSize).toBe(100);
+    });
+  });
+
+  // Applied Settings Tests
+  describe('Applied settings', () => {
+    test('Turns font size percentages into pixels', () => {
+      expect(fontSizeInPixels(150)).toBe(24);
+      expect(fontSizeInPixels(100)).toBe(16);
+      expect(fontSizeInPixels('18px')).toBe(18);
+      expect(fontSizeInPixels(undefined)).toBe(16);
+    });
+
+    test('Applies the overridden contrast scheme', () => {
+      const resolved = resolveSiteSettings(profileState, { contrastScheme: 'yellow', fontSize: 150 });
+      const { visual } = resolved.userPreferences;
+      updateVisualEnhancements({
+        enabled: true,
+        highContrast: visual.highContrast,
+        contrastScheme: visual.contrastScheme,
+        fontAdjustments: visual.fontAdjustments,
+        fontSize: fontSizeInPixels(visual.fontSize)
+      });
+
+      expect(document.body.classList.contains('high-contrast-mode')).toBe(true);
+      expect(document.body.style.getPropertyValue('--contrast-text')).toBe('#ffff00');
+      expect(document.body.style.getPropertyValue('--base-font-size')).toBe('24px');
+      expect(getContrastColors('custom', { textColor: '#111111', backgroundColor: '#eeeeee', linkColor: '#0000ff' }))
+        .toEqual({ background: '#eeeeee', text: '#111111', link: '#0000ff' });
+    });
+  });
+});
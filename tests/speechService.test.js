@@ -0,0 +1,134 @@
+import {
+  SpeechService,
+  SpeechRequest,
+  MockSpeechEngine
+} from '../src/content/speechService';
+import { createSpeechSpeaker } from '../src/content/audioDescription';
+
+describe('Speech Service', () => {
+  let service;
+  let engine;
+
+  const spokenTexts = () => engine.spoken.map(utterance => utterance.text);
+
+  beforeEach(() => {
+    service = new SpeechService();
+    engine = new MockSpeechEngine();
+    service.registerEngine(engine);
+  });
+
+  // Engine Tests
+  describe('Engines', () => {
+    test('Uses the first available engine and rejects incomplete ones', () => {
+      expect(service.getEngineId()).toBe('mock');
+      expect(service.getVoices()[0].name).toBe('Mock Voice');
+      expect(() => service.registerEngine({ id: 'broken' })).toThrow('Speech engines must implement speak() and cancel()');
+      expect(service.useEngine('missing')).toBe(false);
+    });
+
+    test('Applies configured settings unless an utterance overrides them', () => {
+      service.configure({ rate: 1.5, pitch: 0.8, volume: 0.5 });
+      service.speak('One');
+      engine.finish();
+      service.speak('Two', { rate: 2 });
+
+      expect(engine.spoken[0]).toMatchObject({ text: 'One', rate: 1.5, pitch: 0.8, volume: 0.5 });
+      expect(engine.spoken[1]).toMatchObject({ text: 'Two', rate: 2, pitch: 0.8 });
+    });
+  });
+
+  // Queue Tests
+  describe('Priority queues', () => {
+    test('Speaks in order and lets low priority wait behind page reading', () => {
+      service.speak('First paragraph');
+      service.speak('New message', { priority: 'low', source: 'notification' });
+      service.speak('Second paragraph');
+
+      engine.finish();
+      engine.finish();
+      engine.finish();
+      expect(spokenTexts()).toEqual(['First paragraph', 'Second paragraph', 'New message']);
+      expect(service.isSpeaking()).toBe(false);
+    });
+
+    test('High priority interrupts and reading resumes from the last word', () => {
+      const reading = service.speak('The quick brown fox jumps');
+      const boundaries = [];
+      reading.addEventListener('boundary', event => boundaries.push(event.charIndex));
+
+      engine.advance(2);
+      service.speak('Alert', { priority: 'high' });
+      expect(spokenTexts()).toEqual(['The quick brown fox jumps', 'Alert']);
+
+      engine.finish();
+      expect(engine.spoken[2].text).toBe('quick brown fox jumps');
+
+      engine.advance(1);
+      expect(boundaries).toEqual([0, 4, 4]);
+      engine.finish();
+      expect(reading.state).toBe('done');
+    });
+  });
+
+  // Event Tests
+  describe('Events', () => {
+    test('Fires start, boundary and end to the utterance and to subscribers', () => {
+      const events = [];
+      service.on('start', ({ request }) => events.push(`start ${request.text}`));
+      const unsubscribe = service.on('end', ({ request }) => events.push(`end ${request.text}`));
+
+      const request = new SpeechRequest('Hello world');
+      request.addEventListener('boundary', event => events.push(`word ${event.charIndex}`));
+      service.enqueue(request);
+      engine.finish();
+
+      unsubscribe();
+      service.speak('Again');
+      engine.finish();
+
+      expect(events).toEqual(['start Hello world', 'word 0', 'word 6', 'end Hello world', 'start Again']);
+    });
+
+    test('Cancels by source, pauses the queue and reports cancelled utterances', () => {
+      const reading = service.speak('Page text');
+      const ended = jest.fn();
+      reading.addEventListener('end', ended);
+      service.speak('Queued alert', { priority: 'low', source: 'notification' });
+
+      service.cancel({ source: 'notification' });
+      service.pause();
+      expect(service.isPaused()).toBe(true);
+      expect(engine.paused).toBe(true);
+
+      service.cancel();
+      expect(ended.mock.calls[0][0].cancelled).toBe(true);
+      expect(service.isPaused()).toBe(false);
+      expect(spokenTexts()).toEqual(['Page text']);
+    });
+  });
+
+  // Audio Description Speaker Tests
+  describe('Audio description speaker', () => {
+    test('Speaks descriptions at high priority and stays quiet when cancelled', () => {
+      const onEnd = jest.fn();
+      const speaker = createSpeechSpeaker(() => ({ rate: 1.2 }), service);
+
+      service.speak('Page text');
+      speaker.speak('A door opens', onEnd);
+      expect(engine.spoken[1]).toMatchObject({ text: 'A door opens', rate: 1.2 });
+      engine.finish();
+      expect(onEnd).toHaveBeenCalledTimes(1);
+
+      speaker.speak('Another scene', onEnd);
+      speaker.cancel();
+      expect(onEnd).toHaveBeenCalledTimes(1);
+    });
+
+    test('Uses the configured voice settings by default', () => {
+      service.configure({ rate: 1.4, pitch: 0.9 });
+      createSpeechSpeaker(undefined, service).speak('A car drives past', () => {});
+
+      expect(engine.spoken[0]).toMatchObject({ text: 'A car drives past', rate: 1.4, pitch: 0.9 });
+    });
+  });
+});
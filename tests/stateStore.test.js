@@ -0,0 +1,88 @@
+import { StateStore, migrateState, STATE_SCHEMA_VERSION } from '../src/background/stateStore';
+
+describe('Extension State Store', () => {
+  let store;
+
+  beforeEach(() => {
+    chrome.storage.local.get.mockResolvedValue({});
+    chrome.storage.local.set.mockResolvedValue();
+    store = new StateStore();
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  // Persistence Tests
+  describe('Persistence', () => {
+    test('Uses initial values when nothing is stored', async () => {
+      const state = await store.initialize({ activeFeatures: { tts: true } });
+
+      expect(state.enabled).toBe(true);
+      expect(state.activeFeatures).toEqual({ tts: true });
+      expect(chrome.storage.local.set).toHaveBeenCalledWith({
+        extensionState: expect.objectContaining({ schemaVersion: STATE_SCHEMA_VERSION })
+      });
+    });
+
+    test('Prefers stored values over initial values', async () => {
+      chrome.storage.local.get.mockResolvedValue({
+        extensionState: { schemaVersion: STATE_SCHEMA_VERSION, enabled: false, activeFeatures: { tts: false }, userPreferences: {} }
+      });
+
+      const state = await store.initialize({ activeFeatures: { tts: true } });
+      expect(state.enabled).toBe(false);
+      expect(state.activeFeatures).toEqual({ tts: false });
+    });
+
+    test('Migrates unversioned state', () => {
+      const migrated = migrateState({ enabled: false });
+
+      expect(migrated).toEqual({
+        schemaVersion: STATE_SCHEMA_VERSION,
+        enabled: false,
+        activeFeatures: {},
+        userPreferences: {},
+        siteOverrides: {}
+      });
+    });
+  });
+
+  // Subscription Tests
+  describe('Subscriptions', () => {
+    test('Notifies subscribers of the changed key only', async () => {
+      await store.initialize();
+      const onEnabled = jest.fn();
+      const onFeatures = jest.fn();
+      store.subscribe('enabled', onEnabled);
+      store.subscribe('activeFeatures', onFeatures);
+
+      await store.set('enabled', false, { source: 'popup' });
+
+      expect(onEnabled).toHaveBeenCalledWith(false, true, { key: 'enabled', source: 'popup' });
+      expect(onFeatures).not.toHaveBeenCalled();
+    });
+
+    test('Skips notifications when the value is unchanged', async () => {
+      await store.initialize({ activeFeatures: { tts: true } });
+      const listener = jest.fn();
+      store.subscribe('*', listener);
+
+      const changed = await store.update({ activeFeatures: { tts: true }, enabled: true });
+
+      expect(changed).toEqual([]);
+      expect(listener).not.toHaveBeenCalled();
+    });
+
+    test('Stops notifying after unsubscribe', async () => {
+      await store.initialize();
+      const listener = jest.fn();
+      const unsubscribe = store.subscribe('enabled', listener);
+
+      unsubscribe();
+      await store.set('enabled', false);
+
+      expect(listener).not.toHaveBeenCalled();
+    });
+  });
+});
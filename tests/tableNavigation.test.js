@@ -0,0 +1,102 @@
+import {
+  buildTableGrid,
+  getCellHeaders,
+  getTableSummary,
+  moveTableCell,
+  readTableRow,
+  readTableColumn
+} from '../src/content/tableNavigation';
+
+describe('Table Navigation', () => {
+  beforeEach(() => {
+    Element.prototype.scrollIntoView = jest.fn();
+    document.body.innerHTML = `
+      <table id="sales">
+        <caption>Quarterly sales</caption>
+        <thead>
+          <tr><td></td><th>Q1</th><th>Q2</th></tr>
+        </thead>
+        <tbody>
+          <tr><th scope="row">North</th><td id="north-q1">10</td><td>12</td></tr>
+          <tr><th scope="row">South</th><td colspan="2" id="south">Closed</td></tr>
+        </tbody>
+      </table>
+      <table id="plain">
+        <tr><td>Name</td><td>Age</td></tr>
+        <tr><td id="ada">Ada</td><td id="ada-age">36</td></tr>
+      </table>
+      <table id="explicit">
+        <tr><th id="h-price">Price</th><th id="h-tax">Tax</th></tr>
+        <tr><td id="tax" headers="h-tax">5%</td><td>x</td></tr>
+      </table>
+    `;
+  });
+
+  const headerText = headers => headers.map(header => header.textContent);
+
+  // Grid and Header Tests
+  describe('Headers', () => {
+    test('Lays out spanning cells and finds th headers with scope', () => {
+      const layout = buildTableGrid(document.getElementById('sales'));
+      expect(layout.rowCount).toBe(3);
+      expect(layout.columnCount).toBe(3);
+      expect(layout.grid[2][2].id).toBe('south');
+
+      const { rowHeaders, columnHeaders } = getCellHeaders(layout, 2, 2);
+      expect(headerText(rowHeaders)).toEqual(['South']);
+      expect(headerText(columnHeaders)).toEqual(['Q2']);
+    });
+
+    test('Infers first-row headers and honors the headers attribute', () => {
+      const plain = buildTableGrid(document.getElementById('plain'));
+      expect(headerText(getCellHeaders(plain, 1, 1).columnHeaders)).toEqual(['Age']);
+
+      const explicit = buildTableGrid(document.getElementById('explicit'));
+      expect(headerText(getCellHeaders(explicit, 1, 0).columnHeaders)).toEqual(['Tax']);
+    });
+
+    test('Summarizes size and caption', () => {
+      expect(getTableSummary(document.getElementById('sales'))).toBe('Table with 3 rows, 3 columns, Quarterly sales');
+    });
+  });
+
+  // Cell Movement Tests
+  describe('Moving between cells', () => {
+    test('Announces the table on entry and changed headers on each move', () => {
+      const speak = jest.fn();
+      const table = document.getElementById('sales');
+
+      expect(moveTableCell('right', { speak, from: table })).toBe(true);
+      expect(speak.mock.calls[0][0]).toBe('Table with 3 rows, 3 columns, Quarterly sales, blank');
+
+      const northQ1 = document.getElementById('north-q1');
+      northQ1.tabIndex = -1;
+      northQ1.focus();
+      moveTableCell('right', { speak });
+      expect(speak).toHaveBeenLastCalledWith('Q2, 12', { followText: true, textOffset: 4 });
+      expect(document.activeElement.textContent).toBe('12');
+      expect(document.activeElement.classList.contains('accessibility-extension-highlight')).toBe(true);
+
+      moveTableCell('down', { speak });
+      expect(speak).toHaveBeenLastCalledWith('South, Closed', expect.any(Object));
+
+      moveTableCell('down', { speak });
+      expect(speak).toHaveBeenLastCalledWith('Edge of table');
+    });
+
+    test('Ignores focus outside tables', () => {
+      const speak = jest.fn();
+      expect(moveTableCell('right', { speak, from: document.body })).toBe(false);
+      expect(speak).not.toHaveBeenCalled();
+    });
+
+    test('Reads rows with column headers and columns with row headers', () => {
+      const speak = jest.fn();
+      readTableRow({ speak, from: document.getElementById('north-q1') });
+      expect(speak).toHaveBeenLastCalledWith('Row 2. North. Q1: 10. Q2: 12');
+
+      readTableColumn({ speak, from: document.getElementById('north-q1') });
+      expect(speak).toHaveBeenLastCalledWith('Column 2. Q1. North: 10. South: Closed');
+    });
+  });
+});
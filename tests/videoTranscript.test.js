@@ -0,0 +1,104 @@
+import {
+  formatCueTime,
+  searchCues,
+  formatTranscript,
+  openTranscript,
+  closeTranscript,
+  isTranscriptOpen,
+  updateTranscript
+} from '../src/content/videoTranscript';
+
+const cues = [
+  { start: 0.5, end: 3, text: 'Welcome to the course' },
+  { start: 3, end: 6, text: 'Today we cover *arrays*' },
+  { start: 3725, end: 3728, text: 'Thanks for\nwatching' }
+];
+
+describe('Video Transcript', () => {
+  // Formatting Tests
+  describe('Formatting', () => {
+    test('Formats cue times', () => {
+      expect(formatCueTime(0.5)).toBe('0:00');
+      expect(formatCueTime(65)).toBe('1:05');
+      expect(formatCueTime(3725)).toBe('1:02:05');
+    });
+
+    test('Exports plain text', () => {
+      expect(formatTranscript(cues, 'text', 'Lesson 1')).toBe(
+        'Transcript: Lesson 1\n\n[0:00] Welcome to the course\n[0:03] Today we cover *arrays*\n[1:02:05] Thanks for watching\n'
+      );
+    });
+
+    test('Exports Markdown with escaped cue text', () => {
+      const markdown = formatTranscript(cues, 'markdown', 'Lesson 1');
+      expect(markdown.startsWith('# Transcript: Lesson 1\n')).toBe(true);
+      expect(markdown).toContain('**[0:03]** Today we cover \\*arrays\\*');
+      expect(markdown).toContain('**[1:02:05]** Thanks for  \nwatching');
+    });
+  });
+
+  // Search Tests
+  describe('Search', () => {
+    test('Matches cue text case-insensitively', () => {
+      expect(searchCues(cues, 'WELCOME')).toEqual([0]);
+      expect(searchCues(cues, '')).toEqual([0, 1, 2]);
+      expect(searchCues(cues, 'missing')).toEqual([]);
+    });
+  });
+
+  // Panel Tests
+  describe('Panel', () => {
+    let video;
+
+    beforeEach(() => {
+      Element.prototype.scrollIntoView = jest.fn();
+      video = document.createElement('video');
+      document.body.appendChild(video);
+      openTranscript(video, () => ({ cues }));
+    });
+
+    afterEach(() => {
+      closeTranscript();
+      video.remove();
+    });
+
+    test('Lists every cue with its timestamp', () => {
+      const items = document.querySelectorAll('.accessibility-transcript-cue');
+      expect(items).toHaveLength(3);
+      expect(items[1].textContent).toBe('0:03Today we cover *arrays*');
+      expect(isTranscriptOpen(video)).toBe(true);
+    });
+
+    test('Seeks the video when a cue is activated', () => {
+      document.querySelectorAll('.accessibility-transcript-cue')[1].click();
+      expect(video.currentTime).toBe(3);
+      expect(document.querySelector('[aria-current="true"]').textContent).toContain('Today we cover');
+    });
+
+    test('Highlights and scrolls to the active cue', () => {
+      video.currentTime = 1;
+      updateTranscript(video);
+
+      const active = document.querySelector('[aria-current="true"]');
+      expect(active.textContent).toContain('Welcome');
+      expect(Element.prototype.scrollIntoView).toHaveBeenCalled();
+    });
+
+    test('Filters and marks search matches', () => {
+      const search = document.querySelector('.accessibility-transcript-search');
+      search.value = 'arrays';
+      search.dispatchEvent(new Event('input'));
+
+      const items = document.querySelectorAll('.accessibility-transcript-cue');
+      expect(items).toHaveLength(1);
+      expect(items[0].querySelector('mark').textContent).toBe('arrays');
+      expect(document.querySelector('.accessibility-transcript-status').textContent).toBe('1 of 3 captions match "arrays"');
+    });
+
+    test('Closes with Escape', () => {
+      document.querySelector('.accessibility-transcript-search')
+        .dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+      expect(isTranscriptOpen()).toBe(false);
+    });
+  });
+});
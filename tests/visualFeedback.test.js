@@ -0,0 +1,120 @@
+import {
+  buildTextMap,
+  findWordBounds,
+  findSentenceBounds,
+  highlightReadingNode,
+  highlightReadingPosition,
+  followSpeechProgress,
+  removeHighlight
+} from '../src/content/visualFeedback';
+
+describe('Reading Highlighter', () => {
+  let paragraph;
+
+  beforeEach(() => {
+    document.body.innerHTML = '<p id="text">Read   the <a href="#">linked <em>words</em></a> now. Then  stop!<script>ignored()</script></p>';
+    paragraph = document.getElementById('text');
+    Element.prototype.scrollIntoView = jest.fn();
+    Range.prototype.getBoundingClientRect = () => ({ top: 10, bottom: 30, height: 20 });
+    window.scrollBy = jest.fn();
+
+    // CSS custom highlights are not implemented by jsdom
+    window.CSS = { highlights: new Map() };
+    window.Highlight = class {
+      constructor(...ranges) {
+        this.ranges = ranges;
+      }
+    };
+  });
+
+  // Text of the range registered for a custom highlight
+  function highlighted(name) {
+    const highlight = window.CSS.highlights.get(name);
+    return highlight ? highlight.ranges[0].toString() : null;
+  }
+
+  afterEach(() => {
+    removeHighlight();
+  });
+
+  // Text Map Tests
+  describe('Text map', () => {
+    test('Joins text across inline elements and collapses whitespace', () => {
+      const { text, positions } = buildTextMap(paragraph);
+      expect(text).toBe('Read the linked words now. Then stop!');
+      expect(positions).toHaveLength(text.length);
+
+      const w = text.indexOf('words');
+      expect(positions[w].node.parentElement.tagName).toBe('EM');
+      expect(positions[w].offset).toBe(0);
+    });
+  });
+
+  // Word and Sentence Tests
+  describe('Bounds', () => {
+    const text = 'Read the linked words now. Then stop!';
+
+    test('Finds the word at a boundary index', () => {
+      expect(findWordBounds(text, 9)).toEqual({ start: 9, end: 15 });
+      expect(findWordBounds(text, 11)).toEqual({ start: 9, end: 15 });
+      expect(findWordBounds(text, 8)).toEqual({ start: 9, end: 15 });
+      expect(findWordBounds(text, 9, 6)).toEqual({ start: 9, end: 15 });
+      expect(findWordBounds(text, 100)).toBeNull();
+    });
+
+    test('Finds the sentence containing an index', () => {
+      expect(findSentenceBounds(text, 3)).toEqual({ start: 0, end: 26 });
+      expect(findSentenceBounds(text, 28)).toEqual({ start: 27, end: 37 });
+    });
+  });
+
+  // Highlighting Tests
+  describe('Highlighting', () => {
+    test('Highlights words without changing the page text', () => {
+      const html = paragraph.innerHTML;
+      const textMap = highlightReadingNode(paragraph);
+      expect(paragraph.classList.contains('accessibility-extension-highlight')).toBe(true);
+
+      highlightReadingPosition(textMap.text.indexOf('words'));
+      expect(highlighted('accessibility-reading-word')).toBe('words');
+      expect(highlighted('accessibility-reading-sentence')).toBe('Read   the linked words now.');
+      removeHighlight();
+
+      expect(highlighted('accessibility-reading-word')).toBeNull();
+      expect(paragraph.innerHTML).toBe(html);
+      expect(paragraph.classList.contains('accessibility-extension-highlight')).toBe(false);
+    });
+
+    test('Follows word boundary events, skipping spoken prefixes', () => {
+      const textMap = highlightReadingNode(paragraph);
+      const utterance = new EventTarget();
+      followSpeechProgress(utterance, { textOffset: 10 });
+
+      const boundary = new Event('boundary');
+      boundary.name = 'word';
+      boundary.charIndex = 10 + textMap.text.indexOf('words');
+      boundary.charLength = 5;
+      utterance.dispatchEvent(boundary);
+
+      expect(highlighted('accessibility-reading-word')).toBe('words');
+    });
+
+    test('Estimates the position for voices without boundary events', () => {
+      jest.useFakeTimers();
+      highlightReadingNode(paragraph);
+      const utterance = new EventTarget();
+      utterance.rate = 1;
+      followSpeechProgress(utterance);
+
+      utterance.dispatchEvent(new Event('start'));
+      expect(highlighted('accessibility-reading-word')).toBeNull();
+
+      // About 14 characters have been spoken after one second
+      jest.advanceTimersByTime(1000);
+      expect(highlighted('accessibility-reading-word')).toBe('linked');
+
+      utterance.dispatchEvent(new Event('end'));
+      jest.useRealTimers();
+    });
+  });
+});
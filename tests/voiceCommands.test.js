@@ -0,0 +1,132 @@
+import {
+  VoiceCommandEngine,
+  createDefaultCommands,
+  normalizeTranscript,
+  compilePattern,
+  parseShortcut,
+  validateCustomCommand
+} from '../src/content/voiceCommands';
+
+describe('Voice Commands', () => {
+  let engine;
+  let handlers;
+  let spoken;
+
+  beforeEach(() => {
+    spoken = [];
+    handlers = {
+      speak: text => spoken.push(text),
+      stopReading: jest.fn(),
+      startReading: jest.fn(),
+      nextSentence: jest.fn(),
+      previousSentence: jest.fn(),
+      repeatSentence: jest.fn(),
+      slowerSentence: jest.fn(),
+      setHighContrast: jest.fn(),
+      isVisible: () => true
+    };
+    engine = new VoiceCommandEngine();
+    engine.register(createDefaultCommands(handlers));
+    window.scrollBy = jest.fn();
+    document.body.innerHTML = `
+      <a href="/home">Home</a>
+      <a href="/news">Latest news</a>
+      <button>Sign in</button>
+      <a href="/about">About us</a>
+    `;
+  });
+
+  // Grammar Tests
+  describe('Grammar', () => {
+    test('Normalizes fillers, punctuation and synonyms', () => {
+      expect(normalizeTranscript('Please, press the Sign-In button!')).toBe('click the sign in button');
+      expect(normalizeTranscript('Scroll down twice')).toBe('scroll down 2 times');
+    });
+
+    test('Fills number, ordinal, element and direction slots', () => {
+      expect(engine.parse('scroll down three times')).toMatchObject({
+        command: { id: 'scroll' },
+        slots: { direction: 'down', count: 3 },
+        score: 1
+      });
+      expect(engine.parse('click the second link').slots).toEqual({ position: 2, element: 'link' });
+      expect(engine.parse('go to the last hyperlink').slots).toEqual({ position: -1, element: 'link' });
+      expect(engine.parse('scroll up twenty one times').slots.count).toBe(21);
+      expect(() => compilePattern('click [the {element}')).toThrow('Unclosed group');
+    });
+
+    test('Scores by recognizer confidence and transcript coverage', async () => {
+      expect(engine.parse('next sentence', 0.9).score).toBeCloseTo(0.9);
+      expect(engine.parse('I just cannot stop thinking about it').score).toBeLessThan(0.5);
+
+      expect(await engine.handle('next sentence', { confidence: 0.3 })).toMatchObject({ status: 'unsure' });
+      expect(handlers.nextSentence).not.toHaveBeenCalled();
+
+      // The most confident alternative wins
+      await engine.handle([
+        { transcript: 'text sentence', confidence: 0.9 },
+        { transcript: 'next sentence', confidence: 0.8 }
+      ]);
+      expect(handlers.nextSentence).toHaveBeenCalledTimes(1);
+      expect(await engine.handle('make me a sandwich')).toMatchObject({ status: 'unrecognized' });
+    });
+  });
+
+  // Page Command Tests
+  describe('Page commands', () => {
+    test('Scrolls a number of times and clicks elements by position or name', async () => {
+      const clicks = [];
+      document.querySelectorAll('a, button').forEach(element => {
+        element.addEventListener('click', event => {
+          event.preventDefault();
+          clicks.push(element.textContent);
+        });
+      });
+
+      await engine.handle('scroll down three times');
+      expect(window.scrollBy).toHaveBeenCalledWith(expect.objectContaining({ top: window.innerHeight / 2 * 3 }));
+
+      await engine.handle('click the second link');
+      await engine.handle('press the sign in button');
+      await engine.handle('click about');
+      expect(clicks).toEqual(['Latest news', 'Sign in', 'About us']);
+      expect(spoken[0]).toBe('Clicked Latest news, link');
+
+      await engine.handle('click the ninth link');
+      expect(spoken[spoken.length - 1]).toBe('Could not find that link');
+    });
+  });
+
+  // Custom Command Tests
+  describe('Custom commands', () => {
+    test('Runs action sequences and presses keyboard shortcuts', async () => {
+      const keys = [];
+      document.addEventListener('keydown', event => keys.push(event));
+
+      engine.setCustomCommands([
+        { phrase: 'read faster', type: 'shortcut', shortcut: 'Alt+Up' },
+        { phrase: 'skip ahead', type: 'commands', actions: 'next sentence; next sentence' },
+        { phrase: 'loop', type: 'commands', actions: ['loop'] },
+        { phrase: 'broken', type: 'shortcut', shortcut: 'Ctrl+Alt' }
+      ]);
+
+      await engine.handle('skip ahead');
+      expect(handlers.nextSentence).toHaveBeenCalledTimes(2);
+
+      await engine.handle('read faster');
+      expect(keys[0]).toMatchObject({ key: 'ArrowUp', altKey: true, ctrlKey: false });
+
+      expect(await engine.handle('loop')).toMatchObject({ status: 'failed' });
+      expect(engine.getCommands().filter(command => command.custom)).toHaveLength(3);
+    });
+
+    test('Validates custom commands and shortcuts', () => {
+      expect(parseShortcut('Ctrl+Shift+k')).toEqual({ key: 'K', ctrlKey: true, altKey: false, shiftKey: true, metaKey: false });
+      expect(parseShortcut('Ctrl+A+B')).toBeNull();
+      expect(validateCustomCommand({ phrase: '', type: 'commands', actions: ['stop'] })).toBe('Enter the phrase to say');
+      expect(validateCustomCommand({ phrase: 'go', type: 'commands', actions: [] })).toMatch('Enter the commands');
+      expect(validateCustomCommand({ phrase: 'open {thing:colour}', type: 'commands', actions: ['stop'] })).toMatch('Unknown slot type');
+      expect(validateCustomCommand({ phrase: 'go', type: 'shortcut', shortcut: 'Alt+Shift+R' })).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,141 @@
+import {
+  showNumbers,
+  clickNumber,
+  showGrid,
+  zoomGrid,
+  zoomOutGrid,
+  getGridCell,
+  clickGrid,
+  hideOverlays,
+  createOverlayCommands
+} from '../src/content/voiceOverlays';
+import { VoiceCommandEngine, createDefaultCommands } from '../src/content/voiceCommands';
+
+// Place elements by a data-top attribute; anything without one is off screen
+function mockLayout() {
+  Element.prototype.getBoundingClientRect = function () {
+    const top = this.dataset && this.dataset.top !== undefined ? Number(this.dataset.top) : -1000;
+    return { top, left: 10, bottom: top + 20, right: 110, width: 100, height: 20 };
+  };
+}
+
+const nextFrame = () => new Promise(resolve => requestAnimationFrame(resolve));
+const isVisible = () => true;
+
+describe('Voice Overlays', () => {
+  const originalRect = Element.prototype.getBoundingClientRect;
+
+  beforeEach(() => {
+    mockLayout();
+    window.innerWidth = 900;
+    window.innerHeight = 600;
+    document.body.innerHTML = `
+      <button data-top="10" aria-label="Menu"><svg></svg></button>
+      <a href="/one" data-top="50">One</a>
+      <a href="/far" data-top="2000">Far away</a>
+      <div role="button" data-top="90"><span tabindex="0" data-top="90">Nested</span></div>
+      <p data-top="120">Not interactive</p>
+    `;
+  });
+
+  afterEach(() => {
+    hideOverlays();
+    Element.prototype.getBoundingClientRect = originalRect;
+  });
+
+  // Number Tests
+  describe('Numbers', () => {
+    test('Labels each visible interactive element once', () => {
+      expect(showNumbers({ isVisible })).toBe(3);
+
+      const labels = Array.from(document.querySelectorAll('.accessibility-number-label'));
+      expect(labels.map(label => label.textContent)).toEqual(['1', '2', '3']);
+      expect(labels[1].style.top).toBe('50px');
+      expect(document.querySelector('.accessibility-number-overlay').getAttribute('aria-hidden')).toBe('true');
+    });
+
+    test('Keeps numbers stable as the page changes and clicks by number', async () => {
+      const clicked = jest.fn();
+      document.querySelector('button').addEventListener('click', clicked);
+      showNumbers({ isVisible });
+
+      // Scrolling the link away frees its number for the next new element
+      document.querySelector('a[href="/one"]').dataset.top = '-500';
+      const added = document.createElement('button');
+      added.dataset.top = '200';
+      added.textContent = 'New';
+      document.body.appendChild(added);
+      await nextFrame();
+      await nextFrame();
+
+      expect(clickNumber(2).element).toBe(added);
+      expect(clickNumber(1)).toEqual({ element: document.querySelector('button'), clicked: true });
+      expect(clicked).toHaveBeenCalledTimes(1);
+      expect(clickNumber(9)).toBeNull();
+
+      hideOverlays();
+      expect(document.querySelector('.accessibility-number-overlay')).toBeNull();
+    });
+  });
+
+  // Grid Tests
+  describe('Grid', () => {
+    test('Zooms into cells and back out', () => {
+      showGrid();
+      expect(document.querySelectorAll('.accessibility-grid-cell')).toHaveLength(9);
+      expect(getGridCell(5)).toEqual({ left: 300, top: 200, width: 300, height: 200 });
+
+      expect(zoomGrid(9)).toBe(true);
+      expect(getGridCell(1)).toEqual({ left: 600, top: 400, width: 100, height: expect.closeTo(66.67, 1) });
+      expect(zoomGrid(10)).toBe(false);
+
+      expect(zoomOutGrid()).toBe(true);
+      expect(zoomOutGrid()).toBe(false);
+    });
+
+    test('Clicks the middle of a cell and closes the grid', () => {
+      const target = document.querySelector('a[href="/one"]');
+      const events = [];
+      ['mousedown', 'mouseup', 'click'].forEach(type => target.addEventListener(type, event => {
+        event.preventDefault();
+        events.push(`${type}@${event.clientX},${event.clientY}`);
+      }));
+      document.elementFromPoint = jest.fn(() => target);
+
+      showGrid();
+      zoomGrid(1);
+      expect(clickGrid(5)).toBe(target);
+      expect(document.elementFromPoint).toHaveBeenCalledWith(150, 100);
+      expect(events).toEqual(['mousedown@150,100', 'mouseup@150,100', 'click@150,100']);
+      expect(document.querySelector('.accessibility-grid-overlay')).toBeNull();
+    });
+  });
+
+  // Voice Command Tests
+  describe('Voice commands', () => {
+    test('Number commands apply only while numbers are shown', async () => {
+      const spoken = [];
+      const speak = text => spoken.push(text);
+      const engine = new VoiceCommandEngine();
+      engine.register(createDefaultCommands({ speak, isVisible }));
+      engine.register(createOverlayCommands({ speak, isVisible }));
+
+      expect(engine.parse('click 2').command.id).toBe('clickText');
+
+      await engine.handle('show numbers');
+      expect(spoken).toEqual(['Showing 3 numbers']);
+      expect(engine.parse('click 2').command.id).toBe('clickNumber');
+
+      const linkClick = jest.fn(event => event.preventDefault());
+      document.querySelector('a[href="/one"]').addEventListener('click', linkClick);
+      await engine.handle('click 2');
+      expect(linkClick).toHaveBeenCalled();
+      expect(spoken[1]).toBe('Clicked One');
+
+      await engine.handle('show grid');
+      expect(engine.parse('5').command.id).toBe('zoomGrid');
+      await engine.handle('hide grid');
+      expect(engine.parse('5')).toBeNull();
+    });
+  });
+});
@@ -8,7 +8,8 @@ module.exports = {
     popup: './src/popup/index.js',
     options: './src/options/index.js',
     background: './src/background/index.js',
-    content: './src/content/index.js'
+    content: './src/content/index.js',
+    offscreen: './src/offscreen/index.js'
   },
   output: {
     path: path.resolve(__dirname, 'dist'),
@@ -51,6 +52,11 @@ module.exports = {
       filename: 'options.html',
       chunks: ['options']
     }),
+    new HtmlWebpackPlugin({
+      template: './src/offscreen/offscreen.html',
+      filename: 'offscreen.html',
+      chunks: ['offscreen']
+    }),
     new CopyWebpackPlugin({
       patterns: [
         { from: './src/manifest.json', to: 'manifest.json' },